@@ -10,11 +10,21 @@ namespace SCStreamDeck.ActionKeys;
 /// <summary>
 ///     Adaptive Star Citizen Key.
 ///     Automatically adjusts behavior based on action activation modes.
+///     With a long press function, a short press runs the function on release and holding the key past the
+///     threshold runs the long press function instead.
 /// </summary>
 [SuppressMessage("ReSharper", "UnusedType.Global", Justification = "Stream Deck action instantiated via SDK reflection")]
 [PluginActionId("com.jarex985.scstreamdeck.adaptivekey")]
 public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload) : SCActionBase(connection, payload)
 {
+    private readonly AdaptiveKeyCore _core = new();
+
+    private int _activePressId;
+    private CancellationTokenSource? _longPressCts;
+
+    // Captured on KeyDown, so a settings change while the key is held does not mix up the press.
+    private string? _pressLongPressFunction;
+
     #region Public Methods
 
     public override async void KeyPressed(KeyPayload payload)
@@ -22,7 +32,16 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
         try
         {
             PlayClickSoundIfConfigured();
-            await ProcessKeyEventAsync(true).ConfigureAwait(false);
+
+            string? longPressFunction = string.IsNullOrWhiteSpace(Settings.LongPressFunction) ? null : Settings.LongPressFunction;
+            Volatile.Write(ref _pressLongPressFunction, longPressFunction);
+            if (longPressFunction == null)
+            {
+                await ProcessKeyEventAsync(Settings.Function, true).ConfigureAwait(false);
+                return;
+            }
+
+            StartLongPress(longPressFunction);
         }
         catch (Exception ex)
         {
@@ -35,7 +54,14 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
     {
         try
         {
-            await ProcessKeyEventAsync(false).ConfigureAwait(false);
+            string? longPressFunction = Volatile.Read(ref _pressLongPressFunction);
+            if (longPressFunction == null)
+            {
+                await ProcessKeyEventAsync(Settings.Function, false).ConfigureAwait(false);
+                return;
+            }
+
+            await FinishLongPressAsync(longPressFunction).ConfigureAwait(false);
         }
         catch (Exception ex)
         {
@@ -43,15 +69,95 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
         }
     }
 
+    public override void Dispose()
+    {
+        CancellationTokenSource? longPressCts = Interlocked.Exchange(ref _longPressCts, null);
+        longPressCts?.Cancel();
+        longPressCts?.Dispose();
+
+        base.Dispose();
+    }
+
     #endregion
 
     #region Private Methods
 
-    private async Task ProcessKeyEventAsync(bool isKeyDown)
+    private void StartLongPress(string longPressFunction)
     {
-        (KeybindingAction, string)? validationResult = ValidateAndResolve();
+        TimeSpan threshold = AdaptiveKeyCore.ResolveLongPressThreshold(Settings.LongPressSeconds);
+        int pressId = _core.OnKeyDown(DateTime.UtcNow, threshold);
+        Volatile.Write(ref _activePressId, pressId);
+
+        CancellationTokenSource cts = new();
+        CancellationTokenSource? previous = Interlocked.Exchange(ref _longPressCts, cts);
+        previous?.Cancel();
+        previous?.Dispose();
+
+        _ = RunLongPressTimerAsync(pressId, threshold, longPressFunction, cts.Token);
+    }
+
+    private async Task RunLongPressTimerAsync(int pressId, TimeSpan threshold, string longPressFunction, CancellationToken token)
+    {
+        try
+        {
+            await Task.Delay(threshold, token).ConfigureAwait(false);
+            if (_core.OnLongPressThresholdElapsed(pressId))
+            {
+                await ProcessKeyEventAsync(longPressFunction, true).ConfigureAwait(false);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Released before the threshold, or the action was disposed.
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: long press '{longPressFunction}': {ex.Message}", ex);
+        }
+    }
+
+    private async Task FinishLongPressAsync(string longPressFunction)
+    {
+        CancellationTokenSource? longPressCts = Volatile.Read(ref _longPressCts);
+        try
+        {
+            longPressCts?.Cancel();
+        }
+        catch (ObjectDisposedException)
+        {
+            // CTS can be disposed concurrently (e.g., replaced in KeyPressed).
+        }
+
+        switch (_core.OnKeyUp(DateTime.UtcNow, Volatile.Read(ref _activePressId)))
+        {
+            case AdaptiveKeyRelease.ShortPress:
+                // The press is only known to be short on release: send it as a complete press.
+                await ProcessKeyEventAsync(Settings.Function, true).ConfigureAwait(false);
+                await ProcessKeyEventAsync(Settings.Function, false).ConfigureAwait(false);
+                break;
+            case AdaptiveKeyRelease.LongPress:
+                await ProcessKeyEventAsync(longPressFunction, true).ConfigureAwait(false);
+                await ProcessKeyEventAsync(longPressFunction, false).ConfigureAwait(false);
+                break;
+            case AdaptiveKeyRelease.EndLongPress:
+                await ProcessKeyEventAsync(longPressFunction, false).ConfigureAwait(false);
+                break;
+            case AdaptiveKeyRelease.None:
+            default:
+                break;
+        }
+    }
+
+    private async Task ProcessKeyEventAsync(string? functionId, bool isKeyDown)
+    {
+        (KeybindingAction, string)? validationResult = ValidateAndResolve(functionId);
         if (validationResult == null)
         {
+            if (isKeyDown)
+            {
+                await ShowUnavailableAlertAsync(functionId).ConfigureAwait(false);
+            }
+
             return;
         }
 
@@ -59,7 +165,7 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
 
         KeybindingExecutionContext context = new()
         {
-            ActionName = Settings.Function!,
+            ActionName = functionId!,
             Binding = executableBinding,
             ActivationMode = action.ActivationMode,
             IsKeyDown = isKeyDown
@@ -68,6 +174,27 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
         await ExecuteKeybindingAsync(context).ConfigureAwait(false);
     }
 
+    /// <summary>
+    ///     Flashes the alert when the pressed function no longer exists in the keybindings.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (ShowAlert, KeybindingService)
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private async Task ShowUnavailableAlertAsync(string? functionId)
+    {
+        if (string.Equals(functionId, Settings.Function, StringComparison.Ordinal))
+        {
+            await ShowMissingFunctionAlertAsync().ConfigureAwait(false);
+            return;
+        }
+
+        if (!string.IsNullOrWhiteSpace(functionId) && CanExecuteBindings && !KeybindingService.TryGetAction(functionId, out _))
+        {
+            Log.Warn($"[{GetType().Name}] Long press function '{functionId}' not found in the current keybindings");
+            await Connection.ShowAlert().ConfigureAwait(false);
+        }
+    }
+
     /// <summary>
     ///     Validates and resolves keybinding action.
     ///     Marked as [ExcludeFromCodeCoverage] because:
@@ -78,14 +205,14 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
     ///     - Business logic tested through KeybindingService unit tests
     /// </summary>
     [ExcludeFromCodeCoverage]
-    private (KeybindingAction, string)? ValidateAndResolve()
+    private (KeybindingAction, string)? ValidateAndResolve(string? functionId)
     {
-        if (string.IsNullOrWhiteSpace(Settings.Function) || !CanExecuteBindings)
+        if (string.IsNullOrWhiteSpace(functionId) || !CanExecuteBindings)
         {
             return null;
         }
 
-        if (!KeybindingService.TryGetAction(Settings.Function, out KeybindingAction? action) || action == null)
+        if (!KeybindingService.TryGetAction(functionId, out KeybindingAction? action) || action == null)
         {
             return null;
         }
@@ -147,3 +274,91 @@ public sealed class AdaptiveKey(SDConnection connection, InitialPayload payload)
 
     #endregion
 }
+
+internal enum AdaptiveKeyRelease
+{
+    None,
+    ShortPress,
+    LongPress,
+    EndLongPress
+}
+
+/// <summary>
+///     SDK-independent press state machine for AdaptiveKey's long press function.
+/// </summary>
+internal sealed class AdaptiveKeyCore
+{
+    internal const double DefaultLongPressSeconds = 0.5;
+    internal const double MinLongPressSeconds = 0.2;
+    internal const double MaxLongPressSeconds = 5.0;
+
+    private readonly object _gate = new();
+
+    private bool _isHeld;
+    private DateTime _keyDownAt;
+    private bool _longPressStarted;
+    private TimeSpan _longPressThreshold;
+    private int _pressId;
+
+    internal static TimeSpan ResolveLongPressThreshold(double? seconds)
+    {
+        double value = seconds ?? DefaultLongPressSeconds;
+        if (!double.IsFinite(value))
+        {
+            value = DefaultLongPressSeconds;
+        }
+
+        return TimeSpan.FromSeconds(Math.Clamp(value, MinLongPressSeconds, MaxLongPressSeconds));
+    }
+
+    public int OnKeyDown(DateTime utcNow, TimeSpan longPressThreshold)
+    {
+        lock (_gate)
+        {
+            _pressId++;
+            _isHeld = true;
+            _longPressStarted = false;
+            _keyDownAt = utcNow;
+            _longPressThreshold = longPressThreshold;
+            return _pressId;
+        }
+    }
+
+    /// <summary>
+    ///     True once per press when the key is still held: the long press function goes down now.
+    /// </summary>
+    public bool OnLongPressThresholdElapsed(int pressId)
+    {
+        lock (_gate)
+        {
+            if (pressId != _pressId || !_isHeld || _longPressStarted)
+            {
+                return false;
+            }
+
+            _longPressStarted = true;
+            return true;
+        }
+    }
+
+    public AdaptiveKeyRelease OnKeyUp(DateTime utcNow, int pressId)
+    {
+        lock (_gate)
+        {
+            if (pressId != _pressId || !_isHeld)
+            {
+                return AdaptiveKeyRelease.None;
+            }
+
+            _isHeld = false;
+
+            if (_longPressStarted)
+            {
+                return AdaptiveKeyRelease.EndLongPress;
+            }
+
+            // Defensive: if the timer was delayed, a release past the threshold still counts as a long press.
+            return utcNow - _keyDownAt >= _longPressThreshold ? AdaptiveKeyRelease.LongPress : AdaptiveKeyRelease.ShortPress;
+        }
+    }
+}
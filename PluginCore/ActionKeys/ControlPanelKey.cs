@@ -1,4 +1,6 @@
+using System.Diagnostics;
 using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
 using BarRaider.SdTools;
 using BarRaider.SdTools.Events;
 using BarRaider.SdTools.Payloads;
@@ -8,6 +10,7 @@ using SCStreamDeck.Infrastructure;
 using SCStreamDeck.Logging;
 using SCStreamDeck.Models;
 using SCStreamDeck.Services.Core;
+using SCStreamDeck.Services.Keybinding;
 using SCStreamDeck.Services.UI;
 
 namespace SCStreamDeck.ActionKeys;
@@ -22,10 +25,13 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
 {
     private const string PiEventConnected = "propertyInspectorConnected";
     private const string PiEventSetTheme = "setTheme";
+    private const string PiEventSetUiLanguage = "setUiLanguage";
     private const string PiEventSetChannel = "setChannel";
     private const string PiEventForceRedetection = "forceRedetection";
     private const string PiEventFactoryReset = "factoryReset";
     private const string PiEventSetDataP4KOverride = "setDataP4KOverride";
+    private const string PiEventRebuildChannelCache = "rebuildChannelCache";
+    private const string PiEventOpenChannelFolder = "openChannelFolder";
 
     [ExcludeFromCodeCoverage]
     public ControlPanelKey(SDConnection connection, InitialPayload payload) : base(connection, payload)
@@ -35,6 +41,7 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
         StateService = deps.StateService;
         ThemeService = deps.ThemeService;
         KeybindingsJsonCache = deps.KeybindingsJsonCache;
+        KeybindingService = deps.KeybindingService;
 
         Connection.OnPropertyInspectorDidAppear += OnPropertyInspectorDidAppear;
         Connection.OnSendToPlugin += OnSendToPlugin;
@@ -46,6 +53,7 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
     private StateService StateService { get; }
     private ThemeService ThemeService { get; }
     private IKeybindingsJsonCache KeybindingsJsonCache { get; }
+    private KeybindingService KeybindingService { get; }
 
     public override void KeyPressed(KeyPayload payload)
     {
@@ -112,27 +120,41 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
                 return;
             }
 
+            JObject payload = e.Event.Payload;
+            string? requestId = PiResponsePayloadBuilder.GetRequestId(payload);
+
             switch (piEvent)
             {
                 case PiEventConnected:
-                    SendPropertyInspectorUpdate();
+                    HandleConnected(payload, requestId);
                     return;
                 case PiEventSetTheme:
-                    HandleSetTheme(e.Event.Payload);
+                    HandleSetTheme(payload, requestId);
+                    return;
+                case PiEventSetUiLanguage:
+                    HandleSetUiLanguage(payload, requestId);
                     return;
                 case PiEventSetChannel:
-                    HandleSetChannel(e.Event.Payload);
+                    HandleSetChannel(payload, requestId);
                     return;
                 case PiEventFactoryReset:
-                    HandleFactoryReset();
+                    HandleFactoryReset(requestId);
                     return;
                 case PiEventForceRedetection:
-                    HandleForceRedetection();
+                    HandleForceRedetection(requestId);
                     return;
                 case PiEventSetDataP4KOverride:
-                    HandleSetDataP4KOverride(e.Event.Payload);
+                    HandleSetDataP4KOverride(payload, requestId);
+                    return;
+                case PiEventRebuildChannelCache:
+                    HandleRebuildChannelCache(payload, requestId);
+                    return;
+                case PiEventOpenChannelFolder:
+                    HandleOpenChannelFolder(payload, requestId);
                     return;
                 default:
+                    Log.Warn($"[{nameof(ControlPanelKey)}] Unknown PI request '{piEvent}'");
+                    Reply(requestId, false, PiReasons.UnknownRequest);
                     return;
             }
         }
@@ -145,27 +167,62 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
     private static string? GetPiEventName(JObject payload) =>
         payload.Value<string>("event") ?? payload.Value<string>("property_inspector");
 
-    private void HandleSetTheme(JObject payload)
+    private void HandleConnected(JObject payload, string? requestId)
+    {
+        int? clientVersion = PiProtocolPayloadBuilder.GetClientVersion(payload);
+        if (!PiProtocolPayloadBuilder.IsCompatible(clientVersion))
+        {
+            Log.Warn(
+                $"[{nameof(ControlPanelKey)}] PI protocol mismatch (PI: {clientVersion?.ToString(CultureInfo.InvariantCulture) ?? "none"}, plugin: {PiProtocolPayloadBuilder.ProtocolVersion})");
+        }
+
+        SendPropertyInspectorUpdate();
+        Reply(requestId, true, null, PiProtocolPayloadBuilder.BuildHandshake(clientVersion));
+    }
+
+    private void HandleSetTheme(JObject payload, string? requestId)
     {
         string? themeFile = payload.Value<string>("themeFile");
         if (!ThemeService.IsValidThemeFile(themeFile))
         {
+            Reply(requestId, false, PiReasons.InvalidTheme);
+            return;
+        }
+
+        RunBackground(requestId, async () =>
+        {
+            await StateService.UpdateSelectedThemeAsync(themeFile).ConfigureAwait(false);
+            return (true, null);
+        });
+    }
+
+    private void HandleSetUiLanguage(JObject payload, string? requestId)
+    {
+        string? language = payload.Value<string>("language");
+        if (!UiLanguagePayloadBuilder.TryNormalize(language, out string? storedLanguage))
+        {
+            Reply(requestId, false, PiReasons.UnknownLanguage);
             return;
         }
 
-        RunBackground(async () => await StateService.UpdateSelectedThemeAsync(themeFile).ConfigureAwait(false));
+        RunBackground(requestId, async () =>
+        {
+            await StateService.UpdateUiLanguageAsync(storedLanguage).ConfigureAwait(false);
+            return (true, null);
+        });
     }
 
-    private void HandleSetChannel(JObject payload)
+    private void HandleSetChannel(JObject payload, string? requestId)
     {
         string? channelStr = payload.Value<string>("channel");
         if (!Enum.TryParse(channelStr, true, out SCChannel channel))
         {
             SendPropertyInspectorUpdate();
+            Reply(requestId, false, PiReasons.UnknownChannel);
             return;
         }
 
-        RunBackground(async () =>
+        RunBackground(requestId, async () =>
         {
             await StateService.UpdateSelectedChannelAsync(channel).ConfigureAwait(false);
 
@@ -173,50 +230,155 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
             if (!switched)
             {
                 _ = await InitializationService.ForceRedetectionAsync().ConfigureAwait(false);
+                return (false, PiReasons.ChannelLoadFailed);
             }
+
+            return (true, null);
         });
     }
 
-    private void HandleFactoryReset() =>
-        RunBackground(async () => await InitializationService.FactoryResetAsync().ConfigureAwait(false));
+    private void HandleFactoryReset(string? requestId) =>
+        RunBackground(requestId, async () =>
+        {
+            InitializationResult result = await InitializationService.FactoryResetAsync().ConfigureAwait(false);
+            return (result.IsSuccess, result.IsSuccess ? null : PiReasons.InitializationFailed);
+        });
 
-    private void HandleForceRedetection() =>
-        RunBackground(async () => _ = await InitializationService.ForceRedetectionAsync().ConfigureAwait(false));
+    private void HandleForceRedetection(string? requestId) =>
+        RunBackground(requestId, async () =>
+        {
+            InitializationResult result = await InitializationService.ForceRedetectionAsync().ConfigureAwait(false);
+            return (result.IsSuccess, result.IsSuccess ? null : PiReasons.InitializationFailed);
+        });
 
-    private void HandleSetDataP4KOverride(JObject payload)
+    private void HandleSetDataP4KOverride(JObject payload, string? requestId)
     {
         string? channelStr = payload.Value<string>("channel");
         string? dataP4KPath = payload.Value<string>("dataP4KPath");
         if (!Enum.TryParse(channelStr, true, out SCChannel channel))
         {
             SendPropertyInspectorUpdate();
+            Reply(requestId, false, PiReasons.UnknownChannel);
             return;
         }
 
-        RunBackground(async () =>
+        RunBackground(requestId, async () =>
         {
-            await InitializationService.ApplyCustomDataP4KOverrideAsync(channel, dataP4KPath)
+            bool applied = await InitializationService.ApplyCustomDataP4KOverrideAsync(channel, dataP4KPath)
                 .ConfigureAwait(false);
+
+            if (!applied)
+            {
+                return (false, PiReasons.DataP4KOverrideFailed);
+            }
+
+            return (true, null);
         });
     }
 
-    private void RunBackground(Func<Task> work) =>
+    private void HandleRebuildChannelCache(JObject payload, string? requestId)
+    {
+        string? channelStr = payload.Value<string>("channel");
+        if (!Enum.TryParse(channelStr, true, out SCChannel channel))
+        {
+            Reply(requestId, false, PiReasons.UnknownChannel);
+            return;
+        }
+
+        RunBackground(requestId, async () =>
+        {
+            bool rebuilt = await InitializationService.RefreshKeybindingsFromActionMapsAsync(channel).ConfigureAwait(false);
+            return rebuilt ? (true, null) : (false, PiReasons.RebuildFailed);
+        });
+    }
+
+    /// <summary>
+    ///     Opens the channel folder of the cached installation in Explorer.
+    ///     The PI only names the channel; the path always comes from plugin state.
+    /// </summary>
+    private void HandleOpenChannelFolder(JObject payload, string? requestId)
+    {
+        string? channelStr = payload.Value<string>("channel");
+        if (!Enum.TryParse(channelStr, true, out SCChannel channel))
+        {
+            Reply(requestId, false, PiReasons.UnknownChannel);
+            return;
+        }
+
         _ = Task.Run(async () =>
         {
             try
             {
-                await work().ConfigureAwait(false);
+                PluginState? state = await StateService.LoadStateAsync().ConfigureAwait(false);
+                string? channelPath = state?.GetInstallation(channel)?.ChannelPath;
+                if (string.IsNullOrWhiteSpace(channelPath) || !Directory.Exists(channelPath))
+                {
+                    await ReplyAsync(requestId, false, PiReasons.ChannelFolderNotFound).ConfigureAwait(false);
+                    return;
+                }
+
+                using Process? explorer = Process.Start(new ProcessStartInfo(channelPath) { UseShellExecute = true });
+                await ReplyAsync(requestId, true, null).ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                Log.Err($"[{nameof(ControlPanelKey)}] Failed to open channel folder: {ex.Message}", ex);
+                await ReplyAsync(requestId, false, PiReasons.OpenFolderFailed).ConfigureAwait(false);
+            }
+        });
+    }
+
+    /// <summary>
+    ///     Runs a PI-triggered operation off the SDK thread, then pushes fresh status and (if the PI asked
+    ///     via SCPI.bus.request) replies with the outcome. The status update goes first so the PI already
+    ///     shows the new state when its request promise settles.
+    /// </summary>
+    private void RunBackground(string? requestId, Func<Task<(bool Success, string? Error)>> work) =>
+        _ = Task.Run(async () =>
+        {
+            bool success = false;
+            string? error = null;
+
+            try
+            {
+                (success, error) = await work().ConfigureAwait(false);
             }
             catch (Exception ex)
             {
                 Log.Err($"[{nameof(ControlPanelKey)}] Background operation failed: {ex.Message}", ex);
+                error = PiReasons.RequestFailed;
             }
             finally
             {
                 await SendPropertyInspectorUpdateAsync().ConfigureAwait(false);
+                await ReplyAsync(requestId, success, error).ConfigureAwait(false);
             }
         });
 
+    private void Reply(string? requestId, bool success, string? error, JObject? result = null) =>
+        _ = ReplyAsync(requestId, success, error, result);
+
+    private async Task ReplyAsync(string? requestId, bool success, string? error, JObject? result = null)
+    {
+        if (requestId == null)
+        {
+            return;
+        }
+
+        try
+        {
+            JObject response = success
+                ? PiResponsePayloadBuilder.Success(requestId, result)
+                : PiResponsePayloadBuilder.Failure(requestId, error);
+
+            await Connection.SendToPropertyInspectorAsync(response).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{nameof(ControlPanelKey)}] Failed to reply to PI request: {ex.Message}", ex);
+        }
+    }
+
     private void SendPropertyInspectorUpdate() => _ = SendPropertyInspectorUpdateAsync();
 
     private async Task SendPropertyInspectorUpdateAsync()
@@ -227,6 +389,7 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
 
             JArray themePayload = [];
             string selectedTheme = string.Empty;
+            string uiLanguage = UiLanguagePayloadBuilder.Auto;
 
             try
             {
@@ -236,20 +399,25 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
                     themes,
                     selectedThemeFile,
                     ThemeService.IsValidThemeFile);
+
+                uiLanguage = UiLanguagePayloadBuilder.Build(
+                    await StateService.GetUiLanguageAsync().ConfigureAwait(false));
             }
             catch (Exception ex)
             {
                 Log.Err($"[{nameof(ControlPanelKey)}]: {ex.Message}", ex);
             }
 
-            await Connection.SendToPropertyInspectorAsync(new JObject
+            await Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(new JObject
             {
                 ["themesLoaded"] = true,
                 ["themes"] = themePayload,
                 ["selectedTheme"] = selectedTheme,
+                ["uiLanguage"] = uiLanguage,
+                ["gameLanguage"] = KeybindingService.Language,
                 ["controlPanelLoaded"] = true,
                 ["controlPanel"] = controlPanel
-            }).ConfigureAwait(false);
+            })).ConfigureAwait(false);
         }
         catch (Exception ex)
         {
@@ -268,7 +436,9 @@ public sealed class ControlPanelKey : KeyAndEncoderBase
                 InitializationService.IsInitialized,
                 InitializationService.CurrentChannel,
                 ch => KeybindingsJsonCache.Exists(ch),
-                i => i.Validate());
+                ch => KeybindingsJsonCache.GetLastWriteTimeUtc(ch),
+                i => i.Validate(),
+                i => i.GetInvalidReason());
         }
         catch (Exception ex)
         {
@@ -0,0 +1,376 @@
+using System.Diagnostics;
+using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
+using BarRaider.SdTools;
+using SCStreamDeck.Common;
+using SCStreamDeck.Logging;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace SCStreamDeck.ActionKeys;
+
+/// <summary>
+///     Stream Deck+ dial: rotation moves the selected function's mouse axis, pushing the dial (or tapping the touch strip)
+///     runs the push function. The touch strip shows the function label and the last rotation value.
+/// </summary>
+[SuppressMessage("ReSharper", "UnusedType.Global", Justification = "Stream Deck action instantiated via SDK reflection")]
+[PluginActionId("com.jarex985.scstreamdeck.dialkey")]
+public sealed class DialKey : SCActionBase
+{
+    private const string FallbackTitle = "Dial";
+
+    private readonly DialKeyCore _core = new();
+
+    [ExcludeFromCodeCoverage]
+    public DialKey(SDConnection connection, InitialPayload payload) : base(connection, payload)
+    {
+        ConfigureCore();
+        _ = UpdateFeedbackAsync();
+    }
+
+    #region Public Methods
+
+    public override void KeyPressed(KeyPayload payload)
+    {
+    }
+
+    public override void KeyReleased(KeyPayload payload)
+    {
+    }
+
+    public override async void DialRotate(DialRotatePayload payload)
+    {
+        try
+        {
+            ArgumentNullException.ThrowIfNull(payload);
+
+            int steps = _core.OnRotate(payload.Ticks);
+            if (steps == 0)
+            {
+                return;
+            }
+
+            await ExecuteAxisAsync(steps).ConfigureAwait(false);
+            await UpdateFeedbackAsync().ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: {ex.Message}", ex);
+        }
+    }
+
+    public override async void DialDown(DialPayload payload)
+    {
+        try
+        {
+            PlayClickSoundIfConfigured();
+            await ProcessPushEventAsync(true).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: {ex.Message}", ex);
+        }
+    }
+
+    public override async void DialUp(DialPayload payload)
+    {
+        try
+        {
+            await ProcessPushEventAsync(false).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: {ex.Message}", ex);
+        }
+    }
+
+    public override async void TouchPress(TouchpadPressPayload payload)
+    {
+        try
+        {
+            PlayClickSoundIfConfigured();
+            await ProcessPushEventAsync(true).ConfigureAwait(false);
+            await ProcessPushEventAsync(false).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: {ex.Message}", ex);
+        }
+    }
+
+    [ExcludeFromCodeCoverage]
+    public override void ReceivedSettings(ReceivedSettingsPayload payload)
+    {
+        base.ReceivedSettings(payload);
+
+        ConfigureCore();
+        _ = UpdateFeedbackAsync();
+    }
+
+    #endregion
+
+    #region Protected Methods
+
+    protected override void OnKeybindingsChanged() => _ = UpdateFeedbackAsync();
+
+    #endregion
+
+    #region Private Methods
+
+    private void ConfigureCore() =>
+        _core.Configure(Settings.TicksPerStep, Settings.InvertDirection == true, Settings.Acceleration);
+
+    /// <summary>
+    ///     Moves the function's mouse axis.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (ShowAlert, KeybindingService)
+    ///     - Axis execution tested through KeybindingInputExecutor unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private async Task ExecuteAxisAsync(int steps)
+    {
+        string? functionId = Settings.Function;
+        if (string.IsNullOrWhiteSpace(functionId) || !CanExecuteBindings)
+        {
+            return;
+        }
+
+        if (!KeybindingService.TryGetAction(functionId, out KeybindingAction? action) || action == null)
+        {
+            await ShowMissingFunctionAlertAsync().ConfigureAwait(false);
+            return;
+        }
+
+        if (!KeybindingParserService.TryParseMouseAxis(action.MouseBinding, out _))
+        {
+            Log.Warn($"[{GetType().Name}] Function '{functionId}' has no mouse axis binding ('{action.MouseBinding}')");
+            return;
+        }
+
+        bool success = await KeybindingService.ExecuteMouseAxisAsync(functionId, action.MouseBinding, steps)
+            .ConfigureAwait(false);
+        if (success)
+        {
+            LogAxis(functionId, action.MouseBinding, steps);
+        }
+    }
+
+    private async Task ProcessPushEventAsync(bool isKeyDown)
+    {
+        string? functionId = Settings.PushFunction;
+        (KeybindingAction, string)? validationResult = ValidateAndResolve(functionId);
+        if (validationResult == null)
+        {
+            if (isKeyDown && !string.IsNullOrWhiteSpace(functionId) && CanExecuteBindings &&
+                !KeybindingService.TryGetAction(functionId, out _))
+            {
+                Log.Warn($"[{GetType().Name}] Push function '{functionId}' not found in the current keybindings");
+                await Connection.ShowAlert().ConfigureAwait(false);
+            }
+
+            return;
+        }
+
+        (KeybindingAction action, string executableBinding) = validationResult.Value;
+
+        KeybindingExecutionContext context = new()
+        {
+            ActionName = functionId!,
+            Binding = executableBinding,
+            ActivationMode = action.ActivationMode,
+            IsKeyDown = isKeyDown
+        };
+
+        try
+        {
+            await KeybindingService.ExecuteAsync(context).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: '{context.ActionName}': {ex.Message}", ex);
+        }
+    }
+
+    /// <summary>
+    ///     Validates and resolves the push function's keybinding action.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (SDConnection, InitialPayload, KeybindingService)
+    ///     - Business logic tested through KeybindingService unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private (KeybindingAction, string)? ValidateAndResolve(string? functionId)
+    {
+        if (string.IsNullOrWhiteSpace(functionId) || !CanExecuteBindings)
+        {
+            return null;
+        }
+
+        if (!KeybindingService.TryGetAction(functionId, out KeybindingAction? action) || action == null)
+        {
+            return null;
+        }
+
+        string? executableBinding = GetExecutableBinding(action);
+
+        return executableBinding == null ? null : (action, executableBinding);
+    }
+
+    [ExcludeFromCodeCoverage]
+    private static string? GetExecutableBinding(KeybindingAction action)
+    {
+        if (!string.IsNullOrWhiteSpace(action.KeyboardBinding))
+        {
+            return action.KeyboardBinding;
+        }
+
+        if (string.IsNullOrWhiteSpace(action.MouseBinding))
+        {
+            return null;
+        }
+
+        InputType bindingType = action.MouseBinding.GetInputType();
+        return bindingType is InputType.MouseButton or InputType.MouseWheel ? action.MouseBinding : null;
+    }
+
+    /// <summary>
+    ///     Shows the function label and the last rotation value on the touch strip.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (SetFeedbackAsync)
+    ///     - Value formatting tested through DialKeyCore unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private async Task UpdateFeedbackAsync()
+    {
+        try
+        {
+            string label = GetFunctionLabel();
+            Dictionary<string, string> feedback = new()
+            {
+                ["title"] = string.IsNullOrWhiteSpace(label) ? FallbackTitle : label,
+                ["value"] = DialKeyCore.FormatValue(_core.LastSteps)
+            };
+
+            await Connection.SetFeedbackAsync(feedback).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{GetType().Name}] Failed to update touch strip: {ex.Message}", ex);
+        }
+    }
+
+    [Conditional("DEBUG")]
+    private void LogAxis(string functionId, string binding, int steps) =>
+        Log.Debug($"{GetType().Name}: turned '{functionId}' → '{binding}' by {steps.ToString(CultureInfo.InvariantCulture)}");
+
+    #endregion
+}
+
+/// <summary>
+///     SDK-independent rotation math for DialKey: turns dial ticks into axis steps.
+/// </summary>
+internal sealed class DialKeyCore
+{
+    internal const int DefaultTicksPerStep = 1;
+    internal const int MinTicksPerStep = 1;
+    internal const int MaxTicksPerStep = 20;
+    internal const double DefaultAcceleration = 0.0;
+    internal const double MinAcceleration = 0.0;
+    internal const double MaxAcceleration = 2.0;
+
+    private readonly object _gate = new();
+
+    private double _acceleration = DefaultAcceleration;
+    private bool _invert;
+    private int? _lastSteps;
+
+    // Ticks (after acceleration) not yet worth a full step, signed.
+    private double _pendingTicks;
+    private int _ticksPerStep = DefaultTicksPerStep;
+
+    /// <summary>
+    ///     Steps sent by the last rotation that moved the axis; null before the first one.
+    /// </summary>
+    public int? LastSteps
+    {
+        get
+        {
+            lock (_gate)
+            {
+                return _lastSteps;
+            }
+        }
+    }
+
+    internal static int ResolveTicksPerStep(int? ticksPerStep) =>
+        Math.Clamp(ticksPerStep ?? DefaultTicksPerStep, MinTicksPerStep, MaxTicksPerStep);
+
+    internal static double ResolveAcceleration(double? acceleration)
+    {
+        double value = acceleration ?? DefaultAcceleration;
+        if (!double.IsFinite(value))
+        {
+            value = DefaultAcceleration;
+        }
+
+        return Math.Clamp(value, MinAcceleration, MaxAcceleration);
+    }
+
+    /// <summary>
+    ///     Touch strip text for a step count: "+3", "-2", or empty before the first rotation.
+    /// </summary>
+    internal static string FormatValue(int? steps) =>
+        steps == null ? string.Empty : steps.Value.ToString("+0;-0;0", CultureInfo.InvariantCulture);
+
+    /// <summary>
+    ///     Applies new settings. Ticks carried over from the old settings are dropped.
+    /// </summary>
+    public void Configure(int? ticksPerStep, bool invert, double? acceleration)
+    {
+        lock (_gate)
+        {
+            _ticksPerStep = ResolveTicksPerStep(ticksPerStep);
+            _invert = invert;
+            _acceleration = ResolveAcceleration(acceleration);
+            _pendingTicks = 0;
+        }
+    }
+
+    /// <summary>
+    ///     Adds one rotation event and returns the signed number of axis steps to send now (0 while below a step).
+    ///     Leftover ticks carry over to the next rotation in the same direction.
+    /// </summary>
+    public int OnRotate(int ticks)
+    {
+        if (ticks == 0)
+        {
+            return 0;
+        }
+
+        lock (_gate)
+        {
+            int direction = _invert ? -Math.Sign(ticks) : Math.Sign(ticks);
+            int count = Math.Abs(ticks);
+
+            // Several ticks in one event mean a fast turn: each extra tick weighs more with acceleration.
+            double magnitude = count * (1 + (_acceleration * (count - 1)));
+
+            // Turning back drops what was left over from the other direction.
+            if (Math.Sign(_pendingTicks) == -direction)
+            {
+                _pendingTicks = 0;
+            }
+
+            _pendingTicks += direction * magnitude;
+
+            int steps = (int)Math.Truncate(_pendingTicks / _ticksPerStep);
+            _pendingTicks -= steps * (double)_ticksPerStep;
+
+            if (steps != 0)
+            {
+                _lastSteps = steps;
+            }
+
+            return steps;
+        }
+    }
+}
@@ -1,4 +1,5 @@
 using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
 using BarRaider.SdTools;
 using BarRaider.SdTools.Events;
 using BarRaider.SdTools.Payloads;
@@ -12,6 +13,7 @@ using SCStreamDeck.Models;
 using SCStreamDeck.Services.Audio;
 using SCStreamDeck.Services.Core;
 using SCStreamDeck.Services.Keybinding;
+using SCStreamDeck.Services.UI;
 
 namespace SCStreamDeck.ActionKeys;
 
@@ -20,6 +22,30 @@ namespace SCStreamDeck.ActionKeys;
 /// </summary>
 public abstract class SCActionBase : KeyAndEncoderBase
 {
+    private const string PiEventConnected = "propertyInspectorConnected";
+    private const string PiEventRefreshFunctions = "refreshFunctions";
+    private const string PiEventTestFire = "testFire";
+    private const string PiEventCancelTestFire = "cancelTestFire";
+    private const string PiEventFreeKeys = "freeKeys";
+    private const string PiEventAssignFreeKey = "assignFreeKey";
+
+    // Functions payload the open PI has cached (hash), so updates can be sent as "unchanged" or a delta.
+    // Only used once the PI announced cache support in its handshake.
+    private volatile bool _piSupportsFunctionsCache;
+    private volatile string? _piFunctionsHash;
+
+    // Toggle keys have an off (0) and on (1) state, each with its own auto title.
+    private readonly bool _hasOnOffStates;
+    private bool _titlesApplied;
+
+    // Saved function not found in the loaded keybindings; the key shows a warning image until it is remapped.
+    private volatile bool _missingFunctionFlagged;
+
+    // Function that lost its binding in the last in-game rebind; flagged like a missing one until bound again.
+    private volatile string? _lostBindingFunction;
+
+    private readonly TestFireRunner _testFireRunner = new();
+
     #region Constructor and Initialization
 
     /// <summary>
@@ -28,10 +54,15 @@ public abstract class SCActionBase : KeyAndEncoderBase
     ///     - Depends on Stream Deck SDK runtime (SDConnection, InitialPayload, ServiceLocator)
     ///     - SDK cannot be properly mocked without external dependencies
     /// </summary>
+    /// <param name="connection">Stream Deck connection.</param>
+    /// <param name="payload">Initial payload with the saved settings.</param>
+    /// <param name="hasOnOffStates">True for actions with an off and on state (separate auto titles).</param>
     [ExcludeFromCodeCoverage]
-    protected SCActionBase(SDConnection connection, InitialPayload payload) : base(connection, payload)
+    protected SCActionBase(SDConnection connection, InitialPayload payload, bool hasOnOffStates = false)
+        : base(connection, payload)
     {
         ArgumentNullException.ThrowIfNull(payload);
+        _hasOnOffStates = hasOnOffStates;
 
         if (payload.Settings == null || payload.Settings.Count == 0)
         {
@@ -46,8 +77,11 @@ public abstract class SCActionBase : KeyAndEncoderBase
         InitializationService = deps.InitializationService;
         KeybindingService = deps.KeybindingService;
         AudioPlayerService = deps.AudioPlayerService;
+        FunctionsPayloadHistory = deps.FunctionsPayloadHistory;
+        ActionMapsRebindService = deps.ActionMapsRebindService;
 
         InitializationService.KeybindingsStateChanged += OnKeybindingsStateChanged;
+        InitializationService.BindingsChanged += OnBindingsChanged;
         Connection.OnPropertyInspectorDidAppear += OnPropertyInspectorDidAppear;
         Connection.OnSendToPlugin += OnSendToPlugin;
 
@@ -58,6 +92,14 @@ public abstract class SCActionBase : KeyAndEncoderBase
         if (CanExecuteBindings)
         {
             SendPropertyInspectorUpdate();
+            UpdateTitles();
+
+            // Non-virtual here: derived actions apply their own images once constructed.
+            _missingFunctionFlagged = IsFunctionMissing;
+            if (_missingFunctionFlagged)
+            {
+                _ = RunKeyImageUpdateAsync(TryApplyFunctionWarningImageAsync);
+            }
         }
     }
 
@@ -100,6 +142,8 @@ public abstract class SCActionBase : KeyAndEncoderBase
 
     private InitializationService InitializationService { get; }
     private AudioPlayerService AudioPlayerService { get; }
+    private FunctionsPayloadHistory FunctionsPayloadHistory { get; }
+    private ActionMapsRebindService ActionMapsRebindService { get; }
     protected KeybindingService KeybindingService { get; }
 
     protected bool CanExecuteBindings =>
@@ -122,23 +166,42 @@ public abstract class SCActionBase : KeyAndEncoderBase
         {
             if (!InitializationService.KeybindingsJsonExists() || !KeybindingService.IsLoaded)
             {
-                Connection.SendToPropertyInspectorAsync(new JObject
+                Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(new JObject
                 {
                     ["functionsLoaded"] = false, ["functions"] = new JArray()
-                });
+                }));
                 return;
             }
 
             IReadOnlyList<KeybindingAction> allActions = KeybindingService.GetAllActions();
             IntPtr hkl = KeyboardLayoutDetector.DetectCurrent().Hkl;
-            JArray groups = FunctionsPayloadBuilder.BuildGroupedFunctionsPayload(allActions, hkl);
-
-            Connection.SendToPropertyInspectorAsync(new JObject { ["functionsLoaded"] = true, ["functions"] = groups });
+            JArray groups = FunctionsPayloadBuilder.BuildGroupedFunctionsPayload(
+                allActions,
+                hkl,
+                KeybindingService.GetActivationModesByMode());
+            string hash = FunctionsPayloadHistory.Record(groups);
+
+            string? knownHash = _piSupportsFunctionsCache ? _piFunctionsHash : null;
+            _ = FunctionsPayloadHistory.TryGet(knownHash, out JArray? knownGroups);
+
+            JObject payload = FunctionsPayloadDeltaBuilder.BuildUpdate(
+                InitializationService.CurrentChannel.ToString(),
+                groups,
+                hash,
+                knownHash,
+                knownGroups);
+            payload["gameLanguage"] = KeybindingService.Language;
+
+            _piFunctionsHash = hash;
+            Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(payload));
         }
         catch (Exception ex)
         {
             Log.Err($"[{GetType().Name}]: {ex.Message}", ex);
-            Connection.SendToPropertyInspectorAsync(new JObject { ["functionsLoaded"] = false, ["functions"] = new JArray() });
+            Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(new JObject
+            {
+                ["functionsLoaded"] = false, ["functions"] = new JArray()
+            }));
         }
     }
 
@@ -146,13 +209,70 @@ public abstract class SCActionBase : KeyAndEncoderBase
     ///     Called when the Property Inspector appears.
     /// </summary>
     private void OnPropertyInspectorDidAppear(object? sender,
-        SDEventReceivedEventArgs<PropertyInspectorDidAppear> e) =>
-        SendPropertyInspectorUpdate();
+        SDEventReceivedEventArgs<PropertyInspectorDidAppear> e)
+    {
+        // The PI's handshake ("propertyInspectorConnected") triggers the update once it announced its cache.
+        _piSupportsFunctionsCache = false;
+        _piFunctionsHash = null;
+    }
 
     private void OnKeybindingsStateChanged()
     {
         TryMigrateFunctionSettingIfPossible();
+        UpdateMissingFunctionFlag();
+        UpdateLostBindingFlag();
         SendPropertyInspectorUpdate();
+
+        // Labels change with the channel or a custom global.ini.
+        UpdateTitles();
+        OnKeybindingsChanged();
+    }
+
+    /// <summary>
+    ///     Flags this key when its function lost its binding and tells the open PI what changed.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (PI messaging, key images)
+    ///     - The diff and the message are tested through BindingChangeDetector and BindingChangesPayloadBuilder unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private void OnBindingsChanged(IReadOnlyList<BindingChange> changes)
+    {
+        try
+        {
+            string? function = Settings.Function;
+            bool lostBinding = !string.IsNullOrWhiteSpace(function) &&
+                               KeybindingService.TryGetAction(function, out KeybindingAction? action) &&
+                               action != null &&
+                               changes.Any(c => c.Kind == BindingChangeKind.Removed &&
+                                                string.Equals(c.ActionName, action.ActionName,
+                                                    StringComparison.OrdinalIgnoreCase) &&
+                                                string.Equals(c.MapName, action.MapName,
+                                                    StringComparison.OrdinalIgnoreCase));
+
+            if (lostBinding && !string.Equals(_lostBindingFunction, function, StringComparison.OrdinalIgnoreCase))
+            {
+                _lostBindingFunction = function;
+                Log.Warn($"[{GetType().Name}] Function '{function}' lost its binding");
+                _ = RunKeyImageUpdateAsync(ApplyKeyImageAsync);
+            }
+
+            IntPtr hkl = KeyboardLayoutDetector.DetectCurrent().Hkl;
+            Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(new JObject
+            {
+                ["bindingChanges"] = BindingChangesPayloadBuilder.Build(changes, hkl, lostBinding)
+            }));
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{GetType().Name}] Failed to report binding changes: {ex.Message}", ex);
+        }
+    }
+
+    /// <summary>
+    ///     Called after the keybindings were loaded or reloaded and the titles were updated.
+    /// </summary>
+    protected virtual void OnKeybindingsChanged()
+    {
     }
 
     private void TryMigrateFunctionSettingIfPossible()
@@ -211,9 +331,36 @@ public abstract class SCActionBase : KeyAndEncoderBase
                 piEvent = legacyToken.ToString();
             }
 
-            if (piEvent == "propertyInspectorConnected")
+            string? requestId = PiResponsePayloadBuilder.GetRequestId(e.Event.Payload);
+
+            switch (piEvent)
             {
-                SendPropertyInspectorUpdate();
+                case PiEventConnected:
+                    HandlePropertyInspectorConnected(e.Event.Payload, requestId);
+                    return;
+                case PiEventRefreshFunctions:
+                    // PI could not apply an update to its cache (e.g. storage cleared): send the full list.
+                    _piFunctionsHash = null;
+                    SendPropertyInspectorUpdate();
+                    ReplyToPropertyInspector(requestId, true, null);
+                    return;
+                case PiEventTestFire:
+                    HandleTestFire(e.Event.Payload, requestId);
+                    return;
+                case PiEventCancelTestFire:
+                    bool cancelled = _testFireRunner.Cancel();
+                    ReplyToPropertyInspector(requestId, cancelled, cancelled ? null : PiReasons.NoTestRunning);
+                    return;
+                case PiEventFreeKeys:
+                    HandleFreeKeys(requestId);
+                    return;
+                case PiEventAssignFreeKey:
+                    HandleAssignFreeKey(e.Event.Payload, requestId);
+                    return;
+                default:
+                    Log.Warn($"[{GetType().Name}] Unknown PI request '{piEvent}'");
+                    ReplyToPropertyInspector(requestId, false, PiReasons.UnknownRequest);
+                    return;
             }
         }
         catch (Exception ex)
@@ -222,6 +369,483 @@ public abstract class SCActionBase : KeyAndEncoderBase
         }
     }
 
+    private void HandlePropertyInspectorConnected(JObject payload, string? requestId)
+    {
+        int? clientVersion = PiProtocolPayloadBuilder.GetClientVersion(payload);
+        if (!PiProtocolPayloadBuilder.IsCompatible(clientVersion))
+        {
+            Log.Warn(
+                $"[{GetType().Name}] PI protocol mismatch (PI: {clientVersion?.ToString(CultureInfo.InvariantCulture) ?? "none"}, plugin: {PiProtocolPayloadBuilder.ProtocolVersion})");
+        }
+
+        (bool cacheSupported, string? cachedChannel, string? cachedHash) =
+            FunctionsPayloadDeltaBuilder.GetClientCache(payload);
+
+        bool sameChannel = string.Equals(cachedChannel, InitializationService.CurrentChannel.ToString(),
+            StringComparison.OrdinalIgnoreCase);
+
+        _piSupportsFunctionsCache = cacheSupported;
+        _piFunctionsHash = sameChannel ? cachedHash : null;
+
+        SendPropertyInspectorUpdate();
+        OnPropertyInspectorConnected();
+        ReplyToPropertyInspector(requestId, true, null, PiProtocolPayloadBuilder.BuildHandshake(clientVersion));
+    }
+
+    /// <summary>
+    ///     Called after the PI's handshake, once it was sent the functions list. Push page-specific state here.
+    /// </summary>
+    protected virtual void OnPropertyInspectorConnected()
+    {
+    }
+
+    /// <summary>
+    ///     Echoes the correlation id of a PI request (SCPI.bus.request) with its outcome.
+    ///     Fire-and-forget messages carry no request id and get no reply.
+    /// </summary>
+    protected void ReplyToPropertyInspector(string? requestId, bool success, string? error, JObject? result = null)
+    {
+        if (requestId == null)
+        {
+            return;
+        }
+
+        try
+        {
+            JObject response = success
+                ? PiResponsePayloadBuilder.Success(requestId, result)
+                : PiResponsePayloadBuilder.Failure(requestId, error);
+
+            Connection.SendToPropertyInspectorAsync(response);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{GetType().Name}] Failed to reply to PI request: {ex.Message}", ex);
+        }
+    }
+
+    #endregion
+
+    #region Key Title
+
+    /// <summary>
+    ///     Titles per state: the function label when auto title is enabled, and the Toggle Key off/on titles.
+    ///     A null entry keeps the title set by the user.
+    /// </summary>
+    protected string?[] BuildTitles()
+    {
+        string?[] templates = _hasOnOffStates ? [Settings.TitleOff, Settings.TitleOn] : [null];
+
+        return KeyTitleFormatter.FormatStates(
+            GetFunctionLabel(),
+            Settings.AutoTitle == true,
+            templates,
+            KeyTitleFormatter.ParseAbbreviations(Settings.TitleAbbreviations));
+    }
+
+    /// <summary>
+    ///     Applies <see cref="BuildTitles" />, and hands the title back to the user once no state has one.
+    /// </summary>
+    protected void UpdateTitles()
+    {
+        try
+        {
+            string?[] titles = BuildTitles();
+            if (titles.All(t => t == null))
+            {
+                if (_titlesApplied)
+                {
+                    _titlesApplied = false;
+                    SetTitles(titles);
+                }
+
+                return;
+            }
+
+            SetTitles(titles);
+            _titlesApplied = true;
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{GetType().Name}] Failed to update title: {ex.Message}", ex);
+        }
+    }
+
+    protected string GetFunctionLabel() =>
+        !string.IsNullOrWhiteSpace(Settings.Function) &&
+        CanExecuteBindings &&
+        KeybindingService.TryGetAction(Settings.Function, out KeybindingAction? action) &&
+        action != null
+            ? action.UiLabel
+            : string.Empty;
+
+    /// <summary>
+    ///     Sets one title per state; null resets that state to the title set by the user.
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private void SetTitles(string?[] titles)
+    {
+        for (int state = 0; state < titles.Length; state++)
+        {
+            _ = _hasOnOffStates ? Connection.SetTitleAsync(titles[state], state) : Connection.SetTitleAsync(titles[state]);
+        }
+    }
+
+    #endregion
+
+    #region Missing Function
+
+    /// <summary>
+    ///     True when a function is saved but the loaded keybindings do not contain it (e.g. renamed by a game patch).
+    ///     False while keybindings are not loaded, as nothing can be checked yet.
+    /// </summary>
+    private bool IsFunctionMissing =>
+        !string.IsNullOrWhiteSpace(Settings.Function) &&
+        CanExecuteBindings &&
+        !KeybindingService.TryGetAction(Settings.Function, out _);
+
+    /// <summary>
+    ///     Re-checks the saved function and swaps between the warning image and the normal key image when that changed.
+    /// </summary>
+    private void UpdateMissingFunctionFlag()
+    {
+        bool missing = IsFunctionMissing;
+        if (missing == _missingFunctionFlagged)
+        {
+            return;
+        }
+
+        _missingFunctionFlagged = missing;
+        if (missing)
+        {
+            Log.Warn($"[{GetType().Name}] Function '{Settings.Function}' not found in the current keybindings");
+        }
+
+        _ = RunKeyImageUpdateAsync(ApplyKeyImageAsync);
+    }
+
+    /// <summary>
+    ///     Drops the lost binding flag once the function is bound again, missing, or no longer selected.
+    /// </summary>
+    private void UpdateLostBindingFlag()
+    {
+        string? lost = _lostBindingFunction;
+        if (lost == null)
+        {
+            return;
+        }
+
+        bool stillUnbound = string.Equals(lost, Settings.Function, StringComparison.OrdinalIgnoreCase) &&
+                            CanExecuteBindings &&
+                            KeybindingService.TryGetAction(lost, out KeybindingAction? action) &&
+                            !BindingChangeDetector.IsBound(action);
+        if (stillUnbound)
+        {
+            return;
+        }
+
+        _lostBindingFunction = null;
+        _ = RunKeyImageUpdateAsync(ApplyKeyImageAsync);
+    }
+
+    /// <summary>
+    ///     Sets the key image: a function warning while flagged, otherwise the default image.
+    ///     Actions with their own images override this and start with <see cref="TryApplyFunctionWarningImageAsync" />.
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    protected virtual async Task ApplyKeyImageAsync()
+    {
+        if (!await TryApplyFunctionWarningImageAsync().ConfigureAwait(false))
+        {
+            await Connection.SetDefaultImageAsync().ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>
+    ///     Shows the missing function warning, or the unbound warning after an in-game rebind, on every state of the key.
+    /// </summary>
+    /// <returns>False when neither applies and nothing was changed.</returns>
+    [ExcludeFromCodeCoverage]
+    protected async Task<bool> TryApplyFunctionWarningImageAsync()
+    {
+        string? image = _missingFunctionFlagged ? KeyImageBuilder.BuildMissingFunctionImage()
+            : _lostBindingFunction != null ? KeyImageBuilder.BuildUnboundFunctionImage()
+            : null;
+        if (image == null)
+        {
+            return false;
+        }
+
+        if (_hasOnOffStates)
+        {
+            await Connection.SetImageAsync(image, 0, true).ConfigureAwait(false);
+            await Connection.SetImageAsync(image, 1, true).ConfigureAwait(false);
+        }
+        else
+        {
+            await Connection.SetImageAsync(image, null, true).ConfigureAwait(false);
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    ///     Flashes the Stream Deck alert on a press that cannot run because the saved function is missing.
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    protected async Task ShowMissingFunctionAlertAsync()
+    {
+        if (_missingFunctionFlagged)
+        {
+            await Connection.ShowAlert().ConfigureAwait(false);
+        }
+    }
+
+    private async Task RunKeyImageUpdateAsync(Func<Task> update)
+    {
+        try
+        {
+            await update().ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{GetType().Name}] Failed to update key image: {ex.Message}", ex);
+        }
+    }
+
+    #endregion
+
+    #region Test Fire
+
+    /// <summary>
+    ///     Runs the selected function once after the PI's countdown and replies with what was sent, or why nothing was.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (PI messaging, KeybindingService)
+    ///     - Countdown and binding resolution are tested through TestFireRunner unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private void HandleTestFire(JObject payload, string? requestId)
+    {
+        TestFireTarget? target = ResolveTestFireTarget(out string reason);
+        if (target == null)
+        {
+            ReplyToPropertyInspector(requestId, true, null, TestFirePayloadBuilder.Build(TestFireResult.NotSent(reason)));
+            return;
+        }
+
+        JToken? countdownToken = payload["countdownSeconds"];
+        int? countdownSeconds = countdownToken is { Type: JTokenType.Integer } ? countdownToken.Value<int>() : null;
+        TimeSpan countdown = TimeSpan.FromSeconds(TestFireRunner.ClampCountdownSeconds(countdownSeconds));
+
+        Task<TestFireResult>? run = _testFireRunner.Start(countdown, token => ExecuteTestFireAsync(target, token));
+        if (run == null)
+        {
+            ReplyToPropertyInspector(requestId, true, null,
+                TestFirePayloadBuilder.Build(TestFireResult.NotSent(PiReasons.TestRunning)));
+            return;
+        }
+
+        _ = Task.Run(async () =>
+        {
+            TestFireResult result;
+            try
+            {
+                result = await run.ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                Log.Err($"[{GetType().Name}] Test fire failed: {ex.Message}", ex);
+                result = TestFireResult.NotSent(PiReasons.SendFailed);
+            }
+
+            Log.Debug($"[{GetType().Name}] Test fire '{target.FunctionId}': {(result.Sent ? "sent" : result.Reason)}");
+            ReplyToPropertyInspector(requestId, true, null, TestFirePayloadBuilder.Build(result));
+        });
+    }
+
+    [ExcludeFromCodeCoverage]
+    private TestFireTarget? ResolveTestFireTarget(out string reason)
+    {
+        reason = string.Empty;
+
+        if (string.IsNullOrWhiteSpace(Settings.Function))
+        {
+            reason = PiReasons.NoFunctionSelected;
+            return null;
+        }
+
+        if (!CanExecuteBindings)
+        {
+            reason = PiReasons.KeybindingsNotLoaded;
+            return null;
+        }
+
+        if (!KeybindingService.TryGetAction(Settings.Function, out KeybindingAction? action) || action == null)
+        {
+            reason = PiReasons.FunctionNotFound;
+            return null;
+        }
+
+        return TestFireRunner.ResolveTarget(Settings.Function, action, out reason);
+    }
+
+    /// <summary>
+    ///     Sends the test input through the activation handlers: pressed, held long enough for the activation mode,
+    ///     then released. Marked as [ExcludeFromCodeCoverage] because it depends on KeybindingService input simulation.
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private protected virtual async Task<TestFireResult> ExecuteTestFireAsync(TestFireTarget target, CancellationToken token)
+    {
+        ArgumentNullException.ThrowIfNull(target);
+
+        ActivationMode mode = target.Action.ActivationMode;
+        SequenceRunStep step = SequenceRunner.CreateStep(
+            target.FunctionId,
+            target.Binding,
+            mode,
+            KeybindingService.GetActivationModesByMode().GetValueOrDefault(mode),
+            null,
+            null);
+
+        bool sent = await KeybindingService.ExecuteAsync(CreateTestFireContext(target, true), token).ConfigureAwait(false);
+        try
+        {
+            await Task.Delay(step.Hold, token).ConfigureAwait(false);
+        }
+        catch (OperationCanceledException)
+        {
+            // Cancelled mid-hold: the press was already sent and is released below.
+        }
+        finally
+        {
+            await KeybindingService.ExecuteAsync(CreateTestFireContext(target, false), CancellationToken.None)
+                .ConfigureAwait(false);
+        }
+
+        return new TestFireResult(
+            sent,
+            target.Binding,
+            target.Device,
+            mode,
+            KeybindingService.GetActivationHandlerName(mode),
+            sent ? null : PiReasons.SendFailed);
+    }
+
+    private static KeybindingExecutionContext CreateTestFireContext(TestFireTarget target, bool isKeyDown) =>
+        new()
+        {
+            ActionName = target.FunctionId,
+            Binding = target.Binding,
+            ActivationMode = target.Action.ActivationMode,
+            IsKeyDown = isKeyDown
+        };
+
+    #endregion
+
+    #region Free Key
+
+    /// <summary>
+    ///     Replies with keyboard combos no parsed binding uses, to bind the selected (unbound) function to.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (PI messaging, KeybindingService)
+    ///     - Combo selection is tested through FreeKeyFinder unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private void HandleFreeKeys(string? requestId)
+    {
+        if (!TryGetUnboundAction(out _, out string reason))
+        {
+            ReplyToPropertyInspector(requestId, false, reason);
+            return;
+        }
+
+        IReadOnlyList<string> bindings = FreeKeyFinder.FindFreeKeyboardBindings(KeybindingService.GetAllActions());
+        ReplyToPropertyInspector(requestId, true, null,
+            FreeKeyPayloadBuilder.BuildSuggestions(bindings, KeyboardLayoutDetector.DetectCurrent().Hkl));
+    }
+
+    /// <summary>
+    ///     Writes the chosen combo into actionmaps.xml for the selected function. The actionmaps watcher then reloads
+    ///     the keybindings, which refreshes the open PI.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (PI messaging, InitializationService)
+    ///     - Writing is tested through ActionMapsRebindService and UserOverrideWriter unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private void HandleAssignFreeKey(JObject payload, string? requestId)
+    {
+        JToken? bindingToken = payload["binding"];
+        string binding = bindingToken is { Type: JTokenType.String } ? bindingToken.ToString().Trim() : string.Empty;
+        nint hkl = KeyboardLayoutDetector.DetectCurrent().Hkl;
+
+        if (!TryGetUnboundAction(out KeybindingAction? action, out string reason))
+        {
+            ReplyToPropertyInspector(requestId, true, null,
+                FreeKeyPayloadBuilder.Build(FreeKeyAssignmentResult.NotWritten(binding, null, reason), hkl));
+            return;
+        }
+
+        if (!FreeKeyFinder.IsFree(KeybindingService.GetAllActions(), binding))
+        {
+            ReplyToPropertyInspector(requestId, true, null,
+                FreeKeyPayloadBuilder.Build(FreeKeyAssignmentResult.NotWritten(binding, null, PiReasons.KeyNotFree), hkl));
+            return;
+        }
+
+        KeybindingAction unbound = action;
+        _ = Task.Run(async () =>
+        {
+            FreeKeyAssignmentResult result;
+            try
+            {
+                string? actionMapsPath = await InitializationService.GetActionMapsPathAsync().ConfigureAwait(false);
+                result = await ActionMapsRebindService
+                    .AssignKeyboardBindingAsync(actionMapsPath, unbound.MapName, unbound.ActionName, binding)
+                    .ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                Log.Err($"[{GetType().Name}] Free key assignment failed: {ex.Message}", ex);
+                result = FreeKeyAssignmentResult.NotWritten(binding, null, PiReasons.ActionMapsWriteFailed);
+            }
+
+            ReplyToPropertyInspector(requestId, true, null, FreeKeyPayloadBuilder.Build(result, hkl));
+        });
+    }
+
+    [ExcludeFromCodeCoverage]
+    private bool TryGetUnboundAction([NotNullWhen(true)] out KeybindingAction? action, out string reason)
+    {
+        action = null;
+        reason = string.Empty;
+
+        if (string.IsNullOrWhiteSpace(Settings.Function))
+        {
+            reason = PiReasons.NoFunctionSelected;
+            return false;
+        }
+
+        if (!CanExecuteBindings)
+        {
+            reason = PiReasons.KeybindingsNotLoaded;
+            return false;
+        }
+
+        if (!KeybindingService.TryGetAction(Settings.Function, out action) || action == null)
+        {
+            reason = PiReasons.FunctionNotFound;
+            return false;
+        }
+
+        if (!string.IsNullOrWhiteSpace(action.KeyboardBinding))
+        {
+            reason = PiReasons.AlreadyBound;
+            return false;
+        }
+
+        return true;
+    }
+
     #endregion
 
     #region Lifecycle Methods
@@ -234,6 +858,8 @@ public abstract class SCActionBase : KeyAndEncoderBase
         Connection.OnPropertyInspectorDidAppear -= OnPropertyInspectorDidAppear;
         Connection.OnSendToPlugin -= OnSendToPlugin;
         InitializationService.KeybindingsStateChanged -= OnKeybindingsStateChanged;
+        InitializationService.BindingsChanged -= OnBindingsChanged;
+        _testFireRunner.Dispose();
         GC.SuppressFinalize(this);
     }
 
@@ -255,6 +881,9 @@ public abstract class SCActionBase : KeyAndEncoderBase
         }
 
         TryMigrateFunctionSettingIfPossible();
+        UpdateMissingFunctionFlag();
+        UpdateLostBindingFlag();
+        UpdateTitles();
     }
 
     /// <summary>
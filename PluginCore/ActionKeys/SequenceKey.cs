@@ -0,0 +1,350 @@
+using System.Diagnostics.CodeAnalysis;
+using BarRaider.SdTools;
+using SCStreamDeck.ActionKeys.Settings;
+using SCStreamDeck.Common;
+using SCStreamDeck.Logging;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding.ActivationHandlers;
+
+namespace SCStreamDeck.ActionKeys;
+
+/// <summary>
+///     SequenceKey: runs several Star Citizen functions in order, each after its delay and held for its hold time.
+///     Pressing the key again while a sequence runs cancels it.
+/// </summary>
+[SuppressMessage("ReSharper", "UnusedType.Global", Justification = "Stream Deck action instantiated via SDK reflection")]
+[PluginActionId("com.jarex985.scstreamdeck.sequencekey")]
+public sealed class SequenceKey : SCActionBase
+{
+    private readonly SequenceRunner _runner;
+
+    [ExcludeFromCodeCoverage]
+    public SequenceKey(SDConnection connection, InitialPayload payload) : base(connection, payload) =>
+        _runner = new SequenceRunner((context, token) => KeybindingService.ExecuteAsync(context, token));
+
+    public override void KeyPressed(KeyPayload payload)
+    {
+        try
+        {
+            if (_runner.Cancel())
+            {
+                Log.Debug($"[{nameof(SequenceKey)}] Sequence cancelled");
+                return;
+            }
+
+            IReadOnlyList<SequenceRunStep> steps = ResolveSteps();
+            if (steps.Count == 0)
+            {
+                _ = RunSafeAsync(() => Connection.ShowAlert());
+                return;
+            }
+
+            Task<bool>? run = _runner.Start(steps);
+            if (run == null)
+            {
+                return;
+            }
+
+            PlayClickSoundIfConfigured();
+            _ = RunSafeAsync(async () =>
+            {
+                bool completed = await run.ConfigureAwait(false);
+                Log.Debug($"[{nameof(SequenceKey)}] Sequence {(completed ? "completed" : "stopped")}");
+            });
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"{GetType().Name}: {ex.Message}", ex);
+        }
+    }
+
+    public override void KeyReleased(KeyPayload payload)
+    {
+        // Steps are timed by the sequence, not by how long the Stream Deck key is held.
+    }
+
+    public override void Dispose()
+    {
+        _runner.Dispose();
+        base.Dispose();
+    }
+
+    /// <summary>
+    ///     Resolves configured steps to executable bindings, skipping unknown or unbound functions.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (SDConnection, InitialPayload, KeybindingService)
+    ///     - Step timing is tested through SequenceRunner unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private IReadOnlyList<SequenceRunStep> ResolveSteps()
+    {
+        if (Settings.Steps is not { Count: > 0 } || !CanExecuteBindings)
+        {
+            return [];
+        }
+
+        IReadOnlyDictionary<ActivationMode, ActivationModeMetadata> activationModes =
+            KeybindingService.GetActivationModesByMode();
+
+        List<SequenceRunStep> steps = [];
+        foreach (SequenceStepSettings step in Settings.Steps.Take(SequenceRunner.MaxSteps))
+        {
+            if (string.IsNullOrWhiteSpace(step.Function) ||
+                !KeybindingService.TryGetAction(step.Function, out KeybindingAction? action) ||
+                action == null)
+            {
+                Log.Warn($"[{nameof(SequenceKey)}] Skipping unknown function '{step.Function}'");
+                continue;
+            }
+
+            string? executableBinding = GetExecutableBinding(action);
+            if (executableBinding == null)
+            {
+                Log.Warn($"[{nameof(SequenceKey)}] Skipping '{step.Function}': no keyboard or mouse button binding");
+                continue;
+            }
+
+            steps.Add(SequenceRunner.CreateStep(
+                step.Function,
+                executableBinding,
+                action.ActivationMode,
+                activationModes.GetValueOrDefault(action.ActivationMode),
+                step.DelayMs,
+                step.HoldMs));
+        }
+
+        return steps;
+    }
+
+    [ExcludeFromCodeCoverage]
+    private static string? GetExecutableBinding(KeybindingAction action)
+    {
+        if (!string.IsNullOrWhiteSpace(action.KeyboardBinding))
+        {
+            return action.KeyboardBinding;
+        }
+
+        if (string.IsNullOrWhiteSpace(action.MouseBinding))
+        {
+            return null;
+        }
+
+        InputType bindingType = action.MouseBinding.GetInputType();
+        return bindingType is InputType.MouseButton or InputType.MouseWheel ? action.MouseBinding : null;
+    }
+
+    private static Task RunSafeAsync(Func<Task> work) =>
+        Task.Run(async () =>
+        {
+            try
+            {
+                await work().ConfigureAwait(false);
+            }
+            catch (OperationCanceledException)
+            {
+                // Expected when the sequence is cancelled or the action is disposed.
+            }
+            catch (Exception ex)
+            {
+                Log.Err($"[{nameof(SequenceKey)}] Background task failed: {ex.Message}", ex);
+            }
+        });
+}
+
+/// <summary>
+///     A resolved sequence step: what to execute, how long to wait before it and how long to hold it.
+/// </summary>
+internal sealed record SequenceRunStep(
+    string ActionName,
+    string Binding,
+    ActivationMode ActivationMode,
+    TimeSpan Delay,
+    TimeSpan Hold);
+
+/// <summary>
+///     SDK-independent runner for SequenceKey.
+///     Each step is a KeyDown/KeyUp pair through the activation handlers; one sequence runs at a time.
+/// </summary>
+internal sealed class SequenceRunner(
+    Func<KeybindingExecutionContext, CancellationToken, Task<bool>> execute,
+    Func<TimeSpan, CancellationToken, Task>? delay = null) : IDisposable
+{
+    internal const int MaxSteps = 20;
+    internal const int MaxDelayMs = 60_000;
+    internal const int MaxHoldMs = 10_000;
+
+    // Held long enough for the game to register a press, short enough to stay below tap thresholds.
+    internal const int DefaultHoldMs = 50;
+
+    // Extra hold past a delayed mode's threshold so the game sees it elapse.
+    private const int DelayedHoldMarginMs = 100;
+
+    private readonly Func<TimeSpan, CancellationToken, Task> _delay = delay ?? Task.Delay;
+    private readonly Func<KeybindingExecutionContext, CancellationToken, Task<bool>> _execute =
+        execute ?? throw new ArgumentNullException(nameof(execute));
+
+    private readonly object _gate = new();
+    private CancellationTokenSource? _runCts;
+
+    public bool IsRunning
+    {
+        get
+        {
+            lock (_gate)
+            {
+                return _runCts != null;
+            }
+        }
+    }
+
+    public void Dispose() => Cancel();
+
+    /// <summary>
+    ///     Builds a step with clamped timing; without a hold time the step is held long enough for its activation mode.
+    /// </summary>
+    internal static SequenceRunStep CreateStep(
+        string actionName,
+        string binding,
+        ActivationMode mode,
+        ActivationModeMetadata? metadata,
+        int? delayMs,
+        int? holdMs)
+    {
+        int delay = Math.Clamp(delayMs ?? 0, 0, MaxDelayMs);
+        int hold = holdMs is > 0
+            ? Math.Min(holdMs.Value, MaxHoldMs)
+            : GetDefaultHoldMs(mode, metadata ?? ActivationModeMetadata.Empty());
+
+        return new SequenceRunStep(actionName, binding, mode, TimeSpan.FromMilliseconds(delay), TimeSpan.FromMilliseconds(hold));
+    }
+
+    /// <summary>
+    ///     Starts running <paramref name="steps" />.
+    /// </summary>
+    /// <returns>
+    ///     Completes with true when every step ran, false when cancelled; null when a sequence is already running.
+    /// </returns>
+    public Task<bool>? Start(IReadOnlyList<SequenceRunStep> steps)
+    {
+        ArgumentNullException.ThrowIfNull(steps);
+
+        CancellationTokenSource cts;
+        lock (_gate)
+        {
+            if (_runCts != null)
+            {
+                return null;
+            }
+
+            cts = new CancellationTokenSource();
+            _runCts = cts;
+        }
+
+        return RunAsync(steps, cts);
+    }
+
+    /// <summary>
+    ///     Cancels the running sequence. A step that is held down is still released.
+    /// </summary>
+    /// <returns>True when a sequence was running.</returns>
+    public bool Cancel()
+    {
+        CancellationTokenSource? cts;
+        lock (_gate)
+        {
+            cts = _runCts;
+            _runCts = null;
+        }
+
+        if (cts == null)
+        {
+            return false;
+        }
+
+        try
+        {
+            cts.Cancel();
+        }
+        catch (ObjectDisposedException)
+        {
+            // The run finished and disposed its CTS concurrently.
+        }
+
+        return true;
+    }
+
+    private async Task<bool> RunAsync(IReadOnlyList<SequenceRunStep> steps, CancellationTokenSource cts)
+    {
+        CancellationToken token = cts.Token;
+        try
+        {
+            foreach (SequenceRunStep step in steps)
+            {
+                if (step.Delay > TimeSpan.Zero)
+                {
+                    await _delay(step.Delay, token).ConfigureAwait(false);
+                }
+
+                token.ThrowIfCancellationRequested();
+                await RunStepAsync(step, token).ConfigureAwait(false);
+            }
+
+            return true;
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+        finally
+        {
+            lock (_gate)
+            {
+                if (_runCts == cts)
+                {
+                    _runCts = null;
+                }
+            }
+
+            cts.Dispose();
+        }
+    }
+
+    private async Task RunStepAsync(SequenceRunStep step, CancellationToken token)
+    {
+        bool pressed = await _execute(CreateContext(step, true), token).ConfigureAwait(false);
+        if (!pressed)
+        {
+            Log.Warn($"[{nameof(SequenceRunner)}] Step '{step.ActionName}' failed to execute");
+        }
+
+        try
+        {
+            await _delay(step.Hold, token).ConfigureAwait(false);
+        }
+        finally
+        {
+            // Always release, even when cancelled mid-hold, so no key stays down.
+            await _execute(CreateContext(step, false), CancellationToken.None).ConfigureAwait(false);
+        }
+    }
+
+    private static KeybindingExecutionContext CreateContext(SequenceRunStep step, bool isKeyDown) =>
+        new()
+        {
+            ActionName = step.ActionName,
+            Binding = step.Binding,
+            ActivationMode = step.ActivationMode,
+            IsKeyDown = isKeyDown
+        };
+
+    private static int GetDefaultHoldMs(ActivationMode mode, ActivationModeMetadata metadata)
+    {
+        if (!ActivationModeDelays.IsDelayed(mode))
+        {
+            return DefaultHoldMs;
+        }
+
+        float pressDelaySeconds = ActivationModeDelays.ResolvePressDelay(mode, metadata);
+        return (int)Math.Ceiling(pressDelaySeconds * 1000) + DelayedHoldMarginMs;
+    }
+}
@@ -3,7 +3,7 @@ using Newtonsoft.Json;
 namespace SCStreamDeck.ActionKeys.Settings;
 
 /// <summary>
-///     Shared settings schema for buttons that execute a single Star Citizen function.
+///     Shared settings schema for buttons that execute Star Citizen functions.
 /// </summary>
 public sealed class FunctionSettings
 {
@@ -18,4 +18,77 @@ public sealed class FunctionSettings
 
     [JsonProperty(PropertyName = "resetHoldSeconds")]
     public double? ResetHoldSeconds { get; set; }
+
+    /// <summary>
+    ///     Adaptive Key function run when the key is held for <see cref="LongPressSeconds" />; the primary function
+    ///     then runs on a short press.
+    /// </summary>
+    [JsonProperty(PropertyName = "longPressFunction")]
+    public string? LongPressFunction { get; set; }
+
+    [JsonProperty(PropertyName = "longPressSeconds")]
+    public double? LongPressSeconds { get; set; }
+
+    /// <summary>
+    ///     Dial function run when the dial is pushed; <see cref="Function" /> is the mouse axis turned by rotation.
+    /// </summary>
+    [JsonProperty(PropertyName = "pushFunction")]
+    public string? PushFunction { get; set; }
+
+    /// <summary>
+    ///     Dial ticks needed for one axis step.
+    /// </summary>
+    [JsonProperty(PropertyName = "ticksPerStep")]
+    public int? TicksPerStep { get; set; }
+
+    [JsonProperty(PropertyName = "invertDirection")]
+    public bool? InvertDirection { get; set; }
+
+    /// <summary>
+    ///     Extra steps for fast turns: 0 is linear, higher values grow faster with the ticks of one rotation event.
+    /// </summary>
+    [JsonProperty(PropertyName = "acceleration")]
+    public double? Acceleration { get; set; }
+
+    /// <summary>
+    ///     Sets the key title from the selected function's label.
+    /// </summary>
+    [JsonProperty(PropertyName = "autoTitle")]
+    public bool? AutoTitle { get; set; }
+
+    /// <summary>
+    ///     Auto title abbreviation rules, one "From=To" per line.
+    /// </summary>
+    [JsonProperty(PropertyName = "titleAbbreviations")]
+    public string? TitleAbbreviations { get; set; }
+
+    /// <summary>
+    ///     Toggle Key titles for the off and on states ("{label}" is the function label).
+    /// </summary>
+    [JsonProperty(PropertyName = "titleOff")]
+    public string? TitleOff { get; set; }
+
+    [JsonProperty(PropertyName = "titleOn")]
+    public string? TitleOn { get; set; }
+
+    /// <summary>
+    ///     Toggle Key images for the off and on states. An image file wins over the colour ("#RRGGBB").
+    /// </summary>
+    [JsonProperty(PropertyName = "offImagePath")]
+    public string? OffImagePath { get; set; }
+
+    [JsonProperty(PropertyName = "offColor")]
+    public string? OffColor { get; set; }
+
+    [JsonProperty(PropertyName = "onImagePath")]
+    public string? OnImagePath { get; set; }
+
+    [JsonProperty(PropertyName = "onColor")]
+    public string? OnColor { get; set; }
+
+    /// <summary>
+    ///     Ordered steps of a Sequence Key.
+    /// </summary>
+    [JsonProperty(PropertyName = "steps")]
+    public List<SequenceStepSettings>? Steps { get; set; }
 }
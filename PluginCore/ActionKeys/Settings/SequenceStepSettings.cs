@@ -0,0 +1,27 @@
+using Newtonsoft.Json;
+
+namespace SCStreamDeck.ActionKeys.Settings;
+
+/// <summary>
+///     One step of a Sequence Key.
+/// </summary>
+public sealed class SequenceStepSettings
+{
+    /// <summary>
+    ///     Function id (v2 or legacy), same format as <see cref="FunctionSettings.Function" />.
+    /// </summary>
+    [JsonProperty(PropertyName = "function")]
+    public string? Function { get; set; }
+
+    /// <summary>
+    ///     Wait before this step runs, in milliseconds.
+    /// </summary>
+    [JsonProperty(PropertyName = "delayMs")]
+    public int? DelayMs { get; set; }
+
+    /// <summary>
+    ///     How long the key is held, in milliseconds. Empty: long enough for the function's activation mode.
+    /// </summary>
+    [JsonProperty(PropertyName = "holdMs")]
+    public int? HoldMs { get; set; }
+}
@@ -0,0 +1,166 @@
+using SCStreamDeck.Common;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace SCStreamDeck.ActionKeys;
+
+/// <summary>
+///     What a test fire sends: the function's executable binding and its device.
+/// </summary>
+internal sealed record TestFireTarget(string FunctionId, KeybindingAction Action, string Binding, string Device);
+
+/// <summary>
+///     SDK-independent runner for the PI "Test" button.
+///     Runs the selected function once after a countdown, so there is time to switch to the game; one test runs at a time.
+/// </summary>
+internal sealed class TestFireRunner(Func<TimeSpan, CancellationToken, Task>? delay = null) : IDisposable
+{
+    internal const int DefaultCountdownSeconds = 3;
+    internal const int MaxCountdownSeconds = 10;
+
+    internal const string DeviceKeyboard = "Keyboard";
+    internal const string DeviceMouse = "Mouse";
+
+    private readonly Func<TimeSpan, CancellationToken, Task> _delay = delay ?? Task.Delay;
+    private readonly object _gate = new();
+    private CancellationTokenSource? _runCts;
+
+    public bool IsRunning
+    {
+        get
+        {
+            lock (_gate)
+            {
+                return _runCts != null;
+            }
+        }
+    }
+
+    public void Dispose() => Cancel();
+
+    internal static int ClampCountdownSeconds(int? seconds) =>
+        Math.Clamp(seconds ?? DefaultCountdownSeconds, 0, MaxCountdownSeconds);
+
+    /// <summary>
+    ///     Resolves the binding a test fire sends: the keyboard binding, else a mouse button or wheel binding.
+    /// </summary>
+    /// <returns>
+    ///     The target, or null with a <see cref="PiReasons" /> code in <paramref name="reason" /> when the function has
+    ///     nothing the plugin can send.
+    /// </returns>
+    internal static TestFireTarget? ResolveTarget(string functionId, KeybindingAction action, out string reason)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(functionId);
+        ArgumentNullException.ThrowIfNull(action);
+
+        reason = string.Empty;
+
+        if (!string.IsNullOrWhiteSpace(action.KeyboardBinding))
+        {
+            return new TestFireTarget(functionId, action, action.KeyboardBinding, DeviceKeyboard);
+        }
+
+        if (action.MouseBinding.GetInputType() is InputType.MouseButton or InputType.MouseWheel)
+        {
+            return new TestFireTarget(functionId, action, action.MouseBinding, DeviceMouse);
+        }
+
+        // Bound, but only to inputs the plugin cannot send (mouse axis, joystick, gamepad).
+        bool hasUnsupported = !string.IsNullOrWhiteSpace(action.MouseBinding) ||
+                              !string.IsNullOrWhiteSpace(action.JoystickBinding) ||
+                              !string.IsNullOrWhiteSpace(action.GamepadBinding);
+        reason = hasUnsupported ? PiReasons.UnsupportedBinding : PiReasons.NotBound;
+
+        return null;
+    }
+
+    /// <summary>
+    ///     Runs <paramref name="fire" /> once after <paramref name="countdown" />.
+    /// </summary>
+    /// <returns>
+    ///     The fire result (<see cref="PiReasons.TestCancelled" /> when cancelled during the countdown);
+    ///     null when a test is already running.
+    /// </returns>
+    public Task<TestFireResult>? Start(TimeSpan countdown, Func<CancellationToken, Task<TestFireResult>> fire)
+    {
+        ArgumentNullException.ThrowIfNull(fire);
+
+        CancellationTokenSource cts;
+        lock (_gate)
+        {
+            if (_runCts != null)
+            {
+                return null;
+            }
+
+            cts = new CancellationTokenSource();
+            _runCts = cts;
+        }
+
+        return RunAsync(countdown, fire, cts);
+    }
+
+    /// <summary>
+    ///     Cancels the running test.
+    /// </summary>
+    /// <returns>True when a test was running.</returns>
+    public bool Cancel()
+    {
+        CancellationTokenSource? cts;
+        lock (_gate)
+        {
+            cts = _runCts;
+            _runCts = null;
+        }
+
+        if (cts == null)
+        {
+            return false;
+        }
+
+        try
+        {
+            cts.Cancel();
+        }
+        catch (ObjectDisposedException)
+        {
+            // The test finished and disposed its CTS concurrently.
+        }
+
+        return true;
+    }
+
+    private async Task<TestFireResult> RunAsync(
+        TimeSpan countdown,
+        Func<CancellationToken, Task<TestFireResult>> fire,
+        CancellationTokenSource cts)
+    {
+        CancellationToken token = cts.Token;
+        try
+        {
+            if (countdown > TimeSpan.Zero)
+            {
+                await _delay(countdown, token).ConfigureAwait(false);
+            }
+
+            token.ThrowIfCancellationRequested();
+            return await fire(token).ConfigureAwait(false);
+        }
+        catch (OperationCanceledException)
+        {
+            return TestFireResult.NotSent(PiReasons.TestCancelled);
+        }
+        finally
+        {
+            lock (_gate)
+            {
+                if (_runCts == cts)
+                {
+                    _runCts = null;
+                }
+            }
+
+            cts.Dispose();
+        }
+    }
+}
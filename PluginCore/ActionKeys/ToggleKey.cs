@@ -1,9 +1,12 @@
 using System.Diagnostics.CodeAnalysis;
 using System.Collections.Concurrent;
 using BarRaider.SdTools;
+using Newtonsoft.Json.Linq;
 using SCStreamDeck.Common;
+using SCStreamDeck.Infrastructure;
 using SCStreamDeck.Logging;
 using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
 
 namespace SCStreamDeck.ActionKeys;
 
@@ -18,7 +21,11 @@ public sealed class ToggleKey : SCActionBase
     private const double MinResetHoldSeconds = 0.2;
     private const double MaxResetHoldSeconds = 10.0;
 
+    // Toggle Key presses bypass the activation handlers (see HandleKeyReleasedAsync).
+    private const string TestFireHandlerName = "Single press (no repeat)";
+
     private readonly ToggleKeyCore _core;
+    private readonly IFileSystem _fileSystem;
 
     // Persist visual state across action recreation (e.g., Stream Deck page switches).
     // Reset on plugin/app restart by design.
@@ -31,8 +38,11 @@ public sealed class ToggleKey : SCActionBase
     private int _resetAlertPressId;
     private string _stateKey = string.Empty;
 
+    // Off (0) and on (1) images as data URLs; null keeps the default image.
+    private string?[] _stateImages = [null, null];
+
     [ExcludeFromCodeCoverage]
-    public ToggleKey(SDConnection connection, InitialPayload payload) : base(connection, payload)
+    public ToggleKey(SDConnection connection, InitialPayload payload) : base(connection, payload, hasOnOffStates: true)
     {
         double thresholdSeconds = Settings.ResetHoldSeconds ?? DefaultResetHoldSeconds;
         if (!double.IsFinite(thresholdSeconds))
@@ -43,16 +53,18 @@ public sealed class ToggleKey : SCActionBase
         thresholdSeconds = Math.Clamp(thresholdSeconds, MinResetHoldSeconds, MaxResetHoldSeconds);
         Volatile.Write(ref _holdThresholdSeconds, thresholdSeconds);
         _core = new ToggleKeyCore(TimeSpan.FromSeconds(thresholdSeconds));
+        _fileSystem = ActionDependencies.ForToggleKey().FileSystem;
 
         InitializeStateKey();
 
         uint restoredState = RestoreVisualState();
         _core.SetVisualState(restoredState);
+        RefreshStateImages();
 
         _ = RunSafeAsync(async () =>
         {
             await Connection.SetStateAsync(restoredState).ConfigureAwait(false);
-            await Connection.SetDefaultImageAsync().ConfigureAwait(false);
+            await ApplyStateAppearanceAsync().ConfigureAwait(false);
         });
     }
 
@@ -116,6 +128,47 @@ public sealed class ToggleKey : SCActionBase
         thresholdSeconds = Math.Clamp(thresholdSeconds, MinResetHoldSeconds, MaxResetHoldSeconds);
         Volatile.Write(ref _holdThresholdSeconds, thresholdSeconds);
         _core.SetHoldThreshold(TimeSpan.FromSeconds(thresholdSeconds));
+
+        RefreshStateImages();
+        _ = RunSafeAsync(async () =>
+        {
+            await ApplyStateAppearanceAsync().ConfigureAwait(false);
+            SendStateAppearanceToPropertyInspector();
+        });
+    }
+
+    protected override void OnPropertyInspectorConnected() => SendStateAppearanceToPropertyInspector();
+
+    [ExcludeFromCodeCoverage]
+    protected override Task ApplyKeyImageAsync() => ApplyStateAppearanceAsync();
+
+    /// <summary>
+    ///     Sends the same single no-repeat press as a key press and flips the key state with it.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (SetState) and KeybindingService input simulation
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private protected override async Task<TestFireResult> ExecuteTestFireAsync(TestFireTarget target, CancellationToken token)
+    {
+        ArgumentNullException.ThrowIfNull(target);
+
+        bool sent = await KeybindingService.ExecutePressNoRepeatAsync(target.FunctionId, target.Binding, token)
+            .ConfigureAwait(false);
+
+        if (sent)
+        {
+            uint newState = _core.GetVisualState() == 0 ? 1u : 0u;
+            _core.SetVisualState(newState);
+            await ApplyEffectsAsync([new ToggleKeyEffect(ToggleKeyEffectKind.SetVisualState, newState)]).ConfigureAwait(false);
+        }
+
+        return new TestFireResult(
+            sent,
+            target.Binding,
+            target.Device,
+            target.Action.ActivationMode,
+            TestFireHandlerName,
+            sent ? null : TestFireRunner.SendFailedReason);
     }
 
     public override void KeyReleased(KeyPayload payload) => _ = RunSafeAsync(() => HandleKeyReleasedAsync(payload));
@@ -153,6 +206,7 @@ public sealed class ToggleKey : SCActionBase
                         uint normalized = state == 0 ? 0u : 1u;
                         PersistVisualState(normalized);
                         await Connection.SetStateAsync(normalized).ConfigureAwait(false);
+                        await ApplyStateAppearanceAsync().ConfigureAwait(false);
                     }
 
                     continue;
@@ -189,6 +243,7 @@ public sealed class ToggleKey : SCActionBase
         {
             _ = _core.OnExecutionCompleted(decision.ExecuteId.Value, false);
             Log.Debug($"[{nameof(ToggleKey)}] KeyUp pressId={pressId} invalid/unavailable");
+            await ShowMissingFunctionAlertAsync().ConfigureAwait(false);
             return;
         }
 
@@ -236,6 +291,7 @@ public sealed class ToggleKey : SCActionBase
             try
             {
                 await Connection.SetStateAsync(_core.GetVisualState()).ConfigureAwait(false);
+                await ApplyStateAppearanceAsync().ConfigureAwait(false);
                 Volatile.Write(ref _resetAlertPressId, 0);
             }
             catch (Exception ex)
@@ -252,6 +308,7 @@ public sealed class ToggleKey : SCActionBase
                 await Connection.ShowAlert().ConfigureAwait(false);
                 await Task.Delay(TimeSpan.FromMilliseconds(250), lifetimeToken).ConfigureAwait(false);
                 await Connection.SetStateAsync(_core.GetVisualState()).ConfigureAwait(false);
+                await ApplyStateAppearanceAsync().ConfigureAwait(false);
             }
             catch (OperationCanceledException)
             {
@@ -264,6 +321,68 @@ public sealed class ToggleKey : SCActionBase
         }
     }
 
+    /// <summary>
+    ///     Rebuilds the off/on images from settings (file reads happen here, not on every state change).
+    /// </summary>
+    private void RefreshStateImages()
+    {
+        string?[] images =
+        [
+            KeyImageBuilder.Build(Settings.OffImagePath, Settings.OffColor, _fileSystem),
+            KeyImageBuilder.Build(Settings.OnImagePath, Settings.OnColor, _fileSystem)
+        ];
+
+        Volatile.Write(ref _stateImages, images);
+    }
+
+    /// <summary>
+    ///     Applies the per-state images and titles, or the missing / unbound function warning while flagged.
+    ///     Marked as [ExcludeFromCodeCoverage] because:
+    ///     - Depends on Stream Deck SDK runtime (SetImage/SetTitle)
+    ///     - Images and titles are tested through KeyImageBuilder and KeyTitleFormatter unit tests
+    /// </summary>
+    [ExcludeFromCodeCoverage]
+    private async Task ApplyStateAppearanceAsync()
+    {
+        if (await TryApplyFunctionWarningImageAsync().ConfigureAwait(false))
+        {
+            UpdateTitles();
+            return;
+        }
+
+        string?[] images = Volatile.Read(ref _stateImages);
+
+        // Re-applied on every state change and resync: an alert or a state switch can bring back the manifest image.
+        if (images.Any(image => image == null))
+        {
+            await Connection.SetDefaultImageAsync().ConfigureAwait(false);
+        }
+
+        for (int state = 0; state < images.Length; state++)
+        {
+            if (images[state] is { } image)
+            {
+                await Connection.SetImageAsync(image, state, true).ConfigureAwait(false);
+            }
+        }
+
+        UpdateTitles();
+    }
+
+    [ExcludeFromCodeCoverage]
+    private void SendStateAppearanceToPropertyInspector()
+    {
+        try
+        {
+            JObject payload = StateAppearancePayloadBuilder.Build(BuildTitles(), Volatile.Read(ref _stateImages));
+            _ = Connection.SendToPropertyInspectorAsync(PiProtocolPayloadBuilder.Stamp(payload));
+        }
+        catch (Exception ex)
+        {
+            Log.Err($"[{nameof(ToggleKey)}] Failed to send state preview: {ex.Message}", ex);
+        }
+    }
+
     private static Task RunSafeAsync(Func<Task> work) =>
         Task.Run(async () =>
         {
@@ -5,6 +5,8 @@ public interface IFileSystem
     bool FileExists(string path);
     bool DirectoryExists(string path);
 
+    DateTime GetLastWriteTimeUtc(string path);
+
     string ReadAllText(string path);
     Task<string> ReadAllTextAsync(string path, CancellationToken cancellationToken = default);
 
@@ -15,4 +17,9 @@ public interface IFileSystem
     Stream OpenRead(string path);
 
     void DeleteFile(string path);
+
+    /// <summary>
+    ///     Moves a file, replacing <paramref name="destinationPath" /> when <paramref name="overwrite" /> is set.
+    /// </summary>
+    void MoveFile(string sourcePath, string destinationPath, bool overwrite);
 }
@@ -34,7 +34,7 @@ public static class SCConstants
     public static class Keybindings
     {
         // Bump when the shape/meaning of cached *-keybindings.json changes.
-        public const int JsonSchemaVersion = 2;
+        public const int JsonSchemaVersion = 3;
     }
 
     #endregion
@@ -157,6 +157,9 @@ public static class SCConstants
         public static class MouseAxis
         {
             public const string Prefix = "MAXIS_";
+            public const string X = "MAXIS_X";
+            public const string Y = "MAXIS_Y";
+            public const string Z = "MAXIS_Z";
         }
     }
 
@@ -6,6 +6,8 @@ public sealed class SystemFileSystem : IFileSystem
 
     public bool DirectoryExists(string path) => Directory.Exists(path);
 
+    public DateTime GetLastWriteTimeUtc(string path) => File.GetLastWriteTimeUtc(path);
+
     public string ReadAllText(string path) => File.ReadAllText(path);
 
     public Task<string> ReadAllTextAsync(string path, CancellationToken cancellationToken = default) =>
@@ -21,4 +23,7 @@ public sealed class SystemFileSystem : IFileSystem
         new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
 
     public void DeleteFile(string path) => File.Delete(path);
+
+    public void MoveFile(string sourcePath, string destinationPath, bool overwrite) =>
+        File.Move(sourcePath, destinationPath, overwrite);
 }
@@ -182,7 +182,7 @@ internal static class UserOverrideParser
         $"{mapName ?? string.Empty}|{actionName}";
 
 
-    private static UserOverrides ParseXml(string xmlText)
+    internal static UserOverrides ParseXml(string xmlText)
     {
         Dictionary<string, string?> keyboard = new(StringComparer.OrdinalIgnoreCase);
         Dictionary<string, string?> mouse = new(StringComparer.OrdinalIgnoreCase);
@@ -0,0 +1,93 @@
+using System.Xml;
+using System.Xml.Linq;
+
+namespace SCStreamDeck.Common;
+
+/// <summary>
+///     Adds keyboard rebinds to Star Citizen's actionmaps.xml (the file <see cref="UserOverrideParser" /> reads).
+/// </summary>
+internal static class UserOverrideWriter
+{
+    // Keyboard rebinds are stored as "kb1_<binding>" (first keyboard instance).
+    private const string KeyboardInputPrefix = "kb1_";
+
+    /// <summary>
+    ///     Returns the actionmaps.xml text with the action bound to <paramref name="binding" /> on the keyboard.
+    ///     Existing keyboard rebinds of the action in that map are replaced; everything else is kept.
+    /// </summary>
+    /// <exception cref="XmlException">The text is not valid XML.</exception>
+    public static string AddKeyboardRebind(string xmlText, string mapName, string actionName, string binding)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(mapName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(actionName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(binding);
+
+        XDocument document = Load(xmlText);
+        XElement profile = FindProfile(document);
+
+        XElement actionMap = FindByName(profile.Elements("actionmap"), mapName) ?? AddChild(profile, "actionmap", mapName);
+        XElement action = FindByName(actionMap.Elements("action"), actionName) ?? AddChild(actionMap, "action", actionName);
+
+        action.Elements("rebind")
+            .Where(r => ((string?)r.Attribute("input"))?.StartsWith("kb", StringComparison.OrdinalIgnoreCase) == true)
+            .Remove();
+        action.Add(BuildRebind(binding));
+
+        return document.Declaration != null
+            ? document.Declaration + Environment.NewLine + document.ToString()
+            : document.ToString();
+    }
+
+    /// <summary>
+    ///     The rebind as an actionmap fragment, for users who edit or share their actionmaps.xml by hand.
+    /// </summary>
+    public static string BuildSnippet(string mapName, string actionName, string binding)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(mapName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(actionName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(binding);
+
+        XElement actionMap = new("actionmap",
+            new XAttribute("name", mapName),
+            new XElement("action", new XAttribute("name", actionName), BuildRebind(binding)));
+
+        return actionMap.ToString();
+    }
+
+    private static XElement BuildRebind(string binding) =>
+        new("rebind", new XAttribute("input", KeyboardInputPrefix + binding.Trim()));
+
+    private static XDocument Load(string xmlText)
+    {
+        using StringReader sr = new(xmlText);
+        using XmlReader xmlReader = XmlReader.Create(sr,
+            new XmlReaderSettings { IgnoreWhitespace = true, DtdProcessing = DtdProcessing.Prohibit, XmlResolver = null });
+
+        return XDocument.Load(xmlReader);
+    }
+
+    /// <summary>
+    ///     The game keeps the bindings in ActionMaps/ActionProfiles (profile "default"); older files have them
+    ///     directly under the root.
+    /// </summary>
+    private static XElement FindProfile(XDocument document)
+    {
+        XElement root = document.Root ?? throw new XmlException("actionmaps.xml has no root element.");
+
+        List<XElement> profiles = root.Elements("ActionProfiles").ToList();
+        return profiles.FirstOrDefault(p =>
+                   string.Equals((string?)p.Attribute("profileName"), "default", StringComparison.OrdinalIgnoreCase)) ??
+               profiles.FirstOrDefault() ??
+               root;
+    }
+
+    private static XElement? FindByName(IEnumerable<XElement> elements, string name) =>
+        elements.FirstOrDefault(e => string.Equals((string?)e.Attribute("name"), name, StringComparison.OrdinalIgnoreCase));
+
+    private static XElement AddChild(XElement parent, string elementName, string name)
+    {
+        XElement child = new(elementName, new XAttribute("name", name));
+        parent.Add(child);
+        return child;
+    }
+}
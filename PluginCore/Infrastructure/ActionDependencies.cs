@@ -1,3 +1,4 @@
+using SCStreamDeck.Common;
 using SCStreamDeck.Services.Audio;
 using SCStreamDeck.Services.Core;
 using SCStreamDeck.Services.Keybinding;
@@ -15,19 +16,29 @@ internal static class ActionDependencies
     public static SCActionBaseDependencies ForSCActionBase() => new(
         ServiceLocator.GetService<InitializationService>(),
         ServiceLocator.GetService<KeybindingService>(),
-        ServiceLocator.GetService<AudioPlayerService>());
+        ServiceLocator.GetService<AudioPlayerService>(),
+        ServiceLocator.GetService<FunctionsPayloadHistory>(),
+        ServiceLocator.GetService<ActionMapsRebindService>());
+
+    public static ToggleKeyDependencies ForToggleKey() => new(
+        ServiceLocator.GetService<IFileSystem>());
 
     public static ControlPanelKeyDependencies ForControlPanelKey() => new(
         ServiceLocator.GetService<InitializationService>(),
         ServiceLocator.GetService<StateService>(),
         ServiceLocator.GetService<ThemeService>(),
-        ServiceLocator.GetService<IKeybindingsJsonCache>());
+        ServiceLocator.GetService<IKeybindingsJsonCache>(),
+        ServiceLocator.GetService<KeybindingService>());
 }
 
 internal sealed record SCActionBaseDependencies(
     InitializationService InitializationService,
     KeybindingService KeybindingService,
-    AudioPlayerService AudioPlayerService);
+    AudioPlayerService AudioPlayerService,
+    FunctionsPayloadHistory FunctionsPayloadHistory,
+    ActionMapsRebindService ActionMapsRebindService);
+
+internal sealed record ToggleKeyDependencies(IFileSystem FileSystem);
 
 internal sealed class ControlPanelKeyDependencies
 {
@@ -35,21 +46,25 @@ internal sealed class ControlPanelKeyDependencies
         InitializationService initializationService,
         StateService stateService,
         ThemeService themeService,
-        IKeybindingsJsonCache keybindingsJsonCache)
+        IKeybindingsJsonCache keybindingsJsonCache,
+        KeybindingService keybindingService)
     {
         ArgumentNullException.ThrowIfNull(initializationService);
         ArgumentNullException.ThrowIfNull(stateService);
         ArgumentNullException.ThrowIfNull(themeService);
         ArgumentNullException.ThrowIfNull(keybindingsJsonCache);
+        ArgumentNullException.ThrowIfNull(keybindingService);
 
         InitializationService = initializationService;
         StateService = stateService;
         ThemeService = themeService;
         KeybindingsJsonCache = keybindingsJsonCache;
+        KeybindingService = keybindingService;
     }
 
     public InitializationService InitializationService { get; }
     public StateService StateService { get; }
     public ThemeService ThemeService { get; }
     public IKeybindingsJsonCache KeybindingsJsonCache { get; }
+    public KeybindingService KeybindingService { get; }
 }
@@ -45,7 +45,9 @@ public static class ServiceConfiguration
 
         services.AddSingleton<KeybindingProcessorService>();
         services.AddSingleton<KeybindingService>();
+        services.AddSingleton<FunctionsPayloadHistory>();
         services.AddSingleton<ActionMapsWatcherService>();
+        services.AddSingleton<ActionMapsRebindService>();
         services.AddSingleton<InitializationService>();
     }
 
@@ -0,0 +1,35 @@
+namespace SCStreamDeck.Models;
+
+/// <summary>
+///     How a function's keyboard and mouse bindings changed between two loads of the keybindings.
+/// </summary>
+public enum BindingChangeKind
+{
+    Added, // Was unbound, now has a binding
+    Removed, // Lost its last keyboard/mouse binding
+    Rebound // Bound before and after, to different inputs
+}
+
+/// <summary>
+///     A function whose keyboard or mouse binding changed, e.g. after a rebind in game rewrote actionmaps.xml.
+///     Binding values are raw Star Citizen inputs; empty when unbound.
+/// </summary>
+/// <param name="ActionName">Action name (with <paramref name="MapName" /> the function's identity).</param>
+/// <param name="MapName">Action map the action belongs to.</param>
+/// <param name="Label">Function label as shown in the Property Inspector.</param>
+/// <param name="MapLabel">Action map label (Property Inspector group).</param>
+/// <param name="Kind">What changed.</param>
+/// <param name="OldKeyboard">Keyboard binding before the change.</param>
+/// <param name="OldMouse">Mouse binding before the change.</param>
+/// <param name="NewKeyboard">Keyboard binding after the change.</param>
+/// <param name="NewMouse">Mouse binding after the change.</param>
+public sealed record BindingChange(
+    string ActionName,
+    string MapName,
+    string Label,
+    string MapLabel,
+    BindingChangeKind Kind,
+    string OldKeyboard,
+    string OldMouse,
+    string NewKeyboard,
+    string NewMouse);
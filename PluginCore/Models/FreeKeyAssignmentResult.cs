@@ -0,0 +1,20 @@
+namespace SCStreamDeck.Models;
+
+/// <summary>
+///     Outcome of binding a function to a free key from the Property Inspector.
+/// </summary>
+/// <param name="Written">True when actionmaps.xml was updated.</param>
+/// <param name="Binding">Keyboard binding that was (or would have been) assigned.</param>
+/// <param name="Snippet">The rebind as an actionmap XML fragment, for adding it by hand.</param>
+/// <param name="BackupPath">Copy of actionmaps.xml from before the change; null when nothing was written.</param>
+/// <param name="Reason">Why nothing was written; null when <paramref name="Written" />.</param>
+public sealed record FreeKeyAssignmentResult(
+    bool Written,
+    string Binding,
+    string? Snippet,
+    string? BackupPath,
+    string? Reason)
+{
+    public static FreeKeyAssignmentResult NotWritten(string binding, string? snippet, string reason) =>
+        new(false, binding, snippet, null, reason);
+}
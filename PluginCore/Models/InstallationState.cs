@@ -38,6 +38,20 @@ public sealed record InstallationState(
     /// </summary>
     public bool Validate() => Directory.Exists(ChannelPath) && File.Exists(DataP4KPath);
 
+    /// <summary>
+    ///     Explains a failed <see cref="Validate" /> for the Control Panel:
+    ///     "channelFolderMissing" or "dataP4KMissing", null when the installation is valid.
+    /// </summary>
+    public string? GetInvalidReason()
+    {
+        if (!Directory.Exists(ChannelPath))
+        {
+            return "channelFolderMissing";
+        }
+
+        return File.Exists(DataP4KPath) ? null : "dataP4KMissing";
+    }
+
     /// <summary>
     ///     Creates InstallationState from a detected candidate.
     /// </summary>
@@ -10,6 +10,7 @@ public sealed class KeybindingAction
     public string MapLabel { get; init; } = string.Empty;
     public string UiLabel { get; init; } = string.Empty;
     public string UiDescription { get; init; } = string.Empty;
+    public string UiDescriptionEnglish { get; init; } = string.Empty;
     public string UiCategory { get; init; } = string.Empty;
     public string KeyboardBinding { get; init; } = string.Empty;
     public string MouseBinding { get; init; } = string.Empty;
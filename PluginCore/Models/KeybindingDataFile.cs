@@ -56,6 +56,12 @@ public sealed class KeybindingActionData
 
     [JsonProperty("description")] public string Description { get; set; } = "";
 
+    /// <summary>
+    ///     English description, kept only when the game language is not English and the localized text differs.
+    /// </summary>
+    [JsonProperty("descriptionEnglish", NullValueHandling = NullValueHandling.Ignore)]
+    public string? DescriptionEnglish { get; set; }
+
     [JsonProperty("category")] public string Category { get; set; } = "";
 
     [JsonProperty("mapName")] public string MapName { get; set; } = "";
@@ -22,7 +22,9 @@ public sealed record PluginState(
     [property: JsonProperty("ptuInstallation")]
     InstallationState? PtuInstallation,
     [property: JsonProperty("eptuInstallation")]
-    InstallationState? EptuInstallation
+    InstallationState? EptuInstallation,
+    [property: JsonProperty("uiLanguage")]
+    string? UiLanguage = null
 )
 {
     private static readonly JsonSerializerSettings s_loadSettings = new() { Converters = { new StringEnumConverter() } };
@@ -111,6 +113,11 @@ public sealed record PluginState(
     /// </summary>
     public PluginState WithSelectedTheme(string? themeFile) => this with { SelectedTheme = themeFile };
 
+    /// <summary>
+    ///     Creates a new PluginState with updated Property Inspector language (null follows the game language).
+    /// </summary>
+    public PluginState WithUiLanguage(string? language) => this with { UiLanguage = language };
+
     /// <summary>
     ///     Creates a new PluginState with updated last initialized timestamp.
     /// </summary>
@@ -0,0 +1,21 @@
+namespace SCStreamDeck.Models;
+
+/// <summary>
+///     Outcome of a test fire from the Property Inspector: what was sent, or why nothing was.
+/// </summary>
+/// <param name="Sent">True when the input was sent to the game.</param>
+/// <param name="Binding">Binding that was (or would have been) sent.</param>
+/// <param name="Device">Device of <paramref name="Binding" /> ("Keyboard" or "Mouse").</param>
+/// <param name="ActivationMode">Activation mode of the function.</param>
+/// <param name="Handler">Activation handler that executed the input.</param>
+/// <param name="Reason">Why nothing was sent; null when <paramref name="Sent" />.</param>
+public sealed record TestFireResult(
+    bool Sent,
+    string? Binding,
+    string? Device,
+    ActivationMode? ActivationMode,
+    string? Handler,
+    string? Reason)
+{
+    public static TestFireResult NotSent(string reason) => new(false, null, null, null, null, reason);
+}
@@ -0,0 +1,329 @@
+//// ****************************************************************
+// * SC PI Dev Harness - Fixtures
+// * Builds plugin payloads (functions, control panel, themes) for the harness.
+// * buildFunctionsPayload() mirrors FunctionsPayloadBuilder closely enough for
+// * UI work; keyboard display strings are approximated (no HKL mapping).
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPIDev = root.SCPIDev = root.SCPIDev || {};
+
+  const DEFAULT_KEYBINDINGS_URL = '../../../Tests/TestData/LIVE/LIVE-keybindings.json';
+  const CHANNELS = ['Live', 'Hotfix', 'Ptu', 'Eptu'];
+  const DEVICE_ORDER = ['Keyboard', 'Mouse', 'MouseAxis', 'Joystick', 'Gamepad'];
+
+  // Same order as the ActivationMode enum (numeric values in keybindings JSON).
+  const ACTIVATION_MODES = [
+    'tap', 'double_tap', 'double_tap_nonblocking', 'tap_quicker', 'press', 'press_quicker',
+    'delayed_press', 'delayed_press_quicker', 'delayed_press_medium', 'delayed_press_long',
+    'hold', 'hold_no_retrigger', 'all', 'delayed_hold', 'delayed_hold_long', 'delayed_hold_no_retrigger',
+    'hold_toggle', 'smart_toggle'
+  ];
+
+  const ACTIVATION_MODE_LABELS = {
+    tap: 'Tap',
+    tap_quicker: 'Quick Tap',
+    press: 'Press',
+    press_quicker: 'Quick Press',
+    hold: 'Hold',
+    hold_no_retrigger: 'Hold',
+    delayed_press: 'Delayed',
+    delayed_press_quicker: 'Quick Delay',
+    delayed_press_medium: 'Medium Delay',
+    delayed_press_long: 'Long Delay',
+    delayed_hold: 'Delayed Hold',
+    delayed_hold_long: 'Long Hold',
+    delayed_hold_no_retrigger: 'Delayed Hold',
+    double_tap: 'Double Tap',
+    double_tap_nonblocking: 'Double Tap',
+    all: 'All',
+    hold_toggle: 'Toggle',
+    smart_toggle: 'Smart Toggle'
+  };
+
+  // Handler fallbacks when the metadata has no threshold (ActivationModeDelays).
+  const DEFAULT_PRESS_DELAYS = {
+    delayed_press: 0.25,
+    delayed_press_quicker: 0.15,
+    delayed_press_medium: 0.5,
+    delayed_press_long: 1.5,
+    delayed_hold: 0.25,
+    delayed_hold_long: 1.5,
+    delayed_hold_no_retrigger: 0.15
+  };
+
+  // Mirrors css/themes (ThemeService skips files starting with '_').
+  const THEMES = [
+    {file: 'concierge-gold.css', name: 'Concierge Gold'},
+    {file: 'crusader-blue.css', name: 'Crusader Blue'},
+    {file: 'default.css', name: 'Default'}
+  ];
+
+  // #region Functions Payload
+
+  function resolveActivationMode(raw) {
+    if (typeof raw === 'number') {
+      return ACTIVATION_MODES[raw] || 'press';
+    }
+    const name = String(raw || '').trim().toLowerCase();
+    return ACTIVATION_MODES.includes(name) ? name : 'press';
+  }
+
+  function isMouseAxis(raw) {
+    return raw.toLowerCase().includes('maxis_');
+  }
+
+  function toKeyboardDisplay(raw) {
+    return raw.split('+').map((part) => part.trim().toUpperCase()).filter((part) => part).join(' + ');
+  }
+
+  function collectBindings(action) {
+    const b = action.bindings || {};
+    const list = [];
+
+    const add = (device, raw, display) => {
+      const r = String(raw || '').trim();
+      if (r) {
+        list.push({device, raw: r, display: String(display || r).trim(), sourceActionName: action.name});
+      }
+    };
+
+    const keyboard = String(b.keyboard || '').trim();
+    if (isMouseAxis(keyboard)) {
+      add('MouseAxis', keyboard, keyboard);
+    } else {
+      add('Keyboard', keyboard, toKeyboardDisplay(keyboard));
+    }
+
+    const mouse = String(b.mouse || '').trim();
+    add(isMouseAxis(mouse) ? 'MouseAxis' : 'Mouse', mouse, mouse);
+    add('Joystick', b.joystick, b.joystick);
+    add('Gamepad', b.gamepad, b.gamepad);
+
+    return list;
+  }
+
+  function inferBindingType(bindings) {
+    const has = (device) => bindings.some((b) => b.device === device);
+    if (has('Keyboard')) {
+      return 'keyboard';
+    }
+    if (has('Mouse')) {
+      return 'mouse';
+    }
+    if (has('MouseAxis')) {
+      return 'mouseaxis';
+    }
+    if (has('Joystick')) {
+      return 'joystick';
+    }
+    return has('Gamepad') ? 'gamepad' : 'unbound';
+  }
+
+  function getDisabledStatus(bindingType) {
+    if (bindingType === 'keyboard' || bindingType === 'mouse' || bindingType === 'unbound') {
+      return {disabled: false, disabledReason: ''};
+    }
+    if (bindingType === 'mouseaxis') {
+      return {disabled: true, disabledReason: 'Axis (Dial only)'};
+    }
+    return {disabled: true, disabledReason: 'Controller bind (not supported yet)'};
+  }
+
+  /**
+   * Timing part of ActivationModeInfoBuilder; the explanation text only comes from the plugin.
+   */
+  function buildActivationInfo(mode, metadata) {
+    const m = metadata || {OnPress: true, MultiTap: 1};
+    const positive = (v) => (Number(v) > 0 ? Math.round(Number(v) * 100) / 100 : 0);
+    const delayed = mode in DEFAULT_PRESS_DELAYS;
+    const pressDelay = delayed ? (positive(m.PressTriggerThreshold) || DEFAULT_PRESS_DELAYS[mode]) : 0;
+    const toggleDelay = mode === 'smart_toggle' ? (positive(m.ReleaseTriggerDelay) || 0.25) : 0;
+    const holdsInput = Boolean(m.Retriggerable || m.OnHold || mode === 'hold_no_retrigger' || delayed);
+
+    return {
+      label: ACTIVATION_MODE_LABELS[mode] || mode,
+      explanation: '',
+      timing: {
+        taps: Math.max(Number(m.MultiTap) || 1, 1),
+        pressDelay,
+        releaseWindow: positive(m.ReleaseTriggerThreshold),
+        toggleDelay,
+        firesOnPress: Boolean(m.OnPress) && pressDelay === 0 && toggleDelay === 0,
+        firesOnRelease: Boolean(m.OnRelease) && (!holdsInput || Boolean(m.OnHold)) && toggleDelay === 0,
+        holdsInput,
+        retriggerable: Boolean(m.Retriggerable)
+      }
+    };
+  }
+
+  function buildDevices(bindings) {
+    return DEVICE_ORDER
+      .map((device) => ({
+        device,
+        bindings: bindings
+          .filter((b) => b.device === device)
+          .sort((x, y) => x.display.localeCompare(y.display))
+          .map(({raw, display, sourceActionName}) => ({raw, display, sourceActionName}))
+      }))
+      .filter((d) => d.bindings.length > 0);
+  }
+
+  /**
+   * Build the grouped functions payload from a keybindings JSON document ({metadata, actions}).
+   * @param {{actions: Array}} data
+   * @returns {Array} Groups as sent in `functions`
+   */
+  function buildFunctionsPayload(data) {
+    const actions = Array.isArray(data?.actions) ? data.actions : [];
+    const activationModes = data?.metadata?.activationModes || {};
+    const groups = new Map();
+
+    for (const action of actions) {
+      const label = String(action?.label || '').trim();
+      if (!label) {
+        continue;
+      }
+
+      const mode = resolveActivationMode(action.activationMode);
+      const groupLabel = String(action.mapLabel || action.mapName || 'Other');
+      const bindings = collectBindings(action);
+      const bindingType = inferBindingType(bindings);
+      const devices = buildDevices(bindings);
+      const text = `${label} (${ACTIVATION_MODE_LABELS[mode] || mode})`;
+      const description = String(action.description || '');
+
+      // The test data predates isToggleCandidate; fall back to a name heuristic so ToggleKey has options.
+      const isToggleCandidate = typeof action.isToggleCandidate === 'boolean'
+        ? action.isToggleCandidate
+        : /toggle/i.test(String(action.name || ''));
+
+      const option = {
+        value: `v2|${action.name}|${action.mapName}`,
+        legacyValue: `${action.name}_${action.category}`,
+        text,
+        bindingType,
+        searchText: [text, description, ...bindings.flatMap((b) => [b.display, b.raw, b.sourceActionName])]
+          .filter((p) => p)
+          .join(' ')
+          .toLowerCase(),
+        details: {
+          label: text,
+          description,
+          actionName: action.name,
+          activationMode: mode,
+          activationInfo: buildActivationInfo(mode, activationModes[mode]),
+          isToggleCandidate,
+          devices,
+          isBound: devices.length > 0,
+          hasAxis: bindings.some((b) => b.device === 'MouseAxis'),
+          hasButton: bindings.some((b) => b.device !== 'MouseAxis')
+        },
+        ...getDisabledStatus(bindingType)
+      };
+
+      if (!groups.has(groupLabel)) {
+        groups.set(groupLabel, []);
+      }
+      groups.get(groupLabel).push(option);
+    }
+
+    return Array.from(groups.keys())
+      .sort((a, b) => a.localeCompare(b))
+      .map((groupLabel) => ({
+        label: groupLabel,
+        options: groups.get(groupLabel).sort((a, b) => a.text.localeCompare(b.text))
+      }));
+  }
+
+  /**
+   * Opaque content hash for the mock plugin (FNV-1a of the JSON; the plugin uses SHA-256).
+   */
+  function hashPayload(groups) {
+    const json = JSON.stringify(groups);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  async function loadKeybindings(url = DEFAULT_KEYBINDINGS_URL) {
+    const response = await fetch(url, {cache: 'no-store'});
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url} (${response.status})`);
+    }
+    return response.json();
+  }
+
+  // #endregion
+
+  // #region Control Panel Payload
+
+  /**
+   * Mutable control panel state the mock plugin edits in response to PI requests.
+   */
+  function createControlPanelState() {
+    return {
+      initialized: true,
+      currentChannel: 'Live',
+      preferredChannel: 'Live',
+      selectedTheme: 'default.css',
+      uiLanguage: 'auto',
+      gameLanguage: 'english',
+      // LIVE + PTU installed, HOTFIX cached but missing its Data.p4k, EPTU not detected.
+      channels: CHANNELS.map((channel) => {
+        const valid = channel === 'Live' || channel === 'Ptu';
+        const configured = valid || channel === 'Hotfix';
+        const installRoot = 'C:\\Program Files\\Roberts Space Industries\\StarCitizen';
+        return {
+          channel,
+          configured,
+          valid,
+          isCustomPath: false,
+          rootPath: configured ? installRoot : '',
+          channelPath: configured ? `${installRoot}\\${channel.toUpperCase()}` : '',
+          dataP4KPath: configured ? `${installRoot}\\${channel.toUpperCase()}\\Data.p4k` : '',
+          invalidReason: valid ? '' : configured ? 'dataP4KMissing' : 'notDetected',
+          keybindingsJsonExists: channel === 'Live',
+          keybindingsJsonLastWrite: channel === 'Live' ? new Date().toISOString() : ''
+        };
+      })
+    };
+  }
+
+  function buildControlPanelPayload(state) {
+    const preferred = state.channels.find((c) => c.channel === state.preferredChannel);
+    return {
+      themesLoaded: true,
+      themes: THEMES.map((t) => ({...t})),
+      selectedTheme: state.selectedTheme,
+      uiLanguage: state.uiLanguage,
+      gameLanguage: state.gameLanguage,
+      controlPanelLoaded: true,
+      controlPanel: {
+        initialized: state.initialized,
+        currentChannel: state.currentChannel,
+        preferredChannel: state.preferredChannel,
+        preferredAvailable: !!preferred?.valid,
+        lastInitialized: new Date().toISOString(),
+        channels: state.channels.map((c) => ({...c}))
+      }
+    };
+  }
+
+  // #endregion
+
+  SCPIDev.fixtures = {
+    CHANNELS,
+    THEMES,
+    DEFAULT_KEYBINDINGS_URL,
+    buildFunctionsPayload,
+    hashPayload,
+    loadKeybindings,
+    createControlPanelState,
+    buildControlPanelPayload
+  };
+})();
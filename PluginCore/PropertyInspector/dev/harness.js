@@ -0,0 +1,182 @@
+//// ****************************************************************
+// * SC PI Dev Harness - Entrypoint
+// * Loads a Keys/*.html page into a same-origin iframe, swaps in the mock
+// * WebSocket and connects it like Stream Deck would.
+//// ****************************************************************
+
+(function () {
+  const SCPIDev = globalThis.SCPIDev;
+
+  const PAGES = {
+    AdaptiveKey: 'com.jarex985.scstreamdeck.adaptivekey',
+    ToggleKey: 'com.jarex985.scstreamdeck.togglekey',
+    SequenceKey: 'com.jarex985.scstreamdeck.sequencekey',
+    DialKey: 'com.jarex985.scstreamdeck.dialkey',
+    ControlPanel: 'com.jarex985.scstreamdeck.controlpanel'
+  };
+
+  const MAX_LOG_ENTRIES = 500;
+
+  const el = (id) => document.getElementById(id);
+
+  const frame = el('devFrame');
+  const pageSelect = el('devPage');
+  const logList = el('devLog');
+  const logAll = el('devLogAll');
+  const settingsView = el('devSettings');
+
+  let functionsPayload = [];
+
+  // #region Scenario
+
+  function readNumber(id, fallback) {
+    const value = parseInt(el(id)?.value, 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  function getScenario() {
+    return {
+      functionsLoaded: !!el('devFunctionsLoaded')?.checked,
+      replyMode: String(el('devReplyMode')?.value || 'ok'),
+      replyDelayMs: readNumber('devReplyDelay', 0),
+      protocolVersion: readNumber('devProtocolVersion', 1)
+    };
+  }
+
+  // #endregion
+
+  // #region Log + Settings View
+
+  function formatTime(date) {
+    return date.toTimeString().slice(0, 8) + '.' + String(date.getMilliseconds()).padStart(3, '0');
+  }
+
+  function describe(entry) {
+    const payload = entry.payload && typeof entry.payload === 'object' ? entry.payload : {};
+    if (entry.event === 'sendToPlugin') {
+      return `sendToPlugin: ${payload.event || payload.property_inspector || '?'}`;
+    }
+    if (entry.event === 'sendToPropertyInspector') {
+      if (payload.requestId) {
+        return `reply ${payload.ok === false ? 'failed' : 'ok'} (${payload.requestId})`;
+      }
+      const kinds = ['functionsLoaded', 'controlPanelLoaded', 'themesLoaded'].filter((k) => k in payload);
+      return `sendToPropertyInspector: ${kinds.join(', ') || 'payload'}`;
+    }
+    return entry.event;
+  }
+
+  function onLog(entry) {
+    const isPluginTraffic = entry.event === 'sendToPlugin' || entry.event === 'sendToPropertyInspector';
+    if (entry.event === 'sendToPlugin') {
+      console.info('[dev] sendToPlugin', entry.payload);
+    }
+    if (!isPluginTraffic && !logAll.checked) {
+      return;
+    }
+
+    const li = document.createElement('li');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+
+    const time = document.createElement('span');
+    time.className = 'dev-log__time';
+    time.textContent = `${formatTime(entry.at)} `;
+
+    const dir = document.createElement('span');
+    dir.className = `dev-log__dir--${entry.direction}`;
+    dir.textContent = entry.direction === 'out' ? 'PI → ' : '→ PI ';
+
+    summary.append(time, dir, document.createTextNode(describe(entry)));
+
+    const body = document.createElement('pre');
+    body.textContent = JSON.stringify(entry.payload, null, 2);
+
+    details.append(summary, body);
+    li.appendChild(details);
+    logList.appendChild(li);
+
+    while (logList.childElementCount > MAX_LOG_ENTRIES) {
+      logList.firstElementChild.remove();
+    }
+    logList.scrollTop = logList.scrollHeight;
+  }
+
+  function renderSettings() {
+    settingsView.textContent = JSON.stringify({
+      action: streamDeck.getActionUuid(),
+      settings: streamDeck.getSettings(),
+      globalSettings: streamDeck.getGlobalSettings()
+    }, null, 2);
+  }
+
+  // #endregion
+
+  // #region Wiring
+
+  const plugin = SCPIDev.createMockPlugin({
+    getScenario,
+    getFunctions: () => functionsPayload
+  });
+
+  const streamDeck = SCPIDev.createMockStreamDeck({
+    onLog,
+    onSendToPlugin: plugin.onSendToPlugin,
+    onSettingsChanged: renderSettings
+  });
+
+  function loadPage() {
+    const page = PAGES[pageSelect.value] ? pageSelect.value : 'AdaptiveKey';
+    frame.src = `../Keys/${page}.html`;
+  }
+
+  frame.addEventListener('load', () => {
+    if (!frame.getAttribute('src')) {
+      return;
+    }
+
+    const page = PAGES[pageSelect.value] ? pageSelect.value : 'AdaptiveKey';
+    try {
+      // Deferred scripts have run by now, same as when Stream Deck calls connect.
+      streamDeck.attach(frame.contentWindow, PAGES[page]);
+    } catch (err) {
+      console.error('[dev] Failed to connect PI page. Serve the repository over http (see dev/README.md).', err);
+    }
+    renderSettings();
+  });
+
+  pageSelect.addEventListener('change', loadPage);
+  el('devReload').addEventListener('click', loadPage);
+  el('devPush').addEventListener('click', () => plugin.pushStatus(streamDeck));
+  el('devBindingChanges').addEventListener('click', () => plugin.pushBindingChanges(streamDeck));
+  el('devClearLog').addEventListener('click', () => logList.replaceChildren());
+  el('devResetSettings').addEventListener('click', () => {
+    streamDeck.resetSettings();
+    plugin.resetState();
+    loadPage();
+  });
+
+  el('devKeybindingsFile').addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      functionsPayload = SCPIDev.fixtures.buildFunctionsPayload(JSON.parse(await file.text()));
+      plugin.pushStatus(streamDeck);
+    } catch (err) {
+      console.error('[dev] Invalid keybindings JSON', err);
+    }
+  });
+
+  // #endregion
+
+  (async () => {
+    try {
+      functionsPayload = SCPIDev.fixtures.buildFunctionsPayload(await SCPIDev.fixtures.loadKeybindings());
+    } catch (err) {
+      console.error('[dev] Could not load default keybindings fixture', err);
+    }
+    loadPage();
+  })();
+})();
@@ -0,0 +1,389 @@
+//// ****************************************************************
+// * SC PI Dev Harness - Mock Plugin
+// * Answers sendToPlugin events the way SCActionBase / ControlPanelKey do:
+// * status pushes first, then the correlated reply (SCPI.bus.request).
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPIDev = root.SCPIDev = root.SCPIDev || {};
+
+  /**
+   * @param {Object} opts
+   * @param {() => {functionsLoaded: boolean, replyMode: string, replyDelayMs: number, protocolVersion: number}} opts.getScenario
+   * @param {() => Array} opts.getFunctions - Grouped functions payload
+   */
+  function createMockPlugin(opts) {
+    const fixtures = SCPIDev.fixtures;
+    let controlPanel = fixtures.createControlPanelState();
+
+    // Hash of the functions payload the PI reported (or was last sent); mirrors SCActionBase.
+    let piFunctionsHash = null;
+
+    // Pending test fire ({timer, requestId}); one at a time, like TestFireRunner.
+    let testFire = null;
+
+    function stamp(payload) {
+      return {...payload, protocolVersion: opts.getScenario().protocolVersion};
+    }
+
+    function isControlPanel(sd) {
+      return sd.getActionUuid().endsWith('.controlpanel');
+    }
+
+    function pushStatus(sd) {
+      if (isControlPanel(sd)) {
+        sd.sendToPropertyInspector(stamp(fixtures.buildControlPanelPayload(controlPanel)));
+        return;
+      }
+
+      if (!opts.getScenario().functionsLoaded) {
+        sd.sendToPropertyInspector(stamp({functionsLoaded: false, functions: []}));
+        return;
+      }
+
+      // No delta support here: the harness answers "unchanged" or sends the full list.
+      const groups = opts.getFunctions();
+      const hash = fixtures.hashPayload(groups);
+      const update = {
+        functionsLoaded: true,
+        channel: controlPanel.currentChannel,
+        functionsHash: hash,
+        gameLanguage: controlPanel.gameLanguage
+      };
+      if (piFunctionsHash === hash) {
+        update.functionsUnchanged = true;
+      } else {
+        update.functions = groups;
+      }
+
+      piFunctionsHash = hash;
+      sd.sendToPropertyInspector(stamp(update));
+    }
+
+    function reply(sd, requestId, ok, error, result) {
+      if (!requestId) {
+        return;
+      }
+
+      const scenario = opts.getScenario();
+      if (scenario.replyMode === 'drop') {
+        return;
+      }
+
+      if (scenario.replyMode === 'fail') {
+        ok = false;
+        error = error || 'Simulated failure (dev harness).';
+      }
+
+      sd.sendToPropertyInspector(ok
+        ? {requestId, ok: true, result: result || {}}
+        : {requestId, ok: false, error: error || 'requestFailed'});
+    }
+
+    /**
+     * Mimic RunBackground: apply the change after a delay, push status, then reply.
+     */
+    function runBackground(sd, requestId, work) {
+      setTimeout(() => {
+        const error = work();
+        pushStatus(sd);
+        reply(sd, requestId, !error, error);
+      }, opts.getScenario().replyDelayMs);
+    }
+
+    function findChannel(name) {
+      const wanted = String(name || '').toLowerCase();
+      return controlPanel.channels.find((c) => c.channel.toLowerCase() === wanted) || null;
+    }
+
+    function handleConnected(message, sd) {
+      const scenario = opts.getScenario();
+      const clientVersion = typeof message.protocolVersion === 'number' ? message.protocolVersion : null;
+      const cache = message.functionsCache;
+      piFunctionsHash = cache && cache.channel === controlPanel.currentChannel ? cache.hash || null : null;
+
+      pushStatus(sd);
+      reply(sd, message.requestId, true, null, {
+        protocol: {
+          protocolVersion: scenario.protocolVersion,
+          features: ['request', 'functionsDelta', 'testFire', 'freeKeys'],
+          clientProtocolVersion: clientVersion,
+          compatible: clientVersion === scenario.protocolVersion
+        }
+      });
+    }
+
+    function handleControlPanelEvent(event, message, sd) {
+      const requestId = message.requestId;
+
+      switch (event) {
+        case 'setTheme':
+          runBackground(sd, requestId, () => {
+            controlPanel.selectedTheme = String(message.themeFile || 'default.css');
+            return null;
+          });
+          return true;
+        case 'setUiLanguage':
+          runBackground(sd, requestId, () => {
+            const language = String(message.language || '').trim().toLowerCase();
+            if (!/^[a-z]{2}[a-z-]*$/.test(language)) {
+              return 'unknownLanguage';
+            }
+            controlPanel.uiLanguage = language;
+            return null;
+          });
+          return true;
+        case 'setChannel':
+          runBackground(sd, requestId, () => {
+            const row = findChannel(message.channel);
+            if (!row) {
+              return 'unknownChannel';
+            }
+            controlPanel.preferredChannel = row.channel;
+            if (!row.valid) {
+              return 'channelLoadFailed';
+            }
+            controlPanel.currentChannel = row.channel;
+            row.keybindingsJsonExists = true;
+            row.keybindingsJsonLastWrite = new Date().toISOString();
+            return null;
+          });
+          return true;
+        case 'setDataP4KOverride':
+          runBackground(sd, requestId, () => {
+            const row = findChannel(message.channel);
+            if (!row) {
+              return 'unknownChannel';
+            }
+            const path = String(message.dataP4KPath || '');
+            row.isCustomPath = path.length > 0;
+            row.configured = true;
+            row.valid = true;
+            row.invalidReason = '';
+            if (path) {
+              row.dataP4KPath = path;
+              row.channelPath = path.replace(/[\\/][^\\/]*$/, '');
+            }
+            return null;
+          });
+          return true;
+        case 'factoryReset':
+          runBackground(sd, requestId, () => {
+            controlPanel = fixtures.createControlPanelState();
+            return null;
+          });
+          return true;
+        case 'forceRedetection':
+          runBackground(sd, requestId, () => null);
+          return true;
+        case 'rebuildChannelCache':
+          runBackground(sd, requestId, () => {
+            const row = findChannel(message.channel);
+            if (!row?.valid) {
+              return 'rebuildFailed';
+            }
+            row.keybindingsJsonExists = true;
+            row.keybindingsJsonLastWrite = new Date().toISOString();
+            return null;
+          });
+          return true;
+        case 'openChannelFolder': {
+          // Nothing to open in a browser; answer like the plugin would.
+          const row = findChannel(message.channel);
+          const folderMissing = !row?.configured || row.invalidReason === 'channelFolderMissing';
+          const error = folderMissing ? 'channelFolderNotFound' : null;
+          reply(sd, requestId, !error, error);
+          return true;
+        }
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Simulated test fire result for the selected function: the first keyboard or mouse button binding.
+     */
+    function resolveTestFire(sd) {
+      const functionId = String(sd.getSettings()?.function || '');
+      if (!functionId) {
+        return {sent: false, reason: 'noFunctionSelected'};
+      }
+
+      const option = opts.getFunctions().flatMap((g) => g.options).find((o) => o.value === functionId);
+      if (!option) {
+        return {sent: false, reason: 'functionNotFound'};
+      }
+
+      const device = (option.details?.devices || []).find((d) => d.device === 'Keyboard' || d.device === 'Mouse');
+      if (!device) {
+        return {sent: false, reason: 'notBound'};
+      }
+
+      return {
+        sent: true,
+        binding: device.bindings[0]?.raw || '',
+        device: device.device,
+        activationMode: option.details.activationInfo?.label || option.details.activationMode,
+        handler: 'MockHandler (dev harness)'
+      };
+    }
+
+    function firstBinding(option) {
+      const device = (option?.details?.devices || []).find((d) => d.device === 'Keyboard' || d.device === 'Mouse');
+      return String(device?.bindings?.[0]?.display || device?.bindings?.[0]?.raw || '');
+    }
+
+    /**
+     * Simulated in-game rebind (see BindingChangesPayloadBuilder): the selected function loses its binding,
+     * two other bound functions are rebound and one is added.
+     */
+    function pushBindingChanges(sd) {
+      if (isControlPanel(sd) || !opts.getScenario().functionsLoaded) {
+        return;
+      }
+
+      const functionId = String(sd.getSettings()?.function || '');
+      const options = opts.getFunctions().flatMap((g) => g.options.map((o) => ({...o, group: g.label})));
+      const bound = options.filter((o) => o.value !== functionId && firstBinding(o));
+      const selected = options.find((o) => o.value === functionId && firstBinding(o));
+
+      const change = (option, kind, oldBinding, newBinding) => ({
+        functionId: option.value,
+        label: option.details?.label || option.text,
+        group: option.group,
+        kind,
+        oldBinding,
+        newBinding
+      });
+
+      const changes = [
+        ...bound.slice(0, 2).map((o) => change(o, 'rebound', firstBinding(o), 'RAlt + F12')),
+        ...bound.slice(2, 3).map((o) => change(o, 'added', '', 'RCtrl + F11'))
+      ];
+      if (selected) {
+        changes.unshift(change(selected, 'removed', firstBinding(selected), ''));
+      }
+
+      sd.sendToPropertyInspector(stamp({
+        bindingChanges: {
+          added: changes.filter((c) => c.kind === 'added').length,
+          removed: changes.filter((c) => c.kind === 'removed').length,
+          rebound: changes.filter((c) => c.kind === 'rebound').length,
+          total: changes.length,
+          truncated: false,
+          keyLostBinding: !!selected,
+          changes
+        }
+      }));
+    }
+
+    function handleTestFire(message, sd) {
+      if (testFire) {
+        reply(sd, message.requestId, true, null, {sent: false, reason: 'testRunning'});
+        return;
+      }
+
+      const seconds = Math.min(10, Math.max(0, Number(message.countdownSeconds ?? 3) || 0));
+      const requestId = message.requestId;
+      testFire = {
+        requestId,
+        timer: setTimeout(() => {
+          testFire = null;
+          reply(sd, requestId, true, null, resolveTestFire(sd));
+        }, seconds * 1000)
+      };
+    }
+
+    function handleCancelTestFire(message, sd) {
+      if (!testFire) {
+        reply(sd, message.requestId, false, 'noTestRunning');
+        return;
+      }
+
+      clearTimeout(testFire.timer);
+      reply(sd, testFire.requestId, true, null, {sent: false, reason: 'testCancelled'});
+      testFire = null;
+      reply(sd, message.requestId, true);
+    }
+
+    // No actionmaps.xml here: every pick "fails" like a running game, so the snippet fallback can be checked.
+    const FREE_KEYS = [
+      {binding: 'rctrl+rshift+np_1', display: 'R-Ctrl + R-Shift + Num 1'},
+      {binding: 'rctrl+rshift+np_2', display: 'R-Ctrl + R-Shift + Num 2'},
+      {binding: 'rctrl+rshift+f5', display: 'R-Ctrl + R-Shift + F5'}
+    ];
+
+    function handleAssignFreeKey(message, sd) {
+      const choice = FREE_KEYS.find((k) => k.binding === message.binding);
+      if (!choice) {
+        reply(sd, message.requestId, true, null, {written: false, binding: String(message.binding || ''), reason: 'keyNotFree'});
+        return;
+      }
+
+      reply(sd, message.requestId, true, null, {
+        written: false,
+        ...choice,
+        snippet: '<actionmap name="mock">\n  <action name="mock">\n' +
+          `    <rebind input="kb1_${choice.binding}" />\n  </action>\n</actionmap>`,
+        reason: 'gameRunning'
+      });
+    }
+
+    /**
+     * Entry point wired to createMockStreamDeck({onSendToPlugin}).
+     */
+    function onSendToPlugin(message, sd) {
+      const event = String(message.event || message.property_inspector || '');
+
+      if (event === 'propertyInspectorConnected') {
+        handleConnected(message, sd);
+        return;
+      }
+
+      if (isControlPanel(sd) && handleControlPanelEvent(event, message, sd)) {
+        return;
+      }
+
+      if (!isControlPanel(sd) && event === 'refreshFunctions') {
+        piFunctionsHash = null;
+        pushStatus(sd);
+        reply(sd, message.requestId, true);
+        return;
+      }
+
+      if (!isControlPanel(sd) && event === 'testFire') {
+        handleTestFire(message, sd);
+        return;
+      }
+
+      if (!isControlPanel(sd) && event === 'cancelTestFire') {
+        handleCancelTestFire(message, sd);
+        return;
+      }
+
+      if (!isControlPanel(sd) && event === 'freeKeys') {
+        reply(sd, message.requestId, true, null, {bindings: FREE_KEYS});
+        return;
+      }
+
+      if (!isControlPanel(sd) && event === 'assignFreeKey') {
+        handleAssignFreeKey(message, sd);
+        return;
+      }
+
+      reply(sd, message.requestId, false, 'unknownRequest');
+    }
+
+    return {
+      onSendToPlugin,
+      pushStatus,
+      pushBindingChanges,
+      resetState: () => {
+        controlPanel = fixtures.createControlPanelState();
+      }
+    };
+  }
+
+  SCPIDev.createMockPlugin = createMockPlugin;
+})();
@@ -0,0 +1,193 @@
+//// ****************************************************************
+// * SC PI Dev Harness - Mock Stream Deck
+// * Stands in for the Stream Deck app at the WebSocket level, so the
+// * unmodified sdpi-components streamDeckClient, useSettings and SCPI.bus
+// * work in a plain browser. Settings live in memory for the session.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPIDev = root.SCPIDev = root.SCPIDev || {};
+
+  const PLUGIN_UUID = 'com.jarex985.scstreamdeck';
+  const PLUGIN_VERSION = '1.1.3.0';
+  const MOCK_PORT = 28196;
+  const DEVICE_ID = 'dev-device';
+
+  let contextSeq = 0;
+
+  /**
+   * @param {Object} opts
+   * @param {(entry: {direction: string, event: string, payload: *}) => void} [opts.onLog]
+   * @param {(message: Object, sd: Object) => void} [opts.onSendToPlugin] - Plugin emulation
+   * @param {() => void} [opts.onSettingsChanged]
+   */
+  function createMockStreamDeck(opts = {}) {
+    const settingsByAction = new Map();
+    let globalSettings = {};
+    let socket = null;
+    let actionUuid = '';
+    let context = '';
+
+    const log = (direction, event, payload) => {
+      opts.onLog?.({direction, event, payload, at: new Date()});
+    };
+
+    function getSettings(uuid = actionUuid) {
+      return settingsByAction.get(uuid) || {};
+    }
+
+    function setSettings(uuid, value) {
+      settingsByAction.set(uuid, value && typeof value === 'object' ? {...value} : {});
+      opts.onSettingsChanged?.();
+    }
+
+    function deliver(message) {
+      if (!socket) {
+        return;
+      }
+      log('in', message.event, message.payload);
+      socket.deliver(message);
+    }
+
+    function handleOutgoing(raw) {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (err) {
+        console.error('[dev] PI sent invalid JSON', err);
+        return;
+      }
+
+      log('out', message.event, message.payload);
+
+      switch (message.event) {
+        case 'getSettings':
+          deliver({
+            event: 'didReceiveSettings',
+            action: actionUuid,
+            context,
+            device: DEVICE_ID,
+            payload: {settings: getSettings(), coordinates: {column: 0, row: 0}}
+          });
+          return;
+        case 'setSettings':
+          setSettings(actionUuid, message.payload);
+          return;
+        case 'getGlobalSettings':
+          deliver({event: 'didReceiveGlobalSettings', payload: {settings: {...globalSettings}}});
+          return;
+        case 'setGlobalSettings':
+          globalSettings = message.payload && typeof message.payload === 'object' ? {...message.payload} : {};
+          opts.onSettingsChanged?.();
+          return;
+        case 'sendToPlugin':
+          opts.onSendToPlugin?.(message.payload || {}, api);
+          return;
+        default:
+          // registerPropertyInspector, openUrl, logMessage, ...: logged only.
+          return;
+      }
+    }
+
+    /**
+     * WebSocket replacement injected into the PI window before connectElgatoStreamDeckSocket runs.
+     */
+    class MockSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        socket = this;
+
+        setTimeout(() => {
+          this.readyState = 1;
+          this.onopen?.({type: 'open'});
+        }, 0);
+      }
+
+      send(data) {
+        handleOutgoing(String(data));
+      }
+
+      close() {
+        this.readyState = 3;
+        if (socket === this) {
+          socket = null;
+        }
+        this.onclose?.({type: 'close'});
+      }
+
+      deliver(message) {
+        if (this.readyState !== 1) {
+          return;
+        }
+        this.onmessage?.({data: JSON.stringify(message)});
+      }
+    }
+
+    /**
+     * Connect a loaded PI page (same-origin iframe window) as if Stream Deck opened it.
+     * @param {Window} win
+     * @param {string} uuid - Action UUID from manifest.json
+     */
+    function attach(win, uuid) {
+      if (typeof win?.connectElgatoStreamDeckSocket !== 'function') {
+        throw new Error('connectElgatoStreamDeckSocket not found (is sdpi-components.js loaded?)');
+      }
+
+      actionUuid = uuid;
+      contextSeq += 1;
+      context = `dev-context-${contextSeq}`;
+      win.WebSocket = MockSocket;
+
+      const info = {
+        application: {font: 'sans-serif', language: 'en', platform: 'linux', platformVersion: '', version: '6.7.0'},
+        plugin: {uuid: PLUGIN_UUID, version: PLUGIN_VERSION},
+        devicePixelRatio: 1,
+        colors: {},
+        devices: [{id: DEVICE_ID, name: 'Dev Stream Deck', size: {columns: 5, rows: 3}, type: 0}]
+      };
+
+      const actionInfo = {
+        action: uuid,
+        context,
+        device: DEVICE_ID,
+        payload: {settings: getSettings(uuid), coordinates: {column: 0, row: 0}}
+      };
+
+      win.connectElgatoStreamDeckSocket(
+        MOCK_PORT,
+        context,
+        'registerPropertyInspector',
+        JSON.stringify(info),
+        JSON.stringify(actionInfo));
+    }
+
+    function sendToPropertyInspector(payload) {
+      deliver({event: 'sendToPropertyInspector', action: actionUuid, context, payload});
+    }
+
+    function resetSettings() {
+      settingsByAction.clear();
+      globalSettings = {};
+      opts.onSettingsChanged?.();
+    }
+
+    const api = {
+      attach,
+      sendToPropertyInspector,
+      getSettings,
+      getGlobalSettings: () => ({...globalSettings}),
+      resetSettings,
+      getActionUuid: () => actionUuid
+    };
+
+    return api;
+  }
+
+  SCPIDev.createMockStreamDeck = createMockStreamDeck;
+})();
@@ -1,2 +1,2 @@
 /* generated: pi-control-panel.js */
-(function(){function r(n){const t=new Map,u=Array.isArray(n?.channels)?n.channels:[];for(const n of u)n&&typeof n.channel=="string"&&t.set(n.channel,n);const r=[];for(const n of i){const i=t.get(n),u=!!i?.valid;if(u){const f=!!i?.isCustomPath;r.push({value:n,text:`${n.toUpperCase()} - ${f?"Custom":"Auto"}`})}}return r}function t(n,t){const i=document.getElementById(n);if(i){const r=i.parentElement&&i.parentElement.classList.contains("pi-inline-banner")?i.parentElement:null,u=String(t||"").trim();if(u.length===0){i.textContent="";i.style.display="none";r&&(r.style.display="none");return}i.textContent=u;i.style.display="block";r&&(r.style.display="flex")}}function u(n){const i=Array.isArray(n?.channels)?n.channels:[],r=i.some(n=>!!n?.configured),u=i.some(n=>!!n?.valid);if(u){t("pi-install-warning","");return}if(!r){t("pi-install-warning","No installation detected. Set custom path.");return}t("pi-install-warning","No installation detected. Set custom path.")}function f(){function t(t,u){const f=n?.ui?.filePicker?.createFilePicker?.({rootId:u,displayMode:"full",onValueChanged:n=>{r?.("setDataP4KOverride",{channel:t,dataP4KPath:n||""})}});i.set(t,f)}const i=new Map,r=n?.bus?.send||n?.util?.sendToPlugin||globalThis.sendToPlugin;return t("Live","liveP4KPicker"),t("Hotfix","hotfixP4KPicker"),t("Ptu","ptuP4KPicker"),t("Eptu","eptuP4KPicker"),i}function e(n,t){const u=Array.isArray(n?.channels)?n.channels:[],r=new Map;for(const n of u)n&&typeof n.channel=="string"&&r.set(n.channel,n);for(const n of i){const i=t.get(n);if(i){const u=r.get(n),f=u?.isCustomPath?String(u?.dataP4KPath||""):"";i.setValue(f,{persist:!1,silent:!0})}}}const n=globalThis.SCPI,i=["Live","Hotfix","Ptu","Eptu"];n?.util?.onDocumentReady?.(()=>{n?.bus?.start?.();n?.theme?.initThemeDropdown?.({rootId:"themeDropdown",linkId:"pi-theme-styles"});const o=f(),i=n?.bus?.send||n?.util?.sendToPlugin||globalThis.sendToPlugin,t=n?.ui?.dropdown?.initDropdown?.({rootId:"channelDropdown",searchEnabled:!1,displaySelectedInInput:!0,minLoadingMs:500,successFlashMs:220,emptyText:"No valid channels",getText:n=>String(n?.text??""),getValue:n=>String(n?.value??""),onSelect:n=>{const t=String(n?.value||"");t&&i?.("setChannel",{channel:t})}});t?.setLoading?.(!0,"Loading status");const s=document.getElementById("factoryResetBtn"),h=document.getElementById("forceRedetectBtn");s?.addEventListener("click",()=>{const n=globalThis.confirm?.("Factory Reset will remove cached installations, clear all custom Data.p4k overrides, reset theme selection, and rebuild keybindings from scratch.\n\nContinue?");n&&i?.("factoryReset")});h?.addEventListener("click",()=>{i?.("forceRedetection")});n?.bus?.on?.(n=>{if(n?.controlPanelLoaded){const i=n.controlPanel||{},f=r(i);t?.setItems?.(f);t?.setLoading?.(!1);const h=String(i?.preferredChannel||""),c=String(i?.currentChannel||""),s=c||h,l=s&&f.some(n=>String(n?.value||"")===s);l?t?.setSelectedValue?.(s,{rerender:!0}):f.length>0?t?.setSelectedValue?.(String(f[0].value||""),{rerender:!0}):t?.setSelectedValue?.("",{rerender:!0});u(i);e(i,o)}});n?.bus?.sendOnce?.("pi.connected","propertyInspectorConnected")})})()
+!function(){const e=globalThis.SCPI,n=(n,t)=>e?.i18n?.t?.(n,t)??n,t=["Live","Hotfix","Ptu","Eptu"],o=e?.i18n?.AUTO||"auto",a={channelFolderMissing:"controlPanel.reasonChannelFolderMissing",dataP4KMissing:"controlPanel.reasonDataP4KMissing"};function l(e,n){const t=document.getElementById(e);if(!t)return;const o=t.parentElement&&t.parentElement.classList.contains("pi-inline-banner")?t.parentElement:null,a=String(n||"").trim();if(0===a.length)return t.textContent="",t.style.display="none",void(o&&(o.style.display="none"));t.textContent=a,t.style.display="block",o&&(o.style.display="flex")}let i=null;function s(e,n="pending"){const t=document.getElementById("pi-action-status");if(!t)return;i&&(clearTimeout(i),i=null),t.classList.remove("pi-inline-status--pending","pi-inline-status--success","pi-inline-status--error"),l("pi-action-status",e);0!==String(e||"").trim().length&&(t.classList.add(`pi-inline-status--${n}`),"success"===n&&(i=setTimeout(()=>s(""),4e3)))}function c(t){const o=e?.bus?.errors||{};return o.RequestTimeoutError&&t instanceof o.RequestTimeoutError?n("common.pluginTimeout"):t?(a=t?.message||t,e?.i18n?.reason?.(a)??String(a)):n("controlPanel.unknownError");var a}async function r(t,o,a){s(a.pending,"pending");try{return await e.bus.request(t,o,{timeoutMs:a.timeoutMs||12e4}),s(a.success,"success"),!0}catch(e){return s(n("controlPanel.actionFailed",{action:a.failure,error:c(e)}),"error"),!1}}function u(n){const t=new Date(String(n||""));if(!n||Number.isNaN(t.getTime())||t.getFullYear()<2e3)return"";try{return t.toLocaleString(e?.i18n?.getLanguage?.()||void 0,{dateStyle:"short",timeStyle:"short"})}catch(e){return t.toLocaleString()}}function d(e,n,t){const o=document.createElement("div");return o.className=e,o.textContent=n,t&&(o.title=t),o}function g(e,t,o,a){const l=document.createElement("button");return l.type="button",l.className="pi-button pi-button--compact",l.setAttribute("data-i18n",e),l.textContent=n(e),l.title=t,l.disabled=!!o,l.addEventListener("click",a),l}function p(e,o){const l=document.getElementById("channelStatusRows");if(!l)return;const i=new Map;for(const n of Array.isArray(e?.channels)?e.channels:[])n&&"string"==typeof n.channel&&i.set(n.channel,n);const s=e?.initialized?String(e?.currentChannel||""):"";l.replaceChildren(...t.map(e=>function(e,t,o,l){const i=e.toUpperCase(),s={channel:i},c=!!t?.configured,r=!!t?.valid,p=String(t?.invalidReason||""),h=document.createElement("tr");h.className="pi-status-table__row",h.classList.toggle("pi-status-table__row--invalid",c&&!r);const m=document.createElement("th");m.scope="row",m.appendChild(d("pi-status-table__channel",i)),o&&m.appendChild(d("pi-status-table__active",n("controlPanel.channelActive")));const P=document.createElement("td"),f=c?t.isCustomPath?"controlPanel.sourceCustom":"controlPanel.sourceAuto":"controlPanel.sourceNone";if(P.appendChild(d("pi-status-table__source",n(f))),c&&!r){const e=a[p]?n(a[p]):p;P.appendChild(d("pi-status-table__reason",e))}if(c)for(const e of[t.channelPath,t.dataP4KPath])e&&P.appendChild(d("pi-status-table__path",String(e),String(e)));const y=document.createElement("td"),b=!!t?.keybindingsJsonExists,S=u(t?.keybindingsJsonLastWrite);let C=n("controlPanel.cacheMissing");b&&(C=S?n("controlPanel.cacheBuilt",{time:S}):n("controlPanel.cacheExists"));const v=d("pi-status-table__cache",C);v.classList.toggle("pi-status-table__cache--missing",!b),y.appendChild(v);const w=document.createElement("td");return w.className="pi-status-table__actions",w.append(g("controlPanel.rebuildCache",n("controlPanel.rebuildCacheTitle",s),!r||l.busy.has(e),()=>l.onRebuild(e)),g("controlPanel.openFolder",n("controlPanel.openFolderTitle",s),!c||"channelFolderMissing"===p,()=>l.onOpen(e))),h.append(m,P,y,w),h}(e,i.get(e),e===s,o)));const c=document.getElementById("lastInitialized");if(c){const t=u(e?.lastInitialized);c.textContent=t?n("controlPanel.lastInitialized",{time:t}):""}}e?.util?.onDocumentReady?.(()=>{e?.bus?.start?.(),e?.theme?.initThemeDropdown?.({rootId:"themeDropdown",linkId:"pi-theme-styles"});const a=function(){let t=e?.i18n?.getSetting?.()||o;const a=e?.ui?.dropdown?.initDropdown?.({rootId:"languageDropdown",searchEnabled:!1,displaySelectedInInput:!0,minLoadingMs:0,successFlashMs:220,getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),onSelect:n=>{const o=String(n?.value||"");o&&o!==t&&(t=o,e?.i18n?.setSetting?.(o),e?.bus?.send?.("setUiLanguage",{language:o}))}});function l(){const l=e?.i18n?.getLanguages?.()||[],i=e?.i18n?.getAutoLanguage?.()||"",s=l.find(e=>e.code===i)?.name||i;a?.setItems?.([{value:o,text:n("controlPanel.languageAuto",{language:s})},...l.map(e=>({value:e.code,text:e.name}))]),a?.setSelectedValue?.(t,{rerender:!0})}return l(),{render:l,setSelected:e=>{t=e||o,l()}}}(),i=function(){const t=new Map;function o(o,a){const l=o.toUpperCase(),i=e?.ui?.filePicker?.createFilePicker?.({rootId:a,displayMode:"full",selectTitle:()=>n("controlPanel.selectP4K",{channel:l}),clearTitle:()=>n("controlPanel.clearOverride",{channel:l}),onValueChanged:e=>{const t=!e,a={channel:l};r("setDataP4KOverride",{channel:o,dataP4KPath:e||""},{pending:n(t?"controlPanel.clearingOverride":"controlPanel.applyingOverride",a),success:n(t?"controlPanel.overrideCleared":"controlPanel.overrideApplied",a),failure:n(t?"controlPanel.clearOverrideFailed":"controlPanel.overrideFailed",a)})}});t.set(o,i)}return o("Live","liveP4KPicker"),o("Hotfix","hotfixP4KPicker"),o("Ptu","ptuP4KPicker"),o("Eptu","eptuP4KPicker"),t}();let u=null;const d=e?.ui?.dropdown?.initDropdown?.({rootId:"channelDropdown",searchEnabled:!1,displaySelectedInInput:!0,minLoadingMs:500,successFlashMs:220,emptyText:()=>n("controlPanel.noChannels"),getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),onSelect:e=>{const t=String(e?.value||"");if(!t)return;const o={channel:t.toUpperCase()};r("setChannel",{channel:t},{pending:n("controlPanel.switching",o),success:n("controlPanel.switched",o),failure:n("controlPanel.switchFailed"),timeoutMs:6e4})}});d?.setLoading?.(!0,()=>n("controlPanel.loadingStatus"));const g=document.getElementById("factoryResetBtn"),h=document.getElementById("forceRedetectBtn");function m(e){[g,h].forEach(n=>{n&&(n.disabled=!!e)})}g?.addEventListener("click",async()=>{const e=globalThis.confirm?.(n("controlPanel.factoryResetConfirm"));e&&(m(!0),await r("factoryReset",{},{pending:n("controlPanel.factoryResetPending"),success:n("controlPanel.factoryResetDone"),failure:n("controlPanel.factoryResetFailed")}),m(!1))}),h?.addEventListener("click",async()=>{m(!0),await r("forceRedetection",{},{pending:n("controlPanel.redetectPending"),success:n("controlPanel.redetectDone"),failure:n("controlPanel.redetectFailed")}),m(!1)});const P=new Set,f={busy:P,onRebuild:async e=>{const t={channel:e.toUpperCase()};P.add(e),p(u,f),await r("rebuildChannelCache",{channel:e},{pending:n("controlPanel.rebuildPending",t),success:n("controlPanel.rebuildDone",t),failure:n("controlPanel.rebuildFailed",t)}),P.delete(e),p(u,f)},onOpen:async t=>{try{await e.bus.request("openChannelFolder",{channel:t})}catch(e){const o=n("controlPanel.openFolderFailed",{channel:t.toUpperCase()});s(n("controlPanel.actionFailed",{action:o,error:c(e)}),"error")}}};function y(e){const o=function(e){const o=new Map,a=Array.isArray(e?.channels)?e.channels:[];for(const e of a)e&&"string"==typeof e.channel&&o.set(e.channel,e);const l=[];for(const e of t){const t=o.get(e);if(!t?.valid)continue;const a=!!t?.isCustomPath;l.push({value:e,text:n(a?"controlPanel.channelCustom":"controlPanel.channelAuto",{channel:e.toUpperCase()})})}return l}(e);d?.setItems?.(o),d?.setLoading?.(!1);const a=String(e?.preferredChannel||""),i=String(e?.currentChannel||"")||a;i&&o.some(e=>String(e?.value||"")===i)?d?.setSelectedValue?.(i,{rerender:!0}):o.length>0?d?.setSelectedValue?.(String(o[0].value||""),{rerender:!0}):d?.setSelectedValue?.("",{rerender:!0}),function(e){const t=Array.isArray(e?.channels)?e.channels:[];t.some(e=>!!e?.configured),t.some(e=>!!e?.valid)?l("pi-install-warning",""):l("pi-install-warning",n("common.noInstallation"))}(e),p(e,f)}e?.bus?.on?.(n=>{n?.controlPanelLoaded&&("string"==typeof n.uiLanguage?(e?.i18n?.setSetting?.(n.uiLanguage),a.setSelected(e?.i18n?.getSetting?.())):a.render(),u=n.controlPanel||{},y(u),function(e,n){const o=Array.isArray(e?.channels)?e.channels:[],a=new Map;for(const e of o)e&&"string"==typeof e.channel&&a.set(e.channel,e);for(const e of t){const t=n.get(e);if(!t)continue;const o=a.get(e),l=o?.isCustomPath?String(o?.dataP4KPath||""):"";t.setValue(l,{persist:!1,silent:!0})}}(u,i))}),e?.i18n?.onChange?.(()=>{a.render(),u&&y(u)}),e?.protocol?.connect?.()})}();
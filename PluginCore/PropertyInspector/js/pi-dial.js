@@ -0,0 +1,2 @@
+/* generated: pi-dial.js */
+!function(){const e=globalThis.SCPI,t=(t,n)=>e?.i18n?.t?.(t,n)??t;e?.bus?.start?.();const n=/^maxis_[xyz]$/i,i=document.querySelector(".pi-dial__selected"),o=document.querySelector(".pi-dial__push-selected"),s=document.getElementById("clearPushButton"),a=document.getElementById("ticksPerStep"),c=document.getElementById("invertDirection"),l=document.getElementById("acceleration");let r=[],u=[],d="",g="",h="",m=!0;const f=e?.functionsCache?.createTracker?.()||null,S=A("dialFunctionDropdown",e=>L(e.value)),p=A("dialPushDropdown",e=>T(e.value)),[x,y]=globalThis.SDPIComponents.useSettings("function",e=>{d="string"==typeof e?e:"",S?.setSelectedValue?.(d,{rerender:!0}),E()}),[v,b]=globalThis.SDPIComponents.useSettings("pushFunction",e=>{g="string"==typeof e?e:"",p?.setSelectedValue?.(g,{rerender:!0}),E()});function F(e,t,n,i){const o="number"==typeof e?e:parseFloat(String(e??""));return Number.isFinite(o)?Math.min(n,Math.max(t,o)):i}function I(e){return Math.round(F(e,1,20,1))}function D(e){return F(e,0,2,0)}function L(e){d=e,S?.setSelectedValue?.(e,{rerender:!0}),y(e||null),E()}function T(e){g=e,p?.setSelectedValue?.(e,{rerender:!0}),b(e||null),E()}function P(e){const t=(Array.isArray(e?.details?.devices)?e.details.devices:[]).find(e=>"MouseAxis"===e?.device&&Array.isArray(e.bindings)&&e.bindings.length>0);return t?t.bindings[0]:null}function C(e,t){return t&&e.find(e=>e.value===t||e.legacyValue===t)||null}function k(e){!function(e){r=[],u=[];for(const i of Array.isArray(e)?e:[])for(const e of Array.isArray(i?.options)?i.options:[]){const o={value:e.value,legacyValue:e.legacyValue,text:e.text,searchText:String(e.searchText||""),group:i.label||t("common.otherGroup"),details:e.details};if(!0===e.details?.hasAxis){const t=P(e);r.push({...o,axisRaw:String(t?.raw||""),axisDisplay:String(t?.display||t?.raw||""),disabled:!n.test(String(t?.raw||""))})}const s=String(e.bindingType||"").toLowerCase();if("mouseaxis"===s||"joystick"===s||"gamepad"===s)continue;const a="unbound"===s;u.push({...o,unbound:a,disabled:!!e.disabled&&!a})}}(e),S?.setItems?.(r),p?.setItems?.(u);const i=C(r,d);i&&i.value!==d&&L(i.value);const o=C(u,g);o&&o.value!==g&&T(o.value),S?.setSelectedValue?.(d,{rerender:!1}),p?.setSelectedValue?.(g,{rerender:!1}),E()}function A(n,i){const o=e?.ui?.dropdown?.initDropdown?.({rootId:n,searchEnabled:!0,minLoadingMs:0,successFlashMs:100,emptyText:()=>t("common.noMatchingFunctions"),getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),getGroup:e=>String(e?.group??""),getSearchFields:e=>({label:e?.text,actionName:e?.details?.actionName,searchText:e?.searchText}),isDisabled:e=>!!e?.disabled,onSelect:i});return o?.setLoading?.(!0,()=>t("common.loadingFunctions")),o}function E(){if(i){const e=C(r,d),n=!!d&&!e&&!m;let o="";e?o=e.disabled?t("dial.modifierAxis",{function:e.text,axis:e.axisDisplay}):`${e.text} (${e.axisDisplay})`:n&&(o=t("common.functionNotFound")),i.textContent=o,i.classList.toggle("pi-dial__selected--missing",n||!!e?.disabled),i.hidden=!o}if(o){const e=C(u,g),n=!!g&&!e&&!m;o.textContent=e?e.text:n?t("common.functionNotFound"):"",o.classList.toggle("pi-dial__selected--missing",n||!!e?.unbound),o.hidden=!o.textContent}s&&(s.hidden=!g)}if(e?.ui?.filePicker?.createFilePicker?.({rootId:"audioFilePicker",placeholderText:()=>t("common.noFileSelected"),settingsKey:"clickSoundPath"}),a){const[e,t]=globalThis.SDPIComponents.useSettings("ticksPerStep",e=>{a.value=String(I(e))});a.addEventListener("change",()=>{const e=I(a.value);a.value=String(e),t(e)}),a.value=String(I(e()))}if(l){const[e,t]=globalThis.SDPIComponents.useSettings("acceleration",e=>{l.value=D(e).toFixed(2)});l.addEventListener("change",()=>{const e=D(l.value);l.value=e.toFixed(2),t(e)}),l.value=D(e()).toFixed(2)}if(c){const[e,t]=globalThis.SDPIComponents.useSettings("invertDirection",e=>{c.checked=!0===e});c.addEventListener("change",()=>t(c.checked)),c.checked=!0===e()}e?.bus?.on?.(n=>{const i=n?.functionsLoaded;if(!0===i){const t=f?.resolve?.(n)||null;if(!t)return void e?.bus?.send?.("refreshFunctions");m=!1,S?.setLoading?.(!1),p?.setLoading?.(!1);const i=String(n.functionsHash||"");i&&i===h||(h=i,k(t))}!1===i&&(h="",m=!0,r=[],u=[],[S,p].forEach(e=>{e?.setLoading?.(!0,()=>t("common.noInstallation")),e?.setItems?.([])}))}),s?.addEventListener("click",()=>T("")),e?.util?.onDocumentReady?.(()=>{d=String(x()||""),g=String(v()||"");const t=f?.current?.()||null;t?(m=!1,h=t.hash,S?.setLoading?.(!1),p?.setLoading?.(!1),k(t.groups)):E(),e?.protocol?.connect?.({functionsCache:{channel:t?.channel||"",hash:t?.hash||""}})}),e?.i18n?.onChange?.(E)}();
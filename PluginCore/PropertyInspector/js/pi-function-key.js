@@ -1,2 +1,2 @@
 /* generated: pi-function-key.js */
-(function(){function l(n){const t=[],i=globalThis.SCPI_REQUIRE_TOGGLE_CANDIDATES===!0;return Array.isArray(n)&&n.forEach(n=>{const r=n.label||"Other",u=n.options||[];u.forEach(n=>{const u=String(n.bindingType||"").toLowerCase();if(i){const t=n&&n.details&&n.details.isToggleCandidate===!0;if(!t)return}const e=u==="mouseaxis"||u==="joystick"||u==="gamepad";if(!e){const o=r,s=String(n.disabledReason||""),f=u==="unbound",h=!!n.disabled&&!f;t.push({value:n.value,legacyValue:n.legacyValue,text:n.text,group:o,details:n.details,bindingType:u,disabledReason:s,unbound:f,disabled:h})}})}),t}function a(n){u=l(n);t?.setItems?.(u);t?.setSelectedValue?.(i,{rerender:!1});i&&s(i)}function o(n,r={}){const u=r.persist!==!1;f=!0;i=n.value;t?.setSelectedValue?.(n.value,{rerender:!0});e(n);u&&c(n.value);setTimeout(()=>{f=!1},200)}function s(n){const t=u.find(t=>t.value===n||t.legacyValue===n);if(t){const i=t.legacyValue===n&&t.value!==n;o(t,{persist:i})}}function e(n){const i=document.querySelector(".pi-details");if(i){if(!n||!n.details){const n=i.querySelector(".pi-details__title");n&&(n.textContent="");const t=document.querySelector(".pi-description__content");t&&(t.textContent="");const r=document.getElementById("pi-details__binding-keyboard"),u=document.getElementById("pi-details__binding-mouse"),f=document.getElementById("pi-details__binding-gamepad"),e=document.getElementById("pi-details__binding-joystick");[r,u,f,e].forEach(n=>{n&&(n.textContent="")});return}const t=n.details,f=String(t.label||n.text||""),e=String(t.description||""),o=Array.isArray(t.devices)?t.devices:[],r=i.querySelector(".pi-details__title");r&&(r.textContent=f);["keyboard","mouse","gamepad","joystick"].forEach(n=>{const t=o.find(t=>t.device&&t.device.toLowerCase()===n.toLowerCase()),i=document.getElementById(`pi-details__binding-${n}`);let r="Unbound";if(t&&Array.isArray(t.bindings)&&t.bindings.length>0){const n=t.bindings.map(n=>String(n.display||n.raw||"")).filter(n=>n);n.length>0&&(r=n.join(", "))}i&&(i.textContent=r)});const u=document.querySelector(".pi-description__content");u&&(u.textContent=e||"No description available.")}}const r=globalThis.SCPI;r?.bus?.start?.();const t=r?.ui?.dropdown?.initDropdown?.({rootId:"functionDropdown",searchEnabled:!0,minLoadingMs:0,successFlashMs:100,emptyText:"No matching functions found",maxResults:50,getText:n=>String(n?.text??""),getValue:n=>String(n?.value??""),getGroup:n=>String(n?.group??""),isDisabled:n=>!!n?.disabled,onSelect:n=>o(n,{persist:!0})});t?.setLoading?.(!0,"Loading functions");let u=[],i="",f=!1;const[h,c]=globalThis.SDPIComponents.useSettings("function",n=>{f||(i=n,s(n))});r?.ui?.filePicker?.createFilePicker?.({rootId:"audioFilePicker",placeholderText:"No file selected",settingsKey:"clickSoundPath"});const n=document.getElementById("resetHoldSeconds");if(n){const i=1,e=.2,o=10,r=document.getElementById("resetHoldSecondsClear");function u(n){const t=typeof n=="number"?n:parseFloat(String(n));return Number.isFinite(t)?Math.min(o,Math.max(e,t)):i}function t(){if(r){const t=u(n.value);r.disabled=Math.abs(t-i)<.0001}}const[s,f]=globalThis.SDPIComponents.useSettings("resetHoldSeconds",i=>{const r=u(i);n.value=r.toFixed(1);t()});r&&r.addEventListener("click",()=>{n.value=i.toFixed(1),f(i),t()});n.addEventListener("input",()=>{t()});n.addEventListener("change",()=>{const i=u(n.value);n.value=i.toFixed(1);f(i);t()});n.value=u(s()).toFixed(1);t()}r?.bus?.on?.(n=>{const i=n?.functionsLoaded;i===!0&&(t?.setLoading?.(!1),document.getElementById("functionDropdown")?.classList.remove("pi-dropdown--error"),a(n.functions||[]));i===!1&&(document.getElementById("functionDropdown")?.classList.add("pi-dropdown--error"),t?.setLoading?.(!0,"No installation detected. Set custom path."),t?.setItems?.([]),e(null))});r?.util?.onDocumentReady?.(()=>{const n=h();n?i=n:e(null);t?.setSelectedValue?.(i,{rerender:!1});r?.bus?.sendOnce?.("pi.connected","propertyInspectorConnected")})})()
+!function(){const e=globalThis.SCPI,t=(t,n)=>e?.i18n?.t?.(t,n)??t,n=t=>e?.i18n?.reason?.(t)??String(t);e?.bus?.start?.();const i=e?.ui?.dropdown?.initDropdown?.({rootId:"functionDropdown",searchEnabled:!0,minLoadingMs:0,successFlashMs:100,emptyText:()=>t("common.noMatchingFunctions"),getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),getGroup:e=>String(e?.group??""),getSearchFields:e=>({label:e?.text,actionName:e?.details?.actionName,searchText:e?.searchText,keys:B(e?.details)}),isDisabled:e=>!!e?.disabled,isFavorite:e=>d.includes(e?.value),onToggleFavorite:e=>function(e){const t=String(e?.value||"");if(!t)return;d=d.includes(t)?d.filter(e=>e!==t):[...d,t],v(d)}(e),getPinnedGroups:()=>function(){const e=new Map(s.map(e=>[e.value,e])),n=t=>t.map(t=>e.get(t)).filter(e=>!!e);return[{label:`★ ${t("functionKey.favorites")}`,items:n(d)},{label:t("functionKey.recent"),items:n(u.filter(e=>!d.includes(e)))}]}(),onSelect:e=>{D(e,{persist:!0}),P(e)}});i?.setLoading?.(!0,()=>t("common.loadingFunctions"));const o=e?.ui?.filterChips?.createFilterChips?.({rootId:"functionFilters",itemLabel:()=>t("filters.functions"),facets:[A({id:"device",options:[A({value:"Keyboard"},"filters.keyboard"),A({value:"Mouse"},"filters.mouse")],match:(e,t)=>function(e,t){const n=Array.isArray(e?.details?.devices)?e.details.devices:[];return n.some(e=>e?.device===t&&Array.isArray(e.bindings)&&e.bindings.length>0)}(e,t)},"filters.device"),A({id:"bound",options:[A({value:"bound"},"filters.bound"),A({value:"unbound"},"common.unbound")],match:(e,t)=>"unbound"===t==!!e?.unbound},"filters.binding"),A({id:"mode",options:[A({value:"tap"},"filters.tap"),A({value:"hold"},"filters.hold"),A({value:"toggle"},"filters.toggle")],match:(e,t)=>function(e){const t=String(e?.details?.activationMode||"").toLowerCase();return Object.keys(q).find(e=>q[e].includes(t))||""}(e)===t},"filters.activation"),A({id:"category",menu:!0,getOptions:e=>Array.from(new Set(e.map(e=>String(e?.group||"")))).filter(e=>e).map(e=>({value:e,label:e})),match:(e,t)=>e?.group===t},"filters.categories")],onChange:e=>i?.setItems?.(e)});globalThis.SDPIComponents?.streamDeckClient?.getConnectionInfo?.().then(e=>o?.restore?.(`scsd.functionFilters.${e?.actionInfo?.action||"default"}`)).catch(()=>{});let s=[],r="",a=!1;const l=e?.functionsCache?.createTracker?.()||null;let c="",d=[],u=[];const g=8;let p=new Map,f=new Set;const[m,y]=globalThis.SDPIComponents.useSettings("function",e=>{a||(r=e,K(e))}),[h,v]=globalThis.SDPIComponents.useGlobalSettings("favoriteFunctions",e=>{d=T(e),i?.refresh?.()}),[b,_]=globalThis.SDPIComponents.useGlobalSettings("recentFunctions",e=>{u=T(e).slice(0,g),i?.refresh?.()});d=T(h()),u=T(b()).slice(0,g),e?.ui?.filePicker?.createFilePicker?.({rootId:"audioFilePicker",placeholderText:()=>t("common.noFileSelected"),settingsKey:"clickSoundPath"});const S=document.getElementById("resetHoldSeconds");if(S){const Ae=1,Be=.2,Me=10,De=document.getElementById("resetHoldSecondsClear");function C(e){const t="number"==typeof e?e:parseFloat(String(e));return Number.isFinite(t)?Math.min(Me,Math.max(Be,t)):Ae}function x(){if(!De)return;const e=C(S.value);De.disabled=Math.abs(e-Ae)<1e-4}const[Ke,Ne]=globalThis.SDPIComponents.useSettings("resetHoldSeconds",e=>{const t=C(e);S.value=t.toFixed(1),x()});De&&De.addEventListener("click",()=>{S.value=Ae.toFixed(1),Ne(Ae),x()}),S.addEventListener("input",()=>{x()}),S.addEventListener("change",()=>{const e=C(S.value);S.value=e.toFixed(1),Ne(e),x()}),S.value=C(Ke()).toFixed(1),x()}function E(e,t){const n=document.getElementById(e);if(!n)return;const[i,o]=globalThis.SDPIComponents.useSettings(t,e=>{n.value="string"==typeof e?e:""});n.addEventListener("change",()=>o(n.value)),n.value="string"==typeof i()?i():""}const I=document.getElementById("autoTitle");if(I){const $e=document.querySelector(".pi-title-options__details");function k(){$e&&($e.hidden=!I.checked)}const[Ve,Oe]=globalThis.SDPIComponents.useSettings("autoTitle",e=>{I.checked=!0===e,k()});I.addEventListener("change",()=>{Oe(I.checked),k()}),E("titleAbbreviations","titleAbbreviations"),I.checked=!0===Ve(),k()}const F=document.querySelector(".pi-state-preview");if(F){const je="../svg/key.svg",Ge=/^#[0-9a-f]{6}$/i;function w(e){F.querySelectorAll(".pi-state-preview__item").forEach(t=>{const n=e[Number(t.dataset.state)]||{},i=t.querySelector(".pi-state-preview__key"),o=t.querySelector(".pi-state-preview__title");i.style.backgroundColor="",i.style.backgroundImage=`url("${"string"==typeof n.image?n.image:je}")`,o.textContent="string"==typeof n.title?n.title:""})}function L(e,t){const n=document.getElementById(`${e}Color`),i=document.getElementById(`${e}ColorClear`);if(!n)return;function o(e){const t="string"==typeof e&&Ge.test(e);n.value=t?e:"#000000",n.classList.toggle("pi-color-input--empty",!t),i&&(i.disabled=!t)}const[s,r]=globalThis.SDPIComponents.useSettings(`${e}Color`,o);n.addEventListener("input",()=>{const e=F.querySelector(`[data-state="${t}"] .pi-state-preview__key`);e&&(e.style.backgroundImage="none",e.style.backgroundColor=n.value)}),n.addEventListener("change",()=>{r(n.value),o(n.value)}),i?.addEventListener("click",()=>{r(null),o(null)}),o(s())}E("titleOff","titleOff"),E("titleOn","titleOn"),e?.ui?.filePicker?.createFilePicker?.({rootId:"offImagePicker",placeholderText:()=>t("common.defaultImage"),settingsKey:"offImagePath"}),e?.ui?.filePicker?.createFilePicker?.({rootId:"onImagePicker",placeholderText:()=>t("common.defaultImage"),settingsKey:"onImagePath"}),L("off",0),L("on",1),e?.bus?.on?.(e=>{!0===e?.stateAppearanceLoaded&&w(Array.isArray(e.states)?e.states:[])}),w([])}function T(e){return Array.isArray(e)?Array.from(new Set(e.filter(e=>"string"==typeof e&&e.length>0))):[]}function P(e){const t=String(e?.value||"");t&&(u=[t,...u.filter(e=>e!==t)].slice(0,g),_(u))}const q={tap:["tap","tap_quicker","double_tap","double_tap_nonblocking","press","press_quicker","delayed_press","delayed_press_quicker","delayed_press_medium","delayed_press_long","all"],hold:["hold","hold_no_retrigger","delayed_hold","delayed_hold_long","delayed_hold_no_retrigger"],toggle:["hold_toggle","smart_toggle"]};function A(e,n){return Object.defineProperty(e,"label",{get:()=>t(n),enumerable:!0})}function B(e){return(Array.isArray(e?.devices)?e.devices:[]).flatMap(e=>Array.isArray(e?.bindings)?e.bindings:[]).flatMap(e=>[e?.raw,e?.display]).filter(e=>"string"==typeof e&&e.length>0)}function M(n){s=function(e){const n=[],i=!0===globalThis.SCPI_REQUIRE_TOGGLE_CANDIDATES;return Array.isArray(e)&&e.forEach(e=>{const o=e.label||t("common.otherGroup");(e.options||[]).forEach(e=>{const t=String(e.bindingType||"").toLowerCase();if(i&&(!e||!e.details||!0!==e.details.isToggleCandidate))return;if("mouseaxis"===t||"joystick"===t||"gamepad"===t)return;const s=o,r=String(e.disabledReason||""),a="unbound"===t,l=!!e.disabled&&!a;n.push({value:e.value,legacyValue:e.legacyValue,text:e.text,searchText:String(e.searchText||""),group:s,details:e.details,bindingType:t,disabledReason:r,unbound:a,disabled:l})})}),n}(n),p=e?.conflicts?.buildIndex?.(n)||new Map,f=function(e){const t=new Set;return(Array.isArray(e)?e:[]).forEach(e=>{(e?.options||[]).forEach(e=>{[e?.value,e?.legacyValue].filter(Boolean).forEach(e=>t.add(String(e)))})}),t}(n),o?o.setItems(s):i?.setItems?.(s),i?.setSelectedValue?.(r,{rerender:!1}),r?K(r):j(""),function(){if(!_e)return;_e.setLoading(!1),_e.setItems(s);const e=xe(be);if(e&&e.value!==be)return void Ee(e.value);_e.setSelectedValue(be,{rerender:!1}),ke()}()}function D(e,t={}){const n=!1!==t.persist;a=!0,r=e.value,i?.setSelectedValue?.(e.value,{rerender:!0}),N(e),j(""),ke(),n&&y(e.value),setTimeout(()=>{a=!1},200)}function K(e){const t=s.find(t=>t.value===e||t.legacyValue===e);if(!t){return void j(!!e&&f.size>0&&!f.has(e)?e:"")}D(t,{persist:t.legacyValue===e&&t.value!==e})}function N(n){const i=document.querySelector(".pi-details");if(!i)return;if(!n||!n.details){const t=i.querySelector(".pi-details__title");t&&(t.textContent="");const n=document.querySelector(".pi-description__content");n&&e?.description?.render?.(n,{text:""});return[document.getElementById("pi-details__binding-keyboard"),document.getElementById("pi-details__binding-mouse"),document.getElementById("pi-details__binding-gamepad"),document.getElementById("pi-details__binding-joystick")].forEach(e=>{e&&(e.textContent="")}),V(null),O(null),void de(null)}const o=n.details,s=String(o.label||n.text||""),r=Array.isArray(o.devices)?o.devices:[],a=i.querySelector(".pi-details__title");a&&(a.textContent=s);["keyboard","mouse","gamepad","joystick"].forEach(e=>{const n=r.find(t=>t.device&&t.device.toLowerCase()===e.toLowerCase()),i=document.getElementById(`pi-details__binding-${e}`);let o=t("common.unbound");if(n&&Array.isArray(n.bindings)&&n.bindings.length>0){const e=n.bindings.map(e=>String(e.display||e.raw||"")).filter(e=>e);e.length>0&&(o=e.join(", "))}i&&(i.textContent=o)}),V(n),O(n),de(n),function(n){const i=document.querySelector(".pi-description__content");if(!i)return;const o=Array.isArray(n.devices)?n.devices:[],s=o.filter(e=>"Keyboard"===e?.device||"Mouse"===e?.device).flatMap(e=>Array.isArray(e.bindings)?e.bindings:[]).map(e=>String(e.display||e.raw||"")).filter(e=>e.length>1);e?.description?.render?.(i,{text:String(n.description||""),english:String(n.descriptionEnglish||""),keys:s,resolveAction:$,emptyText:t("functionKey.noDescription")})}(o)}function $(e,t){const n=s.find(n=>n.value===`v2|${t}|${e}`);if(!n)return"";const i=(Array.isArray(n.details?.devices)?n.details.devices:[]).find(e=>("Keyboard"===e?.device||"Mouse"===e?.device)&&e.bindings?.length>0);return String(i?.bindings[0]?.display||i?.bindings[0]?.raw||n.text||"")}function V(t){const n=document.getElementById("pi-details__activation-mode"),i=document.querySelector(".pi-activation"),o=i?.querySelector(".pi-activation__explanation"),s=i?.querySelector(".pi-activation__diagram"),r=t?.details?.activationInfo||null;if(n&&(n.textContent=t?String(r?.label||t.details?.activationMode||""):""),i&&(i.hidden=!r,o&&(o.textContent=String(r?.explanation||"")),s)){s.textContent="";const t=r?.timing?e?.activationDiagram?.render?.(r.timing):null;t&&s.appendChild(t)}}function O(n){const i=document.querySelector(".pi-conflicts"),o=i?.querySelector(".pi-conflicts__list"),s=i?.querySelector(".pi-conflicts__summary");if(!i||!o)return;const r=n&&e?.conflicts?.find?.(n,p)||[];if(o.textContent="",i.hidden=0===r.length,0===r.length)return;const a=r.filter(e=>"conflict"===e.severity).length;s&&(s.textContent=a>0?t("conflicts.summaryConflicts",{count:a,total:r.length}):t(1===r.length?"conflicts.summarySharedOne":"conflicts.summaryShared",{count:r.length}),s.classList.toggle("pi-conflicts__summary--conflict",a>0)),r.forEach(e=>{const t=document.createElement("li");t.className=`pi-conflicts__item pi-conflicts__item--${e.severity}`,t.title=e.reason;const n=document.createElement("div");n.className="pi-conflicts__name",n.textContent=e.text;const i=document.createElement("div");i.className="pi-conflicts__meta",i.textContent=[e.display,e.group].filter(e=>e).join(" · ");const s=document.createElement("div");s.className="pi-conflicts__reason",s.textContent=e.reason,t.appendChild(n),t.appendChild(i),"ok"!==e.severity&&t.appendChild(s),o.appendChild(t)})}function j(n){const i=document.querySelector(".pi-missing"),o=i?.querySelector(".pi-missing__id"),r=i?.querySelector(".pi-missing__list"),a=i?.querySelector(".pi-missing__hint");if(!i||!r)return;if(r.textContent="",i.hidden=!n,!n)return;N(null),o&&(o.textContent=n);const l=e?.functionMatch?.rankSimilar?.(n,s.filter(e=>!e.disabled))||[];a&&(a.textContent=l.length>0?t("missing.hintMatches"):t("missing.hintNone")),l.forEach(({option:e})=>{const t=document.createElement("li");t.className="pi-missing__item";const n=document.createElement("button");n.type="button",n.className="pi-missing__use",n.title=e.details?.actionName||e.value,n.addEventListener("click",()=>{D(e,{persist:!0}),P(e)});const i=document.createElement("div");i.className="pi-missing__name",i.textContent=e.text;const o=document.createElement("div");o.className="pi-missing__meta",o.textContent=[e.group,e.details?.actionName].filter(e=>e).join(" · "),n.appendChild(i),n.appendChild(o),t.appendChild(n),r.appendChild(t)})}const G={Keyboard:"filters.keyboard",Mouse:"filters.mouse"},H=document.getElementById("testFireButton"),R=document.querySelector(".pi-test-fire__status");let W=null,z=!1;function Q(e,t=""){R&&(R.classList.remove("pi-inline-status--pending","pi-inline-status--success","pi-inline-status--error"),t&&R.classList.add(`pi-inline-status--${t}`),R.textContent=e)}function U(){W&&(clearInterval(W),W=null)}function J(e){z=e,H.textContent=t(e?"testFire.cancel":"testFire.button")}async function X(){if(!e?.protocol?.getPluginInfo?.()||e.protocol.hasFeature("testFire")){J(!0),function(){let e=3;const n=()=>{if(e>0)return Q(t("testFire.countdown",{seconds:e}),"pending"),void(e-=1);U(),Q(t("testFire.sending"),"pending")};n(),W=setInterval(n,1e3)}();try{const i=await e.bus.request("testFire",{countdownSeconds:3},{timeoutMs:18e3});Q(function(e){if(!0!==e?.sent)return e?.reason?n(e.reason):t("testFire.nothingSent");const i=e.activationMode?` · ${e.activationMode}`:"",o=e.handler?t("testFire.via",{handler:e.handler}):"",s=G[e.device]?t(G[e.device]):e.device;return t("testFire.sent",{binding:e.binding,device:s,mode:i,handler:o})}(i),!0===i?.sent?"success":"error")}catch(e){Q(ce(e),"error")}finally{U(),J(!1)}}else Q(t("testFire.updatePlugin"),"error")}H&&H.addEventListener("click",()=>{z?(U(),Q(t("testFire.cancelling"),"pending"),e?.bus?.request?.("cancelTestFire")?.catch?.(()=>{})):X()});const Y=1e4,Z=document.querySelector(".pi-free-key"),ee=document.getElementById("findFreeKeyButton"),te=Z?.querySelector(".pi-free-key__list"),ne=Z?.querySelector(".pi-free-key__status"),ie=document.getElementById("freeKeySnippet"),oe=document.getElementById("copyFreeKeySnippetButton");let se=!1,re="";function ae(e,t=""){ne&&(ne.classList.remove("pi-inline-status--pending","pi-inline-status--success","pi-inline-status--error"),t&&ne.classList.add(`pi-inline-status--${t}`),ne.textContent=e)}function le(e){ie&&(ie.value=e||"",ie.closest(".pi-free-key__snippet").hidden=!e)}function ce(i){const o=e?.bus?.errors||{};return o.RequestTimeoutError&&i instanceof o.RequestTimeoutError?t("common.pluginTimeout"):n(i?.message||i)}function de(e){if(!Z)return;const t=!!e&&(!0===e.unbound||!1===e.details?.isBound)?e.value:"";t!==re&&(re=t,Z.hidden=!t,te.textContent="",ae(""),le(""))}async function ue(){if(!e?.protocol?.getPluginInfo?.()||e.protocol.hasFeature("freeKeys")){te.textContent="",le(""),ae(t("freeKey.looking"),"pending");try{const i=await e.bus.request("freeKeys",{},{timeoutMs:1e4}),o=Array.isArray(i?.bindings)?i.bindings:[];if(0===o.length)return void ae(t("freeKey.noneFound"),"error");o.forEach(i=>{const o=document.createElement("button");o.type="button",o.className="pi-chip pi-free-key__option",o.textContent=i.display||i.binding,o.title=t("freeKey.bindTo",{binding:i.binding}),o.addEventListener("click",()=>async function(i){if(se)return;se=!0,ae(t("freeKey.binding",{binding:i.display||i.binding}),"pending");try{const o=await e.bus.request("assignFreeKey",{binding:i.binding},{timeoutMs:Y});if(!0===o?.written)return te.textContent="",le(""),void ae(t("freeKey.bound",{binding:o.display||o.binding}),"success");ae(o?.reason?n(o.reason):t("freeKey.nothingWritten"),"error"),le(o?.snippet||"")}catch(e){ae(ce(e),"error")}finally{se=!1}}(i)),te.appendChild(o)}),ae(t("freeKey.pick"))}catch(e){ae(ce(e),"error")}}else ae(t("freeKey.updatePlugin"),"error")}ee?.addEventListener("click",()=>ue()),oe?.addEventListener("click",async()=>{try{await navigator.clipboard.writeText(ie.value),ae(t("freeKey.copied"),"success")}catch(e){ie.focus(),ie.select(),ae(t("freeKey.copyHint"))}});const ge=[...q.hold,"delayed_press","delayed_press_quicker","delayed_press_medium","delayed_press_long"],pe=["tap","tap_quicker","double_tap","double_tap_nonblocking"],fe=document.querySelector(".pi-long-press"),me=fe?.querySelector(".pi-long-press__selected"),ye=fe?.querySelector(".pi-long-press__details"),he=fe?.querySelector(".pi-long-press__warnings"),ve=document.getElementById("longPressSeconds");let be="";const _e=fe?e?.ui?.dropdown?.initDropdown?.({rootId:"longPressDropdown",searchEnabled:!0,minLoadingMs:0,successFlashMs:100,emptyText:()=>t("common.noMatchingFunctions"),getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),getGroup:e=>String(e?.group??""),getSearchFields:e=>({label:e?.text,actionName:e?.details?.actionName,searchText:e?.searchText,keys:B(e?.details)}),isDisabled:e=>!!e?.disabled,onSelect:e=>{Ee(e.value),P(e)}}):null;_e?.setLoading?.(!0,()=>t("common.loadingFunctions"));const[Se,Ce]=globalThis.SDPIComponents.useSettings("longPressFunction",e=>{be="string"==typeof e?e:"",_e?.setSelectedValue?.(be,{rerender:!0}),ke()});function xe(e){return e&&s.find(t=>t.value===e||t.legacyValue===e)||null}function Ee(e){be=e,_e?.setSelectedValue?.(e,{rerender:!0}),Ce(e||null),ke()}function Ie(e,n){const i=String(e?.details?.activationMode||"").toLowerCase();if(!i||!("short"===n?ge:pe).includes(i))return"";const o=String(e.details?.activationInfo?.label||i);return t("short"===n?"longPress.shortClash":"longPress.longClash",{function:e.text,mode:o})}function ke(){if(!fe)return;const e=xe(be),n=!!be&&!e&&f.size>0;if(me&&(me.textContent=e?e.text:n?t("common.functionNotFound"):"",me.classList.toggle("pi-long-press__selected--missing",n||!!e?.unbound),me.hidden=!me.textContent),ye&&(ye.hidden=!be),!he)return;if(he.textContent="",!be)return;[Ie(xe(r),"short"),Ie(e,"long"),e?.unbound?t("longPress.unbound"):""].filter(e=>e).forEach(e=>{const t=document.createElement("li");t.className="pi-long-press__warning",t.textContent=e,he.appendChild(t)})}if(ve){function Fe(e){const t="number"==typeof e?e:parseFloat(String(e));return Number.isFinite(t)?Math.min(5,Math.max(.2,t)):.5}const[He,Re]=globalThis.SDPIComponents.useSettings("longPressSeconds",e=>{ve.value=Fe(e).toFixed(1)});ve.addEventListener("change",()=>{const e=Fe(ve.value);ve.value=e.toFixed(1),Re(e)}),ve.value=Fe(He()).toFixed(1)}document.getElementById("clearLongPressButton")?.addEventListener("click",()=>Ee("")),be="string"==typeof Se()?Se():"",ke();const we=document.getElementById("settingsString"),Le=document.querySelector(".pi-share__status");function Te(e,t=""){Le&&(Le.classList.remove("pi-inline-status--success","pi-inline-status--error"),t&&Le.classList.add(`pi-inline-status--${t}`),Le.textContent=e)}async function Pe(){const e=await globalThis.SDPIComponents.streamDeckClient.getSettings();return e?.settings||{}}function qe(e,n){if(0===s.length)return{value:e,warning:t("share.notLoaded")};const i=s.find(t=>t.value===e||t.legacyValue===e);return i?{value:i.value,warning:""}:{value:e,warning:t(n)}}we&&e?.settingsCodec&&(document.getElementById("copySettingsButton")?.addEventListener("click",()=>{(async function(){const n=e.settingsCodec.encode(await Pe());we.value=n;try{await navigator.clipboard.writeText(n),Te(t("share.copied"),"success")}catch(e){we.focus(),we.select(),Te(t("share.copyHint"))}})().catch(e=>Te(t("share.copyFailed",{error:e?.message||e}),"error"))}),document.getElementById("pasteSettingsButton")?.addEventListener("click",()=>{(async function(){let n,i=we.value.trim();if(!i)try{i=(await navigator.clipboard.readText()).trim(),we.value=i}catch(e){return Te(t("share.pasteHint")),void we.focus()}try{n=e.settingsCodec.decode(i)}catch(e){return void Te(String(e?.message||e),"error")}const o=[];if("string"==typeof n.function){const e=qe(n.function,"share.notOnChannel");n.function=e.value,o.push(e.warning)}if("string"==typeof n.longPressFunction&&n.longPressFunction){const e=qe(n.longPressFunction,"share.longPressNotOnChannel");n.longPressFunction=e.value,o.push(e.warning)}const s=Array.from(new Set(o.filter(Boolean))).join(" "),r=globalThis.SDPIComponents.streamDeckClient;await r.setSettings({...await Pe(),...n}),await r.getSettings(),we.value="",Te(s?t("share.pastedWithWarning",{warning:s}):t("share.pasted"),s?"error":"success")})().catch(e=>Te(t("share.pasteFailed",{error:e?.message||e}),"error"))}),we.addEventListener("keydown",e=>{"Enter"===e.key&&(e.preventDefault(),document.getElementById("pasteSettingsButton")?.click())})),e?.bus?.on?.(n=>{const o=n?.functionsLoaded;if(!0===o){const t=l?.resolve?.(n)||null;if(!t)return void e?.bus?.send?.("refreshFunctions");i?.setLoading?.(!1),document.getElementById("functionDropdown")?.classList.remove("pi-dropdown--error");const o=String(n.functionsHash||"");o&&o===c||(c=o,M(t))}!1===o&&(c="",document.getElementById("functionDropdown")?.classList.add("pi-dropdown--error"),i?.setLoading?.(!0,()=>t("common.noInstallation")),i?.setItems?.([]),_e?.setItems?.([]),N(null),j(""))}),e?.util?.onDocumentReady?.(()=>{const t=m();t?r=t:N(null),i?.setSelectedValue?.(r,{rerender:!1});const n=l?.current?.()||null;n&&(i?.setLoading?.(!1),c=n.hash,M(n.groups)),e?.protocol?.connect?.({functionsCache:{channel:n?.channel||"",hash:n?.hash||""}})}),e?.i18n?.onChange?.(()=>{if(0===s.length)return;const e=s.find(e=>e.value===r);e?N(e):K(r),ke()})}();
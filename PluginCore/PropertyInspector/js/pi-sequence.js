@@ -0,0 +1,2 @@
+/* generated: pi-sequence.js */
+!function(){const e=globalThis.SCPI,n=(n,t)=>e?.i18n?.t?.(n,t)??n;e?.bus?.start?.();const t=6e4,o=1e4,s=document.getElementById("sequenceSteps"),i=document.getElementById("sequenceAddStep"),a=document.getElementById("sequenceEmpty");let c=[],l=1,d=[],r="",u=!0,p=!1,m=null;const f=e?.functionsCache?.createTracker?.()||null,[h,g]=globalThis.SDPIComponents.useSettings("steps",e=>{p||M(e)});function y(e,n,t){const o=parseInt(String(e??""),10);return Number.isFinite(o)?Math.min(t,Math.max(n,o)):null}function _(){p=!0,g(c.map(e=>{const n={function:e.function||"",delayMs:e.delayMs};return null!==e.holdMs&&(n.holdMs=e.holdMs),n})),setTimeout(()=>{p=!1},200)}function q(e){return e&&d.find(n=>n.value===e||n.legacyValue===e)||null}function E(e){d=function(e){const t=[];for(const o of Array.isArray(e)?e:[])for(const e of Array.isArray(o?.options)?o.options:[]){const s=String(e.bindingType||"").toLowerCase();if("mouseaxis"===s||"joystick"===s||"gamepad"===s)continue;const i="unbound"===s;t.push({value:e.value,legacyValue:e.legacyValue,text:e.text,searchText:String(e.searchText||""),group:o.label||n("common.otherGroup"),details:e.details,unbound:i,disabled:!!e.disabled&&!i})}return t}(e);let t=!1;for(const e of c){const n=q(e.function);n&&n.value!==e.function&&(e.function=n.value,t=!0),e.dropdown?.setItems?.(d),e.dropdown?.setSelectedValue?.(e.function,{rerender:!1}),v(e)}t&&_()}function v(e){const t=e.el?.querySelector(".pi-sequence__selected");if(!t)return;const o=q(e.function),s=!!e.function&&!o&&!u;t.textContent=o?o.text:s?n("common.functionNotFound"):"",t.classList.toggle("pi-sequence__selected--missing",s||!!o?.unbound),t.hidden=!t.textContent}function S(e,t,o,s){const i=document.createElement("label");i.className="pi-sequence__field";const a=document.createElement("span");a.className="pi-sequence__field-label",a.setAttribute("data-i18n",e),a.textContent=n(e);const c=document.createElement("input");c.type="number",c.className=`pi-sequence__input ${t}`,c.min="0",c.max=String(s.max),c.step="50",s.placeholderKey&&(c.setAttribute("data-i18n-placeholder",s.placeholderKey),c.placeholder=n(s.placeholderKey)),c.value=null===o?"":String(o);const l=document.createElement("span");return l.className="pi-sequence__field-unit",l.textContent="ms",i.appendChild(a),i.appendChild(c),i.appendChild(l),{fieldEl:i,inputEl:c}}function b(e){const i=document.createElement("li");i.className="pi-sequence__step",i.dataset.uid=String(e.uid);const a=document.createElement("div");a.className="pi-sequence__step-header";const l=document.createElement("button");l.type="button",l.className="pi-sequence__handle",l.draggable=!0,l.textContent="⠇",l.setAttribute("data-i18n-title","sequence.dragHandle"),l.title=n("sequence.dragHandle"),l.addEventListener("dragstart",e=>function(e,n){m=n,n.classList.add("pi-sequence__step--dragging"),e.dataTransfer&&(e.dataTransfer.effectAllowed="move",e.dataTransfer.setData("text/plain",n.dataset.uid||""),e.dataTransfer.setDragImage?.(n,16,16))}(e,i)),l.addEventListener("dragend",w),l.addEventListener("keydown",n=>function(e,n){if(!e.altKey||"ArrowUp"!==e.key&&"ArrowDown"!==e.key)return;e.preventDefault(),function(e,n){const t=c.indexOf(e),o=Math.max(0,Math.min(c.length-1,n));if(t<0||t===o)return;c.splice(t,1),c.splice(o,0,e),c.forEach(e=>s?.appendChild(e.el)),x(),_()}(n,c.indexOf(n)+("ArrowUp"===e.key?-1:1)),n.el.querySelector(".pi-sequence__handle")?.focus?.()}(n,e));const d=document.createElement("span");d.className="pi-sequence__index";const r=document.createElement("div");r.className="pi-dropdown pi-sequence__function",r.id=`sequenceStep-${e.uid}`,r.setAttribute("data-i18n-placeholder","common.searchFunctions"),r.setAttribute("data-placeholder",n("common.searchFunctions"));const u=document.createElement("button");u.type="button",u.className="pi-sequence__remove",u.textContent="×",u.addEventListener("click",()=>function(e){e.dropdown?.destroy?.(),e.el?.remove(),c=c.filter(n=>n!==e),x(),_()}(e)),a.appendChild(l),a.appendChild(d),a.appendChild(r),a.appendChild(u);const p=document.createElement("div");p.className="pi-sequence__selected",p.hidden=!0;const f=document.createElement("div");f.className="pi-sequence__timing";const h=S("sequence.wait","pi-sequence__delay",e.delayMs,{max:t});h.inputEl.addEventListener("change",()=>{e.delayMs=y(h.inputEl.value,0,t)??0,h.inputEl.value=String(e.delayMs),_()});const g=S("sequence.hold","pi-sequence__hold",e.holdMs,{max:o,placeholderKey:"sequence.auto"});return g.inputEl.addEventListener("change",()=>{const n=y(g.inputEl.value,0,o);e.holdMs=n&&n>0?n:null,g.inputEl.value=null===e.holdMs?"":String(e.holdMs),_()}),f.appendChild(h.fieldEl),f.appendChild(g.fieldEl),i.appendChild(a),i.appendChild(p),i.appendChild(f),i}function x(){c.forEach((e,t)=>{const o=e.el.querySelector(".pi-sequence__index");o&&(o.textContent=String(t+1)),e.el.querySelector(".pi-sequence__handle")?.setAttribute("aria-label",n("sequence.moveStep",{index:t+1})),e.el.querySelector(".pi-sequence__remove")?.setAttribute("aria-label",n("sequence.removeStep",{index:t+1}))}),a&&(a.hidden=c.length>0),i&&(i.disabled=c.length>=20)}function C(i){const a={uid:l++,function:"string"==typeof i?.function?i.function:"",delayMs:y(i?.delayMs,0,t)??0,holdMs:y(i?.holdMs,1,o),el:null,dropdown:null};return a.el=b(a),s?.appendChild(a.el),a.dropdown=function(t){const o=e?.ui?.dropdown?.initDropdown?.({rootId:`sequenceStep-${t.uid}`,searchEnabled:!0,minLoadingMs:0,successFlashMs:100,emptyText:()=>n("common.noMatchingFunctions"),collapseStorageKey:"scsd.dropdownGroups.sequenceStep",getText:e=>String(e?.text??""),getValue:e=>String(e?.value??""),getGroup:e=>String(e?.group??""),getSearchFields:e=>({label:e?.text,actionName:e?.details?.actionName,searchText:e?.searchText}),isDisabled:e=>!!e?.disabled,onSelect:e=>{t.function=e.value,o?.setSelectedValue?.(e.value,{rerender:!0}),v(t),_()}});return u?o?.setLoading?.(!0,()=>n("common.loadingFunctions")):(o?.setItems?.(d),o?.setSelectedValue?.(t.function,{rerender:!1})),o}(a),v(a),c.push(a),a}function M(e){!function(){for(const e of c)e.dropdown?.destroy?.(),e.el?.remove();c=[]}();for(const n of(Array.isArray(e)?e:[]).slice(0,20))C(n);x()}function w(){if(!m)return;m.classList.remove("pi-sequence__step--dragging"),m=null;const e=c.map(e=>e.uid).join(",");!function(){const e=new Map(c.map(e=>[String(e.uid),e]));c=Array.from(s?.children||[]).map(n=>e.get(n.dataset.uid)).filter(e=>e)}(),x(),c.map(e=>e.uid).join(",")!==e&&_()}e?.ui?.filePicker?.createFilePicker?.({rootId:"audioFilePicker",placeholderText:()=>n("common.noFileSelected"),settingsKey:"clickSoundPath"}),e?.bus?.on?.(t=>{const o=t?.functionsLoaded;if(!0===o){const n=f?.resolve?.(t)||null;if(!n)return void e?.bus?.send?.("refreshFunctions");u=!1,c.forEach(e=>e.dropdown?.setLoading?.(!1));const o=String(t.functionsHash||"");o&&o===r||(r=o,E(n))}!1===o&&(r="",u=!0,d=[],c.forEach(e=>{e.dropdown?.setLoading?.(!0,()=>n("common.noInstallation")),e.dropdown?.setItems?.([])}))}),s?.addEventListener("dragover",function(e){if(!m)return;e.preventDefault();const n=e.target?.closest?.(".pi-sequence__step");if(!n||n===m)return;const t=n.getBoundingClientRect(),o=e.clientY>t.top+t.height/2;s.insertBefore(m,o?n.nextSibling:n)}),s?.addEventListener("drop",e=>e.preventDefault()),i?.addEventListener("click",function(){if(c.length>=20)return;const e=C({delayMs:c.length>0?250:0});x(),_(),e.el.querySelector(".pi-dropdown__search")?.focus?.()}),e?.util?.onDocumentReady?.(()=>{M(h());const n=f?.current?.()||null;n&&(u=!1,r=n.hash,c.forEach(e=>e.dropdown?.setLoading?.(!1)),E(n.groups)),e?.protocol?.connect?.({functionsCache:{channel:n?.channel||"",hash:n?.hash||""}})}),e?.i18n?.onChange?.(()=>{x(),c.forEach(v)})}();
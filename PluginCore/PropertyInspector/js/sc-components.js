@@ -1,2 +1,2 @@
 /* generated: sc-components.js */
-(function(){function r(n,t){let i;return function(...r){const u=()=>{clearTimeout(i),n(...r)};clearTimeout(i);i=setTimeout(u,t)}}function u(n){document.readyState==="loading"?document.addEventListener("DOMContentLoaded",n):n()}function f(t,i={}){try{if(!n.SDPIComponents?.streamDeckClient?.send){console.warn("[sc-common] SDPIComponents.streamDeckClient.send not available");return}n.SDPIComponents.streamDeckClient.send("sendToPlugin",{event:t,...i})}catch(r){console.error("[sc-common] sendToPlugin failed",r)}}const n=globalThis,i=n.SCPI=n.SCPI||{},t=i.util=i.util||{};t.debounce=r;t.onDocumentReady=u;t.sendToPlugin=f;typeof n.debounce!="function"&&(n.debounce=r);typeof n.onDocumentReady!="function"&&(n.onDocumentReady=u);typeof n.sendToPlugin!="function"&&(n.sendToPlugin=f)})(),function(){function e(){return n.SDPIComponents?.streamDeckClient||null}function i(n,t={}){const i=e();if(!i?.send){console.warn("[sc-bus] SDPI streamDeckClient.send not available");return}i.send("sendToPlugin",{event:n,...t})}function s(n,t,u={}){const f=String(n||"").trim();if(!f){i(t,u);return}r.has(f)||(r.add(f),i(t,u))}function h(n){return typeof n!="function"?()=>{}:(t.add(n),()=>t.delete(n))}function c(){if(!u){u=!0;const n=()=>{if(!f){const i=e(),r=i?.sendToPropertyInspector?.subscribe;if(typeof r!="function"){setTimeout(n,0);return}f=!0;i.sendToPropertyInspector.subscribe(n=>{if(n?.event==="sendToPropertyInspector"&&n.payload)for(const i of Array.from(t))try{i(n.payload,n)}catch(r){console.error("[sc-bus] listener failed",r)}})}};n()}}const n=globalThis,o=n.SCPI=n.SCPI||{},t=new Set,r=new Set;let u=!1,f=!1;o.bus={start:c,on:h,send:i,sendOnce:s}}(),function(){function i(){const n=document.createElementNS("http://www.w3.org/2000/svg","svg");n.setAttribute("class","pi-dropdown__arrow");n.setAttribute("fill","none");n.setAttribute("height","20");n.setAttribute("width","20");n.setAttribute("xmlns","http://www.w3.org/2000/svg");const t=document.createElementNS("http://www.w3.org/2000/svg","path");return t.setAttribute("d","m5 7.5 5 5 5-5"),t.setAttribute("stroke","var(--color-primary)"),t.setAttribute("stroke-linecap","round"),t.setAttribute("stroke-linejoin","round"),t.setAttribute("stroke-width","2"),n.appendChild(t),n}function r(n,t={}){const s=!!n.querySelector(".pi-dropdown__search"),h=!!n.querySelector(".pi-dropdown__toggle"),c=!!n.querySelector(".pi-dropdown__menu");if(!s||!h||!c){const l=typeof t.placeholder=="string"?t.placeholder:n.getAttribute("data-placeholder")||"",r=document.createElement("div");r.className="pi-dropdown__input-row";const f=document.createElement("div");f.className="pi-dropdown__input-wrapper";const u=document.createElement("input");u.className="pi-dropdown__search";u.type="text";u.placeholder=l;f.appendChild(u);const e=document.createElement("div");e.className="pi-dropdown__toggle";e.appendChild(i());r.appendChild(f);r.appendChild(e);const o=document.createElement("div");o.className="pi-dropdown__menu";n.replaceChildren(r,o)}}function u(t={}){function l(){return u.classList.contains("pi-dropdown--open")}function lt(n){d&&(n?d.classList.add("pi-dropdown__arrow--open"):d.classList.remove("pi-dropdown__arrow--open"))}function it(n){if(h.textContent="",!Array.isArray(n)||n.length===0){const n=document.createElement("div");n.className="pi-dropdown__empty-state";n.textContent=bt;h.appendChild(n);return}if(ot){const t=new Map;for(const i of n){const n=String(ot(i)??"");t.has(n)||t.set(n,[]);t.get(n).push(i)}for(const[n,i]of t.entries()){if(n){const t=document.createElement("div");t.className="pi-dropdown__group-header";t.textContent=n;h.appendChild(t)}for(const n of i)h.appendChild(at(n))}}else for(const t of n)h.appendChild(at(t))}function at(n){const t=document.createElement("div");t.className="pi-dropdown__option";const u=!!n?.unbound,r=wt(n);r&&t.classList.add("disabled");const i=document.createElement("span");if(i.className="pi-dropdown__option-label",i.textContent=p(n),t.appendChild(i),u){const n=document.createElement("span");n.className="pi-dropdown__option-badge pi-dropdown__option-badge--warn";n.textContent="!";n.title="Unbound";t.appendChild(n)}return t.addEventListener("mousedown",()=>{tt=!0}),t.addEventListener("click",()=>{r||ti(n)}),t}function vt(n){const i=(n||"").toLowerCase().trim();let t=a.filter(n=>p(n).toLowerCase().includes(i));return t.length>ft&&(t=t.slice(0,ft)),t}function k(){if(!e)if(u.classList.add("pi-dropdown--open"),lt(!0),f){const n=(i.value||"").trim();it(n?vt(n):a)}else it(a)}function v(){u.classList.remove("pi-dropdown--open");lt(!1)}function yt(){e||(l()?v():k())}function gt(n){a=Array.isArray(n)?n:[];l()&&k()}function ni(n,t={}){if(nt=typeof n=="string"?n:"",ht){const n=a.find(n=>et(n)===nt);i.value=n?p(n):""}t.rerender&&l()&&k()}function ti(n){e||(nt=et(n),ht&&(i.value=p(n)),f&&(i.value=""),v(),st&&st(n),setTimeout(()=>{tt=!1},200))}function pt(n){if(f&&!e){const t=n?.target?.value??"";it(vt(t));!l()&&String(t).trim()&&k()}}function ii(){f&&(tt||(l()&&v(),i.value=""))}function ri(n){f||e||(n?.stopPropagation?.(),yt())}function ei(n,t="Loading"){const r=!!n;if(r===e){e&&o&&(o.textContent=String(t||"Loading"));return}if(w+=1,c&&(clearTimeout(c),c=null),r){e=!0;ct=Date.now();v();u.classList.remove("pi-dropdown--success");u.classList.add("pi-dropdown--loading");i.readOnly=!0;i.setAttribute("readonly","");i.blur?.();y.setAttribute("aria-disabled","true");o&&(o.textContent=String(t||"Loading"));return}const f=w,s=Date.now()-ct,h=Math.max(0,kt-s);c=setTimeout(()=>{f===w&&(u.classList.remove("pi-dropdown--loading"),u.classList.add("pi-dropdown--success"),o&&typeof g=="string"&&g.trim().length>0&&(o.textContent=g),c=setTimeout(()=>{f===w&&(u.classList.remove("pi-dropdown--success"),y.removeAttribute("aria-disabled"),i.readOnly=ui,fi?i.setAttribute("readonly",""):i.removeAttribute("readonly"),e=!1,c=null)},dt))},h)}const rt=t.rootId;if(!rt)return null;const u=document.getElementById(rt);if(!u)return null;r(u,{placeholder:t.placeholder});const i=u.querySelector(".pi-dropdown__search"),y=u.querySelector(".pi-dropdown__toggle"),d=u.querySelector(".pi-dropdown__arrow"),h=u.querySelector(".pi-dropdown__menu"),ut=u.querySelector(".pi-dropdown__input-wrapper");if(!i||!y||!h)return null;const f=t.searchEnabled!==!1,ft=typeof t.maxResults=="number"?t.maxResults:50,p=typeof t.getText=="function"?t.getText:n=>String(n?.text??""),et=typeof t.getValue=="function"?t.getValue:n=>String(n?.value??""),ot=typeof t.getGroup=="function"?t.getGroup:null,wt=typeof t.isDisabled=="function"?t.isDisabled:n=>!!n?.disabled,st=typeof t.onSelect=="function"?t.onSelect:null,bt=typeof t.emptyText=="string"?t.emptyText:"No items found",ht=t.displaySelectedInInput!==undefined?!!t.displaySelectedInInput:!f,kt=typeof t.minLoadingMs=="number"?t.minLoadingMs:500,dt=typeof t.successFlashMs=="number"?t.successFlashMs:220,g=typeof t.successText=="string"?t.successText:"";let a=[],nt="",tt=!1,e=!1,ct=0,w=0,c=null,s=null,o=null,b=null;if(ut){s=document.createElement("div");s.className="pi-dropdown__loading";s.setAttribute("aria-hidden","true");const n=document.createElement("span");n.className="pi-spinner";n.setAttribute("aria-hidden","true");o=document.createElement("span");o.className="pi-dropdown__loading-label";b=document.createElement("span");b.className="pi-dropdown__loading-dots";for(let n=0;n<3;n+=1){const n=document.createElement("span");n.className="pi-dropdown__loading-dot";n.textContent=".";b.appendChild(n)}s.appendChild(o);s.appendChild(b);s.appendChild(n);ut.appendChild(s)}f||(i.readOnly=!0,i.setAttribute("readonly",""));const ui=i.readOnly,fi=i.hasAttribute("readonly");if(f){const t=n.SCPI?.util?.debounce||n.debounce,r=typeof t=="function"?t(pt,150):pt;i.addEventListener("input",r);i.addEventListener("blur",ii)}else i.addEventListener("click",ri);return y.addEventListener("click",n=>{n.stopPropagation(),yt()}),document.addEventListener("click",n=>{u.contains(n.target)||(l()&&v(),f&&(i.value=""))},!0),{setItems:gt,setSelectedValue:ni,setLoading:ei}}const n=globalThis;const t=n.SCPI=n.SCPI||{};t.ui=t.ui||{};t.ui.dropdown={initDropdown:u};n.SCDropdown=n.SCDropdown||t.ui.dropdown}(),function(){function e(n){try{return decodeURIComponent(n)}catch(t){return n}}function i(n){return typeof n!="string"?"":e(String(n).replace(/^C:\\fakepath\\/i,""))}function r(n){return typeof n!="string"||n.length===0?"":n.split("\\").pop().split("/").pop()}function o(n,t={}){const c=n.querySelector(".file-picker-container");if(!c){const h=typeof t.accept=="string"?t.accept:n.getAttribute("data-accept")||"",l=typeof t.placeholderText=="string"?t.placeholderText:n.getAttribute("data-placeholder")||"No file selected",a=typeof t.buttonText=="string"?t.buttonText:n.getAttribute("data-button-text")||"FILE",v=typeof t.selectTitle=="string"?t.selectTitle:n.getAttribute("data-select-title")||"Select file",y=typeof t.clearTitle=="string"?t.clearTitle:n.getAttribute("data-clear-title")||"Clear",i=document.createElement("div");i.className="file-picker-container";const f=document.createElement("input");f.type="file";f.style.display="none";h&&f.setAttribute("accept",h);const e=document.createElement("div");e.className="file-picker-display";const o=document.createElement("span");o.className="filename-text";o.textContent=l;e.appendChild(o);const u=document.createElement("button");u.className="file-picker-button";u.type="button";u.title=v;const s=document.createElement("span");s.className="button-icon";s.textContent=a;u.appendChild(s);const r=document.createElement("button");r.className="file-picker-clear";r.type="button";r.title=y;r.disabled=!0;r.textContent="X";i.appendChild(f);i.appendChild(e);i.appendChild(u);i.appendChild(r);n.replaceChildren(i)}}function u(t={}){function p(n){const t=typeof n=="string"&&n.length>0,i=t?rt==="full"?n:r(n):it;a.textContent=i;a.title=t?n:"";c.disabled=!t}function f(n,t={}){const r=t.persist!==!1,u=!!t.silent,i=typeof n=="string"?n:"";if(s=i,p(s),!u&&b)try{b(s)}catch(f){}if(r&&y){v=!0;try{y(i.length>0?i:null)}finally{setTimeout(()=>{v=!1},50)}}}function nt(){e.value="";f("",{persist:!0})}const w=t.rootId,u=w?document.getElementById(w):null;if(!u)return null;o(u,t);const tt=t.filenameSelector||".filename-text",it=t.placeholderText||"No file selected",h=t.settingsKey,rt=t.displayMode||"basename",b=typeof t.onValueChanged=="function"?t.onValueChanged:null,k=typeof t.initialValue=="string"?t.initialValue:"",e=u.querySelector('input[type="file"]'),d=u.querySelector(".file-picker-button"),c=u.querySelector(".file-picker-clear"),l=u.querySelector(".file-picker-display"),a=l?l.querySelector(tt):null;if(!e||!d||!c||!l||!a)return null;let s="",v=!1,y=null,g=null;return d.addEventListener("click",()=>{e.click()}),e.addEventListener("change",n=>{const t=n?.target?.files?.[0],u=n?.target?.value||"",e=i(u),r=t?.path||e;if(r){f(r,{persist:!0});return}t?.name&&p(t.name)}),c.addEventListener("click",()=>{nt()}),typeof h=="string"&&h.length>0&&n.SDPIComponents?.useSettings&&([g,y]=n.SDPIComponents.useSettings(h,n=>{v||f(typeof n=="string"?n:"",{persist:!1})}),Promise.resolve(g()).then(n=>{f(typeof n=="string"?n:"",{persist:!1})}).catch(()=>{})),p(""),k&&f(k,{persist:!1,silent:!0}),{setValue:f,clear:nt,getValue:()=>s}}function f(t={}){function y(n){const t=typeof n=="string"&&n.length>0,i=t?et==="full"?n:r(n):ft;l.textContent=i;l.title=t?n:"";c.disabled=!t}function f(n,t={}){const r=t.persist!==!1,u=!!t.silent,i=typeof n=="string"?n:"";if(s=i,y(s),!u&&p)try{p(s)}catch(f){}if(r&&v){a=!0;try{v(i.length>0?i:null)}finally{setTimeout(()=>{a=!1},50)}}}function g(){e.value="";f("",{persist:!0})}if(typeof t.rootId=="string"&&t.rootId.length>0)return u(t);const nt=t.inputId,tt=t.buttonId,it=t.clearId,rt=t.displayId,ut=t.filenameSelector||".filename-text",ft=t.placeholderText||"No file selected",h=t.settingsKey,et=t.displayMode||"basename",p=typeof t.onValueChanged=="function"?t.onValueChanged:null,w=typeof t.initialValue=="string"?t.initialValue:"",e=document.getElementById(nt),b=document.getElementById(tt),c=document.getElementById(it),o=document.getElementById(rt),l=o?o.querySelector(ut):null;if(!e||!b||!c||!o||!l)return null;const ot=document.createElement("div"),k=o.closest(".file-picker-container");k&&ot.appendChild(k.cloneNode(!0));let s="",a=!1,v=null,d=null;return b.addEventListener("click",()=>{e.click()}),e.addEventListener("change",n=>{const t=n?.target?.files?.[0],u=n?.target?.value||"",e=i(u),r=t?.path||e;if(r){f(r,{persist:!0});return}t?.name&&y(t.name)}),c.addEventListener("click",()=>{g()}),typeof h=="string"&&h.length>0&&n.SDPIComponents?.useSettings&&([d,v]=n.SDPIComponents.useSettings(h,n=>{a||f(typeof n=="string"?n:"",{persist:!1})}),Promise.resolve(d()).then(n=>{f(typeof n=="string"?n:"",{persist:!1})}).catch(()=>{})),y(""),w&&f(w,{persist:!1,silent:!0}),{setValue:f,clear:g,getValue:()=>s}}const n=globalThis;const t=n.SCPI=n.SCPI||{};t.ui=t.ui||{};t.ui.filePicker={createFilePicker:u,initFilePicker:f};n.SCFilePicker=n.SCFilePicker||{initFilePicker:f}}(),function(){function i(n,t){if(n&&typeof n=="string"){t&&(t.href=`../css/themes/${n}`);try{localStorage.setItem(r,n)}catch(i){}}}function u(r={}){const o=r.rootId||"themeDropdown",s=r.linkId||"pi-theme-styles",u=document.getElementById(s);if(u){let e=[];n.bus?.start?.();const f=n.ui?.dropdown?.initDropdown?.({rootId:o,searchEnabled:!1,displaySelectedInInput:!0,minLoadingMs:500,successFlashMs:220,emptyText:"No themes found",getText:n=>String(n?.name??""),getValue:n=>String(n?.file??""),onSelect:r=>{const f=String(r?.file??"");f&&(i(f,u),(n.bus?.send||n.util?.sendToPlugin||t.sendToPlugin)?.("setTheme",{themeFile:f}))}});f?.setLoading?.(!0,"Loading themes");n.bus?.on?.(n=>{if(n&&(n.themesLoaded&&(e=n.themes||[],f?.setItems?.(e),f?.setLoading?.(!1)),typeof n.selectedTheme=="string"&&n.selectedTheme.length>0)){const t=n.selectedTheme;i(t,u);f?.setSelectedValue?.(t,{rerender:!0})}});try{const t=u.getAttribute("href")||"",n=t.split("/").pop().split("?")[0];n&&(i(n,u),f?.setSelectedValue?.(n,{rerender:!0}))}catch(h){}}}const t=globalThis,n=t.SCPI=t.SCPI||{},r="scsd.selectedTheme";n.theme={initThemeDropdown:u};t.SCTheme=t.SCTheme||n.theme}()
+!function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=n.util=n.util||{};function o(e,n){let t;return function(...o){clearTimeout(t),t=setTimeout(()=>{clearTimeout(t),e(...o)},n)}}function i(e){"loading"===document.readyState?document.addEventListener("DOMContentLoaded",e):e()}function r(n,t={}){try{if(!e.SDPIComponents?.streamDeckClient?.send)return void console.warn("[sc-common] SDPIComponents.streamDeckClient.send not available");e.SDPIComponents.streamDeckClient.send("sendToPlugin",{event:n,...t})}catch(e){console.error("[sc-common] sendToPlugin failed",e)}}t.debounce=o,t.onDocumentReady=i,t.sendToPlugin=r,"function"!=typeof e.debounce&&(e.debounce=o),"function"!=typeof e.onDocumentReady&&(e.onDocumentReady=i),"function"!=typeof e.sendToPlugin&&(e.sendToPlugin=r)}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=new Set,o=new Set,i=new Map;let r=0,s=!1,a=!1;class l extends Error{constructor(e,n,t,o){super(e),this.name="BusRequestError",this.code=n,this.event=t,this.requestId=o}}class c extends l{constructor(e,n,t){super(`No response from plugin for '${e}' within ${t} ms`,"timeout",e,n),this.name="RequestTimeoutError",this.timeoutMs=t}}class d extends l{constructor(e,n,t){super(String(t||"Request failed."),"failed",e,n),this.name="RequestFailedError"}}class u extends l{constructor(e){super("Stream Deck client not available","unavailable",e,""),this.name="BusUnavailableError"}}function p(){return e.SDPIComponents?.streamDeckClient||null}function g(e,n={}){const t=p();t?.send?t.send("sendToPlugin",{event:e,...n}):console.warn("[sc-bus] SDPI streamDeckClient.send not available")}function h(){if(s)return;s=!0;const e=()=>{if(a)return;const o=p(),r=o?.sendToPropertyInspector?.subscribe;"function"==typeof r?(a=!0,o.sendToPropertyInspector.subscribe(e=>{if("sendToPropertyInspector"===e?.event&&e.payload&&!(function(e){const n="string"==typeof e?.requestId?e.requestId:"";if(!n)return!1;const t=i.get(n);return!t||(i.delete(n),clearTimeout(t.timer),!1===e.ok?t.reject(new d(t.event,n,e.error)):t.resolve(e.result||{}),!0)}(e.payload)||n.protocol?.accept&&!1===n.protocol.accept(e.payload)))for(const n of Array.from(t))try{n(e.payload,e)}catch(e){console.error("[sc-bus] listener failed",e)}})):setTimeout(e,0)};e()}n.bus={start:h,on:function(e){return"function"!=typeof e?()=>{}:(t.add(e),()=>t.delete(e))},send:g,sendOnce:function(e,n,t={}){const i=String(e||"").trim();i?o.has(i)||(o.add(i),g(n,t)):g(n,t)},request:function(e,n={},t={}){const o=p();if(!o?.send)return Promise.reject(new u(e));h();const s="number"==typeof t.timeoutMs&&t.timeoutMs>0?t.timeoutMs:1e4,a=(r+=1,`${Date.now().toString(36)}-${r}`);return new Promise((t,r)=>{const l=setTimeout(()=>{i.delete(a),r(new c(e,a,s))},s);i.set(a,{event:e,resolve:t,reject:r,timer:l}),o.send("sendToPlugin",{...n,event:e,requestId:a})})},errors:{BusRequestError:l,RequestTimeoutError:c,RequestFailedError:d,BusUnavailableError:u}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t="scsd.uiLanguage",o="scsd.gameLanguage",i="auto",r="en",s={english:"en","german_(germany)":"de","french_(france)":"fr","italian_(italy)":"it","spanish_(spain)":"es","spanish_(latin_america)":"es","portuguese_(brazil)":"pt","polish_(poland)":"pl","japanese_(japan)":"ja","korean_(south_korea)":"ko","chinese_(simplified)":"zh-hans","chinese_(traditional)":"zh-hant"},a=new Set(["title","placeholder","aria-label"]),l=new Map,c=new Set;let d=g(t)||i,u=g(o)||r,p=r;function g(e){try{const n=localStorage.getItem(e);return"string"==typeof n?n.trim():""}catch(e){return""}}function h(e,n){try{localStorage.setItem(e,n)}catch(e){}}function f(e){return String(e||"").trim().toLowerCase()}function m(e){return s[f(e)]||""}function b(){return l.has(u)?u:r}function y(){return d!==i&&l.has(d)?d:b()}function w(e,n){const t=String(e||""),o=l.get(p)?.strings,i=l.get(r)?.strings;let s=o&&"string"==typeof o[t]?o[t]:null;return null===s&&(s=i&&"string"==typeof i[t]?i[t]:t),n?s.replace(/\{(\w+)}/g,(e,t)=>Object.prototype.hasOwnProperty.call(n,t)?String(n[t]):e):s}function k(e,n){const t=String(n).split(/<b>(.*?)<\/b>/);if(1===t.length)return void(e.textContent=n);const o=t.map((e,n)=>{if(n%2==0)return document.createTextNode(e);const t=document.createElement("b");return t.textContent=e,t});e.replaceChildren(...o)}function v(e,n,t){if(a.has(n)){const o=e instanceof HTMLInputElement||e instanceof HTMLTextAreaElement;if("placeholder"===n&&!o){e.setAttribute("data-placeholder",t);const n=e.querySelector(":scope > .pi-dropdown__input-row input");return void(n&&(n.placeholder=t))}return void e.setAttribute(n,t)}e.setAttribute(`data-${n}`,t)}function C(e=document){if(e?.querySelectorAll){for(const n of e.querySelectorAll("*"))for(const e of Array.from(n.attributes))"data-i18n"===e.name?k(n,w(e.value)):e.name.startsWith("data-i18n-")&&v(n,e.name.slice(10),w(e.value));e===document&&document.documentElement&&(document.documentElement.lang=p)}}function S(){const e=y();e!==p&&(p=e,C(document),c.forEach(e=>{try{e(p)}catch(e){console.error("[sc-i18n] change listener failed",e)}}))}function P(e){const n=m(e)||r;n!==u&&(u=n,h(o,n),S())}n.bus?.on?.(e=>{"string"==typeof e?.gameLanguage&&e.gameLanguage.length>0&&P(e.gameLanguage)}),queueMicrotask(()=>{p=y(),C(document)}),n.i18n={AUTO:i,t:w,reason:function(e){const n=String(e||""),t=`reasons.${n}`;return w(t)===t?n:w(t)},apply:C,addPack:function(e,n){const t=f(e);t&&n&&"object"==typeof n&&l.set(t,{name:String(n.name||t),strings:n.strings&&"object"==typeof n.strings?n.strings:{}})},getLanguages:function(){return Array.from(l.entries()).map(([e,n])=>({code:e,name:n.name})).sort((e,n)=>e.code===r?-1:n.code===r?1:e.name.localeCompare(n.name))},getLanguage:()=>p,getSetting:()=>d,getAutoLanguage:b,setSetting:function(e){const n=f(e)||i;d=n===i||l.has(n)?n:i,h(t,d),S()},setGameLanguage:P,fromGameLanguage:m,onChange:function(e){return"function"!=typeof e?()=>{}:(c.add(e),()=>c.delete(e))}}}(),SCPI.i18n.addPack("de",{name:"Deutsch",strings:{"bindingChanges.added":"Neu","bindingChanges.dismiss":"Schließen","bindingChanges.hide":"Änderungen ausblenden","bindingChanges.keyLostBinding":"Die Funktion dieser Taste hat ihre Belegung verloren. Die Taste macht nichts, bis die Funktion wieder belegt ist.","bindingChanges.more":"…und {count} weitere","bindingChanges.rebound":"Geändert","bindingChanges.removed":"Entfernt","bindingChanges.show":"Änderungen anzeigen","bindingChanges.summary":"{added} neu, {removed} entfernt, {rebound} geändert","bindingChanges.title":"Tastenbelegung im Spiel geändert ({count})","bindingChanges.unbound":"nicht belegt","common.clearAudioFile":"Audiodatei entfernen","common.clearColour":"Farbe entfernen","common.clearImage":"Bild entfernen","common.colour":"Farbe","common.colourHint":"Wird verwendet, wenn kein Bild ausgewählt ist.","common.defaultImage":"Standardbild","common.functionNotFound":"Funktion in den aktuellen Tastenbelegungen nicht gefunden","common.image":"Bild","common.loadingFunctions":"Funktionen werden geladen","common.noFileSelected":"Keine Datei ausgewählt","common.noInstallation":"Keine Installation gefunden. Eigenen Pfad festlegen.","common.noMatchingFunctions":"Keine passenden Funktionen gefunden","common.otherGroup":"Sonstiges","common.pluginTimeout":"Das Plugin hat nicht rechtzeitig geantwortet.","common.searchFunctions":"Funktionen suchen...","common.selectAudioFile":"Audiodatei auswählen","common.selectImage":"Bild auswählen","common.sound":"Sound","common.title":"Titel","common.unbound":"Nicht belegt","conflicts.different":"Andere Aktivierung: das Spiel hält sie auseinander.","conflicts.heldLongEnough":"Löst ebenfalls aus, wenn die Stream Deck-Taste lange genug gehalten wird.","conflicts.quickPress":"Löst auch bei einem kurzen Druck aus, und genau den sendet diese Taste.","conflicts.releasedQuickly":"Löst stattdessen aus, wenn die Stream Deck-Taste schnell losgelassen wird.","conflicts.sameMode":"Gleicher Aktivierungsmodus: das Spiel kann sie nicht unterscheiden, beide lösen aus.","conflicts.summaryConflicts":"{count} von {total} lösen ebenfalls aus, wenn diese Taste gedrückt wird","conflicts.summaryShared":"{count} weitere Funktionen auf derselben Eingabe","conflicts.summarySharedOne":"1 weitere Funktion auf derselben Eingabe","conflicts.title":"Geteilt mit","conflicts.whileHeld":"Löst auch aus, solange die Eingabe gehalten wird, und genau das macht diese Taste.","controlPanel.actionFailed":"{action}: {error}","controlPanel.applyingOverride":"{channel}-Override wird angewendet","controlPanel.cacheBuilt":"Erstellt {time}","controlPanel.cacheExists":"Erstellt","controlPanel.cacheMissing":"Nicht erstellt","controlPanel.channel":"Channel:","controlPanel.channelActive":"Aktiv","controlPanel.channelAuto":"{channel} - Automatisch","controlPanel.channelCustom":"{channel} - Eigener Pfad","controlPanel.clearOverride":"{channel}-Override entfernen","controlPanel.clearOverrideFailed":"Entfernen des {channel}-Overrides fehlgeschlagen","controlPanel.clearingOverride":"{channel}-Override wird entfernt","controlPanel.customPaths":"Eigene Installationspfade","controlPanel.customPathsHint":"Lege Overrides pro Channel fest, indem du die passende <b>Data.p4k</b> auswählst.","controlPanel.factoryReset":"Werkseinstellungen","controlPanel.factoryResetConfirm":"Das Zurücksetzen auf Werkseinstellungen entfernt zwischengespeicherte Installationen, löscht alle eigenen Data.p4k-Overrides, setzt Theme- und Sprachauswahl zurück und erstellt die Tastenbelegungen neu.\n\nFortfahren?","controlPanel.factoryResetDone":"Zurücksetzen abgeschlossen.","controlPanel.factoryResetFailed":"Zurücksetzen fehlgeschlagen","controlPanel.factoryResetPending":"Zurücksetzen läuft","controlPanel.forceRedetection":"Neu erkennen","controlPanel.language":"Sprache:","controlPanel.languageAuto":"Automatisch (Spiel: {language})","controlPanel.languagePlaceholder":"Sprache der Oberfläche","controlPanel.lastInitialized":"Zuletzt initialisiert: {time}","controlPanel.loadingStatus":"Status wird geladen","controlPanel.noChannels":"Keine gültigen Channels","controlPanel.noOverride":"Kein Override","controlPanel.openFolder":"Ordner","controlPanel.openFolderFailed":"Öffnen des {channel}-Ordners fehlgeschlagen","controlPanel.openFolderTitle":"{channel}-Ordner öffnen","controlPanel.overrideApplied":"{channel}-Override angewendet.","controlPanel.overrideCleared":"{channel}-Override entfernt.","controlPanel.overrideFailed":"{channel}-Override fehlgeschlagen","controlPanel.preferredChannel":"Bevorzugter Channel","controlPanel.reasonChannelFolderMissing":"Channel-Ordner nicht gefunden","controlPanel.reasonDataP4KMissing":"Data.p4k nicht gefunden","controlPanel.rebuildCache":"Neu erstellen","controlPanel.rebuildCacheTitle":"{channel}-Tastenbelegungen aus Data.p4k und actionmaps.xml neu erstellen","controlPanel.rebuildDone":"{channel}-Tastenbelegungen neu erstellt.","controlPanel.rebuildFailed":"Neuerstellen der {channel}-Tastenbelegungen fehlgeschlagen","controlPanel.rebuildPending":"{channel}-Tastenbelegungen werden neu erstellt","controlPanel.redetectDone":"Erkennung abgeschlossen.","controlPanel.redetectFailed":"Erkennung fehlgeschlagen","controlPanel.redetectPending":"Installationen werden neu erkannt","controlPanel.selectP4K":"{channel}-Data.p4k auswählen","controlPanel.selectedTheme":"Ausgewähltes Theme","controlPanel.sourceAuto":"Automatisch erkannt","controlPanel.sourceCustom":"Eigener Pfad","controlPanel.sourceNone":"Nicht erkannt","controlPanel.status":"Installationsstatus","controlPanel.statusActions":"Aktionen","controlPanel.statusChannel":"Channel","controlPanel.statusInstallation":"Installation","controlPanel.statusKeybindings":"Tastenbelegungen","controlPanel.switchFailed":"Channel-Wechsel fehlgeschlagen","controlPanel.switched":"Zu {channel} gewechselt.","controlPanel.switching":"Wechsel zu {channel}","controlPanel.theme":"Theme:","controlPanel.title":"Control Panel","controlPanel.unknownError":"Unbekannter Fehler","description.modeTerms":"doppelt tippen|Doppeltippen|tippen|halten|drücken|loslassen","description.showEnglish":"Englisches Original anzeigen","description.showLess":"Weniger anzeigen","description.showMore":"Mehr anzeigen","description.showTranslation":"Übersetzung anzeigen","details.activation":"AKTIVIERUNG","details.gamepad":"GAMEPAD","details.joystick":"JOYSTICK","details.keyboard":"TASTATUR","details.mouse":"MAUS","diagram.again":"erneut","diagram.ariaLabel":"Aktivierungszeitpunkt: oben der Tastendruck, unten die Eingabe im Spiel","diagram.fires":"löst aus","diagram.game":"Spiel","diagram.held":"gehalten","diagram.heldRepeats":"gehalten, wiederholt","diagram.key":"Taste","diagram.off":"aus","diagram.on":"an","dial.accel":"Beschl.","dial.accelLabel":"Beschleunigung","dial.accelTooltip":"Zusätzliche Schritte bei schnellem Drehen; 0 bewegt bei jeder Geschwindigkeit gleich weit","dial.direction":"Richtung","dial.hint":"Maus X und Y bewegen sich 10 Pixel pro Schritt, das Mausrad einen Klick. Der Touchstreifen zeigt den zuletzt gesendeten Wert.","dial.invert":"Umkehren","dial.modifierAxis":"{function}: {axis} hat eine Zusatztaste, der Drehregler bewegt nur einfache Mausachsen","dial.push":"Drücken","dial.pushTooltip":"Läuft, wenn der Drehregler gedrückt oder der Touchstreifen angetippt wird","dial.removePush":"Funktion für Drücken entfernen","dial.rotate":"Drehen","dial.rotateTooltip":"Funktionen mit einer Mausachsen-Belegung","dial.searchAxis":"Achsen-Funktionen suchen...","dial.ticks":"Rasten","dial.ticksLabel":"Rasten pro Schritt","dial.ticksTooltip":"Rasten des Drehreglers für einen Achsenschritt","dropdown.addFavorite":"Zu Favoriten hinzufügen (Strg+D)","dropdown.collapseAll":"Alle einklappen","dropdown.collapseGroup":"Gruppe einklappen","dropdown.expandAll":"Alle ausklappen","dropdown.expandGroup":"Gruppe ausklappen","dropdown.loading":"Wird geladen","dropdown.noItems":"Keine Einträge gefunden","dropdown.removeFavorite":"Aus Favoriten entfernen (Strg+D)","filePicker.clear":"Entfernen","filePicker.select":"Datei auswählen","filters.activation":"Aktivierung","filters.ariaLabel":"Filter","filters.binding":"Belegung","filters.bound":"Belegt","filters.categories":"Kategorien","filters.clear":"Zurücksetzen","filters.device":"Gerät","filters.functions":"Funktionen","filters.hold":"Halten","filters.items":"Einträge","filters.keyboard":"Tastatur","filters.mouse":"Maus","filters.summary":"{shown} von {total} {items}","filters.tap":"Tippen","filters.toggle":"Umschalten","freeKey.assign":"Freie Taste zuweisen","freeKey.bindTo":"Auf {binding} legen","freeKey.binding":"{binding} wird zugewiesen…","freeKey.bound":"Auf {binding} gelegt. Tastenbelegungen werden aktualisiert…","freeKey.copied":"XML kopiert. Füge es in das <ActionProfiles>-Element der actionmaps.xml ein.","freeKey.copyHint":"Drücke Strg+C, um das markierte XML zu kopieren.","freeKey.copyXml":"XML kopieren","freeKey.hint":"Die Taste macht nichts, bis die Funktion eine Tastaturbelegung hat.","freeKey.looking":"Freie Tasten werden gesucht…","freeKey.noneFound":"Keine freie Taste gefunden. Belege die Funktion stattdessen im Spiel.","freeKey.nothingWritten":"Es wurde nichts geschrieben.","freeKey.pick":"Wähle eine Taste. Sie wird in deine actionmaps.xml geschrieben; Star Citizen muss geschlossen sein.","freeKey.snippetLabel":"actionmaps.xml-Ausschnitt","freeKey.title":"Im Spiel nicht belegt","freeKey.updatePlugin":"Aktualisiere das Plugin, um freie Tasten zuzuweisen.","functionKey.favorites":"Favoriten","functionKey.noDescription":"Keine Beschreibung verfügbar.","functionKey.recent":"Zuletzt verwendet","longPress.header":"Langer Druck","longPress.headerTooltip":"Läuft, wenn die Taste gehalten wird; die Funktion oben läuft dann bei einem kurzen Druck","longPress.hint":"Ein kurzer Druck führt die Funktion oben beim Loslassen der Taste aus.","longPress.hold":"Halten (s)","longPress.holdTooltip":"So lange (Sekunden) die Taste halten, um die Funktion für langen Druck auszuführen","longPress.longClash":"Langer Druck: {function} ({mode}) löst nur bei schnellem Loslassen aus, Halten der Taste bewirkt also nichts.","longPress.remove":"Langen Druck entfernen","longPress.secondsLabel":"Sekunden für langen Druck","longPress.shortClash":"Kurzer Druck: {function} ({mode}) braucht eine gehaltene Taste, ein kurzer Druck tippt sie aber nur an.","longPress.unbound":"Langer Druck: die Funktion ist im Spiel nicht belegt, Halten der Taste bewirkt also nichts.","missing.hintMatches":"Die Taste macht nichts, bis sie neu zugewiesen wird. Ähnlichste aktuelle Funktionen:","missing.hintNone":"Die Taste macht nichts, bis sie neu zugewiesen wird. Keine ähnliche Funktion gefunden; wähle oben eine aus.","missing.title":"Funktion nicht gefunden","protocol.piOutdated":"Dieser Property Inspector ist älter als das Plugin (Protokoll v{pi}, Plugin v{plugin}). Schließe ihn und öffne ihn erneut oder starte Stream Deck neu.","protocol.pluginOutdated":"Das laufende Plugin ist älter als dieser Property Inspector (Plugin {plugin}, Protokoll v{pi}). Starte Stream Deck neu, um das Update abzuschließen.","protocol.unexpectedData":"Unerwartete Daten vom Plugin ({error}). Versuche, Stream Deck neu zu starten.","protocol.unknownVersion":"unbekannt","reasons.actionMapsNotFound":"actionmaps.xml wurde nicht gefunden. Ändere im Spiel einmal eine Tastenbelegung, damit Star Citizen sie anlegt.","reasons.actionMapsWriteFailed":"actionmaps.xml konnte nicht aktualisiert werden. Siehe Plugin-Log.","reasons.alreadyBound":"Bereits auf eine Taste gelegt.","reasons.channelFolderNotFound":"Für diesen Channel wurde kein Ordner gefunden.","reasons.channelLoadFailed":"Die Tastenbelegungen dieses Channels konnten nicht geladen werden.","reasons.dataP4KOverrideFailed":"Der Data.p4k-Override konnte nicht angewendet werden.","reasons.functionNotFound":"Funktion in den aktuellen Tastenbelegungen nicht gefunden.","reasons.gameRunning":"Schließe zuerst Star Citizen: Es überschreibt actionmaps.xml beim Beenden.","reasons.initializationFailed":"Es konnte keine Installation geladen werden. Siehe Plugin-Log.","reasons.invalidTheme":"Ungültige Theme-Datei.","reasons.keyNotFree":"Diese Taste ist nicht (mehr) frei. Wähle eine andere.","reasons.keybindingsNotLoaded":"Die Tastenbelegungen sind noch nicht geladen.","reasons.noFunctionSelected":"Keine Funktion ausgewählt.","reasons.noTestRunning":"Es läuft kein Test.","reasons.notBound":"Nicht belegt. Lege in Star Citizen eine Taste oder Maustaste fest.","reasons.openFolderFailed":"Der Ordner konnte nicht geöffnet werden. Siehe Plugin-Log.","reasons.rebuildFailed":"Die Tastenbelegungen dieses Channels konnten nicht neu erstellt werden.","reasons.requestFailed":"Die Anfrage ist fehlgeschlagen. Siehe Plugin-Log.","reasons.sendFailed":"Die Eingabe konnte nicht gesendet werden. Siehe Plugin-Log.","reasons.testCancelled":"Abgebrochen.","reasons.testRunning":"Es läuft bereits ein Test.","reasons.unknownChannel":"Unbekannter Channel.","reasons.unknownLanguage":"Unbekannte Sprache.","reasons.unknownRequest":"Das Plugin kennt diese Anfrage nicht. Aktualisiere das Plugin.","reasons.unsupportedBinding":"Nur auf Mausachse, Joystick oder Gamepad belegt. Das Plugin kann nur Tasten und Maustasten senden.","sequence.addStep":"+ Schritt hinzufügen","sequence.auto":"auto","sequence.dragHandle":"Zum Sortieren ziehen (oder Alt+Hoch / Alt+Runter)","sequence.empty":"Noch keine Schritte. Füge die Funktionen hinzu, die nacheinander laufen sollen.","sequence.header":"Sequenz","sequence.hint":"Warten ist die Pause vor einem Schritt. Halten ist, wie lange seine Eingabe gedrückt bleibt; leer lassen, um nur so lange zu halten, wie der Aktivierungsmodus der Funktion braucht. Drücke die Taste erneut, um eine laufende Sequenz abzubrechen.","sequence.hold":"Halten","sequence.moveStep":"Schritt {index} verschieben","sequence.removeStep":"Schritt {index} entfernen","sequence.wait":"Warten","settingsCodec.checksum":"Der Einstellungs-Text ist unvollständig oder wurde verändert (Prüfsumme stimmt nicht).","settingsCodec.notSettings":"Das ist kein Einstellungs-Text.","settingsCodec.unreadable":"Der Einstellungs-Text konnte nicht gelesen werden.","settingsCodec.unsupportedVersion":"Einstellungs-Text Version {version} wird nicht unterstützt. Aktualisiere das Plugin.","share.copied":"Kopiert. Füge ihn in eine andere Taste ein, um dieselben Einstellungen zu verwenden.","share.copy":"Einstellungen kopieren","share.copyFailed":"Kopieren fehlgeschlagen: {error}","share.copyHint":"Drücke Strg+C, um den markierten Text zu kopieren.","share.inputLabel":"Einstellungs-Text","share.label":"Teilen","share.longPressNotOnChannel":"Die Funktion für langen Druck gibt es im aktuellen Channel nicht. Wähle einen Ersatz.","share.notLoaded":"Die Funktionen sind noch nicht geladen, daher konnte die Funktion nicht geprüft werden.","share.notOnChannel":"Die Funktion gibt es im aktuellen Channel nicht. Wähle einen Ersatz.","share.paste":"Einstellungen einfügen","share.pasteFailed":"Einfügen fehlgeschlagen: {error}","share.pasteHint":"Füge den Einstellungs-Text in das Feld ein (Strg+V) und klicke dann erneut auf Einstellungen einfügen.","share.pasted":"Einstellungen eingefügt.","share.pastedWithWarning":"Einstellungen eingefügt. {warning}","share.placeholder":"Einstellungs-Text einfügen","share.tooltip":"Die Einstellungen dieser Taste als Text teilen, z. B. im Chat","testFire.button":"Testen","testFire.cancel":"Abbrechen","testFire.cancelling":"Wird abgebrochen…","testFire.countdown":"Wechsle ins Spiel… {seconds}","testFire.nothingSent":"Es wurde nichts gesendet.","testFire.sending":"Wird gesendet…","testFire.sent":"{binding} ({device}) gesendet{mode}{handler}","testFire.tooltip":"Führt die Funktion nach einem Countdown von 3 Sekunden einmal aus, damit du ins Spiel wechseln kannst.","testFire.updatePlugin":"Aktualisiere das Plugin, um Testen zu verwenden.","testFire.via":" über {handler}","theme.loading":"Themes werden geladen","theme.noThemes":"Keine Themes gefunden","titleOptions.hint":"Wird passend zur Taste umbrochen. Ein in Stream Deck eingegebener Titel hat Vorrang.","titleOptions.short":"Kürzel","titleOptions.shortPlaceholder":"Quantum Drive=QD\nLanding Gear=Gear","titleOptions.shortTooltip":"Eine Regel pro Zeile, z. B. Quantum Drive=QD","titleOptions.useFunctionName":"Funktionsname verwenden","toggle.off":"Aus","toggle.offColour":"Farbe für Aus","toggle.on":"An","toggle.onColour":"Farbe für An","toggle.reset":"Reset (s)","toggle.resetDefault":"Auf Standard zurücksetzen","toggle.resetLabel":"Haltedauer für Reset in Sekunden","toggle.resetTooltip":"Haltedauer (Sekunden), um den Zustand umzuschalten, ohne die Belegung auszuführen.","toggle.statesHint":"{label} ist der Funktionsname. Ein Bild hat Vorrang vor der Farbe; Bilder bis 256 KB.","toggle.titleOffTooltip":"Titel, solange der Schalter aus ist. {label} ist der Funktionsname.","toggle.titleOnTooltip":"Titel, solange der Schalter an ist. {label} ist der Funktionsname."}}),SCPI.i18n.addPack("en",{name:"English",strings:{"bindingChanges.added":"Added","bindingChanges.dismiss":"Dismiss","bindingChanges.hide":"Hide changes","bindingChanges.keyLostBinding":"This key's function lost its binding. The key does nothing until the function is bound again.","bindingChanges.more":"…and {count} more","bindingChanges.rebound":"Rebound","bindingChanges.removed":"Removed","bindingChanges.show":"Show changes","bindingChanges.summary":"{added} added, {removed} removed, {rebound} rebound","bindingChanges.title":"Keybindings changed in game ({count})","bindingChanges.unbound":"unbound","common.clearAudioFile":"Clear audio file","common.clearColour":"Clear colour","common.clearImage":"Clear image","common.colour":"Colour","common.colourHint":"Used when no image is selected.","common.defaultImage":"Default image","common.functionNotFound":"Function not found in the current keybindings","common.image":"Image","common.loadingFunctions":"Loading functions","common.noFileSelected":"No file selected","common.noInstallation":"No installation detected. Set custom path.","common.noMatchingFunctions":"No matching functions found","common.otherGroup":"Other","common.pluginTimeout":"The plugin did not respond in time.","common.searchFunctions":"Search functions...","common.selectAudioFile":"Select audio file","common.selectImage":"Select image","common.sound":"Sound","common.title":"Title","common.unbound":"Unbound","conflicts.different":"Different activation: the game keeps them apart.","conflicts.heldLongEnough":"Fires too if the Stream Deck key is held long enough.","conflicts.quickPress":"Also fires on a quick press, which is what this key sends.","conflicts.releasedQuickly":"Fires instead if the Stream Deck key is released quickly.","conflicts.sameMode":"Same activation mode: the game cannot tell them apart, both fire.","conflicts.summaryConflicts":"{count} of {total} will also fire when this key is pressed","conflicts.summaryShared":"{count} other functions on the same input","conflicts.summarySharedOne":"1 other function on the same input","conflicts.title":"Shared with","conflicts.whileHeld":"Also fires while the input is held, which is what this key does.","controlPanel.actionFailed":"{action}: {error}","controlPanel.applyingOverride":"Applying {channel} override","controlPanel.cacheBuilt":"Built {time}","controlPanel.cacheExists":"Built","controlPanel.cacheMissing":"Not built","controlPanel.channel":"Channel:","controlPanel.channelActive":"Active","controlPanel.channelAuto":"{channel} - Auto","controlPanel.channelCustom":"{channel} - Custom","controlPanel.clearOverride":"Clear {channel} override","controlPanel.clearOverrideFailed":"Clearing {channel} override failed","controlPanel.clearingOverride":"Clearing {channel} override","controlPanel.customPaths":"Custom Installation Paths","controlPanel.customPathsHint":"Set per-channel overrides by selecting the corresponding <b>Data.p4k</b>.","controlPanel.factoryReset":"Factory Reset","controlPanel.factoryResetConfirm":"Factory Reset will remove cached installations, clear all custom Data.p4k overrides, reset theme and language selection, and rebuild keybindings from scratch.\n\nContinue?","controlPanel.factoryResetDone":"Factory reset complete.","controlPanel.factoryResetFailed":"Factory reset failed","controlPanel.factoryResetPending":"Factory reset in progress","controlPanel.forceRedetection":"Force Redetection","controlPanel.language":"Language:","controlPanel.languageAuto":"Auto (game: {language})","controlPanel.languagePlaceholder":"UI language","controlPanel.lastInitialized":"Last initialized: {time}","controlPanel.loadingStatus":"Loading status","controlPanel.noChannels":"No valid channels","controlPanel.noOverride":"No override","controlPanel.openFolder":"Folder","controlPanel.openFolderFailed":"Opening {channel} folder failed","controlPanel.openFolderTitle":"Open the {channel} folder","controlPanel.overrideApplied":"{channel} override applied.","controlPanel.overrideCleared":"{channel} override cleared.","controlPanel.overrideFailed":"{channel} override failed","controlPanel.preferredChannel":"Preferred channel","controlPanel.reasonChannelFolderMissing":"Channel folder not found","controlPanel.reasonDataP4KMissing":"Data.p4k not found","controlPanel.rebuildCache":"Rebuild","controlPanel.rebuildCacheTitle":"Rebuild {channel} keybindings from Data.p4k and actionmaps.xml","controlPanel.rebuildDone":"{channel} keybindings rebuilt.","controlPanel.rebuildFailed":"Rebuilding {channel} keybindings failed","controlPanel.rebuildPending":"Rebuilding {channel} keybindings","controlPanel.redetectDone":"Redetection complete.","controlPanel.redetectFailed":"Redetection failed","controlPanel.redetectPending":"Re-detecting installations","controlPanel.selectP4K":"Select {channel} Data.p4k","controlPanel.selectedTheme":"Selected theme","controlPanel.sourceAuto":"Auto-detected","controlPanel.sourceCustom":"Custom path","controlPanel.sourceNone":"Not detected","controlPanel.status":"Installation Status","controlPanel.statusActions":"Actions","controlPanel.statusChannel":"Channel","controlPanel.statusInstallation":"Installation","controlPanel.statusKeybindings":"Keybindings","controlPanel.switchFailed":"Channel switch failed","controlPanel.switched":"Switched to {channel}.","controlPanel.switching":"Switching to {channel}","controlPanel.theme":"Theme:","controlPanel.title":"Control Panel","controlPanel.unknownError":"Unknown error","description.modeTerms":"double tap|tap|hold|press|release","description.showEnglish":"Show original English","description.showLess":"Show less","description.showMore":"Show more","description.showTranslation":"Show translation","details.activation":"ACTIVATION","details.gamepad":"GAMEPAD","details.joystick":"JOYSTICK","details.keyboard":"KEYBOARD","details.mouse":"MOUSE","diagram.again":"again","diagram.ariaLabel":"Activation timing: key press above, game input below","diagram.fires":"fires","diagram.game":"Game","diagram.held":"held","diagram.heldRepeats":"held, repeats","diagram.key":"Key","diagram.off":"off","diagram.on":"on","dial.accel":"Accel.","dial.accelLabel":"Acceleration","dial.accelTooltip":"Extra steps for fast turns; 0 moves the same amount at any speed","dial.direction":"Direction","dial.hint":"Mouse X and Y move 10 pixels per step, the mouse wheel one click. The touch strip shows the last value sent.","dial.invert":"Invert","dial.modifierAxis":"{function}: {axis} has a modifier, the dial only moves plain mouse axes","dial.push":"Push","dial.pushTooltip":"Runs when the dial is pushed or the touch strip is tapped","dial.removePush":"Remove push function","dial.rotate":"Rotate","dial.rotateTooltip":"Functions with a mouse axis binding","dial.searchAxis":"Search axis functions...","dial.ticks":"Ticks","dial.ticksLabel":"Ticks per step","dial.ticksTooltip":"Dial ticks for one axis step","dropdown.addFavorite":"Add to favorites (Ctrl+D)","dropdown.collapseAll":"Collapse all","dropdown.collapseGroup":"Collapse group","dropdown.expandAll":"Expand all","dropdown.expandGroup":"Expand group","dropdown.loading":"Loading","dropdown.noItems":"No items found","dropdown.removeFavorite":"Remove from favorites (Ctrl+D)","filePicker.clear":"Clear","filePicker.select":"Select file","filters.activation":"Activation","filters.ariaLabel":"Filters","filters.binding":"Binding","filters.bound":"Bound","filters.categories":"Categories","filters.clear":"Clear","filters.device":"Device","filters.functions":"functions","filters.hold":"Hold","filters.items":"items","filters.keyboard":"Keyboard","filters.mouse":"Mouse","filters.summary":"{shown} of {total} {items}","filters.tap":"Tap","filters.toggle":"Toggle","freeKey.assign":"Assign free key","freeKey.bindTo":"Bind to {binding}","freeKey.binding":"Binding {binding}…","freeKey.bound":"Bound to {binding}. Updating the keybindings…","freeKey.copied":"XML copied. Add it inside the <ActionProfiles> element of actionmaps.xml.","freeKey.copyHint":"Press Ctrl+C to copy the selected XML.","freeKey.copyXml":"Copy XML","freeKey.hint":"The key does nothing until the function has a keyboard binding.","freeKey.looking":"Looking for free keys…","freeKey.noneFound":"No free key found. Bind the function in game instead.","freeKey.nothingWritten":"Nothing was written.","freeKey.pick":"Pick a key. It is written to your actionmaps.xml; Star Citizen must be closed.","freeKey.snippetLabel":"actionmaps.xml snippet","freeKey.title":"Not bound in game","freeKey.updatePlugin":"Update the plugin to assign free keys.","functionKey.favorites":"Favorites","functionKey.noDescription":"No description available.","functionKey.recent":"Recent","longPress.header":"Long press","longPress.headerTooltip":"Runs when the key is held; the function above then runs on a short press","longPress.hint":"A short press runs the function above when the key is released.","longPress.hold":"Hold (s)","longPress.holdTooltip":"Hold the key this long (seconds) to run the long press function","longPress.longClash":"Long press: {function} ({mode}) only triggers on a quick release, so holding the key does nothing.","longPress.remove":"Remove long press","longPress.secondsLabel":"Long press seconds","longPress.shortClash":"Short press: {function} ({mode}) needs the key held, but a short press only taps it.","longPress.unbound":"Long press: the function is not bound in game, so holding the key does nothing.","missing.hintMatches":"The key does nothing until it is remapped. Closest current functions:","missing.hintNone":"The key does nothing until it is remapped. No similar function was found; pick one above.","missing.title":"Function not found","protocol.piOutdated":"This Property Inspector is older than the plugin (protocol v{pi}, plugin v{plugin}). Close and reopen it, or restart Stream Deck.","protocol.pluginOutdated":"The running plugin is older than this Property Inspector (plugin {plugin}, protocol v{pi}). Restart Stream Deck to finish the update.","protocol.unexpectedData":"Unexpected data from the plugin ({error}). Try restarting Stream Deck.","protocol.unknownVersion":"unknown","reasons.actionMapsNotFound":"actionmaps.xml was not found. Change any keybinding in game once so Star Citizen creates it.","reasons.actionMapsWriteFailed":"actionmaps.xml could not be updated. See the plugin log.","reasons.alreadyBound":"Already bound to a keyboard key.","reasons.channelFolderNotFound":"No folder found for this channel.","reasons.channelLoadFailed":"Could not load the keybindings of this channel.","reasons.dataP4KOverrideFailed":"The Data.p4k override could not be applied.","reasons.functionNotFound":"Function not found in the current keybindings.","reasons.gameRunning":"Close Star Citizen first: it overwrites actionmaps.xml when it exits.","reasons.initializationFailed":"No installation could be loaded. See the plugin log.","reasons.invalidTheme":"Invalid theme file.","reasons.keyNotFree":"This key is not free (anymore). Pick another one.","reasons.keybindingsNotLoaded":"Keybindings are not loaded yet.","reasons.noFunctionSelected":"No function selected.","reasons.noTestRunning":"No test is running.","reasons.notBound":"Not bound. Assign a keyboard key or mouse button in Star Citizen.","reasons.openFolderFailed":"The folder could not be opened. See the plugin log.","reasons.rebuildFailed":"Could not rebuild the keybindings of this channel.","reasons.requestFailed":"The request failed. See the plugin log.","reasons.sendFailed":"The input could not be sent. See the plugin log.","reasons.testCancelled":"Cancelled.","reasons.testRunning":"A test is already running.","reasons.unknownChannel":"Unknown channel.","reasons.unknownLanguage":"Unknown language.","reasons.unknownRequest":"The plugin does not know this request. Update the plugin.","reasons.unsupportedBinding":"Only bound to a mouse axis, joystick or gamepad. The plugin can only send keyboard keys and mouse buttons.","sequence.addStep":"+ Add step","sequence.auto":"auto","sequence.dragHandle":"Drag to reorder (or Alt+Up / Alt+Down)","sequence.empty":"No steps yet. Add the functions to run in order.","sequence.header":"Sequence","sequence.hint":"Wait is the pause before a step. Hold is how long its input stays down; leave it empty to hold just long enough for the function's activation mode. Press the key again to cancel a running sequence.","sequence.hold":"Hold","sequence.moveStep":"Move step {index}","sequence.removeStep":"Remove step {index}","sequence.wait":"Wait","settingsCodec.checksum":"The settings string is incomplete or was changed (checksum mismatch).","settingsCodec.notSettings":"This is not a settings string.","settingsCodec.unreadable":"The settings string could not be read.","settingsCodec.unsupportedVersion":"Settings string version {version} is not supported. Update the plugin.","share.copied":"Copied. Paste it into another key to use the same settings.","share.copy":"Copy settings","share.copyFailed":"Copy failed: {error}","share.copyHint":"Press Ctrl+C to copy the selected string.","share.inputLabel":"Settings string","share.label":"Share","share.longPressNotOnChannel":"The long press function does not exist on the current channel. Pick a replacement.","share.notLoaded":"Functions are not loaded yet, so the function could not be checked.","share.notOnChannel":"The function does not exist on the current channel. Pick a replacement.","share.paste":"Paste settings","share.pasteFailed":"Paste failed: {error}","share.pasteHint":"Paste the settings string into the field (Ctrl+V), then click Paste settings again.","share.pasted":"Settings pasted.","share.pastedWithWarning":"Settings pasted. {warning}","share.placeholder":"Paste a settings string","share.tooltip":"Share this key's settings as a text string, e.g. in chat","testFire.button":"Test","testFire.cancel":"Cancel","testFire.cancelling":"Cancelling…","testFire.countdown":"Switch to the game… {seconds}","testFire.nothingSent":"Nothing was sent.","testFire.sending":"Sending…","testFire.sent":"Sent {binding} ({device}){mode}{handler}","testFire.tooltip":"Runs the function once after a 3 second countdown, so you can switch to the game.","testFire.updatePlugin":"Update the plugin to use Test.","testFire.via":" via {handler}","theme.loading":"Loading themes","theme.noThemes":"No themes found","titleOptions.hint":"Wrapped to fit the key. A title typed in Stream Deck takes precedence.","titleOptions.short":"Short","titleOptions.shortPlaceholder":"Quantum Drive=QD\nLanding Gear=Gear","titleOptions.shortTooltip":"One rule per line, e.g. Quantum Drive=QD","titleOptions.useFunctionName":"Use the function name","toggle.off":"Off","toggle.offColour":"Off colour","toggle.on":"On","toggle.onColour":"On colour","toggle.reset":"Reset (s)","toggle.resetDefault":"Reset to default","toggle.resetLabel":"Reset hold seconds","toggle.resetTooltip":"Hold duration (seconds) to flip state without executing the binding.","toggle.statesHint":"{label} is the function name. An image wins over the colour; images up to 256 KB.","toggle.titleOffTooltip":"Title while the toggle is off. {label} is the function name.","toggle.titleOnTooltip":"Title while the toggle is on. {label} is the function name."}}),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o="pi-protocol-banner";let i=!1,r=null,s=!1,a=null;const l={type:"string"},c={type:"boolean"};function d(e){return{...e,optional:!0}}function u(e){return{type:"array",items:e}}function p(e){return{type:"object",fields:e}}function g(e){return null===e?"null":Array.isArray(e)?"array":typeof e}function h(e,n,t,o){const i=g(e);if(i===n.type)if("array"!==n.type){if("object"===n.type&&n.values)for(const[i,r]of Object.entries(e))h(r,n.values,t?`${t}.${i}`:i,o);else if("object"===n.type)for(const[i,r]of Object.entries(n.fields)){const n=t?`${t}.${i}`:i;void 0!==e[i]?h(e[i],r,n,o):r.optional||o.push(`${n}: missing`)}}else e.forEach((e,i)=>h(e,n.items,`${t}[${i}]`,o));else o.push(`${t||"payload"}: expected ${n.type}, got ${i}`)}const f=p({raw:d(l),display:d(l)}),m=p({value:l,text:l,legacyValue:d(l),bindingType:d(l),disabled:d(c),disabledReason:d(l),details:d(p({label:d(l),description:d(l),devices:d(u(p({device:l,bindings:u(f)})))}))}),b={functionsLoaded:p({functionsLoaded:c,functions:d(u(p({label:l,options:u(m)}))),channel:d(l),functionsHash:d(l),functionsUnchanged:d(c),functionsDelta:d(p({baseHash:l,upserted:u(p({group:l,option:m})),removed:u(l),groupOrder:u(l),optionOrder:(y=u(l),{type:"object",values:y})}))}),controlPanelLoaded:p({controlPanelLoaded:c,controlPanel:p({currentChannel:l,preferredChannel:l,channels:u(p({channel:l,configured:c,valid:c,isCustomPath:c,dataP4KPath:l}))})}),themesLoaded:p({themesLoaded:c,themes:u(p({file:l,name:l})),selectedTheme:d(l)}),stateAppearanceLoaded:p({stateAppearanceLoaded:c,states:u(p({title:d(l),image:d(l)}))})};var y;function w(e){const n=[];if("object"!==g(e))return n.push(`payload: expected object, got ${g(e)}`),n;for(const[t,o]of Object.entries(b))void 0!==e[t]&&h(e,o,"",n);return n}function k(e){a=e;let n=document.getElementById(o);if(!n){n=document.createElement("div"),n.id=o,n.className="pi-inline-banner pi-protocol-banner",n.setAttribute("role","alert");const e=document.createElement("div");e.className="pi-inline-error",n.appendChild(e);const t=document.querySelector(".pi-container")||document.body;t?.insertBefore(n,t.firstChild)}n.firstChild.textContent=String(e()||""),n.style.display="flex"}function v(e){s||(s=!0,console.warn(`[sc-protocol] protocol mismatch: PI v1, plugin ${e??"unknown"}`),k(()=>function(e){if("number"==typeof e&&e>1)return t("protocol.piOutdated",{pi:1,plugin:e});const n="number"==typeof e?`v${e}`:t("protocol.unknownVersion");return t("protocol.pluginOutdated",{plugin:n,pi:1})}(e)))}n.i18n?.onChange?.(()=>{const e=document.getElementById(o);e&&a&&(e.firstChild.textContent=String(a()||""))}),n.protocol={VERSION:1,connect:async function(e={}){if(i)return r;i=!0;try{const t=await n.bus.request("propertyInspectorConnected",{...e,protocolVersion:1},{timeoutMs:5e3}),o=t?.protocol;return"object"!==g(o)||"number"!=typeof o.protocolVersion?(v(void 0),null):(r={protocolVersion:o.protocolVersion,features:Array.isArray(o.features)?o.features.map(String):[]},1!==r.protocolVersion&&v(r.protocolVersion),r)}catch(e){const t=n.bus?.errors||{};return t.RequestTimeoutError&&e instanceof t.RequestTimeoutError?v(void 0):console.warn("[sc-protocol] handshake failed",e),null}},accept:function(e){const n=w(e);return n.length>0?(console.warn("[sc-protocol] rejected payload from plugin",n),1!==e?.protocolVersion?v(e?.protocolVersion):k(()=>t("protocol.unexpectedData",{error:n[0]})),!1):(1!==e.protocolVersion&&v(e.protocolVersion),!0)},validate:w,hasFeature:function(e){return!!r&&r.features.includes(String(e||""))},getPluginInfo:()=>r,schemas:b}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t={label:1,actionName:.8,searchText:.5},o=new WeakMap;function i(e){return String(e||"").replace(/([a-z])([A-Z])/g,"$1 $2").toLowerCase().split(/[^a-z0-9]+/).filter(e=>e.length>0)}function r(e,n,t){if(Math.abs(e.length-n.length)>t)return t+1;let o=Array.from({length:n.length+1},(e,n)=>n);for(let i=1;i<=e.length;i++){const r=[i];let s=i;for(let t=1;t<=n.length;t++){const a=e[i-1]===n[t-1]?0:1,l=Math.min(o[t]+1,r[t-1]+1,o[t-1]+a);r.push(l),s=Math.min(s,l)}if(s>t)return t+1;o=r}return o[n.length]}function s(e,n,t){let o=0;const i=t?0:function(e){return e.length>=6?2:e.length>=4?1:0}(e);return n.words.forEach((n,t)=>{const s=0===t?10:0;let a=0;if(n===e)a=100+s;else if(n.startsWith(e))a=80+s;else if(e.length>=3&&n.includes(e))a=45;else if(i>0){const t=Math.min(r(e,n,i),r(e,n.slice(0,e.length),i));t<=i&&(a=30-10*(t-1))}o=Math.max(o,a)}),o<70&&e.length>=2&&n.initials.includes(e)&&(o=70+(n.initials.startsWith(e)?10:0)),o}function a(e){return String(e||"").toLowerCase().replace(/\s+/g,"").split(/\+(?=.)/).map(e=>e.replace(/[-_](?=[a-z0-9])/g,"")).filter(e=>e.length>0)}function l(e){const n=i(e);return{words:n,initials:n.map(e=>e[0]).join("")}}function c(e){const n={label:String(e?.label||"").toLowerCase(),fields:[],keys:[]};for(const[o,i]of Object.entries(t)){const t=e?.[o];t&&n.fields.push({weight:i,...l(t)})}return Array.isArray(e?.keys)&&(n.keys=e.keys.map(a).filter(e=>e.length>0)),n}function d(e,n){const t=String(e||"").trim().toLowerCase();if(!t)return 0;const o=function(e){return/[+\-_]/.test(e)&&!/\s{2,}/.test(e)}(t);let r=0;if(o){const e=a(t);n.keys.some(n=>function(e,n){if(0===e.length||e.length>n.length)return!1;const t=n.slice();return e.every((n,o)=>{const i=o===e.length-1,r=t.findIndex(e=>e===n||i&&n.length>=2&&e.startsWith(n));return!(r<0||(t.splice(r,1),0))})}(e,n))&&(r=120)}const l=i(t);let c=0;for(const e of l){let t=0;for(const i of n.fields)t=Math.max(t,s(e,i,o)*i.weight);if(0===t){c=0;break}c+=t}return c>0&&(c/=l.length,n.label.startsWith(t)&&(c+=50)),Math.max(r,c)}n.search={tokenize:i,normalizeKey:a,prepare:c,score:d,rank:function(e,n,t,i={}){const r=Array.isArray(e)?e:[];if(!String(n||"").trim())return r.slice(0,i.limit??r.length);const s=[];r.forEach((e,i)=>{let r=e&&"object"==typeof e?o.get(e):null;r||(r=c(t(e)),e&&"object"==typeof e&&o.set(e,r));const a=d(n,r);a>0&&s.push({item:e,index:i,value:a})}),s.sort((e,n)=>n.value-e.value||e.index-n.index);const a=s.map(e=>e.item);return"number"==typeof i.limit?a.slice(0,i.limit):a}}}(),function(){const e=globalThis,n=(n,t)=>e.SCPI?.i18n?.t?.(n,t)??n;function t(e){return String(("function"==typeof e?e():e)||"")}function o(e,n={}){const t=!!e.querySelector(".pi-dropdown__search"),o=!!e.querySelector(".pi-dropdown__toggle"),i=!!e.querySelector(".pi-dropdown__menu");if(t&&o&&i)return;const r="string"==typeof n.placeholder?n.placeholder:e.getAttribute("data-placeholder")||"",s=document.createElement("div");s.className="pi-dropdown__input-row";const a=document.createElement("div");a.className="pi-dropdown__input-wrapper";const l=document.createElement("input");l.className="pi-dropdown__search",l.type="text",l.placeholder=r,a.appendChild(l);const c=document.createElement("div");c.className="pi-dropdown__toggle",c.appendChild(function(){const e=document.createElementNS("http://www.w3.org/2000/svg","svg");e.setAttribute("class","pi-dropdown__arrow"),e.setAttribute("fill","none"),e.setAttribute("height","20"),e.setAttribute("width","20"),e.setAttribute("xmlns","http://www.w3.org/2000/svg");const n=document.createElementNS("http://www.w3.org/2000/svg","path");return n.setAttribute("d","m5 7.5 5 5 5-5"),n.setAttribute("stroke","var(--color-primary)"),n.setAttribute("stroke-linecap","round"),n.setAttribute("stroke-linejoin","round"),n.setAttribute("stroke-width","2"),e.appendChild(n),e}()),s.appendChild(a),s.appendChild(c);const d=document.createElement("div");d.className="pi-dropdown__menu",e.replaceChildren(s,d)}const i=e.SCPI=e.SCPI||{};i.ui=i.ui||{},i.ui.dropdown={initDropdown:function(i={}){const r=i.rootId;if(!r)return null;const s=document.getElementById(r);if(!s)return null;o(s,{placeholder:i.placeholder});const a=s.querySelector(".pi-dropdown__search"),l=s.querySelector(".pi-dropdown__toggle"),c=s.querySelector(".pi-dropdown__arrow"),d=s.querySelector(".pi-dropdown__menu"),u=s.querySelector(".pi-dropdown__input-wrapper");if(!a||!l||!d)return null;const p=!1!==i.searchEnabled,g="number"==typeof i.maxResults?i.maxResults:1/0,h="function"==typeof i.getText?i.getText:e=>String(e?.text??""),f="function"==typeof i.getValue?i.getValue:e=>String(e?.value??""),m="function"==typeof i.getGroup?i.getGroup:null,b="function"==typeof i.getSearchFields?i.getSearchFields:e=>({label:h(e)}),y="function"==typeof i.isDisabled?i.isDisabled:e=>!!e?.disabled,w="function"==typeof i.isFavorite?i.isFavorite:null,k="function"==typeof i.onToggleFavorite?i.onToggleFavorite:null,v="function"==typeof i.getPinnedGroups?i.getPinnedGroups:null,C="string"==typeof i.collapseStorageKey?i.collapseStorageKey:`scsd.dropdownGroups.${r}`,S="function"==typeof i.onSelect?i.onSelect:null,P=()=>t(i.emptyText)||n("dropdown.noItems"),A=void 0!==i.displaySelectedInInput?!!i.displaySelectedInInput:!p,T="number"==typeof i.minLoadingMs?i.minLoadingMs:500,_="number"==typeof i.successFlashMs?i.successFlashMs:220,x="string"==typeof i.successText?i.successText:"";let E=[],F="",L=!1,I=!1,D=0,N=0,O=null,z=[],M=[],K=40,R=36,q=0;const B=[];let $=function(){try{const e=JSON.parse(localStorage.getItem(C)||"[]");return new Set(Array.isArray(e)?e.map(String):[])}catch(e){return new Set}}(),H=[],V=-1,j="",W="",U=null;const G=`${r}-listbox`;d.id=G,d.setAttribute("role","listbox"),a.setAttribute("role","combobox"),a.setAttribute("aria-controls",G),a.setAttribute("aria-expanded","false"),a.setAttribute("aria-autocomplete",p?"list":"none"),l.setAttribute("aria-hidden","true");const Z=document.createElement("div");Z.className="pi-dropdown__group-header pi-dropdown__sticky-header",Z.setAttribute("aria-hidden","true"),Z.hidden=!0,Z.appendChild(document.createElement("span")),Z.appendChild(document.createElement("span"));const J=document.createElement("div");J.className="pi-dropdown__viewport",J.setAttribute("role","presentation");const Q=document.createElement("div");Q.className="pi-dropdown__empty-state",Q.setAttribute("role","presentation"),Q.textContent=P(),Q.hidden=!0,d.replaceChildren(Z,J,Q);let X=null,Y=null,ee=null;if(u){X=document.createElement("div"),X.className="pi-dropdown__loading",X.setAttribute("aria-hidden","true");const e=document.createElement("span");e.className="pi-spinner",e.setAttribute("aria-hidden","true"),Y=document.createElement("span"),Y.className="pi-dropdown__loading-label",ee=document.createElement("span"),ee.className="pi-dropdown__loading-dots";for(let e=0;e<3;e+=1){const e=document.createElement("span");e.className="pi-dropdown__loading-dot",e.textContent=".",ee.appendChild(e)}X.appendChild(Y),X.appendChild(ee),X.appendChild(e),u.appendChild(X)}function ne(){return s.classList.contains("pi-dropdown--open")}function te(e){c&&(e?c.classList.add("pi-dropdown__arrow--open"):c.classList.remove("pi-dropdown__arrow--open"))}function oe(n,t={}){H=[],z=[],Se(-1);const o=Array.isArray(n)&&n.length>0;if(Q.hidden=o,o&&t.pinned&&v)for(const e of v()||[]){const n=Array.isArray(e?.items)?e.items:[];0!==n.length&&ie(String(e.label||""),n,{pinned:!0})}const i=o&&!!m;if(i&&!j&&z.push({tools:!0,group:""}),i){const e=new Map;for(const t of n){const n=String(m(t)??"");e.has(n)||e.set(n,[]),e.get(n).push(t)}for(const[n,t]of e.entries())n?ie(n,t,{}):t.forEach(e=>re(e,""))}else if(o)for(const e of n)re(e,"");!function(){const n=e.getComputedStyle?.(s),t=(e,t)=>{const o=parseFloat(n?.getPropertyValue(e)||"");return o>0?o:t};K=t("--pi-dropdown-option-height",40),R=t("--pi-dropdown-header-height",36)}(),M=new Array(z.length);let r=0;z.forEach((e,n)=>{M[n]=r,r+=e.header||e.tools?R:K}),J.style.height=`${r}px`,d.scrollTop=0,pe()}function ie(e,n,t){const o=!j&&$.has(e);z.push({header:!0,group:e,pinned:!!t.pinned,count:n.length,collapsed:o}),o||n.forEach(n=>re(n,e))}function re(e,n){const t=H.length;H.push({item:e,disabled:y(e),row:z.length}),z.push({header:!1,group:n,optionIndex:t})}function se(e){let n=0,t=z.length-1;for(;n<t;){const o=n+t+1>>1;M[o]<=e?n=o:t=o-1}return n}function ae(){return Z.hidden?0:R}function le(){const e=document.createElement("div"),t=document.createElement("span"),o=document.createElement("span");o.className="pi-dropdown__option-badge pi-dropdown__option-badge--warn",o.textContent="!",o.title=n("common.unbound");const i=document.createElement("span");return i.className="pi-dropdown__option-star",i.setAttribute("aria-hidden","true"),e.appendChild(t),e.appendChild(o),e.appendChild(i),J.appendChild(e),e}function ce(e,t){const o=z[t],[i,s,a]=e.children;if(e.hidden=!1,e.dataset.row=String(t),e.style.transform=`translateY(${M[t]}px)`,o.header||o.tools)return e.setAttribute("role","presentation"),e.removeAttribute("id"),e.removeAttribute("title"),e.removeAttribute("aria-selected"),e.removeAttribute("aria-disabled"),e.removeAttribute("aria-posinset"),e.removeAttribute("aria-setsize"),a.hidden=!0,o.tools?(e.className="pi-dropdown__row pi-dropdown__group-tools",e.removeAttribute("aria-expanded"),i.className="pi-dropdown__group-tools-label",i.replaceChildren(ue(n("dropdown.expandAll"),"expand"),ue(n("dropdown.collapseAll"),"collapse")),void(s.hidden=!0)):(e.className="pi-dropdown__row",void de(e,o));const l=H[o.optionIndex],c=h(l.item);e.className="pi-dropdown__row pi-dropdown__option",e.classList.toggle("disabled",l.disabled),e.classList.toggle("pi-dropdown__option--active",o.optionIndex===V),e.id=`${r}-option-${o.optionIndex}`,e.title=c,e.setAttribute("role","option"),e.setAttribute("aria-selected",String(f(l.item)===F)),e.setAttribute("aria-posinset",String(o.optionIndex+1)),e.setAttribute("aria-setsize",String(H.length)),l.disabled?e.setAttribute("aria-disabled","true"):e.removeAttribute("aria-disabled"),e.removeAttribute("aria-expanded"),i.className="pi-dropdown__option-label",i.textContent=c,s.className="pi-dropdown__option-badge pi-dropdown__option-badge--warn",s.textContent="!",s.title=n("common.unbound"),s.hidden=!l.item?.unbound;const d=!!w?.(l.item);a.hidden=!k,a.textContent=d?"★":"☆",a.title=n(d?"dropdown.removeFavorite":"dropdown.addFavorite"),a.classList.toggle("pi-dropdown__option-star--active",d),e.classList.toggle("pi-dropdown__option--favorite",d)}function de(e,t){const[o,i]=e.children;e.classList.add("pi-dropdown__group-header","pi-dropdown__group-header--collapsible"),e.classList.toggle("pi-dropdown__group-header--pinned",!!t.pinned),e.classList.toggle("pi-dropdown__group-header--collapsed",!!t.collapsed),e.dataset.group=t.group,e.setAttribute("aria-expanded",String(!t.collapsed)),e.title=n(t.collapsed?"dropdown.expandGroup":"dropdown.collapseGroup"),o.className="pi-dropdown__group-label",o.textContent=t.group,i.className="pi-dropdown__group-count",i.textContent=String(t.count),i.removeAttribute("title"),i.hidden=!1}function ue(e,n){const t=document.createElement("button");return t.type="button",t.tabIndex=-1,t.className="pi-dropdown__group-tool",t.dataset.groupAction=n,t.textContent=e,t}function pe(){if(q=0,0===z.length)return Z.hidden=!0,J.style.marginTop="",void B.forEach(e=>{e.hidden=!0});const e=d.scrollTop,n=d.clientHeight||300,t=Math.max(0,se(e)-6),o=Math.min(z.length-1,se(e+n)+6)-t+1;for(;B.length<o;)B.push(le());for(let e=0;e<B.length;e++)e<o?ce(B[e],t+e):B[e].hidden=!0;const i=m?z[se(e)].group:"",r=i?z.find(e=>e.header&&e.group===i):null;Z.hidden=!r,r&&de(Z,r),J.style.marginTop=r?`-${R}px`:""}function ge(){try{localStorage.setItem(C,JSON.stringify(Array.from($)))}catch(e){}}function he(e){p&&a.focus?.(),L=!1;const n=e.target?.closest?.("[data-group-action]")?.dataset.groupAction;if(n)return $="collapse"===n?new Set(z.filter(e=>e.header).map(e=>e.group)):new Set,ge(),ye(),!0;const t=e.target?.closest?.(".pi-dropdown__group-header");return t&&"string"==typeof t.dataset.group&&!j?(function(e,n){n?$.add(e):$.delete(e),ge(),ye();const t=z.findIndex(n=>n.header&&n.group===e);t>=0&&M[t]<d.scrollTop&&(d.scrollTop=M[t],pe())}(t.dataset.group,!$.has(t.dataset.group)),!0):!!t}function fe(e){return!!e.target?.closest?.(".pi-dropdown__group-header, .pi-dropdown__group-tools")}function me(e){const n=e?.target?.closest?.(".pi-dropdown__option"),t=n?z[Number(n.dataset.row)]:null;return t&&!t.header?t.optionIndex:-1}function be(e){k(e),ye()}function ye(){if(!ne())return;const e=H[V]?.item,n=d.scrollTop;Ce(),d.scrollTop=n,pe();Se(e?H.findIndex(n=>n.item===e):-1,{scroll:!1})}function we(){if(!I)if(s.classList.add("pi-dropdown--open"),a.setAttribute("aria-expanded","true"),te(!0),p){ve((a.value||"").trim())}else{oe(E,{pinned:!0});const e=H.findIndex(e=>f(e.item)===F);Se(e>=0?e:Pe(0,1))}}function ke(){s.classList.remove("pi-dropdown--open"),a.setAttribute("aria-expanded","false"),te(!1),Se(-1)}function ve(e){j=String(e||"").trim(),Ce(),j&&Se(Pe(0,1))}function Ce(){p&&j?oe(function(n){const t=(n||"").toLowerCase().trim(),o=e.SCPI?.search;if(t&&"function"==typeof o?.rank)return o.rank(E,t,b,{limit:g});let i=E.filter(e=>h(e).toLowerCase().includes(t));return i.length>g&&(i=i.slice(0,g)),i}(j)):oe(E,{pinned:!0})}function Se(e,n={}){V=e>=0&&e<H.length?e:-1;for(const e of B){const n=e.hidden?null:z[Number(e.dataset.row)];e.classList.toggle("pi-dropdown__option--active",!!n&&!n.header&&n.optionIndex===V)}const t=H[V];t?(!1!==n.scroll&&function(e){const n=M[e],t=n+(z[e].header||z[e].tools?R:K),o=d.clientHeight||300;n<d.scrollTop+ae()?d.scrollTop=Math.max(0,n-ae()):t>d.scrollTop+o&&(d.scrollTop=t-o),pe()}(t.row),a.setAttribute("aria-activedescendant",`${r}-option-${V}`)):a.removeAttribute("aria-activedescendant")}function Pe(e,n){for(let t=e;t>=0&&t<H.length;t+=n)if(!H[t].disabled)return t;return-1}function Ae(e){if(V<0)return void Se(e>0?Pe(0,1):Pe(H.length-1,-1));const n=Pe(V+e,e);n>=0&&Se(n)}function Te(){I||(ne()?ke():we())}function _e(e){I||(F=f(e),A&&(a.value=h(e)),p&&(a.value=""),ke(),S&&S(e),setTimeout(()=>{L=!1},200))}function xe(e){if(!p)return;if(I)return;const n=e?.target?.value??"";!ne()&&String(n).trim()?we():ve(n)}p||(a.readOnly=!0,a.setAttribute("readonly","")),Z.addEventListener("mousedown",()=>{L=!0}),Z.addEventListener("click",he),J.addEventListener("mousedown",e=>{(me(e)>=0||fe(e))&&(L=!0)}),J.addEventListener("mousemove",e=>{const n=me(e);n>=0&&n!==V&&!H[n].disabled&&Se(n,{scroll:!1})}),J.addEventListener("click",e=>{if(fe(e))return void he(e);const n=H[me(e)];if(n&&k&&e.target?.closest?.(".pi-dropdown__option-star"))return L=!1,be(n.item),void a.focus?.();n&&!n.disabled&&_e(n.item)}),d.addEventListener("scroll",function(){if(!q){const n=e.requestAnimationFrame||(e=>setTimeout(e,16));q=n(pe)}});let Ee=null;const Fe=()=>t(Ee)||n("dropdown.loading"),Le=a.readOnly,Ie=a.hasAttribute("readonly");if(p){const n=e.SCPI?.util?.debounce||e.debounce,t="function"==typeof n?n(xe,150):xe;a.addEventListener("input",t),a.addEventListener("blur",function(){p&&(L||(ne()&&ke(),a.value=""))})}else a.addEventListener("click",function(e){p||I||(e?.stopPropagation?.(),Te())});function De(e){s.contains(e.target)||(ne()&&ke(),p&&(a.value=""))}a.addEventListener("keydown",function(e){if(I)return;const n=e.key,t=p&&(a.value||"").length>0;switch(n){case"ArrowDown":case"ArrowUp":return e.preventDefault(),ne()?e.altKey?void("ArrowUp"===n&&ke()):void Ae("ArrowDown"===n?1:-1):(we(),void(V<0&&Ae("ArrowDown"===n?1:-1)));case"Home":case"End":if(!ne()||t)return;return e.preventDefault(),void Se("Home"===n?Pe(0,1):Pe(H.length-1,-1));case"Enter":{if(e.preventDefault(),!ne())return void we();p&&(a.value||"").trim()!==j&&ve(a.value);const n=H[V];return void(n&&!n.disabled&&(L=!0,_e(n.item)))}case"Escape":return void(ne()?(e.preventDefault(),e.stopPropagation(),ke()):t&&(e.preventDefault(),a.value=""));case"d":case"D":{if(!e.ctrlKey&&!e.metaKey||!k||!ne())break;e.preventDefault();const n=H[V];return void(n&&be(n.item))}case"Tab":return void(ne()&&ke())}p||1!==n.length||" "===n||e.ctrlKey||e.metaKey||e.altKey?p||" "!==n||(e.preventDefault(),Te()):(e.preventDefault(),function(e){U&&clearTimeout(U),U=setTimeout(()=>{W="",U=null},500);const n=W.length>0&&W===e.repeat(W.length);W+=e;const t=n?e:W;ne()||we();const o=H.length,i=n||1===W.length?1:0;for(let e=0;e<o;e++){const n=(Math.max(V,0)+i+e)%o,r=H[n];if(!r.disabled&&h(r.item).toLowerCase().startsWith(t))return void Se(n)}}(n.toLowerCase()))}),l.addEventListener("click",e=>{e.stopPropagation(),Te()}),document.addEventListener("click",De,!0);const Ne=e.SCPI?.i18n?.onChange?.(function(){Q.textContent=P(),I&&Y&&(Y.textContent=Fe()),ye()});return{setItems:function(e){E=Array.isArray(e)?e:[],ne()&&we()},setSelectedValue:function(e,n={}){if(F="string"==typeof e?e:"",A){const e=E.find(e=>f(e)===F);a.value=e?h(e):""}n.rerender&&ne()&&we()},setLoading:function(e,n){const t=!!e;if(Ee=n,t===I)return void(I&&Y&&(Y.textContent=Fe()));if(N+=1,O&&(clearTimeout(O),O=null),t)return I=!0,D=Date.now(),ke(),s.classList.remove("pi-dropdown--success"),s.classList.add("pi-dropdown--loading"),a.readOnly=!0,a.setAttribute("readonly",""),a.blur?.(),l.setAttribute("aria-disabled","true"),void(Y&&(Y.textContent=Fe()));const o=N,i=Date.now()-D,r=Math.max(0,T-i);O=setTimeout(()=>{o===N&&(s.classList.remove("pi-dropdown--loading"),s.classList.add("pi-dropdown--success"),Y&&"string"==typeof x&&x.trim().length>0&&(Y.textContent=x),O=setTimeout(()=>{o===N&&(s.classList.remove("pi-dropdown--success"),l.removeAttribute("aria-disabled"),a.readOnly=Le,Ie?a.setAttribute("readonly",""):a.removeAttribute("readonly"),I=!1,O=null)},_))},r)},refresh:ye,destroy:function(){document.removeEventListener("click",De,!0),Ne?.(),O&&(clearTimeout(O),O=null),ke()}}}},e.SCDropdown=e.SCDropdown||i.ui.dropdown}(),function(){const e=globalThis,n=(n,t)=>e.SCPI?.i18n?.t?.(n,t)??n;function t(e,n){if(e)try{localStorage.setItem(e,JSON.stringify(n))}catch(e){}}const o=e.SCPI=e.SCPI||{};o.ui=o.ui||{},o.ui.filterChips={createFilterChips:function(o={}){const i=o.rootId?document.getElementById(o.rootId):null;if(!i)return null;const r=Array.isArray(o.facets)?o.facets:[],s="function"==typeof o.onChange?o.onChange:null;let a=[],l="",c=new Map(r.map(e=>[e.id,new Set])),d="";function u(e){return"function"==typeof e.getOptions?e.getOptions(a)||[]:Array.isArray(e.options)?e.options:[]}function p(e,n){return r.every(t=>t.id===n||function(e,n){const t=c.get(n.id);if(!t||0===t.size)return!0;for(const o of t)if(n.match(e,o))return!0;return!1}(e,t))}function g(e=a){return Array.isArray(e)?e.filter(e=>p(e,"")):[]}function h(e,n){let t=0;for(const o of a)e.match(o,n)&&p(o,e.id)&&(t+=1);return t}function f(e,n,t){const o=document.createElement("button");o.type="button",o.className="pi-chip",o.setAttribute("aria-pressed",String(t)),t&&o.classList.add("pi-chip--active");const i=document.createElement("span");if(i.className="pi-chip__label",i.textContent=e,o.appendChild(i),"number"==typeof n){const e=document.createElement("span");e.className="pi-chip__count",e.textContent=String(n),o.appendChild(e),0!==n||t||o.classList.add("pi-chip--empty")}return o}function m(e){const n=document.createElement("div");n.className="pi-filter-chips__group",n.setAttribute("role","group"),n.setAttribute("aria-label",e.label);const t=c.get(e.id);for(const o of u(e)){const i=f(o.label,h(e,o.value),t.has(o.value));i.addEventListener("click",()=>k(e.id,o.value)),n.appendChild(i)}return n}function b(e){const n=document.createElement("div");n.className="pi-filter-chips__group pi-filter-chips__group--menu";const t=c.get(e.id),o=d===e.id,i=f(t.size>0?`${e.label} (${t.size})`:e.label,null,t.size>0);if(i.classList.add("pi-chip--menu"),i.setAttribute("aria-haspopup","true"),i.setAttribute("aria-expanded",String(o)),i.addEventListener("click",()=>{d=o?"":e.id,y()}),n.appendChild(i),o){const o=document.createElement("div");o.className="pi-filter-chips__menu",o.setAttribute("role","group"),o.setAttribute("aria-label",e.label);for(const n of u(e)){const i=document.createElement("label");i.className="pi-filter-chips__menu-item";const r=document.createElement("input");r.type="checkbox",r.checked=t.has(n.value),r.addEventListener("change",()=>k(e.id,n.value));const s=document.createElement("span");s.className="pi-filter-chips__menu-label",s.textContent=n.label;const a=document.createElement("span");a.className="pi-chip__count",a.textContent=String(h(e,n.value)),i.appendChild(r),i.appendChild(s),i.appendChild(a),o.appendChild(i)}n.appendChild(o)}return n}function y(){const e=Array.from(i.querySelectorAll("button, input")).indexOf(document.activeElement);i.textContent="";for(const e of r)i.appendChild(e.menu?b(e):m(e));const t=document.createElement("div");if(t.className="pi-filter-chips__summary",t.setAttribute("aria-live","polite"),t.textContent=n("filters.summary",{shown:g().length,total:a.length,items:("function"==typeof o.itemLabel?o.itemLabel():o.itemLabel)||n("filters.items")}),function(){for(const e of c.values())if(e.size>0)return!0;return!1}()){const e=document.createElement("button");e.type="button",e.className="pi-filter-chips__clear",e.textContent=n("filters.clear"),e.addEventListener("click",v),t.appendChild(e)}i.appendChild(t),e>=0&&i.querySelectorAll("button, input")[e]?.focus?.()}function w(){y(),s?.(g())}function k(e,n){const o=c.get(e);o&&(o.has(n)?o.delete(n):o.add(n),t(l,C()),w())}function v(){c=new Map(r.map(e=>[e.id,new Set])),d="",t(l,C()),w()}function C(){const e={};for(const[n,t]of c.entries())t.size>0&&(e[n]=Array.from(t));return e}function S(e){c=new Map(r.map(n=>{const t=Array.isArray(e?.[n.id])?e[n.id].map(String):[];return[n.id,new Set(t)]})),w()}return i.classList.add("pi-filter-chips"),i.setAttribute("role","toolbar"),i.setAttribute("aria-label",n("filters.ariaLabel")),document.addEventListener("click",e=>{d&&!i.contains(e.target)&&(d="",y())},!0),i.addEventListener("keydown",e=>{"Escape"===e.key&&d&&(e.stopPropagation(),d="",y())}),y(),e.SCPI?.i18n?.onChange?.(()=>{i.setAttribute("aria-label",n("filters.ariaLabel")),y()}),{setItems:function(e){a=Array.isArray(e)?e:[],w()},apply:g,getState:C,setState:S,restore:function(e){l=String(e||""),S(function(e){if(!e)return{};try{const n=JSON.parse(localStorage.getItem(e)||"{}");return n&&"object"==typeof n&&!Array.isArray(n)?n:{}}catch(e){return{}}}(l))},clear:v}}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o={short:["tap","tap_quicker","press","press_quicker","hold_toggle","smart_toggle"],hold:["hold","hold_no_retrigger","all"],delayed:["delayed_press","delayed_press_quicker","delayed_press_medium","delayed_press_long","delayed_hold","delayed_hold_long","delayed_hold_no_retrigger"],double:["double_tap","double_tap_nonblocking"]},i={short:"stroke",double:"stroke",hold:"held",delayed:"delayedHeld"},r={stroke:{short:"conflict",hold:"ok",delayed:"ok",double:"ok"},held:{short:"warning",hold:"conflict",delayed:"warning",double:"ok"},delayedHeld:{short:"warning",hold:"conflict",delayed:"warning",double:"ok"}},s={conflict:0,warning:1,ok:2};function a(e){const n=String(e||"").toLowerCase();return Object.keys(o).find(e=>o[e].includes(n))||"short"}function l(e,n){const o=String(e||"").toLowerCase(),s=String(n||"").toLowerCase();if(o&&o===s)return{severity:"conflict",reason:t("conflicts.sameMode")};const l=i[a(o)],c=a(s),d=r[l][c];return"conflict"===d?"stroke"===l?{severity:d,reason:t("conflicts.quickPress")}:{severity:d,reason:t("conflicts.whileHeld")}:"warning"===d?"short"===c?{severity:d,reason:t("conflicts.releasedQuickly")}:{severity:d,reason:t("conflicts.heldLongEnough")}:{severity:"ok",reason:t("conflicts.different")}}function c(e){return String(e||"").toLowerCase().replace(/\s+/g,"")}n.conflicts={assess:l,buildIndex:function(e){const n=new Map;for(const t of Array.isArray(e)?e:[])for(const e of Array.isArray(t?.options)?t.options:[]){const o=Array.isArray(e?.details?.devices)?e.details.devices:[];for(const i of o)for(const o of Array.isArray(i?.bindings)?i.bindings:[]){const r=c(o?.raw);if(!r)continue;const s=`${i.device}|${r}`;n.has(s)||n.set(s,[]),n.get(s).push({option:e,group:String(t.label||""),device:String(i.device||""),display:String(o.display||o.raw||"")})}}return n},find:function(e,n){if(!(e?.details&&n instanceof Map))return[];const t=e.details.activationMode,o=new Set,i=[];for(const r of Array.isArray(e.details.devices)?e.details.devices:[])for(const s of Array.isArray(r?.bindings)?r.bindings:[]){const a=n.get(`${r.device}|${c(s?.raw)}`)||[];for(const n of a){const r=String(n.option.value||""),s=`${r}|${n.device}|${c(n.display)}`;if(r===e.value||o.has(s))continue;o.add(s);const a=String(n.option.details?.activationMode||"");i.push({value:r,text:String(n.option.text||n.option.details?.label||r),group:n.group,device:n.device,display:n.display,activationMode:a,...l(t,a)})}}return i.sort((e,n)=>s[e.severity]-s[n.severity]||e.text.localeCompare(n.text))}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{};function t(e){const n=String(e||"").trim();if(n.startsWith("v2|")){const[e="",t=""]=n.slice(3).split("|");return{actionName:e,mapName:t}}return{actionName:n,mapName:""}}function o(e){return String(e||"").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)}function i(e){const n=[];for(let t=0;t<e.length-1;t++)n.push(e.slice(t,t+2));return n}function r(e,n){if(0===e.length||0===n.length)return 0;const t=new Map;e.forEach(e=>t.set(e,(t.get(e)||0)+1));let o=0;return n.forEach(e=>{const n=t.get(e)||0;n>0&&(o++,t.set(e,n-1))}),2*o/(e.length+n.length)}function s(e,n){const t=o(e),s=o(n);if(0===t.length||0===s.length)return 0;if(t.join("_")===s.join("_"))return 1;const a=r(t,s),l=r(i([...t].sort().join("")),i([...s].sort().join("")));return Math.max(a,(a+l)/2)}n.functionMatch={parseFunctionId:t,similarity:s,rankSimilar:function(e,n,o={}){const i=o.limit??5,r=o.minScore??.35,a=t(e);if(!a.actionName||!Array.isArray(n))return[];const l=[];return n.forEach(e=>{const n=t(e?.value),o=e?.details?.actionName||n.actionName,i=s(a.actionName,o),c=a.mapName?s(a.mapName,n.mapName):0,d=a.mapName?.75*i+.25*c:i;d>=r&&l.push({option:e,score:d})}),l.sort((e,n)=>n.score-e.score||String(e.option?.text||"").localeCompare(String(n.option?.text||""))),l.slice(0,i)}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o=44,i=42;function r(e){const n=Number(e);return Number.isFinite(n)&&n>0?n:0}function s(e){return Math.round(100*e)/100+" s"}function a(e){const n=e||{},o=Math.max(1,Number(n.taps)||1),i=r(n.pressDelay),a=r(n.releaseWindow),l=r(n.toggleDelay);if(o>1){const e=[];for(let n=0;n<o;n++){const t=.25*n;e.push([t,t+.12])}const n=e[e.length-1][0];return{duration:n+.4,presses:e,band:null,fires:[{at:n,label:t("diagram.fires")}],active:null}}if(l>0){const e=2.4*l;return{duration:1.2*e,presses:[[0,e]],band:{from:0,to:l,label:s(l)},fires:[{at:l,label:t("diagram.on")},{at:e,label:t("diagram.off")}],active:null}}if(i>0){const e=i+.8*Math.max(i,.5);return{duration:1.15*e,presses:[[0,e]],band:{from:0,to:i,label:s(i)},fires:n.holdsInput?[]:[{at:i,label:t("diagram.fires")}],active:n.holdsInput?[i,e]:null}}if(a>0){const e=.6*a,o=[];return n.firesOnPress&&o.push({at:0,label:t("diagram.fires")}),n.firesOnRelease&&o.push({at:e,label:n.firesOnPress?t("diagram.again"):t("diagram.fires")}),{duration:1.5*a,presses:[[0,e]],band:{from:0,to:a,label:`< ${s(a)}`},fires:o,active:null}}const c=[];return n.firesOnPress&&!n.holdsInput&&c.push({at:0,label:t("diagram.fires")}),n.firesOnRelease&&c.push({at:.8,label:n.holdsInput||n.firesOnPress?t("diagram.again"):t("diagram.fires")}),{duration:1.1,presses:[[0,.8]],band:null,fires:c,active:n.holdsInput?[0,.8]:null}}function l(e,n,t){const o=document.createElementNS("http://www.w3.org/2000/svg",e);for(const[e,t]of Object.entries(n||{}))o.setAttribute(e,String(t));return t&&(o.textContent=t),o}n.activationDiagram={buildTimeline:a,render:function(e){const n=a(e),r=e=>o+e/n.duration*208,s=l("svg",{class:"pi-activation-diagram",viewBox:"0 0 260 66",role:"img","aria-label":t("diagram.ariaLabel")});if(s.appendChild(l("text",{class:"pi-activation-diagram__row",x:0,y:20},t("diagram.key"))),s.appendChild(l("text",{class:"pi-activation-diagram__row",x:0,y:i},t("diagram.game"))),n.band){const e=r(n.band.from),t=Math.max(1,r(n.band.to)-e);s.appendChild(l("rect",{class:"pi-activation-diagram__band",x:e,y:4,width:t,height:40})),s.appendChild(l("text",{class:"pi-activation-diagram__label",x:e+t/2,y:58,"text-anchor":"middle"},n.band.label))}const c=[[o,20]];for(const[e,t]of n.presses)c.push([r(e),20],[r(e),6],[r(t),6],[r(t),20]);if(c.push([252,20]),s.appendChild(l("polyline",{class:"pi-activation-diagram__key",points:c.map(([e,n])=>`${e},${n}`).join(" ")})),s.appendChild(l("line",{class:"pi-activation-diagram__baseline",x1:o,y1:i,x2:252,y2:i})),n.active){const[o,i]=n.active;s.appendChild(l("rect",{class:"pi-activation-diagram__active",x:r(o),y:30,width:Math.max(1,r(i)-r(o)),height:12})),s.appendChild(l("text",{class:"pi-activation-diagram__label",x:(r(o)+r(i))/2,y:58,"text-anchor":"middle"},t(e?.retriggerable?"diagram.heldRepeats":"diagram.held")))}for(const e of n.fires){const t=r(e.at);s.appendChild(l("line",{class:"pi-activation-diagram__fire",x1:t,y1:30,x2:t,y2:i})),s.appendChild(l("circle",{class:"pi-activation-diagram__fire-dot",cx:t,cy:30,r:2.5})),n.band||n.active||s.appendChild(l("text",{class:"pi-activation-diagram__label",x:t,y:58,"text-anchor":t<56?"start":"middle"},e.label))}return s}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o=["double tap","double-tap","tap","hold","press","release"],i=/^(?:[-*•·]|\d{1,2}[.)])\s+(.*)$/,r=/^\d/,s=/^@\w+$/,a=/<em\d*>([\s\S]*?)<\/em\d*>/gi,l=/<\/?[a-z][\w-]*[^<>]*>/gi,c=/%(?:ls|s|d|i|u|\.?\d*f)(?![\p{L}\p{N}])/gu,d=/~action\(\s*([^|)\s]+)\s*\|\s*([^)\s]+)\s*\)/gi,u=/\[([^\][\n]{1,24})]/g,p=new WeakMap;function g(e){return String(e).replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}function h(e){const n=String(e??"").trim();return!n||s.test(n)?"":n.replace(/\\r\\n|\\n|\\r/g,"\n").replace(/\r\n?/g,"\n").replace(/\\t/g," ").replace(/\\"/g,'"').replace(a,"$1").replace(l,"").replace(c,"").replace(/[ \t]{2,}/g," ").trim()}function f(e){const n=[];let t=null;for(const o of String(e||"").split("\n")){const e=o.trim();if(!e){t=null;continue}const s=i.exec(e);if(s){const o=r.test(e);"list"===t?.type&&t.ordered===o||(t={type:"list",ordered:o,items:[]},n.push(t)),t.items.push(s[1]);continue}"paragraph"!==t?.type&&(t={type:"paragraph",lines:[]},n.push(t)),t.lines.push(e)}return n}function m(e){const n=document.createElement("kbd");return n.className="pi-description__key",n.textContent=e,n}function b(e,n,t){let o=0;t.lastIndex=0;for(const i of n.matchAll(t)){if(i.index>o&&e.appendChild(document.createTextNode(n.slice(o,i.index))),i.groups?.key)e.appendChild(m(i[0]));else{const n=document.createElement("span");n.className="pi-description__mode",n.textContent=i[0],e.appendChild(n)}o=i.index+i[0].length}o<n.length&&e.appendChild(document.createTextNode(n.slice(o)))}function y(e,n,t,o){const i=new RegExp(`${d.source}|${u.source}`,"gi");let r=0;for(const s of n.matchAll(i)){if(s.index>r&&b(e,n.slice(r,s.index),t),void 0!==s[1]){const n=o?.resolveAction?.(s[1],s[2]);e.appendChild(m(String(n||s[2])))}else e.appendChild(m(s[3].trim()));r=s.index+s[0].length}r<n.length&&b(e,n.slice(r),t)}function w(e,n,t,o){String(n).split(/\u0001|\u0002/).forEach((n,i)=>{if(n){if(i%2==1){const i=document.createElement("em");return i.className="pi-description__emphasis",y(i,n,t,o),void e.appendChild(i)}y(e,n,t,o)}})}function k(e,n){const i=document.createElement("div");i.className="pi-description__body";const r=function(e){const n=[...o,...String(t("description.modeTerms")).split("|")].map(e=>e.trim()).filter(e=>e&&"description.modeTerms"!==e),i=(Array.isArray(e?.keys)?e.keys:[]).map(e=>String(e||"").trim()).filter(e=>e.length>0),r=(e,n)=>n.length-e.length,s=[...new Set(i)].sort(r).map(g),a=[...new Set(n.map(e=>e.toLowerCase()))].sort(r).map(g),l=[];return s.length>0&&l.push(`(?<key>${s.join("|")})`),l.push(`(?<mode>${a.join("|")})`),new RegExp(`(?<![\\p{L}\\p{N}])(?:${l.join("|")})(?![\\p{L}\\p{N}])`,"giu")}(n);for(const t of f(e)){if("list"===t.type){const e=document.createElement(t.ordered?"ol":"ul");e.className="pi-description__list";for(const o of t.items){const t=document.createElement("li");w(t,o,r,n),e.appendChild(t)}i.appendChild(e);continue}const e=document.createElement("p");e.className="pi-description__paragraph",t.lines.forEach((t,o)=>{o>0&&e.appendChild(document.createElement("br")),w(e,t,r,n)}),i.appendChild(e)}return i}function v(e,n){const o=document.createElement("button");return o.type="button",o.className="pi-description__toggle",o.setAttribute("data-i18n",e),o.textContent=t(e),o.addEventListener("click",n),o}n.description={normalize:h,parseBlocks:f,render:function e(n,t){if(!n)return;const o=h(t?.text),i=h(t?.english);let r=p.get(n);r||(r={showEnglish:!1,expanded:!1,text:""},p.set(n,r)),r.text!==o&&(r.text=o,r.expanded=!1);const s=r.showEnglish&&!!i&&i!==o,a=s?i:o;if(!a)return n.replaceChildren(document.createTextNode(String(t?.emptyText||""))),void n.classList.remove("pi-description--collapsed");const l=()=>e(n,t),c=[k(a,t)],d=document.createElement("div");d.className="pi-description__actions";const u=a.length>280;n.classList.toggle("pi-description--collapsed",u&&!r.expanded),u&&d.appendChild(v(r.expanded?"description.showLess":"description.showMore",()=>{r.expanded=!r.expanded,l()})),i&&i!==o&&d.appendChild(v(s?"description.showTranslation":"description.showEnglish",()=>{r.showEnglish=!s,l()})),d.childElementCount>0&&c.push(d),n.replaceChildren(...c)}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o=["added","removed","rebound"];let i=null,r=null;function s(e,n,t){const o=document.createElement(e);return o.className=n,o.textContent=t,o}function a(e,n,o,i){const r=s(e,n,t(o,i));return i||r.setAttribute("data-i18n",o),r}function l(e){return String(e||"")||t("bindingChanges.unbound")}function c(e){const n=document.createElement("ul");n.className="pi-binding-changes__list",n.hidden=!0;const i=Array.isArray(e?.changes)?e.changes:[];i.forEach(e=>n.appendChild(function(e){const n=o.includes(e?.kind)?e.kind:"rebound",t=document.createElement("li");t.className=`pi-binding-changes__item pi-binding-changes__item--${n}`;const i=document.createElement("div");i.appendChild(a("span","pi-binding-changes__kind",`bindingChanges.${n}`)),i.appendChild(s("span","pi-binding-changes__name",String(e?.label||e?.functionId||""))),t.appendChild(i);const r=[String(e?.group||"")];return"rebound"===n?r.push(`${l(e.oldBinding)} → ${l(e.newBinding)}`):r.push(l("added"===n?e?.newBinding:e?.oldBinding)),t.appendChild(s("div","pi-binding-changes__meta",r.filter(Boolean).join(" · "))),t}(e)));const r=Number(e?.total||0)-i.length;return!0===e?.truncated&&r>0&&n.appendChild(s("li","pi-binding-changes__more",t("bindingChanges.more",{count:r}))),n}function d(){i?.remove(),i=null,r=null}function u(e){const n=Number(e?.total||0);if(n<=0)return;d(),r=e,i=document.createElement("div"),i.className="pi-binding-changes",i.classList.toggle("pi-binding-changes--lost",!0===e.keyLostBinding),i.setAttribute("role","status");const o=document.createElement("div");o.className="pi-binding-changes__header",o.appendChild(s("span","pi-binding-changes__title",t("bindingChanges.title",{count:n})));const l=document.createElement("button");l.type="button",l.className="pi-binding-changes__close",l.textContent="×",l.setAttribute("data-i18n-title","bindingChanges.dismiss"),l.setAttribute("data-i18n-aria-label","bindingChanges.dismiss"),l.title=t("bindingChanges.dismiss"),l.setAttribute("aria-label",l.title),l.addEventListener("click",d),o.appendChild(l),i.appendChild(o),i.appendChild(s("div","pi-binding-changes__summary",t("bindingChanges.summary",{added:Number(e.added||0),removed:Number(e.removed||0),rebound:Number(e.rebound||0)}))),!0===e.keyLostBinding&&i.appendChild(a("div","pi-binding-changes__warning","bindingChanges.keyLostBinding"));const u=c(e),p=a("button","pi-binding-changes__toggle","bindingChanges.show");p.type="button",p.setAttribute("aria-expanded","false"),p.addEventListener("click",()=>{u.hidden=!u.hidden;const e=u.hidden?"bindingChanges.show":"bindingChanges.hide";p.setAttribute("data-i18n",e),p.setAttribute("aria-expanded",String(!u.hidden)),p.textContent=t(e)}),i.appendChild(p),i.appendChild(u);const g=document.querySelector(".pi-container")||document.body;g?.prepend(i)}n.bus?.on?.(e=>{e?.bindingChanges&&"object"==typeof e.bindingChanges&&u(e.bindingChanges)}),n.i18n?.onChange?.(()=>{if(!i||!r)return;const e=!1===i.querySelector(".pi-binding-changes__list")?.hidden;u(r),e&&i.querySelector(".pi-binding-changes__toggle")?.click()}),n.bindingChanges={show:u,dismiss:d}}(),function(){const e=globalThis,n=(n,t)=>e.SCPI?.i18n?.t?.(n,t)??n;function t(e){return"string"!=typeof e?"":function(e){try{return decodeURIComponent(e)}catch(n){return e}}(String(e).replace(/^C:\\fakepath\\/i,""))}function o(e){return"string"!=typeof e||0===e.length?"":e.split("\\").pop().split("/").pop()}function i(e,t,o,i){const r="function"==typeof t?t():t;return"string"==typeof r?r:e.getAttribute(o)||n(i)}function r(r={}){const s=r.rootId,a=s?document.getElementById(s):null;if(!a)return null;!function(e,t={}){if(e.querySelector(".file-picker-container"))return;const o="string"==typeof t.accept?t.accept:e.getAttribute("data-accept")||"",r="string"==typeof t.placeholderText?t.placeholderText:e.getAttribute("data-placeholder")||n("common.noFileSelected"),s="string"==typeof t.buttonText?t.buttonText:e.getAttribute("data-button-text")||"FILE",a=i(e,t.selectTitle,"data-select-title","filePicker.select"),l=i(e,t.clearTitle,"data-clear-title","filePicker.clear"),c=document.createElement("div");c.className="file-picker-container";const d=document.createElement("input");d.type="file",d.style.display="none",o&&d.setAttribute("accept",o);const u=document.createElement("div");u.className="file-picker-display";const p=document.createElement("span");p.className="filename-text",p.textContent=r,u.appendChild(p);const g=document.createElement("button");g.className="file-picker-button",g.type="button",g.title=a;const h=document.createElement("span");h.className="button-icon",h.textContent=s,g.appendChild(h);const f=document.createElement("button");f.className="file-picker-clear",f.type="button",f.title=l,f.disabled=!0,f.textContent="X",c.appendChild(d),c.appendChild(u),c.appendChild(g),c.appendChild(f),e.replaceChildren(c)}(a,r);const l=r.filenameSelector||".filename-text",c=r.settingsKey,d=r.displayMode||"basename",u="function"==typeof r.onValueChanged?r.onValueChanged:null,p="string"==typeof r.initialValue?r.initialValue:"",g=a.querySelector('input[type="file"]'),h=a.querySelector(".file-picker-button"),f=a.querySelector(".file-picker-clear"),m=a.querySelector(".file-picker-display"),b=m?m.querySelector(l):null;if(!(g&&h&&f&&m&&b))return null;let y="",w=!1,k=null,v=null;function C(e){const t="string"==typeof e&&e.length>0,i=t?"full"===d?e:o(e):String(("function"==typeof r.placeholderText?r.placeholderText():r.placeholderText)||a.getAttribute("data-placeholder")||n("common.noFileSelected"));b.textContent=i,b.title=t?e:"",f.disabled=!t}function S(e,n={}){const t=!1!==n.persist,o=!!n.silent,i="string"==typeof e?e:"";if(y=i,C(y),!o&&u)try{u(y)}catch(e){}if(t&&k){w=!0;try{k(i.length>0?i:null)}finally{setTimeout(()=>{w=!1},50)}}}function P(){g.value="",S("",{persist:!0})}return h.addEventListener("click",()=>{g.click()}),g.addEventListener("change",e=>{const n=e?.target?.files?.[0],o=t(e?.target?.value||""),i=n?.path||o;i?S(i,{persist:!0}):n?.name&&C(n.name)}),f.addEventListener("click",()=>{P()}),"string"==typeof c&&c.length>0&&e.SDPIComponents?.useSettings&&([v,k]=e.SDPIComponents.useSettings(c,e=>{w||S("string"==typeof e?e:"",{persist:!1})}),Promise.resolve(v()).then(e=>{S("string"==typeof e?e:"",{persist:!1})}).catch(()=>{})),e.SCPI?.i18n?.onChange?.(()=>{h.title=i(a,r.selectTitle,"data-select-title","filePicker.select"),f.title=i(a,r.clearTitle,"data-clear-title","filePicker.clear"),C(y)}),C(""),p&&S(p,{persist:!1,silent:!0}),{setValue:S,clear:P,getValue:()=>y}}function s(i={}){if("string"==typeof i.rootId&&i.rootId.length>0)return r(i);const s=i.inputId,a=i.buttonId,l=i.clearId,c=i.displayId,d=i.filenameSelector||".filename-text",u=i.placeholderText||n("common.noFileSelected"),p=i.settingsKey,g=i.displayMode||"basename",h="function"==typeof i.onValueChanged?i.onValueChanged:null,f="string"==typeof i.initialValue?i.initialValue:"",m=document.getElementById(s),b=document.getElementById(a),y=document.getElementById(l),w=document.getElementById(c),k=w?w.querySelector(d):null;if(!(m&&b&&y&&w&&k))return null;const v=document.createElement("div"),C=w.closest(".file-picker-container");C&&v.appendChild(C.cloneNode(!0));let S="",P=!1,A=null,T=null;function _(e){const n="string"==typeof e&&e.length>0,t=n?"full"===g?e:o(e):u;k.textContent=t,k.title=n?e:"",y.disabled=!n}function x(e,n={}){const t=!1!==n.persist,o=!!n.silent,i="string"==typeof e?e:"";if(S=i,_(S),!o&&h)try{h(S)}catch(e){}if(t&&A){P=!0;try{A(i.length>0?i:null)}finally{setTimeout(()=>{P=!1},50)}}}function E(){m.value="",x("",{persist:!0})}return b.addEventListener("click",()=>{m.click()}),m.addEventListener("change",e=>{const n=e?.target?.files?.[0],o=t(e?.target?.value||""),i=n?.path||o;i?x(i,{persist:!0}):n?.name&&_(n.name)}),y.addEventListener("click",()=>{E()}),"string"==typeof p&&p.length>0&&e.SDPIComponents?.useSettings&&([T,A]=e.SDPIComponents.useSettings(p,e=>{P||x("string"==typeof e?e:"",{persist:!1})}),Promise.resolve(T()).then(e=>{x("string"==typeof e?e:"",{persist:!1})}).catch(()=>{})),_(""),f&&x(f,{persist:!1,silent:!0}),{setValue:x,clear:E,getValue:()=>S}}const a=e.SCPI=e.SCPI||{};a.ui=a.ui||{},a.ui.filePicker={createFilePicker:r,initFilePicker:s},e.SCFilePicker=e.SCFilePicker||{initFilePicker:s}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t="scsd.functionsCache";function o(){try{const e=localStorage.getItem(t);if(!e)return null;const n=JSON.parse(e);return"string"==typeof n?.channel&&"string"==typeof n?.hash&&n.hash.length>0&&Array.isArray(n?.groups)?n:null}catch(e){return null}}function i(e,n,o){try{localStorage.setItem(t,JSON.stringify({channel:String(e||""),hash:String(n||""),groups:Array.isArray(o)?o:[]}))}catch(e){console.warn("[sc-functions-cache] could not store functions payload",e),r()}}function r(){try{localStorage.removeItem(t)}catch(e){}}function s(e,n){const t=new Map,o=new Map,i=new Map;for(const n of Array.isArray(e)?e:[]){const e=String(n?.label??""),r=[];for(const i of Array.isArray(n?.options)?n.options:[]){const n=String(i?.value??"");n&&!t.has(n)&&(t.set(n,i),o.set(n,e),r.push(n))}i.set(e,r)}for(const e of n.removed||[])t.delete(String(e));for(const e of n.upserted||[]){const n=String(e?.option?.value??"");n&&(t.set(n,e.option),o.set(n,String(e.group??"")))}const r=n.optionOrder||{};return(n.groupOrder||[]).map(e=>{const n=(Array.isArray(r[e])?r[e]:i.get(e)||[]).filter(n=>t.has(n)&&o.get(n)===e).map(e=>t.get(e));return{label:e,options:n}}).filter(e=>e.options.length>0)}n.functionsCache={read:o,write:i,clear:r,applyDelta:s,createTracker:function(){let e=o();return{current:()=>e,resolve:function(n){const t=String(n?.functionsHash||""),o=String(n?.channel||"");if(Array.isArray(n?.functions))return e=t?{channel:o,hash:t,groups:n.functions}:null,e&&i(o,t,n.functions),n.functions;if(!0===n?.functionsUnchanged)return e?.hash===t?e.groups:null;const r=n?.functionsDelta;if(r&&e?.hash===r.baseHash){const n=s(e.groups,r);return e={channel:o,hash:t,groups:n},i(o,t,n),n}return null}}}}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e,o=[{key:"function",short:"f",type:"string"},{key:"clickSoundPath",short:"s",type:"string"},{key:"resetHoldSeconds",short:"r",type:"number"},{key:"autoTitle",short:"a",type:"boolean"},{key:"titleAbbreviations",short:"ab",type:"string"},{key:"titleOff",short:"t0",type:"string"},{key:"titleOn",short:"t1",type:"string"},{key:"offImagePath",short:"i0",type:"string"},{key:"offColor",short:"c0",type:"string"},{key:"onImagePath",short:"i1",type:"string"},{key:"onColor",short:"c1",type:"string"},{key:"longPressFunction",short:"lf",type:"string"},{key:"longPressSeconds",short:"ls",type:"number"}],i=/^scsd(\d+)\.([A-Za-z0-9+/]+)\.([0-9a-f]{8})$/i;class r extends Error{constructor(e,n){super(e),this.name="SettingsCodecError",this.code=n}}let s=null;function a(e){if(!s){s=new Uint32Array(256);for(let e=0;e<256;e++){let n=e;for(let e=0;e<8;e++)n=1&n?3988292384^n>>>1:n>>>1;s[e]=n>>>0}}let n=4294967295;for(let t=0;t<e.length;t++)n=s[255&(n^e.charCodeAt(t))]^n>>>8;return((4294967295^n)>>>0).toString(16).padStart(8,"0")}function l(e,n){return typeof e===n&&("string"!==n||e.length>0)&&("number"!==n||Number.isFinite(e))}n.settingsCodec={VERSION:1,keys:o.map(e=>e.key),encode:function(e){const n={};for(const t of o){const o=e?.[t.key];l(o,t.type)&&(n[t.short]=o)}const t=function(e){const n=(new TextEncoder).encode(e);let t="";return n.forEach(e=>{t+=String.fromCharCode(e)}),btoa(t).replace(/=+$/,"")}(JSON.stringify(n));return`scsd1.${t}.${a(t)}`},decode:function(e){const n=String(e||"").replace(/\s+/g,""),s=i.exec(n);if(!s)throw new r(t("settingsCodec.notSettings"),"format");if(1!==Number(s[1]))throw new r(t("settingsCodec.unsupportedVersion",{version:s[1]}),"version");if(a(s[2])!==s[3].toLowerCase())throw new r(t("settingsCodec.checksum"),"checksum");let c;try{c=JSON.parse(function(e){const n=e+"=".repeat((4-e.length%4)%4);return(new TextDecoder).decode(Uint8Array.from(atob(n),e=>e.charCodeAt(0)))}(s[2]))}catch(e){c=null}if(!c||"object"!=typeof c||Array.isArray(c))throw new r(t("settingsCodec.unreadable"),"format");const d={};for(const e of o)l(c[e.short],e.type)&&(d[e.key]=c[e.short]);return d},SettingsCodecError:r}}(),function(){const e=globalThis,n=e.SCPI=e.SCPI||{},t=(e,t)=>n.i18n?.t?.(e,t)??e;function o(e,n){if(e&&"string"==typeof e){n&&(n.href=`../css/themes/${e}`);try{localStorage.setItem("scsd.selectedTheme",e)}catch(e){}}}n.theme={initThemeDropdown:function(i={}){const r=i.rootId||"themeDropdown",s=i.linkId||"pi-theme-styles",a=document.getElementById(s);if(!a)return;let l=[];n.bus?.start?.();const c=n.ui?.dropdown?.initDropdown?.({rootId:r,searchEnabled:!1,displaySelectedInInput:!0,minLoadingMs:500,successFlashMs:220,emptyText:()=>t("theme.noThemes"),getText:e=>String(e?.name??""),getValue:e=>String(e?.file??""),onSelect:t=>{const i=String(t?.file??"");i&&(o(i,a),(n.bus?.send||n.util?.sendToPlugin||e.sendToPlugin)?.("setTheme",{themeFile:i}))}});c?.setLoading?.(!0,()=>t("theme.loading")),n.bus?.on?.(e=>{if(e&&(e.themesLoaded&&(l=e.themes||[],c?.setItems?.(l),c?.setLoading?.(!1)),"string"==typeof e.selectedTheme&&e.selectedTheme.length>0)){const n=e.selectedTheme;o(n,a),c?.setSelectedValue?.(n,{rerender:!0})}});try{const e=(a.getAttribute("href")||"").split("/").pop().split("?")[0];e&&(o(e,a),c?.setSelectedValue?.(e,{rerender:!0}))}catch(e){}}},e.SCTheme=e.SCTheme||n.theme}();
@@ -4,7 +4,20 @@
 
 (function () {
   const SCPI = globalThis.SCPI;
+  const t = (key, params) => SCPI?.i18n?.t?.(key, params) ?? key;
+  const translateReason = (code) => SCPI?.i18n?.reason?.(code) ?? String(code);
   const CHANNELS = ['Live', 'Hotfix', 'Ptu', 'Eptu'];
+  const AUTO_LANGUAGE = SCPI?.i18n?.AUTO || 'auto';
+
+  // Detection / cache rebuilds parse Data.p4k and can take a while.
+  const LONG_REQUEST_TIMEOUT_MS = 120000;
+  const STATUS_SUCCESS_MS = 4000;
+
+  // invalidReason codes from ControlPanelPayloadBuilder / InstallationState.GetInvalidReason.
+  const INVALID_REASONS = {
+    channelFolderMissing: 'controlPanel.reasonChannelFolderMissing',
+    dataP4KMissing: 'controlPanel.reasonDataP4KMissing'
+  };
 
   function buildChannelItems(cp) {
     const channelMap = new Map();
@@ -26,7 +39,7 @@
       const custom = !!info?.isCustomPath;
       items.push({
         value: ch,
-        text: `${ch.toUpperCase()} - ${custom ? 'Custom' : 'Auto'}`
+        text: t(custom ? 'controlPanel.channelCustom' : 'controlPanel.channelAuto', {channel: ch.toUpperCase()})
       });
     }
 
@@ -60,6 +73,65 @@
     }
   }
 
+  let statusClearTimer = null;
+
+  /**
+   * Show the outcome of a Control Panel action below the buttons.
+   * @param {string} text - Message (empty hides the banner)
+   * @param {'pending'|'success'|'error'} tone
+   */
+  function setActionStatus(text, tone = 'pending') {
+    const el = document.getElementById('pi-action-status');
+    if (!el) {
+      return;
+    }
+
+    if (statusClearTimer) {
+      clearTimeout(statusClearTimer);
+      statusClearTimer = null;
+    }
+
+    el.classList.remove('pi-inline-status--pending', 'pi-inline-status--success', 'pi-inline-status--error');
+    setInlineError('pi-action-status', text);
+
+    const msg = String(text || '').trim();
+    if (msg.length === 0) {
+      return;
+    }
+
+    el.classList.add(`pi-inline-status--${tone}`);
+
+    if (tone === 'success') {
+      statusClearTimer = setTimeout(() => setActionStatus(''), STATUS_SUCCESS_MS);
+    }
+  }
+
+  function describeRequestError(err) {
+    const errors = SCPI?.bus?.errors || {};
+    if (errors.RequestTimeoutError && err instanceof errors.RequestTimeoutError) {
+      return t('common.pluginTimeout');
+    }
+
+    return err ? translateReason(err?.message || err) : t('controlPanel.unknownError');
+  }
+
+  /**
+   * Send a request to the plugin and reflect pending/success/failure in the status banner.
+   * @returns {Promise<boolean>} true when the plugin reported success
+   */
+  async function runAction(event, payload, labels) {
+    setActionStatus(labels.pending, 'pending');
+
+    try {
+      await SCPI.bus.request(event, payload, {timeoutMs: labels.timeoutMs || LONG_REQUEST_TIMEOUT_MS});
+      setActionStatus(labels.success, 'success');
+      return true;
+    } catch (err) {
+      setActionStatus(t('controlPanel.actionFailed', {action: labels.failure, error: describeRequestError(err)}), 'error');
+      return false;
+    }
+  }
+
   function updateInstallWarning(cp) {
     const list = Array.isArray(cp?.channels) ? cp.channels : [];
     const anyConfigured = list.some((r) => !!r?.configured);
@@ -71,26 +143,159 @@
     }
 
     if (!anyConfigured) {
-      setInlineError('pi-install-warning', "No installation detected. Set custom path.");
+      setInlineError('pi-install-warning', t('common.noInstallation'));
+      return;
+    }
+
+    setInlineError('pi-install-warning', t('common.noInstallation'));
+  }
+
+  /**
+   * Format a plugin timestamp (ISO 8601) in the UI language; '' when missing or unset (DateTime.MinValue).
+   * @param {string} value
+   * @returns {string}
+   */
+  function formatTime(value) {
+    const date = new Date(String(value || ''));
+    if (!value || Number.isNaN(date.getTime()) || date.getFullYear() < 2000) {
+      return '';
+    }
+
+    try {
+      return date.toLocaleString(SCPI?.i18n?.getLanguage?.() || undefined, {dateStyle: 'short', timeStyle: 'short'});
+    } catch (_) {
+      return date.toLocaleString();
+    }
+  }
+
+  function textLine(className, text, title) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    if (title) {
+      el.title = title;
+    }
+    return el;
+  }
+
+  // Labels carry data-i18n so a language switch relabels them in place.
+  function rowButton(labelKey, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pi-button pi-button--compact';
+    button.setAttribute('data-i18n', labelKey);
+    button.textContent = t(labelKey);
+    button.title = title;
+    button.disabled = !!disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function buildStatusRow(channel, info, active, actions) {
+    const label = channel.toUpperCase();
+    const params = {channel: label};
+    const configured = !!info?.configured;
+    const valid = !!info?.valid;
+    const reason = String(info?.invalidReason || '');
+
+    const row = document.createElement('tr');
+    row.className = 'pi-status-table__row';
+    row.classList.toggle('pi-status-table__row--invalid', configured && !valid);
+
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.appendChild(textLine('pi-status-table__channel', label));
+    if (active) {
+      name.appendChild(textLine('pi-status-table__active', t('controlPanel.channelActive')));
+    }
+
+    const install = document.createElement('td');
+    const sourceKey = !configured
+      ? 'controlPanel.sourceNone'
+      : info.isCustomPath ? 'controlPanel.sourceCustom' : 'controlPanel.sourceAuto';
+    install.appendChild(textLine('pi-status-table__source', t(sourceKey)));
+    if (configured && !valid) {
+      const reasonText = INVALID_REASONS[reason] ? t(INVALID_REASONS[reason]) : reason;
+      install.appendChild(textLine('pi-status-table__reason', reasonText));
+    }
+    if (configured) {
+      for (const path of [info.channelPath, info.dataP4KPath]) {
+        if (path) {
+          install.appendChild(textLine('pi-status-table__path', String(path), String(path)));
+        }
+      }
+    }
+
+    const cache = document.createElement('td');
+    const cached = !!info?.keybindingsJsonExists;
+    const builtAt = formatTime(info?.keybindingsJsonLastWrite);
+    let cacheText = t('controlPanel.cacheMissing');
+    if (cached) {
+      cacheText = builtAt ? t('controlPanel.cacheBuilt', {time: builtAt}) : t('controlPanel.cacheExists');
+    }
+    const cacheLine = textLine('pi-status-table__cache', cacheText);
+    cacheLine.classList.toggle('pi-status-table__cache--missing', !cached);
+    cache.appendChild(cacheLine);
+
+    const buttons = document.createElement('td');
+    buttons.className = 'pi-status-table__actions';
+    buttons.append(
+      // Rebuilding needs a valid installation (InitializationService.RefreshKeybindingsFromActionMapsAsync).
+      rowButton('controlPanel.rebuildCache', t('controlPanel.rebuildCacheTitle', params),
+        !valid || actions.busy.has(channel), () => actions.onRebuild(channel)),
+      rowButton('controlPanel.openFolder', t('controlPanel.openFolderTitle', params),
+        !configured || reason === 'channelFolderMissing', () => actions.onOpen(channel))
+    );
+
+    row.append(name, install, cache, buttons);
+    return row;
+  }
+
+  /**
+   * One status row per channel: detection source, paths, keybindings cache and per-channel actions.
+   * @param {Object} cp - controlPanel payload
+   * @param {{busy: Set<string>, onRebuild: Function, onOpen: Function}} actions
+   */
+  function renderStatusTable(cp, actions) {
+    const body = document.getElementById('channelStatusRows');
+    if (!body) {
       return;
     }
 
-    setInlineError('pi-install-warning', 'No installation detected. Set custom path.');
+    const byChannel = new Map();
+    for (const row of Array.isArray(cp?.channels) ? cp.channels : []) {
+      if (row && typeof row.channel === 'string') {
+        byChannel.set(row.channel, row);
+      }
+    }
+
+    const active = cp?.initialized ? String(cp?.currentChannel || '') : '';
+    body.replaceChildren(...CHANNELS.map((ch) => buildStatusRow(ch, byChannel.get(ch), ch === active, actions)));
+
+    const footer = document.getElementById('lastInitialized');
+    if (footer) {
+      const time = formatTime(cp?.lastInitialized);
+      footer.textContent = time ? t('controlPanel.lastInitialized', {time}) : '';
+    }
   }
 
   function initPickers() {
     const pickers = new Map();
 
-    const send = SCPI?.bus?.send || SCPI?.util?.sendToPlugin || globalThis.sendToPlugin;
-
     function wire(channel, rootId) {
+      const label = channel.toUpperCase();
       const picker = SCPI?.ui?.filePicker?.createFilePicker?.({
         rootId,
         displayMode: 'full',
+        selectTitle: () => t('controlPanel.selectP4K', {channel: label}),
+        clearTitle: () => t('controlPanel.clearOverride', {channel: label}),
         onValueChanged: (value) => {
-          send?.('setDataP4KOverride', {
-            channel,
-            dataP4KPath: value || ''
+          const clearing = !value;
+          const params = {channel: label};
+          runAction('setDataP4KOverride', {channel, dataP4KPath: value || ''}, {
+            pending: t(clearing ? 'controlPanel.clearingOverride' : 'controlPanel.applyingOverride', params),
+            success: t(clearing ? 'controlPanel.overrideCleared' : 'controlPanel.overrideApplied', params),
+            failure: t(clearing ? 'controlPanel.clearOverrideFailed' : 'controlPanel.overrideFailed', params)
           });
         }
       });
@@ -126,6 +331,55 @@
     }
   }
 
+  /**
+   * UI language picker. "Auto" follows the language the plugin detected for game labels.
+   */
+  function initLanguageDropdown() {
+    let selected = SCPI?.i18n?.getSetting?.() || AUTO_LANGUAGE;
+
+    const dropdown = SCPI?.ui?.dropdown?.initDropdown?.({
+      rootId: 'languageDropdown',
+      searchEnabled: false,
+      displaySelectedInInput: true,
+      minLoadingMs: 0,
+      successFlashMs: 220,
+      getText: (item) => String(item?.text ?? ''),
+      getValue: (item) => String(item?.value ?? ''),
+      onSelect: (item) => {
+        const value = String(item?.value || '');
+        if (!value || value === selected) {
+          return;
+        }
+
+        selected = value;
+        SCPI?.i18n?.setSetting?.(value);
+        SCPI?.bus?.send?.('setUiLanguage', {language: value});
+      }
+    });
+
+    function render() {
+      const languages = SCPI?.i18n?.getLanguages?.() || [];
+      const autoCode = SCPI?.i18n?.getAutoLanguage?.() || '';
+      const autoName = languages.find((l) => l.code === autoCode)?.name || autoCode;
+
+      dropdown?.setItems?.([
+        {value: AUTO_LANGUAGE, text: t('controlPanel.languageAuto', {language: autoName})},
+        ...languages.map((l) => ({value: l.code, text: l.name}))
+      ]);
+      dropdown?.setSelectedValue?.(selected, {rerender: true});
+    }
+
+    render();
+
+    return {
+      render,
+      setSelected: (value) => {
+        selected = value || AUTO_LANGUAGE;
+        render();
+      }
+    };
+  }
+
   SCPI?.util?.onDocumentReady?.(() => {
     SCPI?.bus?.start?.();
 
@@ -134,9 +388,9 @@
       linkId: 'pi-theme-styles'
     });
 
+    const languagePicker = initLanguageDropdown();
     const pickers = initPickers();
-
-    const send = SCPI?.bus?.send || SCPI?.util?.sendToPlugin || globalThis.sendToPlugin;
+    let lastControlPanel = null;
 
     const channelDropdown = SCPI?.ui?.dropdown?.initDropdown?.({
       rootId: 'channelDropdown',
@@ -144,43 +398,91 @@
       displaySelectedInInput: true,
       minLoadingMs: 500,
       successFlashMs: 220,
-      emptyText: 'No valid channels',
-      getText: (t) => String(t?.text ?? ''),
-      getValue: (t) => String(t?.value ?? ''),
-      onSelect: (t) => {
-        const value = String(t?.value || '');
+      emptyText: () => t('controlPanel.noChannels'),
+      getText: (item) => String(item?.text ?? ''),
+      getValue: (item) => String(item?.value ?? ''),
+      onSelect: (item) => {
+        const value = String(item?.value || '');
         if (!value) {
           return;
         }
-        send?.('setChannel', {channel: value});
+        const params = {channel: value.toUpperCase()};
+        runAction('setChannel', {channel: value}, {
+          pending: t('controlPanel.switching', params),
+          success: t('controlPanel.switched', params),
+          failure: t('controlPanel.switchFailed'),
+          timeoutMs: 60000
+        });
       }
     });
 
-    channelDropdown?.setLoading?.(true, 'Loading status');
+    channelDropdown?.setLoading?.(true, () => t('controlPanel.loadingStatus'));
 
     const factoryResetBtn = document.getElementById('factoryResetBtn');
     const redetectBtn = document.getElementById('forceRedetectBtn');
 
-    factoryResetBtn?.addEventListener('click', () => {
-      const ok = globalThis.confirm?.(
-        'Factory Reset will remove cached installations, clear all custom Data.p4k overrides, reset theme selection, and rebuild keybindings from scratch.\n\nContinue?'
-      );
+    function setButtonsBusy(busy) {
+      [factoryResetBtn, redetectBtn].forEach((btn) => {
+        if (btn) {
+          btn.disabled = !!busy;
+        }
+      });
+    }
+
+    factoryResetBtn?.addEventListener('click', async () => {
+      const ok = globalThis.confirm?.(t('controlPanel.factoryResetConfirm'));
       if (!ok) {
         return;
       }
-      send?.('factoryReset');
+
+      setButtonsBusy(true);
+      await runAction('factoryReset', {}, {
+        pending: t('controlPanel.factoryResetPending'),
+        success: t('controlPanel.factoryResetDone'),
+        failure: t('controlPanel.factoryResetFailed')
+      });
+      setButtonsBusy(false);
     });
 
-    redetectBtn?.addEventListener('click', () => {
-      send?.('forceRedetection');
+    redetectBtn?.addEventListener('click', async () => {
+      setButtonsBusy(true);
+      await runAction('forceRedetection', {}, {
+        pending: t('controlPanel.redetectPending'),
+        success: t('controlPanel.redetectDone'),
+        failure: t('controlPanel.redetectFailed')
+      });
+      setButtonsBusy(false);
     });
 
-    SCPI?.bus?.on?.((payload) => {
-      if (!payload?.controlPanelLoaded) {
-        return;
+    const rebuilding = new Set();
+    const statusActions = {
+      busy: rebuilding,
+      onRebuild: async (channel) => {
+        const params = {channel: channel.toUpperCase()};
+        rebuilding.add(channel);
+        renderStatusTable(lastControlPanel, statusActions);
+
+        await runAction('rebuildChannelCache', {channel}, {
+          pending: t('controlPanel.rebuildPending', params),
+          success: t('controlPanel.rebuildDone', params),
+          failure: t('controlPanel.rebuildFailed', params)
+        });
+
+        rebuilding.delete(channel);
+        renderStatusTable(lastControlPanel, statusActions);
+      },
+      onOpen: async (channel) => {
+        // Opening a folder needs no confirmation; only failures are reported.
+        try {
+          await SCPI.bus.request('openChannelFolder', {channel});
+        } catch (err) {
+          const action = t('controlPanel.openFolderFailed', {channel: channel.toUpperCase()});
+          setActionStatus(t('controlPanel.actionFailed', {action, error: describeRequestError(err)}), 'error');
+        }
       }
+    };
 
-      const cp = payload.controlPanel || {};
+    function renderControlPanel(cp) {
       const items = buildChannelItems(cp);
       channelDropdown?.setItems?.(items);
       channelDropdown?.setLoading?.(false);
@@ -200,10 +502,36 @@
       }
 
       updateInstallWarning(cp);
-      applyOverridePickerValues(cp, pickers);
+      renderStatusTable(cp, statusActions);
+    }
+
+    SCPI?.bus?.on?.((payload) => {
+      if (!payload?.controlPanelLoaded) {
+        return;
+      }
+
+      if (typeof payload.uiLanguage === 'string') {
+        SCPI?.i18n?.setSetting?.(payload.uiLanguage);
+        languagePicker.setSelected(SCPI?.i18n?.getSetting?.());
+      } else {
+        // The game language may have changed ("Auto" shows it).
+        languagePicker.render();
+      }
+
+      lastControlPanel = payload.controlPanel || {};
+      renderControlPanel(lastControlPanel);
+      applyOverridePickerValues(lastControlPanel, pickers);
+    });
+
+    // Channel labels, the install warning and the status table are built here, not from data-i18n markup.
+    SCPI?.i18n?.onChange?.(() => {
+      languagePicker.render();
+      if (lastControlPanel) {
+        renderControlPanel(lastControlPanel);
+      }
     });
 
-    // Ask plugin for Control Panel status (themes + channel state).
-    SCPI?.bus?.sendOnce?.('pi.connected', 'propertyInspectorConnected');
+    // Protocol handshake; the plugin answers with Control Panel status (themes + channel state).
+    SCPI?.protocol?.connect?.();
   });
 })();
@@ -0,0 +1,364 @@
+//// ****************************************************************
+// * Dial PI Entrypoint
+// * Rotation turns a mouse axis function; pushing the dial (or tapping
+// * the touch strip) runs a second, button-style function.
+//// ****************************************************************
+
+(function () {
+  const SCPI = globalThis.SCPI;
+  const t = (key, params) => SCPI?.i18n?.t?.(key, params) ?? key;
+  SCPI?.bus?.start?.();
+
+  // #region Global State
+
+  // Limits match DialKeyCore (plugin side).
+  const DEFAULT_TICKS_PER_STEP = 1;
+  const MIN_TICKS_PER_STEP = 1;
+  const MAX_TICKS_PER_STEP = 20;
+  const DEFAULT_ACCELERATION = 0;
+  const MIN_ACCELERATION = 0;
+  const MAX_ACCELERATION = 2;
+
+  // The plugin moves plain mouse axes only (see KeybindingParserService.TryParseMouseAxis).
+  const SUPPORTED_AXIS = /^maxis_[xyz]$/i;
+
+  const axisSelectedEl = document.querySelector('.pi-dial__selected');
+  const pushSelectedEl = document.querySelector('.pi-dial__push-selected');
+  const clearPushBtn = document.getElementById('clearPushButton');
+  const ticksPerStepInput = document.getElementById('ticksPerStep');
+  const invertInput = document.getElementById('invertDirection');
+  const accelerationInput = document.getElementById('acceleration');
+
+  /**
+   * Functions with a mouse axis binding (rotation)
+   * @type {Array}
+   */
+  let axisOptions = [];
+
+  /**
+   * Keyboard and mouse button functions (push)
+   * @type {Array}
+   */
+  let pushOptions = [];
+
+  let axisValue = '';
+  let pushValue = '';
+  let renderedHash = '';
+  let loading = true;
+
+  const functionsTracker = SCPI?.functionsCache?.createTracker?.() || null;
+
+  const axisDropdown = createDropdown('dialFunctionDropdown', (opt) => setAxisFunction(opt.value));
+  const pushDropdown = createDropdown('dialPushDropdown', (opt) => setPushFunction(opt.value));
+
+  // #endregion
+
+  // #region SDK Settings Integration
+
+  const [getFunctionSetting, setFunctionSetting] = globalThis.SDPIComponents.useSettings(
+    'function',
+    (value) => {
+      axisValue = typeof value === 'string' ? value : '';
+      axisDropdown?.setSelectedValue?.(axisValue, {rerender: true});
+      renderSelected();
+    }
+  );
+
+  const [getPushSetting, setPushSetting] = globalThis.SDPIComponents.useSettings(
+    'pushFunction',
+    (value) => {
+      pushValue = typeof value === 'string' ? value : '';
+      pushDropdown?.setSelectedValue?.(pushValue, {rerender: true});
+      renderSelected();
+    }
+  );
+
+  SCPI?.ui?.filePicker?.createFilePicker?.({
+    rootId: 'audioFilePicker',
+    placeholderText: () => t('common.noFileSelected'),
+    settingsKey: 'clickSoundPath'
+  });
+
+  function clampNumber(raw, min, max, fallback) {
+    const value = (typeof raw === 'number') ? raw : parseFloat(String(raw ?? ''));
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+  }
+
+  function clampTicksPerStep(raw) {
+    return Math.round(clampNumber(raw, MIN_TICKS_PER_STEP, MAX_TICKS_PER_STEP, DEFAULT_TICKS_PER_STEP));
+  }
+
+  function clampAcceleration(raw) {
+    return clampNumber(raw, MIN_ACCELERATION, MAX_ACCELERATION, DEFAULT_ACCELERATION);
+  }
+
+  function setAxisFunction(value) {
+    axisValue = value;
+    axisDropdown?.setSelectedValue?.(value, {rerender: true});
+    setFunctionSetting(value || null);
+    renderSelected();
+  }
+
+  function setPushFunction(value) {
+    pushValue = value;
+    pushDropdown?.setSelectedValue?.(value, {rerender: true});
+    setPushSetting(value || null);
+    renderSelected();
+  }
+
+  // #endregion
+
+  // #region Functions List
+
+  function getAxisBinding(opt) {
+    const devices = Array.isArray(opt?.details?.devices) ? opt.details.devices : [];
+    const axis = devices.find((d) => d?.device === 'MouseAxis' && Array.isArray(d.bindings) && d.bindings.length > 0);
+    return axis ? axis.bindings[0] : null;
+  }
+
+  /**
+   * Split the payload into rotation options (any mouse axis binding) and push options (same rules as the keys)
+   * @param {Array} groups - Grouped functions payload
+   */
+  function flattenFunctionsData(groups) {
+    axisOptions = [];
+    pushOptions = [];
+
+    for (const group of Array.isArray(groups) ? groups : []) {
+      for (const opt of Array.isArray(group?.options) ? group.options : []) {
+        const base = {
+          value: opt.value,
+          legacyValue: opt.legacyValue,
+          text: opt.text,
+          searchText: String(opt.searchText || ''),
+          group: group.label || t('common.otherGroup'),
+          details: opt.details
+        };
+
+        if (opt.details?.hasAxis === true) {
+          const binding = getAxisBinding(opt);
+          axisOptions.push({
+            ...base,
+            axisRaw: String(binding?.raw || ''),
+            axisDisplay: String(binding?.display || binding?.raw || ''),
+            disabled: !SUPPORTED_AXIS.test(String(binding?.raw || ''))
+          });
+        }
+
+        const bindingType = String(opt.bindingType || '').toLowerCase();
+        if (bindingType === 'mouseaxis' || bindingType === 'joystick' || bindingType === 'gamepad') {
+          continue;
+        }
+
+        const isUnbound = bindingType === 'unbound';
+        pushOptions.push({...base, unbound: isUnbound, disabled: !!opt.disabled && !isUnbound});
+      }
+    }
+  }
+
+  function findOption(options, value) {
+    return value ? options.find((o) => o.value === value || o.legacyValue === value) || null : null;
+  }
+
+  function populateFunctions(groups) {
+    flattenFunctionsData(groups);
+
+    axisDropdown?.setItems?.(axisOptions);
+    pushDropdown?.setItems?.(pushOptions);
+
+    // Migrate legacy ids to v2 ids, like the function keys do.
+    const axisOpt = findOption(axisOptions, axisValue);
+    if (axisOpt && axisOpt.value !== axisValue) {
+      setAxisFunction(axisOpt.value);
+    }
+
+    const pushOpt = findOption(pushOptions, pushValue);
+    if (pushOpt && pushOpt.value !== pushValue) {
+      setPushFunction(pushOpt.value);
+    }
+
+    axisDropdown?.setSelectedValue?.(axisValue, {rerender: false});
+    pushDropdown?.setSelectedValue?.(pushValue, {rerender: false});
+    renderSelected();
+  }
+
+  // #endregion
+
+  // #region Rendering
+
+  function createDropdown(rootId, onSelect) {
+    const dropdown = SCPI?.ui?.dropdown?.initDropdown?.({
+      rootId,
+      searchEnabled: true,
+      minLoadingMs: 0,
+      successFlashMs: 100,
+      emptyText: () => t('common.noMatchingFunctions'),
+      getText: (opt) => String(opt?.text ?? ''),
+      getValue: (opt) => String(opt?.value ?? ''),
+      getGroup: (opt) => String(opt?.group ?? ''),
+      getSearchFields: (opt) => ({
+        label: opt?.text,
+        actionName: opt?.details?.actionName,
+        searchText: opt?.searchText
+      }),
+      isDisabled: (opt) => !!opt?.disabled,
+      onSelect
+    });
+
+    dropdown?.setLoading?.(true, () => t('common.loadingFunctions'));
+    return dropdown;
+  }
+
+  /**
+   * Show the selected functions (the search inputs are cleared after selection)
+   */
+  function renderSelected() {
+    if (axisSelectedEl) {
+      const opt = findOption(axisOptions, axisValue);
+      const missing = !!axisValue && !opt && !loading;
+      let text = '';
+      if (opt) {
+        text = opt.disabled
+          ? t('dial.modifierAxis', {function: opt.text, axis: opt.axisDisplay})
+          : `${opt.text} (${opt.axisDisplay})`;
+      } else if (missing) {
+        text = t('common.functionNotFound');
+      }
+
+      axisSelectedEl.textContent = text;
+      axisSelectedEl.classList.toggle('pi-dial__selected--missing', missing || !!opt?.disabled);
+      axisSelectedEl.hidden = !text;
+    }
+
+    if (pushSelectedEl) {
+      const opt = findOption(pushOptions, pushValue);
+      const missing = !!pushValue && !opt && !loading;
+      pushSelectedEl.textContent = opt ? opt.text : missing ? t('common.functionNotFound') : '';
+      pushSelectedEl.classList.toggle('pi-dial__selected--missing', missing || !!opt?.unbound);
+      pushSelectedEl.hidden = !pushSelectedEl.textContent;
+    }
+
+    if (clearPushBtn) {
+      clearPushBtn.hidden = !pushValue;
+    }
+  }
+
+  // #endregion
+
+  // #region Rotation Settings
+
+  if (ticksPerStepInput) {
+    const [getTicksSetting, setTicksSetting] = globalThis.SDPIComponents.useSettings(
+      'ticksPerStep',
+      (value) => {
+        ticksPerStepInput.value = String(clampTicksPerStep(value));
+      }
+    );
+
+    ticksPerStepInput.addEventListener('change', () => {
+      const normalized = clampTicksPerStep(ticksPerStepInput.value);
+      ticksPerStepInput.value = String(normalized);
+      setTicksSetting(normalized);
+    });
+
+    ticksPerStepInput.value = String(clampTicksPerStep(getTicksSetting()));
+  }
+
+  if (accelerationInput) {
+    const [getAccelerationSetting, setAccelerationSetting] = globalThis.SDPIComponents.useSettings(
+      'acceleration',
+      (value) => {
+        accelerationInput.value = clampAcceleration(value).toFixed(2);
+      }
+    );
+
+    accelerationInput.addEventListener('change', () => {
+      const normalized = clampAcceleration(accelerationInput.value);
+      accelerationInput.value = normalized.toFixed(2);
+      setAccelerationSetting(normalized);
+    });
+
+    accelerationInput.value = clampAcceleration(getAccelerationSetting()).toFixed(2);
+  }
+
+  if (invertInput) {
+    const [getInvertSetting, setInvertSetting] = globalThis.SDPIComponents.useSettings(
+      'invertDirection',
+      (value) => {
+        invertInput.checked = value === true;
+      }
+    );
+
+    invertInput.addEventListener('change', () => setInvertSetting(invertInput.checked));
+    invertInput.checked = getInvertSetting() === true;
+  }
+
+  // #endregion
+
+  // #region WebSocket Communication
+
+  SCPI?.bus?.on?.((payload) => {
+    const loaded = payload?.functionsLoaded;
+
+    if (loaded === true) {
+      const groups = functionsTracker?.resolve?.(payload) || null;
+      if (!groups) {
+        // Cache missing or out of sync with the plugin's base: ask for the full list.
+        SCPI?.bus?.send?.('refreshFunctions');
+        return;
+      }
+
+      loading = false;
+      axisDropdown?.setLoading?.(false);
+      pushDropdown?.setLoading?.(false);
+
+      const hash = String(payload.functionsHash || '');
+      if (!hash || hash !== renderedHash) {
+        renderedHash = hash;
+        populateFunctions(groups);
+      }
+    }
+
+    if (loaded === false) {
+      renderedHash = '';
+      loading = true;
+      axisOptions = [];
+      pushOptions = [];
+      [axisDropdown, pushDropdown].forEach((dropdown) => {
+        dropdown?.setLoading?.(true, () => t('common.noInstallation'));
+        dropdown?.setItems?.([]);
+      });
+    }
+  });
+
+  // #endregion
+
+  // #region Event Listeners
+
+  clearPushBtn?.addEventListener('click', () => setPushFunction(''));
+
+  SCPI?.util?.onDocumentReady?.(() => {
+    axisValue = String(getFunctionSetting() || '');
+    pushValue = String(getPushSetting() || '');
+
+    // Show the cached list right away; the plugin then confirms it or sends a delta.
+    const cachedFunctions = functionsTracker?.current?.() || null;
+    if (cachedFunctions) {
+      loading = false;
+      renderedHash = cachedFunctions.hash;
+      axisDropdown?.setLoading?.(false);
+      pushDropdown?.setLoading?.(false);
+      populateFunctions(cachedFunctions.groups);
+    } else {
+      renderSelected();
+    }
+
+    SCPI?.protocol?.connect?.({
+      functionsCache: {channel: cachedFunctions?.channel || '', hash: cachedFunctions?.hash || ''}
+    });
+  });
+
+  SCPI?.i18n?.onChange?.(renderSelected);
+
+  // #endregion
+})();
@@ -4,6 +4,8 @@
 
 (function () {
   const SCPI = globalThis.SCPI;
+  const t = (key, params) => SCPI?.i18n?.t?.(key, params) ?? key;
+  const translateReason = (code) => SCPI?.i18n?.reason?.(code) ?? String(code);
   SCPI?.bus?.start?.();
 
   // #region Global State
@@ -13,16 +15,39 @@
     searchEnabled: true,
     minLoadingMs: 0,
     successFlashMs: 100,
-    emptyText: 'No matching functions found',
-    maxResults: 50,
+    emptyText: () => t('common.noMatchingFunctions'),
     getText: (opt) => String(opt?.text ?? ''),
     getValue: (opt) => String(opt?.value ?? ''),
     getGroup: (opt) => String(opt?.group ?? ''),
+    getSearchFields: (opt) => ({
+      label: opt?.text,
+      actionName: opt?.details?.actionName,
+      searchText: opt?.searchText,
+      keys: collectBindingKeys(opt?.details)
+    }),
     isDisabled: (opt) => !!opt?.disabled,
-    onSelect: (opt) => selectOption(opt, {persist: true})
+    isFavorite: (opt) => favoriteValues.includes(opt?.value),
+    onToggleFavorite: (opt) => toggleFavorite(opt),
+    getPinnedGroups: () => getPinnedGroups(),
+    onSelect: (opt) => {
+      selectOption(opt, {persist: true});
+      rememberRecent(opt);
+    }
+  });
+
+  functionDropdown?.setLoading?.(true, () => t('common.loadingFunctions'));
+
+  const functionFilters = SCPI?.ui?.filterChips?.createFilterChips?.({
+    rootId: 'functionFilters',
+    itemLabel: () => t('filters.functions'),
+    facets: createFunctionFacets(),
+    onChange: (filtered) => functionDropdown?.setItems?.(filtered)
   });
 
-  functionDropdown?.setLoading?.(true, 'Loading functions');
+  // Filters are remembered per action type (Adaptive Key, Toggle Key, ...).
+  globalThis.SDPIComponents?.streamDeckClient?.getConnectionInfo?.()
+    .then((info) => functionFilters?.restore?.(`scsd.functionFilters.${info?.actionInfo?.action || 'default'}`))
+    .catch(() => {});
 
   /**
    * Flattened list of all options for searching
@@ -42,6 +67,38 @@
    */
   let isSelectingOption = false;
 
+  /**
+   * Functions payload held in PI storage ({channel, hash, groups}); base for plugin deltas
+   */
+  const functionsTracker = SCPI?.functionsCache?.createTracker?.() || null;
+
+  /**
+   * Hash of the payload currently rendered in the dropdown
+   * @type {string}
+   */
+  let renderedHash = '';
+
+  /**
+   * Favorite and recently selected function ids (v2), shared by all function key PIs via global settings
+   * @type {string[]}
+   */
+  let favoriteValues = [];
+  let recentValues = [];
+
+  const RECENT_LIMIT = 8;
+
+  /**
+   * Raw input -> options bound to it, built from the full payload (including options hidden from the dropdown)
+   * @type {Map}
+   */
+  let conflictIndex = new Map();
+
+  /**
+   * Ids (value and legacyValue) of every function in the full payload, including options hidden from the dropdown
+   * @type {Set<string>}
+   */
+  let knownFunctionIds = new Set();
+
   // #endregion
 
   // #region SDK Settings Integration
@@ -59,9 +116,28 @@
     }
   );
 
+  const [getFavoritesSetting, setFavoritesSetting] = globalThis.SDPIComponents.useGlobalSettings(
+    'favoriteFunctions',
+    (value) => {
+      favoriteValues = normalizeFunctionIds(value);
+      functionDropdown?.refresh?.();
+    }
+  );
+
+  const [getRecentSetting, setRecentSetting] = globalThis.SDPIComponents.useGlobalSettings(
+    'recentFunctions',
+    (value) => {
+      recentValues = normalizeFunctionIds(value).slice(0, RECENT_LIMIT);
+      functionDropdown?.refresh?.();
+    }
+  );
+
+  favoriteValues = normalizeFunctionIds(getFavoritesSetting());
+  recentValues = normalizeFunctionIds(getRecentSetting()).slice(0, RECENT_LIMIT);
+
   SCPI?.ui?.filePicker?.createFilePicker?.({
     rootId: 'audioFilePicker',
-    placeholderText: 'No file selected',
+    placeholderText: () => t('common.noFileSelected'),
     settingsKey: 'clickSoundPath'
   });
 
@@ -124,10 +200,272 @@
     updateResetHoldClearButton();
   }
 
+  /**
+   * Bind a text field to a string setting; saved on change (blur / Enter) so the key title does not flicker.
+   * @param {string} id - Input or textarea id (field is optional: Toggle Key only has the on/off titles)
+   * @param {string} settingsKey
+   */
+  function bindTitleText(id, settingsKey) {
+    const inputEl = document.getElementById(id);
+    if (!inputEl) {
+      return;
+    }
+
+    const [getSetting, setSetting] = globalThis.SDPIComponents.useSettings(settingsKey, (value) => {
+      inputEl.value = typeof value === 'string' ? value : '';
+    });
+
+    inputEl.addEventListener('change', () => setSetting(inputEl.value));
+    inputEl.value = typeof getSetting() === 'string' ? getSetting() : '';
+  }
+
+  const autoTitleInput = document.getElementById('autoTitle');
+  if (autoTitleInput) {
+    const titleOptionsEl = document.querySelector('.pi-title-options__details');
+
+    function updateTitleOptions() {
+      if (titleOptionsEl) {
+        titleOptionsEl.hidden = !autoTitleInput.checked;
+      }
+    }
+
+    const [getAutoTitleSetting, setAutoTitleSetting] = globalThis.SDPIComponents.useSettings(
+      'autoTitle',
+      (value) => {
+        autoTitleInput.checked = value === true;
+        updateTitleOptions();
+      }
+    );
+
+    autoTitleInput.addEventListener('change', () => {
+      setAutoTitleSetting(autoTitleInput.checked);
+      updateTitleOptions();
+    });
+
+    bindTitleText('titleAbbreviations', 'titleAbbreviations');
+
+    autoTitleInput.checked = getAutoTitleSetting() === true;
+    updateTitleOptions();
+  }
+
+  const statePreviewEl = document.querySelector('.pi-state-preview');
+  if (statePreviewEl) {
+    const DEFAULT_KEY_IMAGE = '../svg/key.svg';
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    /**
+     * Render the state preview from the plugin's stateAppearanceLoaded payload (the same titles and images it applies).
+     * @param {Array<{title?: string, image?: string}>} states
+     */
+    function renderStatePreview(states) {
+      statePreviewEl.querySelectorAll('.pi-state-preview__item').forEach((itemEl) => {
+        const state = states[Number(itemEl.dataset.state)] || {};
+        const keyEl = itemEl.querySelector('.pi-state-preview__key');
+        const titleEl = itemEl.querySelector('.pi-state-preview__title');
+
+        keyEl.style.backgroundColor = '';
+        keyEl.style.backgroundImage = `url("${typeof state.image === 'string' ? state.image : DEFAULT_KEY_IMAGE}")`;
+        titleEl.textContent = typeof state.title === 'string' ? state.title : '';
+      });
+    }
+
+    /**
+     * Bind a colour input (+ clear button) to an optional "#RRGGBB" setting.
+     * The preview is tinted while picking; the plugin's payload replaces it once saved.
+     * @param {string} prefix - "off" or "on"
+     * @param {number} state - Preview index
+     */
+    function bindStateColor(prefix, state) {
+      const inputEl = document.getElementById(`${prefix}Color`);
+      const clearBtn = document.getElementById(`${prefix}ColorClear`);
+      if (!inputEl) {
+        return;
+      }
+
+      function showValue(value) {
+        const hasColor = typeof value === 'string' && COLOR_PATTERN.test(value);
+        inputEl.value = hasColor ? value : '#000000';
+        inputEl.classList.toggle('pi-color-input--empty', !hasColor);
+        if (clearBtn) {
+          clearBtn.disabled = !hasColor;
+        }
+      }
+
+      const [getSetting, setSetting] = globalThis.SDPIComponents.useSettings(`${prefix}Color`, showValue);
+
+      inputEl.addEventListener('input', () => {
+        const keyEl = statePreviewEl.querySelector(`[data-state="${state}"] .pi-state-preview__key`);
+        if (keyEl) {
+          keyEl.style.backgroundImage = 'none';
+          keyEl.style.backgroundColor = inputEl.value;
+        }
+      });
+
+      inputEl.addEventListener('change', () => {
+        setSetting(inputEl.value);
+        showValue(inputEl.value);
+      });
+
+      clearBtn?.addEventListener('click', () => {
+        setSetting(null);
+        showValue(null);
+      });
+
+      showValue(getSetting());
+    }
+
+    bindTitleText('titleOff', 'titleOff');
+    bindTitleText('titleOn', 'titleOn');
+
+    SCPI?.ui?.filePicker?.createFilePicker?.({
+      rootId: 'offImagePicker',
+      placeholderText: () => t('common.defaultImage'),
+      settingsKey: 'offImagePath'
+    });
+
+    SCPI?.ui?.filePicker?.createFilePicker?.({
+      rootId: 'onImagePicker',
+      placeholderText: () => t('common.defaultImage'),
+      settingsKey: 'onImagePath'
+    });
+
+    bindStateColor('off', 0);
+    bindStateColor('on', 1);
+
+    SCPI?.bus?.on?.((payload) => {
+      if (payload?.stateAppearanceLoaded === true) {
+        renderStatePreview(Array.isArray(payload.states) ? payload.states : []);
+      }
+    });
+
+    renderStatePreview([]);
+  }
+
+  // #endregion
+
+  // #region Favorites & Recent
+
+  function normalizeFunctionIds(value) {
+    return Array.isArray(value)
+      ? Array.from(new Set(value.filter(v => typeof v === 'string' && v.length > 0)))
+      : [];
+  }
+
+  function toggleFavorite(opt) {
+    const value = String(opt?.value || '');
+    if (!value) {
+      return;
+    }
+
+    favoriteValues = favoriteValues.includes(value)
+      ? favoriteValues.filter(v => v !== value)
+      : [...favoriteValues, value];
+    setFavoritesSetting(favoriteValues);
+  }
+
+  function rememberRecent(opt) {
+    const value = String(opt?.value || '');
+    if (!value) {
+      return;
+    }
+
+    recentValues = [value, ...recentValues.filter(v => v !== value)].slice(0, RECENT_LIMIT);
+    setRecentSetting(recentValues);
+  }
+
+  /**
+   * Favorites, then recent selections that are not favorites; ids missing from the current payload are skipped
+   * @returns {Array<{label: string, items: Array}>}
+   */
+  function getPinnedGroups() {
+    const byValue = new Map(allOptions.map(o => [o.value, o]));
+    const resolve = (values) => values.map(v => byValue.get(v)).filter(o => !!o);
+
+    return [
+      {label: `\u2605 ${t('functionKey.favorites')}`, items: resolve(favoriteValues)},
+      {label: t('functionKey.recent'), items: resolve(recentValues.filter(v => !favoriteValues.includes(v)))}
+    ];
+  }
+
+  // #endregion
+
+  // #region Function Filters
+
+  // Activation modes grouped the way users think about them on a Stream Deck key.
+  const ACTIVATION_STYLES = {
+    tap: ['tap', 'tap_quicker', 'double_tap', 'double_tap_nonblocking', 'press', 'press_quicker',
+      'delayed_press', 'delayed_press_quicker', 'delayed_press_medium', 'delayed_press_long', 'all'],
+    hold: ['hold', 'hold_no_retrigger', 'delayed_hold', 'delayed_hold_long', 'delayed_hold_no_retrigger'],
+    toggle: ['hold_toggle', 'smart_toggle']
+  };
+
+  function hasDevice(opt, device) {
+    const devices = Array.isArray(opt?.details?.devices) ? opt.details.devices : [];
+    return devices.some(d => d?.device === device && Array.isArray(d.bindings) && d.bindings.length > 0);
+  }
+
+  function getActivationStyle(opt) {
+    const mode = String(opt?.details?.activationMode || '').toLowerCase();
+    return Object.keys(ACTIVATION_STYLES).find(style => ACTIVATION_STYLES[style].includes(mode)) || '';
+  }
+
+  // Label read on every render, so the chips follow a UI language change.
+  function translated(props, key) {
+    return Object.defineProperty(props, 'label', {get: () => t(key), enumerable: true});
+  }
+
+  /**
+   * Filter facets for the function picker (device, bound state, activation style, category)
+   * @returns {Array}
+   */
+  function createFunctionFacets() {
+    return [
+      translated({
+        id: 'device',
+        options: [translated({value: 'Keyboard'}, 'filters.keyboard'), translated({value: 'Mouse'}, 'filters.mouse')],
+        match: (opt, value) => hasDevice(opt, value)
+      }, 'filters.device'),
+      translated({
+        id: 'bound',
+        options: [translated({value: 'bound'}, 'filters.bound'), translated({value: 'unbound'}, 'common.unbound')],
+        match: (opt, value) => (value === 'unbound') === !!opt?.unbound
+      }, 'filters.binding'),
+      translated({
+        id: 'mode',
+        options: [
+          translated({value: 'tap'}, 'filters.tap'),
+          translated({value: 'hold'}, 'filters.hold'),
+          translated({value: 'toggle'}, 'filters.toggle')
+        ],
+        match: (opt, value) => getActivationStyle(opt) === value
+      }, 'filters.activation'),
+      translated({
+        id: 'category',
+        menu: true,
+        getOptions: (options) => Array.from(new Set(options.map(o => String(o?.group || ''))))
+          .filter(group => group)
+          .map(group => ({value: group, label: group})),
+        match: (opt, value) => opt?.group === value
+      }, 'filters.categories')
+    ];
+  }
+
   // #endregion
 
   // #region Dropdown Rendering
 
+  /**
+   * Raw and display strings of every binding, so typing a key name ("LAlt+N", "Num-") finds its functions
+   * @param {Object} details - Option details from the functions payload
+   * @returns {string[]}
+   */
+  function collectBindingKeys(details) {
+    const devices = Array.isArray(details?.devices) ? details.devices : [];
+    return devices.flatMap(d => (Array.isArray(d?.bindings) ? d.bindings : []))
+      .flatMap(b => [b?.raw, b?.display])
+      .filter(k => typeof k === 'string' && k.length > 0);
+  }
+
   /**
    * Flatten grouped functions data into a searchable array
    * @param {Array} groups - Array of grouped function data
@@ -140,7 +478,7 @@
 
     if (Array.isArray(groups)) {
       groups.forEach(group => {
-        const groupName = group.label || 'Other';
+        const groupName = group.label || t('common.otherGroup');
         const options = group.options || [];
 
         options.forEach(opt => {
@@ -153,8 +491,7 @@
             }
           }
 
-          // Filter out unsupported options
-          // TODO: When implementing full axis support, stop hiding axis-only options in the PI.
+          // Filter out unsupported options: axis-only functions belong on the Dial (pi-dial.js).
           const isUnsupported = bindingType === 'mouseaxis' || bindingType === 'joystick' || bindingType === 'gamepad';
           if (isUnsupported) {
             return;
@@ -174,6 +511,7 @@
               value: opt.value,
               legacyValue: opt.legacyValue,
               text: opt.text,
+              searchText: String(opt.searchText || ''),
               group: category,
               details: opt.details,
               bindingType,
@@ -195,12 +533,32 @@
   function populateFunctionsDropdown(functionsData) {
     // Flatten data for easier searching
     allOptions = flattenFunctionsData(functionsData);
-    functionDropdown?.setItems?.(allOptions);
+    conflictIndex = SCPI?.conflicts?.buildIndex?.(functionsData) || new Map();
+    knownFunctionIds = collectFunctionIds(functionsData);
+    if (functionFilters) {
+      functionFilters.setItems(allOptions);
+    } else {
+      functionDropdown?.setItems?.(allOptions);
+    }
     functionDropdown?.setSelectedValue?.(currentFunctionValue, {rerender: false});
 
     if (currentFunctionValue) {
       selectFunctionByValue(currentFunctionValue);
+    } else {
+      renderMissingFunction('');
     }
+
+    populateLongPressDropdown();
+  }
+
+  function collectFunctionIds(groups) {
+    const ids = new Set();
+    (Array.isArray(groups) ? groups : []).forEach(group => {
+      (group?.options || []).forEach(opt => {
+        [opt?.value, opt?.legacyValue].filter(Boolean).forEach(id => ids.add(String(id)));
+      });
+    });
+    return ids;
   }
 
   // #endregion
@@ -218,6 +576,8 @@
     currentFunctionValue = opt.value;
     functionDropdown?.setSelectedValue?.(opt.value, {rerender: true});
     updateFunctionDetails(opt);
+    renderMissingFunction('');
+    renderLongPress();
 
     if (persist) {
       setFunctionSetting(opt.value);
@@ -236,6 +596,9 @@
   function selectFunctionByValue(value) {
     const opt = allOptions.find(o => o.value === value || o.legacyValue === value);
     if (!opt) {
+      // Functions that exist but are hidden here (e.g. axis only) are left alone; only flag ids the game removed.
+      const isMissing = !!value && knownFunctionIds.size > 0 && !knownFunctionIds.has(value);
+      renderMissingFunction(isMissing ? value : '');
       return;
     }
 
@@ -269,7 +632,7 @@
 
       const scContentEl = document.querySelector('.pi-description__content');
       if (scContentEl) {
-        scContentEl.textContent = '';
+        SCPI?.description?.render?.(scContentEl, {text: ''});
       }
 
       // Clear all binding values
@@ -284,12 +647,15 @@
         }
         el.textContent = '';
       });
+
+      renderActivationMode(null);
+      renderSharedBindings(null);
+      renderFreeKey(null);
       return;
     }
 
     const details = opt.details;
     const title = String(details.label || opt.text || '');
-    const desc = String(details.description || '');
     const devices = Array.isArray(details.devices) ? details.devices : [];
 
     const titleEl = detailsEl.querySelector('.pi-details__title');
@@ -304,7 +670,7 @@
       const deviceData = devices.find(d => d.device && d.device.toLowerCase() === deviceType.toLowerCase());
       const bindingEl = document.getElementById(`pi-details__binding-${deviceType}`);
 
-      let bindingValue = 'Unbound';
+      let bindingValue = t('common.unbound');
 
       if (deviceData && Array.isArray(deviceData.bindings) && deviceData.bindings.length > 0) {
         const bindingLines = deviceData.bindings
@@ -321,11 +687,774 @@
       }
     });
 
-    // Update Description content
-    const scContentEl = document.querySelector('.pi-description__content');
-    if (scContentEl) {
-      scContentEl.textContent = desc || 'No description available.';
+    renderActivationMode(opt);
+    renderSharedBindings(opt);
+    renderFreeKey(opt);
+
+    renderDescription(details);
+  }
+
+  /**
+   * Render the description with key and mode highlights, plus the English original when localized
+   * @param {Object} details - The selected option's details
+   */
+  function renderDescription(details) {
+    const el = document.querySelector('.pi-description__content');
+    if (!el) {
+      return;
+    }
+
+    const devices = Array.isArray(details.devices) ? details.devices : [];
+    const keys = devices
+      .filter((d) => d?.device === 'Keyboard' || d?.device === 'Mouse')
+      .flatMap((d) => (Array.isArray(d.bindings) ? d.bindings : []))
+      .map((b) => String(b.display || b.raw || ''))
+      // Single letters would light up every "a" or "I" in the text; [A] style references still show.
+      .filter((key) => key.length > 1);
+
+    SCPI?.description?.render?.(el, {
+      text: String(details.description || ''),
+      english: String(details.descriptionEnglish || ''),
+      keys,
+      resolveAction: resolveDescriptionAction,
+      emptyText: t('functionKey.noDescription')
+    });
+  }
+
+  /**
+   * Binding for a ~action(map|action) reference in a description: first keyboard or mouse binding,
+   * else the function's label
+   */
+  function resolveDescriptionAction(mapName, actionName) {
+    const opt = allOptions.find((o) => o.value === `v2|${actionName}|${mapName}`);
+    if (!opt) {
+      return '';
+    }
+
+    const devices = Array.isArray(opt.details?.devices) ? opt.details.devices : [];
+    const device = devices.find((d) => (d?.device === 'Keyboard' || d?.device === 'Mouse') && d.bindings?.length > 0);
+    return String(device?.bindings[0]?.display || device?.bindings[0]?.raw || opt.text || '');
+  }
+
+  /**
+   * Render the activation mode row, its plain-language explanation and timing diagram
+   * @param {Object|null} opt - The selected option, null to clear
+   */
+  function renderActivationMode(opt) {
+    const modeEl = document.getElementById('pi-details__activation-mode');
+    const sectionEl = document.querySelector('.pi-activation');
+    const explanationEl = sectionEl?.querySelector('.pi-activation__explanation');
+    const diagramEl = sectionEl?.querySelector('.pi-activation__diagram');
+
+    const info = opt?.details?.activationInfo || null;
+    if (modeEl) {
+      modeEl.textContent = opt ? String(info?.label || opt.details?.activationMode || '') : '';
+    }
+
+    if (!sectionEl) {
+      return;
+    }
+
+    sectionEl.hidden = !info;
+    if (explanationEl) {
+      explanationEl.textContent = String(info?.explanation || '');
+    }
+    if (diagramEl) {
+      diagramEl.textContent = '';
+      const svg = info?.timing ? SCPI?.activationDiagram?.render?.(info.timing) : null;
+      if (svg) {
+        diagramEl.appendChild(svg);
+      }
+    }
+  }
+
+  /**
+   * Render the "Shared with" panel: other actions on the same raw input and whether they fire too
+   * @param {Object|null} opt - The selected option, null to hide the panel
+   */
+  function renderSharedBindings(opt) {
+    const sectionEl = document.querySelector('.pi-conflicts');
+    const listEl = sectionEl?.querySelector('.pi-conflicts__list');
+    const summaryEl = sectionEl?.querySelector('.pi-conflicts__summary');
+    if (!sectionEl || !listEl) {
+      return;
+    }
+
+    const shared = opt ? (SCPI?.conflicts?.find?.(opt, conflictIndex) || []) : [];
+    listEl.textContent = '';
+    sectionEl.hidden = shared.length === 0;
+    if (shared.length === 0) {
+      return;
+    }
+
+    const conflicts = shared.filter(s => s.severity === 'conflict').length;
+    if (summaryEl) {
+      summaryEl.textContent = conflicts > 0
+        ? t('conflicts.summaryConflicts', {count: conflicts, total: shared.length})
+        : t(shared.length === 1 ? 'conflicts.summarySharedOne' : 'conflicts.summaryShared', {count: shared.length});
+      summaryEl.classList.toggle('pi-conflicts__summary--conflict', conflicts > 0);
+    }
+
+    shared.forEach(s => {
+      const itemEl = document.createElement('li');
+      itemEl.className = `pi-conflicts__item pi-conflicts__item--${s.severity}`;
+      itemEl.title = s.reason;
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'pi-conflicts__name';
+      nameEl.textContent = s.text;
+
+      const metaEl = document.createElement('div');
+      metaEl.className = 'pi-conflicts__meta';
+      metaEl.textContent = [s.display, s.group].filter(x => x).join(' \u00B7 ');
+
+      const reasonEl = document.createElement('div');
+      reasonEl.className = 'pi-conflicts__reason';
+      reasonEl.textContent = s.reason;
+
+      itemEl.appendChild(nameEl);
+      itemEl.appendChild(metaEl);
+      if (s.severity !== 'ok') {
+        itemEl.appendChild(reasonEl);
+      }
+      listEl.appendChild(itemEl);
+    });
+  }
+
+  // #endregion
+
+  // #region Missing Function
+
+  /**
+   * Show the saved id that matches no current function (e.g. renamed by a game patch) with the closest current
+   * functions to remap to. An empty id hides the section.
+   * @param {string} value - Saved function id
+   */
+  function renderMissingFunction(value) {
+    const sectionEl = document.querySelector('.pi-missing');
+    const idEl = sectionEl?.querySelector('.pi-missing__id');
+    const listEl = sectionEl?.querySelector('.pi-missing__list');
+    const hintEl = sectionEl?.querySelector('.pi-missing__hint');
+    if (!sectionEl || !listEl) {
+      return;
+    }
+
+    listEl.textContent = '';
+    sectionEl.hidden = !value;
+    if (!value) {
+      return;
+    }
+
+    updateFunctionDetails(null);
+    if (idEl) {
+      idEl.textContent = value;
+    }
+
+    const matches = SCPI?.functionMatch?.rankSimilar?.(value, allOptions.filter(o => !o.disabled)) || [];
+    if (hintEl) {
+      hintEl.textContent = matches.length > 0
+        ? t('missing.hintMatches')
+        : t('missing.hintNone');
+    }
+
+    matches.forEach(({option}) => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'pi-missing__item';
+
+      const buttonEl = document.createElement('button');
+      buttonEl.type = 'button';
+      buttonEl.className = 'pi-missing__use';
+      buttonEl.title = option.details?.actionName || option.value;
+      buttonEl.addEventListener('click', () => {
+        selectOption(option, {persist: true});
+        rememberRecent(option);
+      });
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'pi-missing__name';
+      nameEl.textContent = option.text;
+
+      const metaEl = document.createElement('div');
+      metaEl.className = 'pi-missing__meta';
+      metaEl.textContent = [option.group, option.details?.actionName].filter(x => x).join(' \u00B7 ');
+
+      buttonEl.appendChild(nameEl);
+      buttonEl.appendChild(metaEl);
+      itemEl.appendChild(buttonEl);
+      listEl.appendChild(itemEl);
+    });
+  }
+
+  // #endregion
+
+  // #region Test Fire
+
+  const TEST_FIRE_COUNTDOWN_SECONDS = 3;
+  // Countdown + the longest hold the plugin may use (10 s) + slack.
+  const TEST_FIRE_TIMEOUT_MS = (TEST_FIRE_COUNTDOWN_SECONDS + 15) * 1000;
+  // Device names from TestFireRunner.
+  const TEST_FIRE_DEVICES = {
+    Keyboard: 'filters.keyboard',
+    Mouse: 'filters.mouse'
+  };
+
+  const testFireButton = document.getElementById('testFireButton');
+  const testFireStatusEl = document.querySelector('.pi-test-fire__status');
+  let testFireCountdownTimer = null;
+  let testFireRunning = false;
+
+  /**
+   * @param {string} text
+   * @param {''|'pending'|'success'|'error'} [tone]
+   */
+  function setTestFireStatus(text, tone = '') {
+    if (!testFireStatusEl) {
+      return;
+    }
+
+    testFireStatusEl.classList.remove('pi-inline-status--pending', 'pi-inline-status--success', 'pi-inline-status--error');
+    if (tone) {
+      testFireStatusEl.classList.add(`pi-inline-status--${tone}`);
+    }
+    testFireStatusEl.textContent = text;
+  }
+
+  function stopTestFireCountdown() {
+    if (testFireCountdownTimer) {
+      clearInterval(testFireCountdownTimer);
+      testFireCountdownTimer = null;
+    }
+  }
+
+  function startTestFireCountdown() {
+    let remaining = TEST_FIRE_COUNTDOWN_SECONDS;
+    const tick = () => {
+      if (remaining > 0) {
+        setTestFireStatus(t('testFire.countdown', {seconds: remaining}), 'pending');
+        remaining -= 1;
+        return;
+      }
+
+      stopTestFireCountdown();
+      setTestFireStatus(t('testFire.sending'), 'pending');
+    };
+
+    tick();
+    testFireCountdownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Describe a testFire result ({sent, binding, device, activationMode, handler, reason}).
+   */
+  function describeTestFireResult(result) {
+    if (result?.sent !== true) {
+      return result?.reason ? translateReason(result.reason) : t('testFire.nothingSent');
+    }
+
+    const mode = result.activationMode ? ` · ${result.activationMode}` : '';
+    const handler = result.handler ? t('testFire.via', {handler: result.handler}) : '';
+    const device = TEST_FIRE_DEVICES[result.device] ? t(TEST_FIRE_DEVICES[result.device]) : result.device;
+    return t('testFire.sent', {binding: result.binding, device, mode, handler});
+  }
+
+  function setTestFireRunning(running) {
+    testFireRunning = running;
+    testFireButton.textContent = t(running ? 'testFire.cancel' : 'testFire.button');
+  }
+
+  async function runTestFire() {
+    if (SCPI?.protocol?.getPluginInfo?.() && !SCPI.protocol.hasFeature('testFire')) {
+      setTestFireStatus(t('testFire.updatePlugin'), 'error');
+      return;
+    }
+
+    setTestFireRunning(true);
+    startTestFireCountdown();
+
+    try {
+      const result = await SCPI.bus.request(
+        'testFire',
+        {countdownSeconds: TEST_FIRE_COUNTDOWN_SECONDS},
+        {timeoutMs: TEST_FIRE_TIMEOUT_MS});
+
+      setTestFireStatus(describeTestFireResult(result), result?.sent === true ? 'success' : 'error');
+    } catch (err) {
+      setTestFireStatus(describeRequestError(err), 'error');
+    } finally {
+      stopTestFireCountdown();
+      setTestFireRunning(false);
+    }
+  }
+
+  if (testFireButton) {
+    testFireButton.addEventListener('click', () => {
+      if (!testFireRunning) {
+        runTestFire();
+        return;
+      }
+
+      // The pending testFire request then resolves with "Cancelled."
+      stopTestFireCountdown();
+      setTestFireStatus(t('testFire.cancelling'), 'pending');
+      SCPI?.bus?.request?.('cancelTestFire')?.catch?.(() => {});
+    });
+  }
+
+  // #endregion
+
+  // #region Free Key
+
+  // Writing actionmaps.xml is quick; the slack covers a busy plugin.
+  const FREE_KEY_TIMEOUT_MS = 10000;
+
+  const freeKeySectionEl = document.querySelector('.pi-free-key');
+  const freeKeyFindButton = document.getElementById('findFreeKeyButton');
+  const freeKeyListEl = freeKeySectionEl?.querySelector('.pi-free-key__list');
+  const freeKeyStatusEl = freeKeySectionEl?.querySelector('.pi-free-key__status');
+  const freeKeySnippetEl = document.getElementById('freeKeySnippet');
+  const freeKeyCopyButton = document.getElementById('copyFreeKeySnippetButton');
+  let freeKeyBusy = false;
+
+  /**
+   * Function the section is shown for; keeps the offered keys while the same function is re-rendered
+   * @type {string}
+   */
+  let freeKeyValue = '';
+
+  /**
+   * @param {string} text
+   * @param {''|'pending'|'success'|'error'} [tone]
+   */
+  function setFreeKeyStatus(text, tone = '') {
+    if (!freeKeyStatusEl) {
+      return;
+    }
+
+    freeKeyStatusEl.classList.remove('pi-inline-status--pending', 'pi-inline-status--success', 'pi-inline-status--error');
+    if (tone) {
+      freeKeyStatusEl.classList.add(`pi-inline-status--${tone}`);
+    }
+    freeKeyStatusEl.textContent = text;
+  }
+
+  function showFreeKeySnippet(snippet) {
+    if (freeKeySnippetEl) {
+      freeKeySnippetEl.value = snippet || '';
+      freeKeySnippetEl.closest('.pi-free-key__snippet').hidden = !snippet;
+    }
+  }
+
+  function describeRequestError(err) {
+    const errors = SCPI?.bus?.errors || {};
+    const timedOut = errors.RequestTimeoutError && err instanceof errors.RequestTimeoutError;
+    return timedOut ? t('common.pluginTimeout') : translateReason(err?.message || err);
+  }
+
+  /**
+   * Offer "Assign free key" for functions that have no binding in game. Hidden once the reload shows the new binding.
+   * @param {Object|null} opt - Selected option
+   */
+  function renderFreeKey(opt) {
+    if (!freeKeySectionEl) {
+      return;
+    }
+
+    const isUnbound = !!opt && (opt.unbound === true || opt.details?.isBound === false);
+    const value = isUnbound ? opt.value : '';
+    if (value === freeKeyValue) {
+      return;
+    }
+
+    freeKeyValue = value;
+    freeKeySectionEl.hidden = !value;
+    freeKeyListEl.textContent = '';
+    setFreeKeyStatus('');
+    showFreeKeySnippet('');
+  }
+
+  async function findFreeKeys() {
+    if (SCPI?.protocol?.getPluginInfo?.() && !SCPI.protocol.hasFeature('freeKeys')) {
+      setFreeKeyStatus(t('freeKey.updatePlugin'), 'error');
+      return;
+    }
+
+    freeKeyListEl.textContent = '';
+    showFreeKeySnippet('');
+    setFreeKeyStatus(t('freeKey.looking'), 'pending');
+
+    try {
+      const result = await SCPI.bus.request('freeKeys', {}, {timeoutMs: FREE_KEY_TIMEOUT_MS});
+      const bindings = Array.isArray(result?.bindings) ? result.bindings : [];
+      if (bindings.length === 0) {
+        setFreeKeyStatus(t('freeKey.noneFound'), 'error');
+        return;
+      }
+
+      bindings.forEach((b) => {
+        const buttonEl = document.createElement('button');
+        buttonEl.type = 'button';
+        buttonEl.className = 'pi-chip pi-free-key__option';
+        buttonEl.textContent = b.display || b.binding;
+        buttonEl.title = t('freeKey.bindTo', {binding: b.binding});
+        buttonEl.addEventListener('click', () => assignFreeKey(b));
+        freeKeyListEl.appendChild(buttonEl);
+      });
+      setFreeKeyStatus(t('freeKey.pick'));
+    } catch (err) {
+      setFreeKeyStatus(describeRequestError(err), 'error');
+    }
+  }
+
+  async function assignFreeKey(choice) {
+    if (freeKeyBusy) {
+      return;
+    }
+
+    freeKeyBusy = true;
+    setFreeKeyStatus(t('freeKey.binding', {binding: choice.display || choice.binding}), 'pending');
+
+    try {
+      const result = await SCPI.bus.request('assignFreeKey', {binding: choice.binding}, {timeoutMs: FREE_KEY_TIMEOUT_MS});
+      if (result?.written === true) {
+        freeKeyListEl.textContent = '';
+        showFreeKeySnippet('');
+        // The plugin reloads the keybindings from actionmaps.xml; the details then show the new binding.
+        setFreeKeyStatus(t('freeKey.bound', {binding: result.display || result.binding}), 'success');
+        return;
+      }
+
+      setFreeKeyStatus(result?.reason ? translateReason(result.reason) : t('freeKey.nothingWritten'), 'error');
+      showFreeKeySnippet(result?.snippet || '');
+    } catch (err) {
+      setFreeKeyStatus(describeRequestError(err), 'error');
+    } finally {
+      freeKeyBusy = false;
+    }
+  }
+
+  freeKeyFindButton?.addEventListener('click', () => findFreeKeys());
+
+  freeKeyCopyButton?.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(freeKeySnippetEl.value);
+      setFreeKeyStatus(t('freeKey.copied'), 'success');
+    } catch (_) {
+      freeKeySnippetEl.focus();
+      freeKeySnippetEl.select();
+      setFreeKeyStatus(t('freeKey.copyHint'));
+    }
+  });
+
+  // #endregion
+
+  // #region Long Press
+
+  // Adaptive Key only: a second function for holding the key. Mirrors AdaptiveKeyCore (default, min and max seconds).
+  const LONG_PRESS_DEFAULT_SECONDS = 0.5;
+  const LONG_PRESS_MIN_SECONDS = 0.2;
+  const LONG_PRESS_MAX_SECONDS = 5.0;
+
+  // A short press reaches the game as a quick tap on release: modes that need the key held (or held past a delay)
+  // barely or never trigger.
+  const SHORT_PRESS_CLASHES = [...ACTIVATION_STYLES.hold,
+    'delayed_press', 'delayed_press_quicker', 'delayed_press_medium', 'delayed_press_long'];
+
+  // A long press goes down at the threshold and up on release: modes that only trigger on a quick release never do.
+  const LONG_PRESS_CLASHES = ['tap', 'tap_quicker', 'double_tap', 'double_tap_nonblocking'];
+
+  const longPressSectionEl = document.querySelector('.pi-long-press');
+  const longPressSelectedEl = longPressSectionEl?.querySelector('.pi-long-press__selected');
+  const longPressDetailsEl = longPressSectionEl?.querySelector('.pi-long-press__details');
+  const longPressWarningsEl = longPressSectionEl?.querySelector('.pi-long-press__warnings');
+  const longPressSecondsInput = document.getElementById('longPressSeconds');
+
+  /**
+   * Saved long press function id ('' when the key has none)
+   * @type {string}
+   */
+  let longPressValue = '';
+
+  const longPressDropdown = !longPressSectionEl ? null : SCPI?.ui?.dropdown?.initDropdown?.({
+    rootId: 'longPressDropdown',
+    searchEnabled: true,
+    minLoadingMs: 0,
+    successFlashMs: 100,
+    emptyText: () => t('common.noMatchingFunctions'),
+    getText: (opt) => String(opt?.text ?? ''),
+    getValue: (opt) => String(opt?.value ?? ''),
+    getGroup: (opt) => String(opt?.group ?? ''),
+    getSearchFields: (opt) => ({
+      label: opt?.text,
+      actionName: opt?.details?.actionName,
+      searchText: opt?.searchText,
+      keys: collectBindingKeys(opt?.details)
+    }),
+    isDisabled: (opt) => !!opt?.disabled,
+    onSelect: (opt) => {
+      setLongPressFunction(opt.value);
+      rememberRecent(opt);
+    }
+  });
+
+  longPressDropdown?.setLoading?.(true, () => t('common.loadingFunctions'));
+
+  const [getLongPressSetting, setLongPressSetting] = globalThis.SDPIComponents.useSettings(
+    'longPressFunction',
+    (value) => {
+      longPressValue = typeof value === 'string' ? value : '';
+      longPressDropdown?.setSelectedValue?.(longPressValue, {rerender: true});
+      renderLongPress();
+    }
+  );
+
+  function findOption(value) {
+    return value ? allOptions.find(o => o.value === value || o.legacyValue === value) || null : null;
+  }
+
+  function setLongPressFunction(value) {
+    longPressValue = value;
+    longPressDropdown?.setSelectedValue?.(value, {rerender: true});
+    setLongPressSetting(value || null);
+    renderLongPress();
+  }
+
+  /**
+   * Warning when the function's in-game activation mode does not work with how the key sends it.
+   * @param {Object} opt - Selected option
+   * @param {'short'|'long'} press
+   * @returns {string}
+   */
+  function describePressClash(opt, press) {
+    const mode = String(opt?.details?.activationMode || '').toLowerCase();
+    const clashes = press === 'short' ? SHORT_PRESS_CLASHES : LONG_PRESS_CLASHES;
+    if (!mode || !clashes.includes(mode)) {
+      return '';
+    }
+
+    const label = String(opt.details?.activationInfo?.label || mode);
+    return press === 'short'
+      ? t('longPress.shortClash', {function: opt.text, mode: label})
+      : t('longPress.longClash', {function: opt.text, mode: label});
+  }
+
+  /**
+   * Render the selected long press function, the threshold and the activation mode warnings for both functions.
+   */
+  function renderLongPress() {
+    if (!longPressSectionEl) {
+      return;
+    }
+
+    const opt = findOption(longPressValue);
+    const missing = !!longPressValue && !opt && knownFunctionIds.size > 0;
+    if (longPressSelectedEl) {
+      longPressSelectedEl.textContent = opt ? opt.text : missing ? t('common.functionNotFound') : '';
+      longPressSelectedEl.classList.toggle('pi-long-press__selected--missing', missing || !!opt?.unbound);
+      longPressSelectedEl.hidden = !longPressSelectedEl.textContent;
+    }
+
+    if (longPressDetailsEl) {
+      longPressDetailsEl.hidden = !longPressValue;
+    }
+
+    if (!longPressWarningsEl) {
+      return;
+    }
+
+    longPressWarningsEl.textContent = '';
+    if (!longPressValue) {
+      return;
+    }
+
+    const warnings = [
+      describePressClash(findOption(currentFunctionValue), 'short'),
+      describePressClash(opt, 'long'),
+      opt?.unbound ? t('longPress.unbound') : ''
+    ].filter(w => w);
+
+    warnings.forEach((text) => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'pi-long-press__warning';
+      itemEl.textContent = text;
+      longPressWarningsEl.appendChild(itemEl);
+    });
+  }
+
+  /**
+   * Fill the long press dropdown from the current options; a legacy id is migrated like the primary function.
+   */
+  function populateLongPressDropdown() {
+    if (!longPressDropdown) {
+      return;
+    }
+
+    longPressDropdown.setLoading(false);
+    longPressDropdown.setItems(allOptions);
+
+    const opt = findOption(longPressValue);
+    if (opt && opt.value !== longPressValue) {
+      setLongPressFunction(opt.value);
+      return;
+    }
+
+    longPressDropdown.setSelectedValue(longPressValue, {rerender: false});
+    renderLongPress();
+  }
+
+  if (longPressSecondsInput) {
+    function clampLongPressSeconds(raw) {
+      const value = (typeof raw === 'number') ? raw : parseFloat(String(raw));
+      if (!Number.isFinite(value)) {
+        return LONG_PRESS_DEFAULT_SECONDS;
+      }
+
+      return Math.min(LONG_PRESS_MAX_SECONDS, Math.max(LONG_PRESS_MIN_SECONDS, value));
+    }
+
+    const [getLongPressSecondsSetting, setLongPressSecondsSetting] = globalThis.SDPIComponents.useSettings(
+      'longPressSeconds',
+      (value) => {
+        longPressSecondsInput.value = clampLongPressSeconds(value).toFixed(1);
+      }
+    );
+
+    longPressSecondsInput.addEventListener('change', () => {
+      const normalized = clampLongPressSeconds(longPressSecondsInput.value);
+      longPressSecondsInput.value = normalized.toFixed(1);
+      setLongPressSecondsSetting(normalized);
+    });
+
+    longPressSecondsInput.value = clampLongPressSeconds(getLongPressSecondsSetting()).toFixed(1);
+  }
+
+  document.getElementById('clearLongPressButton')?.addEventListener('click', () => setLongPressFunction(''));
+
+  longPressValue = typeof getLongPressSetting() === 'string' ? getLongPressSetting() : '';
+  renderLongPress();
+
+  // #endregion
+
+  // #region Share Settings
+
+  const settingsStringInput = document.getElementById('settingsString');
+  const shareStatusEl = document.querySelector('.pi-share__status');
+
+  /**
+   * @param {string} text
+   * @param {''|'success'|'error'} [tone]
+   */
+  function setShareStatus(text, tone = '') {
+    if (!shareStatusEl) {
+      return;
     }
+
+    shareStatusEl.classList.remove('pi-inline-status--success', 'pi-inline-status--error');
+    if (tone) {
+      shareStatusEl.classList.add(`pi-inline-status--${tone}`);
+    }
+    shareStatusEl.textContent = text;
+  }
+
+  async function readActionSettings() {
+    const result = await globalThis.SDPIComponents.streamDeckClient.getSettings();
+    return result?.settings || {};
+  }
+
+  async function copySettings() {
+    const value = SCPI.settingsCodec.encode(await readActionSettings());
+    settingsStringInput.value = value;
+
+    try {
+      await navigator.clipboard.writeText(value);
+      setShareStatus(t('share.copied'), 'success');
+    } catch (_) {
+      // Clipboard access can be denied in the PI; leave the string selected for Ctrl+C.
+      settingsStringInput.focus();
+      settingsStringInput.select();
+      setShareStatus(t('share.copyHint'));
+    }
+  }
+
+  /**
+   * Map an imported function id to the current keybindings (legacy ids through legacyValue).
+   * @param {string} value - Imported function id
+   * @param {string} notOnChannelKey - Warning shown when the id matches no function on this channel
+   * @returns {{value: string, warning: string}}
+   */
+  function resolveImportedFunction(value, notOnChannelKey) {
+    if (allOptions.length === 0) {
+      return {value, warning: t('share.notLoaded')};
+    }
+
+    const opt = allOptions.find(o => o.value === value || o.legacyValue === value);
+    if (!opt) {
+      return {value, warning: t(notOnChannelKey)};
+    }
+
+    return {value: opt.value, warning: ''};
+  }
+
+  async function pasteSettings() {
+    let text = settingsStringInput.value.trim();
+    if (!text) {
+      try {
+        text = (await navigator.clipboard.readText()).trim();
+        settingsStringInput.value = text;
+      } catch (_) {
+        setShareStatus(t('share.pasteHint'));
+        settingsStringInput.focus();
+        return;
+      }
+    }
+
+    let imported;
+    try {
+      imported = SCPI.settingsCodec.decode(text);
+    } catch (err) {
+      setShareStatus(String(err?.message || err), 'error');
+      return;
+    }
+
+    const warnings = [];
+    if (typeof imported.function === 'string') {
+      const resolved = resolveImportedFunction(imported.function, 'share.notOnChannel');
+      imported.function = resolved.value;
+      warnings.push(resolved.warning);
+    }
+
+    if (typeof imported.longPressFunction === 'string' && imported.longPressFunction) {
+      const resolved = resolveImportedFunction(imported.longPressFunction, 'share.longPressNotOnChannel');
+      imported.longPressFunction = resolved.value;
+      warnings.push(resolved.warning);
+    }
+
+    // Both functions report "not loaded" the same way: show it once.
+    const warning = Array.from(new Set(warnings.filter(Boolean))).join(' ');
+
+    const client = globalThis.SDPIComponents.streamDeckClient;
+    await client.setSettings({...await readActionSettings(), ...imported});
+    // Stream Deck does not echo setSettings to the PI: read back so every field (useSettings) shows the import.
+    await client.getSettings();
+
+    settingsStringInput.value = '';
+    setShareStatus(warning ? t('share.pastedWithWarning', {warning}) : t('share.pasted'), warning ? 'error' : 'success');
+  }
+
+  if (settingsStringInput && SCPI?.settingsCodec) {
+    document.getElementById('copySettingsButton')?.addEventListener('click', () => {
+      copySettings().catch((err) => setShareStatus(t('share.copyFailed', {error: err?.message || err}), 'error'));
+    });
+
+    document.getElementById('pasteSettingsButton')?.addEventListener('click', () => {
+      pasteSettings().catch((err) => setShareStatus(t('share.pasteFailed', {error: err?.message || err}), 'error'));
+    });
+
+    settingsStringInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        document.getElementById('pasteSettingsButton')?.click();
+      }
+    });
   }
 
   // #endregion
@@ -336,16 +1465,31 @@
     const loaded = payload?.functionsLoaded;
 
     if (loaded === true) {
+      const groups = functionsTracker?.resolve?.(payload) || null;
+      if (!groups) {
+        // Cache missing or out of sync with the plugin's base: ask for the full list.
+        SCPI?.bus?.send?.('refreshFunctions');
+        return;
+      }
+
       functionDropdown?.setLoading?.(false);
       document.getElementById('functionDropdown')?.classList.remove('pi-dropdown--error');
-      populateFunctionsDropdown(payload.functions || []);
+
+      const hash = String(payload.functionsHash || '');
+      if (!hash || hash !== renderedHash) {
+        renderedHash = hash;
+        populateFunctionsDropdown(groups);
+      }
     }
 
     if (loaded === false) {
+      renderedHash = '';
       document.getElementById('functionDropdown')?.classList.add('pi-dropdown--error');
-      functionDropdown?.setLoading?.(true, 'No installation detected. Set custom path.');
+      functionDropdown?.setLoading?.(true, () => t('common.noInstallation'));
       functionDropdown?.setItems?.([]);
+      longPressDropdown?.setItems?.([]);
       updateFunctionDetails(null);
+      renderMissingFunction('');
     }
   });
 
@@ -363,7 +1507,33 @@
     }
 
     functionDropdown?.setSelectedValue?.(currentFunctionValue, {rerender: false});
-    SCPI?.bus?.sendOnce?.('pi.connected', 'propertyInspectorConnected');
+
+    // Show the cached list right away; the plugin then confirms it or sends a delta.
+    const cachedFunctions = functionsTracker?.current?.() || null;
+    if (cachedFunctions) {
+      functionDropdown?.setLoading?.(false);
+      renderedHash = cachedFunctions.hash;
+      populateFunctionsDropdown(cachedFunctions.groups);
+    }
+
+    SCPI?.protocol?.connect?.({
+      functionsCache: {channel: cachedFunctions?.channel || '', hash: cachedFunctions?.hash || ''}
+    });
+  });
+
+  // Details, conflict summary, missing hint and long press warnings are built with t(): rebuild them in the new language.
+  SCPI?.i18n?.onChange?.(() => {
+    if (allOptions.length === 0) {
+      return;
+    }
+
+    const opt = allOptions.find(o => o.value === currentFunctionValue);
+    if (opt) {
+      updateFunctionDetails(opt);
+    } else {
+      selectFunctionByValue(currentFunctionValue);
+    }
+    renderLongPress();
   });
 
   // #endregion
@@ -0,0 +1,537 @@
+//// ****************************************************************
+// * Sequence Key PI Entrypoint
+// * Ordered list of function steps (drag or Alt+arrow keys to reorder),
+// * each with a wait before it and an optional hold time.
+//// ****************************************************************
+
+(function () {
+  const SCPI = globalThis.SCPI;
+  const t = (key, params) => SCPI?.i18n?.t?.(key, params) ?? key;
+  SCPI?.bus?.start?.();
+
+  // #region Global State
+
+  // Limits match SequenceRunner (plugin side).
+  const MAX_STEPS = 20;
+  const MAX_DELAY_MS = 60000;
+  const MAX_HOLD_MS = 10000;
+  const NEW_STEP_DELAY_MS = 250;
+
+  const stepsListEl = document.getElementById('sequenceSteps');
+  const addStepBtn = document.getElementById('sequenceAddStep');
+  const emptyEl = document.getElementById('sequenceEmpty');
+
+  /**
+   * Steps in display order: {uid, function, delayMs, holdMs, el, dropdown}
+   * @type {Array}
+   */
+  let steps = [];
+  let nextUid = 1;
+
+  /**
+   * Selectable functions (flattened payload)
+   * @type {Array}
+   */
+  let allOptions = [];
+  let renderedHash = '';
+  let loading = true;
+
+  /**
+   * Flag to avoid feedback loops when writing settings
+   * @type {boolean}
+   */
+  let isWritingSettings = false;
+
+  let draggedEl = null;
+
+  const functionsTracker = SCPI?.functionsCache?.createTracker?.() || null;
+
+  // #endregion
+
+  // #region SDK Settings Integration
+
+  const [getStepsSetting, setStepsSetting] = globalThis.SDPIComponents.useSettings(
+    'steps',
+    (value) => {
+      if (!isWritingSettings) {
+        loadSteps(value);
+      }
+    }
+  );
+
+  SCPI?.ui?.filePicker?.createFilePicker?.({
+    rootId: 'audioFilePicker',
+    placeholderText: () => t('common.noFileSelected'),
+    settingsKey: 'clickSoundPath'
+  });
+
+  function clampInt(raw, min, max) {
+    const value = parseInt(String(raw ?? ''), 10);
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : null;
+  }
+
+  function persistSteps() {
+    isWritingSettings = true;
+    setStepsSetting(steps.map((s) => {
+      const step = {function: s.function || '', delayMs: s.delayMs};
+      if (s.holdMs !== null) {
+        step.holdMs = s.holdMs;
+      }
+      return step;
+    }));
+
+    // Reset flag after the settings round trip
+    setTimeout(() => {
+      isWritingSettings = false;
+    }, 200);
+  }
+
+  // #endregion
+
+  // #region Functions List
+
+  /**
+   * Options a step can run: keyboard and mouse button bindings, same rules as the function keys
+   * @param {Array} groups - Grouped functions payload
+   * @returns {Array}
+   */
+  function flattenFunctionsData(groups) {
+    const flat = [];
+
+    for (const group of Array.isArray(groups) ? groups : []) {
+      for (const opt of Array.isArray(group?.options) ? group.options : []) {
+        const bindingType = String(opt.bindingType || '').toLowerCase();
+        if (bindingType === 'mouseaxis' || bindingType === 'joystick' || bindingType === 'gamepad') {
+          continue;
+        }
+
+        const isUnbound = bindingType === 'unbound';
+        flat.push({
+          value: opt.value,
+          legacyValue: opt.legacyValue,
+          text: opt.text,
+          searchText: String(opt.searchText || ''),
+          group: group.label || t('common.otherGroup'),
+          details: opt.details,
+          unbound: isUnbound,
+          disabled: !!opt.disabled && !isUnbound
+        });
+      }
+    }
+
+    return flat;
+  }
+
+  function findOption(value) {
+    return value ? allOptions.find((o) => o.value === value || o.legacyValue === value) || null : null;
+  }
+
+  function populateFunctions(groups) {
+    allOptions = flattenFunctionsData(groups);
+
+    // Migrate legacy ids to v2 ids, like the function keys do.
+    let migrated = false;
+    for (const step of steps) {
+      const opt = findOption(step.function);
+      if (opt && opt.value !== step.function) {
+        step.function = opt.value;
+        migrated = true;
+      }
+      step.dropdown?.setItems?.(allOptions);
+      step.dropdown?.setSelectedValue?.(step.function, {rerender: false});
+      renderSelectedFunction(step);
+    }
+
+    if (migrated) {
+      persistSteps();
+    }
+  }
+
+  // #endregion
+
+  // #region Step Rendering
+
+  function createDropdown(step) {
+    const dropdown = SCPI?.ui?.dropdown?.initDropdown?.({
+      rootId: `sequenceStep-${step.uid}`,
+      searchEnabled: true,
+      minLoadingMs: 0,
+      successFlashMs: 100,
+      emptyText: () => t('common.noMatchingFunctions'),
+      collapseStorageKey: 'scsd.dropdownGroups.sequenceStep',
+      getText: (opt) => String(opt?.text ?? ''),
+      getValue: (opt) => String(opt?.value ?? ''),
+      getGroup: (opt) => String(opt?.group ?? ''),
+      getSearchFields: (opt) => ({
+        label: opt?.text,
+        actionName: opt?.details?.actionName,
+        searchText: opt?.searchText
+      }),
+      isDisabled: (opt) => !!opt?.disabled,
+      onSelect: (opt) => {
+        step.function = opt.value;
+        dropdown?.setSelectedValue?.(opt.value, {rerender: true});
+        renderSelectedFunction(step);
+        persistSteps();
+      }
+    });
+
+    if (loading) {
+      dropdown?.setLoading?.(true, () => t('common.loadingFunctions'));
+    } else {
+      dropdown?.setItems?.(allOptions);
+      dropdown?.setSelectedValue?.(step.function, {rerender: false});
+    }
+
+    return dropdown;
+  }
+
+  /**
+   * Show which function the step runs (the search input is cleared after selection)
+   * @param {Object} step
+   */
+  function renderSelectedFunction(step) {
+    const selectedEl = step.el?.querySelector('.pi-sequence__selected');
+    if (!selectedEl) {
+      return;
+    }
+
+    const opt = findOption(step.function);
+    const missing = !!step.function && !opt && !loading;
+    selectedEl.textContent = opt ? opt.text : missing ? t('common.functionNotFound') : '';
+    selectedEl.classList.toggle('pi-sequence__selected--missing', missing || !!opt?.unbound);
+    selectedEl.hidden = !selectedEl.textContent;
+  }
+
+  function createNumberField(labelKey, className, value, opts) {
+    const fieldEl = document.createElement('label');
+    fieldEl.className = 'pi-sequence__field';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'pi-sequence__field-label';
+    labelEl.setAttribute('data-i18n', labelKey);
+    labelEl.textContent = t(labelKey);
+
+    const inputEl = document.createElement('input');
+    inputEl.type = 'number';
+    inputEl.className = `pi-sequence__input ${className}`;
+    inputEl.min = '0';
+    inputEl.max = String(opts.max);
+    inputEl.step = '50';
+    if (opts.placeholderKey) {
+      inputEl.setAttribute('data-i18n-placeholder', opts.placeholderKey);
+      inputEl.placeholder = t(opts.placeholderKey);
+    }
+    inputEl.value = value === null ? '' : String(value);
+
+    const unitEl = document.createElement('span');
+    unitEl.className = 'pi-sequence__field-unit';
+    unitEl.textContent = 'ms';
+
+    fieldEl.appendChild(labelEl);
+    fieldEl.appendChild(inputEl);
+    fieldEl.appendChild(unitEl);
+    return {fieldEl, inputEl};
+  }
+
+  function createStepElement(step) {
+    const itemEl = document.createElement('li');
+    itemEl.className = 'pi-sequence__step';
+    itemEl.dataset.uid = String(step.uid);
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'pi-sequence__step-header';
+
+    const handleEl = document.createElement('button');
+    handleEl.type = 'button';
+    handleEl.className = 'pi-sequence__handle';
+    handleEl.draggable = true;
+    handleEl.textContent = '⠇';
+    handleEl.setAttribute('data-i18n-title', 'sequence.dragHandle');
+    handleEl.title = t('sequence.dragHandle');
+    handleEl.addEventListener('dragstart', (e) => handleDragStart(e, itemEl));
+    handleEl.addEventListener('dragend', handleDragEnd);
+    handleEl.addEventListener('keydown', (e) => handleMoveKey(e, step));
+
+    const indexEl = document.createElement('span');
+    indexEl.className = 'pi-sequence__index';
+
+    const dropdownEl = document.createElement('div');
+    dropdownEl.className = 'pi-dropdown pi-sequence__function';
+    dropdownEl.id = `sequenceStep-${step.uid}`;
+    dropdownEl.setAttribute('data-i18n-placeholder', 'common.searchFunctions');
+    dropdownEl.setAttribute('data-placeholder', t('common.searchFunctions'));
+
+    const removeEl = document.createElement('button');
+    removeEl.type = 'button';
+    removeEl.className = 'pi-sequence__remove';
+    removeEl.textContent = '×';
+    removeEl.addEventListener('click', () => removeStep(step));
+
+    headerEl.appendChild(handleEl);
+    headerEl.appendChild(indexEl);
+    headerEl.appendChild(dropdownEl);
+    headerEl.appendChild(removeEl);
+
+    const selectedEl = document.createElement('div');
+    selectedEl.className = 'pi-sequence__selected';
+    selectedEl.hidden = true;
+
+    const timingEl = document.createElement('div');
+    timingEl.className = 'pi-sequence__timing';
+
+    const delayField = createNumberField('sequence.wait', 'pi-sequence__delay', step.delayMs, {max: MAX_DELAY_MS});
+    delayField.inputEl.addEventListener('change', () => {
+      step.delayMs = clampInt(delayField.inputEl.value, 0, MAX_DELAY_MS) ?? 0;
+      delayField.inputEl.value = String(step.delayMs);
+      persistSteps();
+    });
+
+    const holdField = createNumberField('sequence.hold', 'pi-sequence__hold', step.holdMs, {
+      max: MAX_HOLD_MS,
+      placeholderKey: 'sequence.auto'
+    });
+    holdField.inputEl.addEventListener('change', () => {
+      const value = clampInt(holdField.inputEl.value, 0, MAX_HOLD_MS);
+      step.holdMs = value && value > 0 ? value : null;
+      holdField.inputEl.value = step.holdMs === null ? '' : String(step.holdMs);
+      persistSteps();
+    });
+
+    timingEl.appendChild(delayField.fieldEl);
+    timingEl.appendChild(holdField.fieldEl);
+
+    itemEl.appendChild(headerEl);
+    itemEl.appendChild(selectedEl);
+    itemEl.appendChild(timingEl);
+    return itemEl;
+  }
+
+  /**
+   * Refresh step numbers, labels and the add button after any change to the list
+   */
+  function updateStepsChrome() {
+    steps.forEach((step, i) => {
+      const indexEl = step.el.querySelector('.pi-sequence__index');
+      if (indexEl) {
+        indexEl.textContent = String(i + 1);
+      }
+      step.el.querySelector('.pi-sequence__handle')?.setAttribute('aria-label', t('sequence.moveStep', {index: i + 1}));
+      step.el.querySelector('.pi-sequence__remove')?.setAttribute('aria-label', t('sequence.removeStep', {index: i + 1}));
+    });
+
+    if (emptyEl) {
+      emptyEl.hidden = steps.length > 0;
+    }
+    if (addStepBtn) {
+      addStepBtn.disabled = steps.length >= MAX_STEPS;
+    }
+  }
+
+  function appendStep(raw) {
+    const step = {
+      uid: nextUid++,
+      function: typeof raw?.function === 'string' ? raw.function : '',
+      delayMs: clampInt(raw?.delayMs, 0, MAX_DELAY_MS) ?? 0,
+      holdMs: clampInt(raw?.holdMs, 1, MAX_HOLD_MS),
+      el: null,
+      dropdown: null
+    };
+
+    step.el = createStepElement(step);
+    stepsListEl?.appendChild(step.el);
+    step.dropdown = createDropdown(step);
+    renderSelectedFunction(step);
+    steps.push(step);
+    return step;
+  }
+
+  function clearSteps() {
+    for (const step of steps) {
+      step.dropdown?.destroy?.();
+      step.el?.remove();
+    }
+    steps = [];
+  }
+
+  /**
+   * Rebuild the list from the settings value
+   * @param {Array} value - Saved steps
+   */
+  function loadSteps(value) {
+    clearSteps();
+    for (const raw of (Array.isArray(value) ? value : []).slice(0, MAX_STEPS)) {
+      appendStep(raw);
+    }
+    updateStepsChrome();
+  }
+
+  function addStep() {
+    if (steps.length >= MAX_STEPS) {
+      return;
+    }
+
+    const step = appendStep({delayMs: steps.length > 0 ? NEW_STEP_DELAY_MS : 0});
+    updateStepsChrome();
+    persistSteps();
+    step.el.querySelector('.pi-dropdown__search')?.focus?.();
+  }
+
+  function removeStep(step) {
+    step.dropdown?.destroy?.();
+    step.el?.remove();
+    steps = steps.filter((s) => s !== step);
+    updateStepsChrome();
+    persistSteps();
+  }
+
+  /**
+   * Put the steps array back in DOM order (after a drag)
+   */
+  function syncOrderFromDom() {
+    const byUid = new Map(steps.map((s) => [String(s.uid), s]));
+    steps = Array.from(stepsListEl?.children || [])
+      .map((el) => byUid.get(el.dataset.uid))
+      .filter((s) => s);
+  }
+
+  function moveStep(step, toIndex) {
+    const from = steps.indexOf(step);
+    const to = Math.max(0, Math.min(steps.length - 1, toIndex));
+    if (from < 0 || from === to) {
+      return;
+    }
+
+    steps.splice(from, 1);
+    steps.splice(to, 0, step);
+    steps.forEach((s) => stepsListEl?.appendChild(s.el));
+    updateStepsChrome();
+    persistSteps();
+  }
+
+  // #endregion
+
+  // #region Reordering
+
+  function handleDragStart(e, itemEl) {
+    draggedEl = itemEl;
+    itemEl.classList.add('pi-sequence__step--dragging');
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', itemEl.dataset.uid || '');
+      e.dataTransfer.setDragImage?.(itemEl, 16, 16);
+    }
+  }
+
+  function handleDragOver(e) {
+    if (!draggedEl) {
+      return;
+    }
+    e.preventDefault();
+
+    const targetEl = e.target?.closest?.('.pi-sequence__step');
+    if (!targetEl || targetEl === draggedEl) {
+      return;
+    }
+
+    // Drop before the hovered step in its upper half, after it in the lower half.
+    const rect = targetEl.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    stepsListEl.insertBefore(draggedEl, after ? targetEl.nextSibling : targetEl);
+  }
+
+  function handleDragEnd() {
+    if (!draggedEl) {
+      return;
+    }
+
+    draggedEl.classList.remove('pi-sequence__step--dragging');
+    draggedEl = null;
+
+    const before = steps.map((s) => s.uid).join(',');
+    syncOrderFromDom();
+    updateStepsChrome();
+    if (steps.map((s) => s.uid).join(',') !== before) {
+      persistSteps();
+    }
+  }
+
+  function handleMoveKey(e, step) {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+    e.preventDefault();
+
+    moveStep(step, steps.indexOf(step) + (e.key === 'ArrowUp' ? -1 : 1));
+    step.el.querySelector('.pi-sequence__handle')?.focus?.();
+  }
+
+  // #endregion
+
+  // #region WebSocket Communication
+
+  SCPI?.bus?.on?.((payload) => {
+    const loaded = payload?.functionsLoaded;
+
+    if (loaded === true) {
+      const groups = functionsTracker?.resolve?.(payload) || null;
+      if (!groups) {
+        // Cache missing or out of sync with the plugin's base: ask for the full list.
+        SCPI?.bus?.send?.('refreshFunctions');
+        return;
+      }
+
+      loading = false;
+      steps.forEach((s) => s.dropdown?.setLoading?.(false));
+
+      const hash = String(payload.functionsHash || '');
+      if (!hash || hash !== renderedHash) {
+        renderedHash = hash;
+        populateFunctions(groups);
+      }
+    }
+
+    if (loaded === false) {
+      renderedHash = '';
+      loading = true;
+      allOptions = [];
+      steps.forEach((s) => {
+        s.dropdown?.setLoading?.(true, () => t('common.noInstallation'));
+        s.dropdown?.setItems?.([]);
+      });
+    }
+  });
+
+  // #endregion
+
+  // #region Event Listeners
+
+  stepsListEl?.addEventListener('dragover', handleDragOver);
+  stepsListEl?.addEventListener('drop', (e) => e.preventDefault());
+  addStepBtn?.addEventListener('click', addStep);
+
+  SCPI?.util?.onDocumentReady?.(() => {
+    loadSteps(getStepsSetting());
+
+    // Show the cached list right away; the plugin then confirms it or sends a delta.
+    const cachedFunctions = functionsTracker?.current?.() || null;
+    if (cachedFunctions) {
+      loading = false;
+      renderedHash = cachedFunctions.hash;
+      steps.forEach((s) => s.dropdown?.setLoading?.(false));
+      populateFunctions(cachedFunctions.groups);
+    }
+
+    SCPI?.protocol?.connect?.({
+      functionsCache: {channel: cachedFunctions?.channel || '', hash: cachedFunctions?.hash || ''}
+    });
+  });
+
+  // Static step labels carry data-i18n; numbered labels and the selected function are rebuilt here.
+  SCPI?.i18n?.onChange?.(() => {
+    updateStepsChrome();
+    steps.forEach(renderSelectedFunction);
+  });
+
+  // #endregion
+})();
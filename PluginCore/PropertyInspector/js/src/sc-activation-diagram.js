@@ -0,0 +1,217 @@
+//// ****************************************************************
+// * SC Activation Diagram
+// * Small press/hold/release timing diagram for an activation mode, drawn
+// * from the `details.activationInfo.timing` the plugin sends.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const WIDTH = 260;
+  const HEIGHT = 66;
+  const GUTTER = 44;
+  const PAD_RIGHT = 8;
+
+  // Row geometry: the Stream Deck key signal on top, what the game sees below.
+  const KEY_HIGH = 6;
+  const KEY_LOW = 20;
+  const GAME_TOP = 30;
+  const GAME_BOTTOM = 42;
+  const LABEL_Y = 58;
+
+  const TAP_LENGTH = 0.12;
+  const TAP_GAP = 0.13;
+
+  function seconds(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  function formatSeconds(value) {
+    return `${Math.round(value * 100) / 100} s`;
+  }
+
+  /**
+   * Turn the plugin's timing into one representative press: when the key goes down and up, which
+   * threshold applies, and when the game fires or holds the input.
+   * @param {Object} timing - details.activationInfo.timing
+   * @returns {{duration: number, presses: Array<[number, number]>, band: ?{from: number, to: number, label: string},
+   *   fires: Array<{at: number, label: string}>, active: ?[number, number]}}
+   */
+  function buildTimeline(timing) {
+    const info = timing || {};
+    const taps = Math.max(1, Number(info.taps) || 1);
+    const pressDelay = seconds(info.pressDelay);
+    const releaseWindow = seconds(info.releaseWindow);
+    const toggleDelay = seconds(info.toggleDelay);
+
+    if (taps > 1) {
+      const presses = [];
+      for (let i = 0; i < taps; i++) {
+        const start = i * (TAP_LENGTH + TAP_GAP);
+        presses.push([start, start + TAP_LENGTH]);
+      }
+      const last = presses[presses.length - 1][0];
+      return {duration: last + 0.4, presses, band: null, fires: [{at: last, label: t('diagram.fires')}], active: null};
+    }
+
+    if (toggleDelay > 0) {
+      const release = toggleDelay * 2.4;
+      return {
+        duration: release * 1.2,
+        presses: [[0, release]],
+        band: {from: 0, to: toggleDelay, label: formatSeconds(toggleDelay)},
+        fires: [{at: toggleDelay, label: t('diagram.on')}, {at: release, label: t('diagram.off')}],
+        active: null
+      };
+    }
+
+    if (pressDelay > 0) {
+      const release = pressDelay + Math.max(pressDelay, 0.5) * 0.8;
+      return {
+        duration: release * 1.15,
+        presses: [[0, release]],
+        band: {from: 0, to: pressDelay, label: formatSeconds(pressDelay)},
+        fires: info.holdsInput ? [] : [{at: pressDelay, label: t('diagram.fires')}],
+        active: info.holdsInput ? [pressDelay, release] : null
+      };
+    }
+
+    if (releaseWindow > 0) {
+      const release = releaseWindow * 0.6;
+      const fires = [];
+      if (info.firesOnPress) {
+        fires.push({at: 0, label: t('diagram.fires')});
+      }
+      if (info.firesOnRelease) {
+        fires.push({at: release, label: info.firesOnPress ? t('diagram.again') : t('diagram.fires')});
+      }
+      return {
+        duration: releaseWindow * 1.5,
+        presses: [[0, release]],
+        band: {from: 0, to: releaseWindow, label: `< ${formatSeconds(releaseWindow)}`},
+        fires,
+        active: null
+      };
+    }
+
+    const release = 0.8;
+    const fires = [];
+    if (info.firesOnPress && !info.holdsInput) {
+      fires.push({at: 0, label: t('diagram.fires')});
+    }
+    if (info.firesOnRelease) {
+      fires.push({at: release, label: info.holdsInput || info.firesOnPress ? t('diagram.again') : t('diagram.fires')});
+    }
+    return {
+      duration: 1.1,
+      presses: [[0, release]],
+      band: null,
+      fires,
+      active: info.holdsInput ? [0, release] : null
+    };
+  }
+
+  // #region Rendering
+
+  function svgEl(name, attrs, text) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attrs || {})) {
+      el.setAttribute(key, String(value));
+    }
+    if (text) {
+      el.textContent = text;
+    }
+    return el;
+  }
+
+  /**
+   * Draw the timing diagram for `timing` as an inline SVG.
+   * @param {Object} timing - details.activationInfo.timing
+   * @returns {SVGSVGElement}
+   */
+  function render(timing) {
+    const timeline = buildTimeline(timing);
+    const span = WIDTH - GUTTER - PAD_RIGHT;
+    const x = (at) => GUTTER + (at / timeline.duration) * span;
+
+    const svg = svgEl('svg', {
+      class: 'pi-activation-diagram',
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      role: 'img',
+      'aria-label': t('diagram.ariaLabel')
+    });
+
+    svg.appendChild(svgEl('text', {class: 'pi-activation-diagram__row', x: 0, y: KEY_LOW}, t('diagram.key')));
+    svg.appendChild(svgEl('text', {class: 'pi-activation-diagram__row', x: 0, y: GAME_BOTTOM}, t('diagram.game')));
+
+    if (timeline.band) {
+      const bandX = x(timeline.band.from);
+      const bandWidth = Math.max(1, x(timeline.band.to) - bandX);
+      svg.appendChild(svgEl('rect', {
+        class: 'pi-activation-diagram__band',
+        x: bandX, y: KEY_HIGH - 2, width: bandWidth, height: GAME_BOTTOM - KEY_HIGH + 4
+      }));
+      svg.appendChild(svgEl('text', {
+        class: 'pi-activation-diagram__label',
+        x: bandX + bandWidth / 2, y: LABEL_Y, 'text-anchor': 'middle'
+      }, timeline.band.label));
+    }
+
+    // Key signal as a square wave.
+    const points = [[GUTTER, KEY_LOW]];
+    for (const [down, up] of timeline.presses) {
+      points.push([x(down), KEY_LOW], [x(down), KEY_HIGH], [x(up), KEY_HIGH], [x(up), KEY_LOW]);
+    }
+    points.push([GUTTER + span, KEY_LOW]);
+    svg.appendChild(svgEl('polyline', {
+      class: 'pi-activation-diagram__key',
+      points: points.map(([px, py]) => `${px},${py}`).join(' ')
+    }));
+
+    svg.appendChild(svgEl('line', {
+      class: 'pi-activation-diagram__baseline',
+      x1: GUTTER, y1: GAME_BOTTOM, x2: GUTTER + span, y2: GAME_BOTTOM
+    }));
+
+    if (timeline.active) {
+      const [from, to] = timeline.active;
+      svg.appendChild(svgEl('rect', {
+        class: 'pi-activation-diagram__active',
+        x: x(from), y: GAME_TOP, width: Math.max(1, x(to) - x(from)), height: GAME_BOTTOM - GAME_TOP
+      }));
+      svg.appendChild(svgEl('text', {
+        class: 'pi-activation-diagram__label',
+        x: (x(from) + x(to)) / 2, y: LABEL_Y, 'text-anchor': 'middle'
+      }, t(timing?.retriggerable ? 'diagram.heldRepeats' : 'diagram.held')));
+    }
+
+    for (const fire of timeline.fires) {
+      const fx = x(fire.at);
+      svg.appendChild(svgEl('line', {
+        class: 'pi-activation-diagram__fire',
+        x1: fx, y1: GAME_TOP, x2: fx, y2: GAME_BOTTOM
+      }));
+      svg.appendChild(svgEl('circle', {class: 'pi-activation-diagram__fire-dot', cx: fx, cy: GAME_TOP, r: 2.5}));
+      if (!timeline.band && !timeline.active) {
+        svg.appendChild(svgEl('text', {
+          class: 'pi-activation-diagram__label',
+          x: fx, y: LABEL_Y, 'text-anchor': fx < GUTTER + 12 ? 'start' : 'middle'
+        }, fire.label));
+      }
+    }
+
+    return svg;
+  }
+
+  // #endregion
+
+  SCPI.activationDiagram = {
+    buildTimeline,
+    render
+  };
+})();
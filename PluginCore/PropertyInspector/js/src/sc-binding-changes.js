@@ -0,0 +1,175 @@
+//// ****************************************************************
+// * SC Binding Changes
+// * Toast shown when the plugin reloaded actionmaps.xml after a rebind
+// * in game: change counts, an expandable list (added / removed /
+// * rebound) and a warning when this key's function lost its binding.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  const KINDS = ['added', 'removed', 'rebound'];
+
+  /** @type {HTMLElement|null} */
+  let toast = null;
+
+  /** Payload of the visible toast, rebuilt after a UI language change */
+  let shownData = null;
+
+  function textEl(tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  function i18nEl(tag, className, key, params) {
+    const el = textEl(tag, className, t(key, params));
+    if (!params) {
+      el.setAttribute('data-i18n', key);
+    }
+    return el;
+  }
+
+  function bindingText(value) {
+    return String(value || '') || t('bindingChanges.unbound');
+  }
+
+  function buildItem(change) {
+    const kind = KINDS.includes(change?.kind) ? change.kind : 'rebound';
+    const item = document.createElement('li');
+    item.className = `pi-binding-changes__item pi-binding-changes__item--${kind}`;
+
+    const head = document.createElement('div');
+    head.appendChild(i18nEl('span', 'pi-binding-changes__kind', `bindingChanges.${kind}`));
+    head.appendChild(textEl('span', 'pi-binding-changes__name', String(change?.label || change?.functionId || '')));
+    item.appendChild(head);
+
+    const meta = [String(change?.group || '')];
+    if (kind === 'rebound') {
+      meta.push(`${bindingText(change.oldBinding)} → ${bindingText(change.newBinding)}`);
+    } else {
+      meta.push(bindingText(kind === 'added' ? change?.newBinding : change?.oldBinding));
+    }
+    item.appendChild(textEl('div', 'pi-binding-changes__meta', meta.filter(Boolean).join(' · ')));
+
+    return item;
+  }
+
+  function buildList(data) {
+    const list = document.createElement('ul');
+    list.className = 'pi-binding-changes__list';
+    list.hidden = true;
+
+    const changes = Array.isArray(data?.changes) ? data.changes : [];
+    changes.forEach((change) => list.appendChild(buildItem(change)));
+
+    const rest = Number(data?.total || 0) - changes.length;
+    if (data?.truncated === true && rest > 0) {
+      list.appendChild(textEl('li', 'pi-binding-changes__more', t('bindingChanges.more', {count: rest})));
+    }
+
+    return list;
+  }
+
+  function dismiss() {
+    toast?.remove();
+    toast = null;
+    shownData = null;
+  }
+
+  /**
+   * Show (or replace) the binding changes toast
+   * @param {Object} data - "bindingChanges" payload (see BindingChangesPayloadBuilder)
+   * @param {number} data.added
+   * @param {number} data.removed
+   * @param {number} data.rebound
+   * @param {number} data.total
+   * @param {boolean} data.truncated - More changes than listed
+   * @param {boolean} data.keyLostBinding - This key's function is unbound now
+   * @param {Array<{functionId: string, label: string, group: string, kind: string, oldBinding: string, newBinding: string}>} data.changes
+   */
+  function show(data) {
+    const total = Number(data?.total || 0);
+    if (total <= 0) {
+      return;
+    }
+
+    dismiss();
+    shownData = data;
+
+    toast = document.createElement('div');
+    toast.className = 'pi-binding-changes';
+    toast.classList.toggle('pi-binding-changes--lost', data.keyLostBinding === true);
+    toast.setAttribute('role', 'status');
+
+    const header = document.createElement('div');
+    header.className = 'pi-binding-changes__header';
+    header.appendChild(textEl('span', 'pi-binding-changes__title', t('bindingChanges.title', {count: total})));
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'pi-binding-changes__close';
+    close.textContent = '×';
+    close.setAttribute('data-i18n-title', 'bindingChanges.dismiss');
+    close.setAttribute('data-i18n-aria-label', 'bindingChanges.dismiss');
+    close.title = t('bindingChanges.dismiss');
+    close.setAttribute('aria-label', close.title);
+    close.addEventListener('click', dismiss);
+    header.appendChild(close);
+    toast.appendChild(header);
+
+    toast.appendChild(textEl('div', 'pi-binding-changes__summary', t('bindingChanges.summary', {
+      added: Number(data.added || 0),
+      removed: Number(data.removed || 0),
+      rebound: Number(data.rebound || 0)
+    })));
+
+    if (data.keyLostBinding === true) {
+      toast.appendChild(i18nEl('div', 'pi-binding-changes__warning', 'bindingChanges.keyLostBinding'));
+    }
+
+    const list = buildList(data);
+    const toggle = i18nEl('button', 'pi-binding-changes__toggle', 'bindingChanges.show');
+    toggle.type = 'button';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.addEventListener('click', () => {
+      list.hidden = !list.hidden;
+      const key = list.hidden ? 'bindingChanges.show' : 'bindingChanges.hide';
+      toggle.setAttribute('data-i18n', key);
+      toggle.setAttribute('aria-expanded', String(!list.hidden));
+      toggle.textContent = t(key);
+    });
+
+    toast.appendChild(toggle);
+    toast.appendChild(list);
+
+    const container = document.querySelector('.pi-container') || document.body;
+    container?.prepend(toast);
+  }
+
+  SCPI.bus?.on?.((payload) => {
+    if (payload?.bindingChanges && typeof payload.bindingChanges === 'object') {
+      show(payload.bindingChanges);
+    }
+  });
+
+  SCPI.i18n?.onChange?.(() => {
+    if (!toast || !shownData) {
+      return;
+    }
+
+    const expanded = toast.querySelector('.pi-binding-changes__list')?.hidden === false;
+    show(shownData);
+    if (expanded) {
+      toast.querySelector('.pi-binding-changes__toggle')?.click();
+    }
+  });
+
+  SCPI.bindingChanges = {
+    show,
+    dismiss
+  };
+})();
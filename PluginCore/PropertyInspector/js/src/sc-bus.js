@@ -1,17 +1,58 @@
 //// ****************************************************************
 // * SC PI Bus
 // * Single sendToPropertyInspector subscription + sendToPlugin helpers
+// * request(): correlated request/response on top of sendToPlugin
 //// ****************************************************************
 
 (function () {
   const root = globalThis;
   const SCPI = root.SCPI = root.SCPI || {};
 
+  const DEFAULT_TIMEOUT_MS = 10000;
+
   const listeners = new Set();
   const sendOnceKeys = new Set();
+  const pendingRequests = new Map();
+  let requestSeq = 0;
   let started = false;
   let attached = false;
 
+  // #region Request Errors
+
+  class BusRequestError extends Error {
+    constructor(message, code, event, requestId) {
+      super(message);
+      this.name = 'BusRequestError';
+      this.code = code;
+      this.event = event;
+      this.requestId = requestId;
+    }
+  }
+
+  class RequestTimeoutError extends BusRequestError {
+    constructor(event, requestId, timeoutMs) {
+      super(`No response from plugin for '${event}' within ${timeoutMs} ms`, 'timeout', event, requestId);
+      this.name = 'RequestTimeoutError';
+      this.timeoutMs = timeoutMs;
+    }
+  }
+
+  class RequestFailedError extends BusRequestError {
+    constructor(event, requestId, reason) {
+      super(String(reason || 'Request failed.'), 'failed', event, requestId);
+      this.name = 'RequestFailedError';
+    }
+  }
+
+  class BusUnavailableError extends BusRequestError {
+    constructor(event) {
+      super('Stream Deck client not available', 'unavailable', event, '');
+      this.name = 'BusUnavailableError';
+    }
+  }
+
+  // #endregion
+
   function getClient() {
     return root.SDPIComponents?.streamDeckClient || null;
   }
@@ -38,6 +79,70 @@
     send(event, payload);
   }
 
+  function nextRequestId() {
+    requestSeq += 1;
+    return `${Date.now().toString(36)}-${requestSeq}`;
+  }
+
+  /**
+   * Send an event and wait for the plugin to echo its requestId.
+   * Resolves with the reply's `result`; rejects with RequestFailedError when the plugin
+   * answers ok=false, or RequestTimeoutError when no reply arrives in time.
+   * @param {string} event
+   * @param {Object} [payload]
+   * @param {{timeoutMs?: number}} [opts]
+   * @returns {Promise<Object>}
+   */
+  function request(event, payload = {}, opts = {}) {
+    const client = getClient();
+    if (!client?.send) {
+      return Promise.reject(new BusUnavailableError(event));
+    }
+
+    start();
+
+    const timeoutMs = typeof opts.timeoutMs === 'number' && opts.timeoutMs > 0 ? opts.timeoutMs : DEFAULT_TIMEOUT_MS;
+    const requestId = nextRequestId();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(new RequestTimeoutError(event, requestId, timeoutMs));
+      }, timeoutMs);
+
+      pendingRequests.set(requestId, {event, resolve, reject, timer});
+      client.send('sendToPlugin', {...payload, event, requestId});
+    });
+  }
+
+  /**
+   * Settle a pending request if the payload is a reply to one.
+   * @returns {boolean} true when the payload was a reply (and must not be broadcast)
+   */
+  function settleRequest(payload) {
+    const requestId = typeof payload?.requestId === 'string' ? payload.requestId : '';
+    if (!requestId) {
+      return false;
+    }
+
+    const pending = pendingRequests.get(requestId);
+    if (!pending) {
+      // Late reply (already timed out) or addressed to another PI instance.
+      return true;
+    }
+
+    pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+
+    if (payload.ok === false) {
+      pending.reject(new RequestFailedError(pending.event, requestId, payload.error));
+    } else {
+      pending.resolve(payload.result || {});
+    }
+
+    return true;
+  }
+
   function on(listener) {
     if (typeof listener !== 'function') {
       return () => {
@@ -72,6 +177,15 @@
           return;
         }
 
+        if (settleRequest(data.payload)) {
+          return;
+        }
+
+        // Schema / version check (sc-protocol.js); invalid payloads are not broadcast.
+        if (SCPI.protocol?.accept && SCPI.protocol.accept(data.payload) === false) {
+          return;
+        }
+
         for (const fn of Array.from(listeners)) {
           try {
             fn(data.payload, data);
@@ -89,6 +203,13 @@
     start,
     on,
     send,
-    sendOnce
+    sendOnce,
+    request,
+    errors: {
+      BusRequestError,
+      RequestTimeoutError,
+      RequestFailedError,
+      BusUnavailableError
+    }
   };
 })();
@@ -0,0 +1,165 @@
+//// ****************************************************************
+// * SC Binding Conflicts
+// * Finds other actions bound to the same raw input and rates whether the
+// * plugin's emulation of the chosen action also triggers them in game.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  // What the game needs to see before an action fires.
+  const TRIGGER_CLASSES = {
+    short: ['tap', 'tap_quicker', 'press', 'press_quicker', 'hold_toggle', 'smart_toggle'],
+    hold: ['hold', 'hold_no_retrigger', 'all'],
+    delayed: ['delayed_press', 'delayed_press_quicker', 'delayed_press_medium', 'delayed_press_long',
+      'delayed_hold', 'delayed_hold_long', 'delayed_hold_no_retrigger'],
+    double: ['double_tap', 'double_tap_nonblocking']
+  };
+
+  // What the plugin sends for a mode (see ActivationModeHandlers): one quick stroke, the key held while the
+  // Stream Deck key is held, or held after the mode's delay.
+  const EMULATED_SIGNAL = {
+    short: 'stroke',
+    double: 'stroke',
+    hold: 'held',
+    delayed: 'delayedHeld'
+  };
+
+  // Emulated signal x trigger class of the other action.
+  const SEVERITY = {
+    stroke: {short: 'conflict', hold: 'ok', delayed: 'ok', double: 'ok'},
+    held: {short: 'warning', hold: 'conflict', delayed: 'warning', double: 'ok'},
+    delayedHeld: {short: 'warning', hold: 'conflict', delayed: 'warning', double: 'ok'}
+  };
+
+  const SEVERITY_RANK = {conflict: 0, warning: 1, ok: 2};
+
+  function triggerClass(mode) {
+    const m = String(mode || '').toLowerCase();
+    return Object.keys(TRIGGER_CLASSES).find((c) => TRIGGER_CLASSES[c].includes(m)) || 'short';
+  }
+
+  /**
+   * Rate whether executing an action with `selectedMode` also fires an action with `otherMode` on the same input.
+   * @returns {{severity: 'conflict'|'warning'|'ok', reason: string}}
+   */
+  function assess(selectedMode, otherMode) {
+    const a = String(selectedMode || '').toLowerCase();
+    const b = String(otherMode || '').toLowerCase();
+
+    if (a && a === b) {
+      return {severity: 'conflict', reason: t('conflicts.sameMode')};
+    }
+
+    const signal = EMULATED_SIGNAL[triggerClass(a)];
+    const otherClass = triggerClass(b);
+    const severity = SEVERITY[signal][otherClass];
+
+    if (severity === 'conflict') {
+      return signal === 'stroke'
+        ? {severity, reason: t('conflicts.quickPress')}
+        : {severity, reason: t('conflicts.whileHeld')};
+    }
+
+    if (severity === 'warning') {
+      return otherClass === 'short'
+        ? {severity, reason: t('conflicts.releasedQuickly')}
+        : {severity, reason: t('conflicts.heldLongEnough')};
+    }
+
+    return {severity: 'ok', reason: t('conflicts.different')};
+  }
+
+  function normalizeRaw(raw) {
+    return String(raw || '').toLowerCase().replace(/\s+/g, '');
+  }
+
+  /**
+   * Index every option of the grouped functions payload by device + raw input.
+   * @param {Array} groups - Grouped functions payload
+   * @returns {Map<string, Array<{option: Object, group: string, device: string, display: string}>>}
+   */
+  function buildIndex(groups) {
+    const index = new Map();
+
+    for (const group of Array.isArray(groups) ? groups : []) {
+      for (const option of Array.isArray(group?.options) ? group.options : []) {
+        const devices = Array.isArray(option?.details?.devices) ? option.details.devices : [];
+        for (const device of devices) {
+          for (const binding of Array.isArray(device?.bindings) ? device.bindings : []) {
+            const raw = normalizeRaw(binding?.raw);
+            if (!raw) {
+              continue;
+            }
+
+            const key = `${device.device}|${raw}`;
+            if (!index.has(key)) {
+              index.set(key, []);
+            }
+            index.get(key).push({
+              option,
+              group: String(group.label || ''),
+              device: String(device.device || ''),
+              display: String(binding.display || binding.raw || '')
+            });
+          }
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Other actions sharing any raw input of `option`, worst severity first.
+   * @param {Object} option - Option with `value` and `details` (activationMode, devices)
+   * @param {Map} index - From buildIndex()
+   * @returns {Array<{value: string, text: string, group: string, device: string, display: string,
+   *   activationMode: string, severity: string, reason: string}>}
+   */
+  function find(option, index) {
+    if (!option?.details || !(index instanceof Map)) {
+      return [];
+    }
+
+    const selectedMode = option.details.activationMode;
+    const seen = new Set();
+    const result = [];
+
+    for (const device of Array.isArray(option.details.devices) ? option.details.devices : []) {
+      for (const binding of Array.isArray(device?.bindings) ? device.bindings : []) {
+        const entries = index.get(`${device.device}|${normalizeRaw(binding?.raw)}`) || [];
+        for (const entry of entries) {
+          const value = String(entry.option.value || '');
+          const dedupeKey = `${value}|${entry.device}|${normalizeRaw(entry.display)}`;
+          if (value === option.value || seen.has(dedupeKey)) {
+            continue;
+          }
+          seen.add(dedupeKey);
+
+          const otherMode = String(entry.option.details?.activationMode || '');
+          result.push({
+            value,
+            text: String(entry.option.text || entry.option.details?.label || value),
+            group: entry.group,
+            device: entry.device,
+            display: entry.display,
+            activationMode: otherMode,
+            ...assess(selectedMode, otherMode)
+          });
+        }
+      }
+    }
+
+    return result.sort((x, y) =>
+      (SEVERITY_RANK[x.severity] - SEVERITY_RANK[y.severity]) || x.text.localeCompare(y.text));
+  }
+
+  SCPI.conflicts = {
+    assess,
+    buildIndex,
+    find
+  };
+})();
@@ -0,0 +1,311 @@
+//// ****************************************************************
+// * SC Description
+// * Renders Star Citizen action descriptions (global.ini text) as safe DOM:
+// * literal \n escapes become line breaks, "- " / "1. " lines become lists,
+// * <EM> markup becomes emphasis and other tags or printf tokens are dropped.
+// * Key references (~action(map|name), [Key], the function's own bindings)
+// * and activation modes are highlighted. Nothing is parsed as HTML.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  // Longer descriptions start collapsed behind "Show more".
+  const COLLAPSE_LENGTH = 280;
+
+  // Mode words as the game writes them; the UI pack adds its own (description.modeTerms).
+  const MODE_TERMS = ['double tap', 'double-tap', 'tap', 'hold', 'press', 'release'];
+
+  const LIST_ITEM = /^(?:[-*•·]|\d{1,2}[.)])\s+(.*)$/;
+  const ORDERED_ITEM = /^\d/;
+  const UNRESOLVED_KEY = /^@\w+$/;
+  const EMPHASIS = /<em\d*>([\s\S]*?)<\/em\d*>/gi;
+  const STRAY_TAG = /<\/?[a-z][\w-]*[^<>]*>/gi;
+  const PRINTF_TOKEN = /%(?:ls|s|d|i|u|\.?\d*f)(?![\p{L}\p{N}])/gu;
+  const ACTION_REF = /~action\(\s*([^|)\s]+)\s*\|\s*([^)\s]+)\s*\)/gi;
+  const BRACKET_KEY = /\[([^\][\n]{1,24})]/g;
+
+  /** @type {WeakMap<Element, {showEnglish: boolean, expanded: boolean, text: string}>} */
+  const states = new WeakMap();
+
+  function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Normalize raw global.ini text: escapes to real line breaks, unresolved "@ui_" keys to ''.
+   * Emphasis stays as \u0001…\u0002 markers for the inline pass.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalize(text) {
+    const raw = String(text ?? '').trim();
+    if (!raw || UNRESOLVED_KEY.test(raw)) {
+      return '';
+    }
+
+    return raw
+      .replace(/\\r\\n|\\n|\\r/g, '\n')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\\t/g, ' ')
+      .replace(/\\"/g, '"')
+      .replace(EMPHASIS, '\u0001$1\u0002')
+      .replace(STRAY_TAG, '')
+      .replace(PRINTF_TOKEN, '')
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split normalized text into paragraphs (lines kept) and lists
+   * @param {string} text - Output of normalize()
+   * @returns {Array<{type: 'paragraph', lines: string[]}|{type: 'list', ordered: boolean, items: string[]}>}
+   */
+  function parseBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    for (const rawLine of String(text || '').split('\n')) {
+      const line = rawLine.trim();
+      if (!line) {
+        current = null;
+        continue;
+      }
+
+      const item = LIST_ITEM.exec(line);
+      if (item) {
+        const ordered = ORDERED_ITEM.test(line);
+        if (current?.type !== 'list' || current.ordered !== ordered) {
+          current = {type: 'list', ordered, items: []};
+          blocks.push(current);
+        }
+        current.items.push(item[1]);
+        continue;
+      }
+
+      if (current?.type !== 'paragraph') {
+        current = {type: 'paragraph', lines: []};
+        blocks.push(current);
+      }
+      current.lines.push(line);
+    }
+
+    return blocks;
+  }
+
+  function buildTermPattern(options) {
+    const modeTerms = [
+      ...MODE_TERMS,
+      ...String(t('description.modeTerms')).split('|')
+    ].map((term) => term.trim()).filter((term) => term && term !== 'description.modeTerms');
+
+    const keyTerms = (Array.isArray(options?.keys) ? options.keys : [])
+      .map((key) => String(key || '').trim())
+      .filter((key) => key.length > 0);
+
+    // Longest first, so "double tap" wins over "tap" and "LShift + H" over "H".
+    const byLength = (a, b) => b.length - a.length;
+    const keys = [...new Set(keyTerms)].sort(byLength).map(escapeRegExp);
+    const modes = [...new Set(modeTerms.map((m) => m.toLowerCase()))].sort(byLength).map(escapeRegExp);
+
+    const parts = [];
+    if (keys.length > 0) {
+      parts.push(`(?<key>${keys.join('|')})`);
+    }
+    parts.push(`(?<mode>${modes.join('|')})`);
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  function keyEl(text) {
+    const el = document.createElement('kbd');
+    el.className = 'pi-description__key';
+    el.textContent = text;
+    return el;
+  }
+
+  function appendHighlighted(parent, text, pattern) {
+    let last = 0;
+    pattern.lastIndex = 0;
+
+    for (const match of text.matchAll(pattern)) {
+      if (match.index > last) {
+        parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+      }
+
+      if (match.groups?.key) {
+        parent.appendChild(keyEl(match[0]));
+      } else {
+        const mode = document.createElement('span');
+        mode.className = 'pi-description__mode';
+        mode.textContent = match[0];
+        parent.appendChild(mode);
+      }
+      last = match.index + match[0].length;
+    }
+
+    if (last < text.length) {
+      parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+  }
+
+  // Key references first (~action(...) and [Key]), then key names and mode words in the plain text between.
+  function appendReferences(parent, text, pattern, options) {
+    const refs = new RegExp(`${ACTION_REF.source}|${BRACKET_KEY.source}`, 'gi');
+    let last = 0;
+
+    for (const match of text.matchAll(refs)) {
+      if (match.index > last) {
+        appendHighlighted(parent, text.slice(last, match.index), pattern);
+      }
+
+      if (match[1] !== undefined) {
+        const resolved = options?.resolveAction?.(match[1], match[2]);
+        parent.appendChild(keyEl(String(resolved || match[2])));
+      } else {
+        parent.appendChild(keyEl(match[3].trim()));
+      }
+      last = match.index + match[0].length;
+    }
+
+    if (last < text.length) {
+      appendHighlighted(parent, text.slice(last), pattern);
+    }
+  }
+
+  function appendInline(parent, text, pattern, options) {
+    const parts = String(text).split(/\u0001|\u0002/);
+    parts.forEach((part, i) => {
+      if (!part) {
+        return;
+      }
+
+      // Odd parts sat between the emphasis markers.
+      if (i % 2 === 1) {
+        const em = document.createElement('em');
+        em.className = 'pi-description__emphasis';
+        appendReferences(em, part, pattern, options);
+        parent.appendChild(em);
+        return;
+      }
+
+      appendReferences(parent, part, pattern, options);
+    });
+  }
+
+  function buildBody(text, options) {
+    const body = document.createElement('div');
+    body.className = 'pi-description__body';
+
+    const pattern = buildTermPattern(options);
+    for (const block of parseBlocks(text)) {
+      if (block.type === 'list') {
+        const list = document.createElement(block.ordered ? 'ol' : 'ul');
+        list.className = 'pi-description__list';
+        for (const item of block.items) {
+          const li = document.createElement('li');
+          appendInline(li, item, pattern, options);
+          list.appendChild(li);
+        }
+        body.appendChild(list);
+        continue;
+      }
+
+      const p = document.createElement('p');
+      p.className = 'pi-description__paragraph';
+      block.lines.forEach((line, i) => {
+        if (i > 0) {
+          p.appendChild(document.createElement('br'));
+        }
+        appendInline(p, line, pattern, options);
+      });
+      body.appendChild(p);
+    }
+
+    return body;
+  }
+
+  // Labels carry data-i18n so a language switch relabels them in place.
+  function toggleButton(key, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pi-description__toggle';
+    button.setAttribute('data-i18n', key);
+    button.textContent = t(key);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Render a description into el
+   * @param {Element} el - Container (its content is replaced)
+   * @param {Object} description
+   * @param {string} description.text - Description in the game language
+   * @param {string} [description.english] - Original English text, when the game language is not English
+   * @param {string[]} [description.keys] - Key names to highlight (the function's own bindings)
+   * @param {(map: string, action: string) => string} [description.resolveAction] - Binding for ~action(map|action)
+   * @param {string} [description.emptyText] - Shown when there is no usable description
+   */
+  function render(el, description) {
+    if (!el) {
+      return;
+    }
+
+    const text = normalize(description?.text);
+    const english = normalize(description?.english);
+
+    let state = states.get(el);
+    if (!state) {
+      state = {showEnglish: false, expanded: false, text: ''};
+      states.set(el, state);
+    }
+    if (state.text !== text) {
+      // New function: collapse again, but keep the language the user picked.
+      state.text = text;
+      state.expanded = false;
+    }
+
+    const showEnglish = state.showEnglish && !!english && english !== text;
+    const shown = showEnglish ? english : text;
+
+    if (!shown) {
+      el.replaceChildren(document.createTextNode(String(description?.emptyText || '')));
+      el.classList.remove('pi-description--collapsed');
+      return;
+    }
+
+    const rerender = () => render(el, description);
+    const nodes = [buildBody(shown, description)];
+    const actions = document.createElement('div');
+    actions.className = 'pi-description__actions';
+
+    const collapsible = shown.length > COLLAPSE_LENGTH;
+    el.classList.toggle('pi-description--collapsed', collapsible && !state.expanded);
+    if (collapsible) {
+      actions.appendChild(toggleButton(state.expanded ? 'description.showLess' : 'description.showMore', () => {
+        state.expanded = !state.expanded;
+        rerender();
+      }));
+    }
+
+    if (english && english !== text) {
+      actions.appendChild(toggleButton(showEnglish ? 'description.showTranslation' : 'description.showEnglish', () => {
+        state.showEnglish = !showEnglish;
+        rerender();
+      }));
+    }
+
+    if (actions.childElementCount > 0) {
+      nodes.push(actions);
+    }
+    el.replaceChildren(...nodes);
+  }
+
+  SCPI.description = {
+    normalize,
+    parseBlocks,
+    render
+  };
+})();
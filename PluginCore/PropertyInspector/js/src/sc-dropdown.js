@@ -5,6 +5,7 @@
 
 (function () {
   const root = globalThis;
+  const t = (key, params) => root.SCPI?.i18n?.t?.(key, params) ?? key;
 
   function createSvgArrow() {
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -25,6 +26,16 @@
     return svg;
   }
 
+  function resolveText(value) {
+    return String((typeof value === 'function' ? value() : value) || '');
+  }
+
+  // Only rows inside the menu's scroll window are rendered; these match base.css.
+  const DEFAULT_OPTION_HEIGHT = 40;
+  const DEFAULT_HEADER_HEIGHT = 36;
+  const MENU_FALLBACK_HEIGHT = 300;
+  const OVERSCAN_ROWS = 6;
+
   function ensureDropdownMarkup(rootEl, opts = {}) {
     const hasInput = !!rootEl.querySelector('.pi-dropdown__search');
     const hasToggle = !!rootEl.querySelector('.pi-dropdown__toggle');
@@ -85,13 +96,25 @@
     }
 
     const searchEnabled = options.searchEnabled !== false;
-    const maxResults = typeof options.maxResults === 'number' ? options.maxResults : 50;
+    const maxResults = typeof options.maxResults === 'number' ? options.maxResults : Infinity;
     const getText = typeof options.getText === 'function' ? options.getText : (item) => String(item?.text ?? '');
     const getValue = typeof options.getValue === 'function' ? options.getValue : (item) => String(item?.value ?? '');
     const getGroup = typeof options.getGroup === 'function' ? options.getGroup : null;
+    const getSearchFields = typeof options.getSearchFields === 'function'
+      ? options.getSearchFields
+      : (item) => ({label: getText(item)});
     const isDisabled = typeof options.isDisabled === 'function' ? options.isDisabled : (item) => !!item?.disabled;
+    // Optional favorites: a star on every option, plus pinned groups above the list while nothing is typed.
+    const isFavorite = typeof options.isFavorite === 'function' ? options.isFavorite : null;
+    const onToggleFavorite = typeof options.onToggleFavorite === 'function' ? options.onToggleFavorite : null;
+    const getPinnedGroups = typeof options.getPinnedGroups === 'function' ? options.getPinnedGroups : null;
+    // Grouped dropdowns: headers collapse on click; the collapsed set is remembered per dropdown.
+    const collapseStorageKey = typeof options.collapseStorageKey === 'string'
+      ? options.collapseStorageKey
+      : `scsd.dropdownGroups.${rootId}`;
     const onSelect = typeof options.onSelect === 'function' ? options.onSelect : null;
-    const emptyText = typeof options.emptyText === 'string' ? options.emptyText : 'No items found';
+    // Texts may be functions, so they follow a UI language change (see relabel).
+    const getEmptyText = () => resolveText(options.emptyText) || t('dropdown.noItems');
     const displaySelectedInInput = options.displaySelectedInInput !== undefined
       ? !!options.displaySelectedInInput
       : !searchEnabled;
@@ -108,6 +131,50 @@
     let loadingToken = 0;
     let pendingTimer = null;
 
+    // Virtual list state: row models for the current results, their offsets and the reused row elements.
+    let rows = [];
+    let rowTops = [];
+    let optionHeight = DEFAULT_OPTION_HEIGHT;
+    let headerHeight = DEFAULT_HEADER_HEIGHT;
+    let layoutFrame = 0;
+    const rowPool = [];
+    let collapsedGroups = readCollapsedGroups();
+
+    // Keyboard state: selectable options in render order, the highlighted one and the type-ahead buffer.
+    let optionEntries = [];
+    let activeIndex = -1;
+    let renderedQuery = '';
+    let typeAhead = '';
+    let typeAheadTimer = null;
+
+    const listboxId = `${rootId}-listbox`;
+    menuEl.id = listboxId;
+    menuEl.setAttribute('role', 'listbox');
+    inputEl.setAttribute('role', 'combobox');
+    inputEl.setAttribute('aria-controls', listboxId);
+    inputEl.setAttribute('aria-expanded', 'false');
+    inputEl.setAttribute('aria-autocomplete', searchEnabled ? 'list' : 'none');
+    toggleEl.setAttribute('aria-hidden', 'true');
+
+    const stickyEl = document.createElement('div');
+    stickyEl.className = 'pi-dropdown__group-header pi-dropdown__sticky-header';
+    stickyEl.setAttribute('aria-hidden', 'true');
+    stickyEl.hidden = true;
+    stickyEl.appendChild(document.createElement('span'));
+    stickyEl.appendChild(document.createElement('span'));
+
+    const viewportEl = document.createElement('div');
+    viewportEl.className = 'pi-dropdown__viewport';
+    viewportEl.setAttribute('role', 'presentation');
+
+    const emptyEl = document.createElement('div');
+    emptyEl.className = 'pi-dropdown__empty-state';
+    emptyEl.setAttribute('role', 'presentation');
+    emptyEl.textContent = getEmptyText();
+    emptyEl.hidden = true;
+
+    menuEl.replaceChildren(stickyEl, viewportEl, emptyEl);
+
     // Inline loading overlay (spinner + "Loading" text + animated dots)
     let loadingEl = null;
     let loadingLabelEl = null;
@@ -162,18 +229,46 @@
       }
     }
 
-    function render(list) {
-      menuEl.textContent = '';
+    // #region Virtual List
+
+    /**
+     * Row heights come from CSS (--pi-dropdown-option-height / --pi-dropdown-header-height)
+     * so themes can change them; the fallbacks match base.css.
+     */
+    function readRowHeights() {
+      const style = root.getComputedStyle?.(rootEl);
+      const read = (name, fallback) => {
+        const value = parseFloat(style?.getPropertyValue(name) || '');
+        return value > 0 ? value : fallback;
+      };
+      optionHeight = read('--pi-dropdown-option-height', DEFAULT_OPTION_HEIGHT);
+      headerHeight = read('--pi-dropdown-header-height', DEFAULT_HEADER_HEIGHT);
+    }
 
-      if (!Array.isArray(list) || list.length === 0) {
-        const emptyEl = document.createElement('div');
-        emptyEl.className = 'pi-dropdown__empty-state';
-        emptyEl.textContent = emptyText;
-        menuEl.appendChild(emptyEl);
-        return;
+    function render(list, opts = {}) {
+      optionEntries = [];
+      rows = [];
+      setActiveIndex(-1);
+
+      const hasItems = Array.isArray(list) && list.length > 0;
+      emptyEl.hidden = hasItems;
+
+      if (hasItems && opts.pinned && getPinnedGroups) {
+        for (const pinned of getPinnedGroups() || []) {
+          const pinnedItems = Array.isArray(pinned?.items) ? pinned.items : [];
+          if (pinnedItems.length === 0) {
+            continue;
+          }
+          addGroupRows(String(pinned.label || ''), pinnedItems, {pinned: true});
+        }
       }
 
-      if (getGroup) {
+      const hasGroups = hasItems && !!getGroup;
+      if (hasGroups && !renderedQuery) {
+        rows.push({tools: true, group: ''});
+      }
+
+      if (hasGroups) {
         const grouped = new Map();
         for (const item of list) {
           const groupName = String(getGroup(item) ?? '');
@@ -185,63 +280,402 @@
 
         for (const [groupName, groupItems] of grouped.entries()) {
           if (groupName) {
-            const header = document.createElement('div');
-            header.className = 'pi-dropdown__group-header';
-            header.textContent = groupName;
-            menuEl.appendChild(header);
+            addGroupRows(groupName, groupItems, {});
+          } else {
+            groupItems.forEach((item) => addOptionRow(item, ''));
           }
+        }
+      } else if (hasItems) {
+        for (const item of list) {
+          addOptionRow(item, '');
+        }
+      }
 
-          for (const item of groupItems) {
-            menuEl.appendChild(renderOption(item));
-          }
+      readRowHeights();
+      rowTops = new Array(rows.length);
+      let top = 0;
+      rows.forEach((row, i) => {
+        rowTops[i] = top;
+        top += row.header || row.tools ? headerHeight : optionHeight;
+      });
+
+      viewportEl.style.height = `${top}px`;
+      menuEl.scrollTop = 0;
+      layout();
+    }
+
+    /**
+     * Header row with the match count, plus the option rows unless the group is collapsed.
+     * While a search is typed every group is shown expanded so matches are never hidden.
+     */
+    function addGroupRows(group, groupItems, opts) {
+      const collapsed = !renderedQuery && collapsedGroups.has(group);
+      rows.push({header: true, group, pinned: !!opts.pinned, count: groupItems.length, collapsed});
+      if (!collapsed) {
+        groupItems.forEach((item) => addOptionRow(item, group));
+      }
+    }
+
+    function addOptionRow(item, group) {
+      const optionIndex = optionEntries.length;
+      optionEntries.push({item, disabled: isDisabled(item), row: rows.length});
+      rows.push({header: false, group, optionIndex});
+    }
+
+    /**
+     * Index of the row covering vertical offset `y` (binary search over row tops).
+     */
+    function rowAt(y) {
+      let lo = 0;
+      let hi = rows.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (rowTops[mid] <= y) {
+          lo = mid;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      return lo;
+    }
+
+    function stickyOffset() {
+      return stickyEl.hidden ? 0 : headerHeight;
+    }
+
+    function createRowElement() {
+      const el = document.createElement('div');
+
+      const labelEl = document.createElement('span');
+      const badgeEl = document.createElement('span');
+      badgeEl.className = 'pi-dropdown__option-badge pi-dropdown__option-badge--warn';
+      badgeEl.textContent = '!';
+      badgeEl.title = t('common.unbound');
+
+      const starEl = document.createElement('span');
+      starEl.className = 'pi-dropdown__option-star';
+      starEl.setAttribute('aria-hidden', 'true');
+
+      el.appendChild(labelEl);
+      el.appendChild(badgeEl);
+      el.appendChild(starEl);
+      viewportEl.appendChild(el);
+      return el;
+    }
+
+    function bindRow(el, rowIndex) {
+      const row = rows[rowIndex];
+      const [labelEl, badgeEl, starEl] = el.children;
+
+      el.hidden = false;
+      el.dataset.row = String(rowIndex);
+      el.style.transform = `translateY(${rowTops[rowIndex]}px)`;
+
+      if (row.header || row.tools) {
+        el.setAttribute('role', 'presentation');
+        el.removeAttribute('id');
+        el.removeAttribute('title');
+        el.removeAttribute('aria-selected');
+        el.removeAttribute('aria-disabled');
+        el.removeAttribute('aria-posinset');
+        el.removeAttribute('aria-setsize');
+        starEl.hidden = true;
+
+        if (row.tools) {
+          el.className = 'pi-dropdown__row pi-dropdown__group-tools';
+          el.removeAttribute('aria-expanded');
+          labelEl.className = 'pi-dropdown__group-tools-label';
+          labelEl.replaceChildren(createToolButton(t('dropdown.expandAll'), 'expand'),
+            createToolButton(t('dropdown.collapseAll'), 'collapse'));
+          badgeEl.hidden = true;
+          return;
         }
+
+        el.className = 'pi-dropdown__row';
+        fillHeader(el, row);
+        return;
+      }
+
+      const entry = optionEntries[row.optionIndex];
+      const text = getText(entry.item);
+
+      el.className = 'pi-dropdown__row pi-dropdown__option';
+      el.classList.toggle('disabled', entry.disabled);
+      el.classList.toggle('pi-dropdown__option--active', row.optionIndex === activeIndex);
+      el.id = `${rootId}-option-${row.optionIndex}`;
+      el.title = text;
+      el.setAttribute('role', 'option');
+      el.setAttribute('aria-selected', String(getValue(entry.item) === selectedValue));
+      el.setAttribute('aria-posinset', String(row.optionIndex + 1));
+      el.setAttribute('aria-setsize', String(optionEntries.length));
+      if (entry.disabled) {
+        el.setAttribute('aria-disabled', 'true');
       } else {
-        for (const item of list) {
-          menuEl.appendChild(renderOption(item));
+        el.removeAttribute('aria-disabled');
+      }
+
+      el.removeAttribute('aria-expanded');
+      labelEl.className = 'pi-dropdown__option-label';
+      labelEl.textContent = text;
+      badgeEl.className = 'pi-dropdown__option-badge pi-dropdown__option-badge--warn';
+      badgeEl.textContent = '!';
+      badgeEl.title = t('common.unbound');
+      badgeEl.hidden = !entry.item?.unbound;
+
+      const favorite = !!isFavorite?.(entry.item);
+      starEl.hidden = !onToggleFavorite;
+      starEl.textContent = favorite ? '\u2605' : '\u2606';
+      starEl.title = t(favorite ? 'dropdown.removeFavorite' : 'dropdown.addFavorite');
+      starEl.classList.toggle('pi-dropdown__option-star--active', favorite);
+      el.classList.toggle('pi-dropdown__option--favorite', favorite);
+    }
+
+    /**
+     * Header content shared by header rows and the sticky header: label, match count, collapse state.
+     */
+    function fillHeader(el, row) {
+      const [labelEl, countEl] = el.children;
+
+      el.classList.add('pi-dropdown__group-header', 'pi-dropdown__group-header--collapsible');
+      el.classList.toggle('pi-dropdown__group-header--pinned', !!row.pinned);
+      el.classList.toggle('pi-dropdown__group-header--collapsed', !!row.collapsed);
+      el.dataset.group = row.group;
+      el.setAttribute('aria-expanded', String(!row.collapsed));
+      el.title = t(row.collapsed ? 'dropdown.expandGroup' : 'dropdown.collapseGroup');
+
+      labelEl.className = 'pi-dropdown__group-label';
+      labelEl.textContent = row.group;
+      countEl.className = 'pi-dropdown__group-count';
+      countEl.textContent = String(row.count);
+      countEl.removeAttribute('title');
+      countEl.hidden = false;
+    }
+
+    function createToolButton(text, action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.tabIndex = -1;
+      button.className = 'pi-dropdown__group-tool';
+      button.dataset.groupAction = action;
+      button.textContent = text;
+      return button;
+    }
+
+    /**
+     * Bind pooled row elements to the rows inside the scroll window (plus overscan).
+     */
+    function layout() {
+      layoutFrame = 0;
+
+      if (rows.length === 0) {
+        stickyEl.hidden = true;
+        viewportEl.style.marginTop = '';
+        rowPool.forEach((el) => {
+          el.hidden = true;
+        });
+        return;
+      }
+
+      const scrollTop = menuEl.scrollTop;
+      const viewHeight = menuEl.clientHeight || MENU_FALLBACK_HEIGHT;
+      const first = Math.max(0, rowAt(scrollTop) - OVERSCAN_ROWS);
+      const last = Math.min(rows.length - 1, rowAt(scrollTop + viewHeight) + OVERSCAN_ROWS);
+
+      const count = last - first + 1;
+      while (rowPool.length < count) {
+        rowPool.push(createRowElement());
+      }
+
+      for (let k = 0; k < rowPool.length; k++) {
+        if (k < count) {
+          bindRow(rowPool[k], first + k);
+        } else {
+          rowPool[k].hidden = true;
         }
       }
+
+      // Sticky header: the group of the topmost visible row.
+      const topGroup = getGroup ? rows[rowAt(scrollTop)].group : '';
+      const topHeader = topGroup ? rows.find((row) => row.header && row.group === topGroup) : null;
+      stickyEl.hidden = !topHeader;
+      if (topHeader) {
+        fillHeader(stickyEl, topHeader);
+      }
+      viewportEl.style.marginTop = topHeader ? `-${headerHeight}px` : '';
+    }
+
+    function scheduleLayout() {
+      if (!layoutFrame) {
+        const raf = root.requestAnimationFrame || ((fn) => setTimeout(fn, 16));
+        layoutFrame = raf(layout);
+      }
+    }
+
+    function scrollRowIntoView(rowIndex) {
+      const top = rowTops[rowIndex];
+      const bottom = top + (rows[rowIndex].header || rows[rowIndex].tools ? headerHeight : optionHeight);
+      const viewHeight = menuEl.clientHeight || MENU_FALLBACK_HEIGHT;
+
+      if (top < menuEl.scrollTop + stickyOffset()) {
+        menuEl.scrollTop = Math.max(0, top - stickyOffset());
+      } else if (bottom > menuEl.scrollTop + viewHeight) {
+        menuEl.scrollTop = bottom - viewHeight;
+      }
+      layout();
     }
 
-    function renderOption(item) {
-      const optionEl = document.createElement('div');
-      optionEl.className = 'pi-dropdown__option';
+    // #region Group Collapsing
 
-      const isUnbound = !!item?.unbound;
+    function readCollapsedGroups() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(collapseStorageKey) || '[]');
+        return new Set(Array.isArray(stored) ? stored.map(String) : []);
+      } catch (_) {
+        return new Set();
+      }
+    }
 
-      const disabled = isDisabled(item);
-      if (disabled) {
-        optionEl.classList.add('disabled');
+    function writeCollapsedGroups() {
+      try {
+        localStorage.setItem(collapseStorageKey, JSON.stringify(Array.from(collapsedGroups)));
+      } catch (_) {
+        // Not persisted; the state still applies until the PI closes.
       }
+    }
 
-      const nameEl = document.createElement('span');
-      nameEl.className = 'pi-dropdown__option-label';
-      nameEl.textContent = getText(item);
-      optionEl.appendChild(nameEl);
+    function setGroupCollapsed(group, collapsed) {
+      if (collapsed) {
+        collapsedGroups.add(group);
+      } else {
+        collapsedGroups.delete(group);
+      }
+      writeCollapsedGroups();
+
+      refresh();
+      // Keep the toggled header in view (it may have been the sticky one).
+      const headerIndex = rows.findIndex((row) => row.header && row.group === group);
+      if (headerIndex >= 0 && rowTops[headerIndex] < menuEl.scrollTop) {
+        menuEl.scrollTop = rowTops[headerIndex];
+        layout();
+      }
+    }
+
+    function setAllGroupsCollapsed(collapsed) {
+      collapsedGroups = collapsed
+        ? new Set(rows.filter((row) => row.header).map((row) => row.group))
+        : new Set();
+      writeCollapsedGroups();
+      refresh();
+    }
 
-      if (isUnbound) {
-        const badgeEl = document.createElement('span');
-        badgeEl.className = 'pi-dropdown__option-badge pi-dropdown__option-badge--warn';
-        badgeEl.textContent = '!';
-        badgeEl.title = 'Unbound';
-        optionEl.appendChild(badgeEl);
+    /**
+     * Clicks on group headers and the expand/collapse-all row (viewport or sticky header).
+     * @returns {boolean} true when the click was handled
+     */
+    function handleGroupClick(e) {
+      if (searchEnabled) {
+        inputEl.focus?.();
       }
+      isSelecting = false;
 
-      optionEl.addEventListener('mousedown', () => {
+      const action = e.target?.closest?.('[data-group-action]')?.dataset.groupAction;
+      if (action) {
+        setAllGroupsCollapsed(action === 'collapse');
+        return true;
+      }
+
+      const header = e.target?.closest?.('.pi-dropdown__group-header');
+      if (header && typeof header.dataset.group === 'string' && !renderedQuery) {
+        setGroupCollapsed(header.dataset.group, !collapsedGroups.has(header.dataset.group));
+        return true;
+      }
+      return !!header;
+    }
+
+    function isGroupTarget(e) {
+      return !!e.target?.closest?.('.pi-dropdown__group-header, .pi-dropdown__group-tools');
+    }
+
+    stickyEl.addEventListener('mousedown', () => {
+      isSelecting = true;
+    });
+    stickyEl.addEventListener('click', handleGroupClick);
+
+    // #endregion
+
+    function optionFromEvent(e) {
+      const el = e?.target?.closest?.('.pi-dropdown__option');
+      const row = el ? rows[Number(el.dataset.row)] : null;
+      return row && !row.header ? row.optionIndex : -1;
+    }
+
+    // One set of listeners for every (pooled) option element.
+    viewportEl.addEventListener('mousedown', (e) => {
+      if (optionFromEvent(e) >= 0 || isGroupTarget(e)) {
         isSelecting = true;
-      });
+      }
+    });
 
-      optionEl.addEventListener('click', () => {
-        if (disabled) {
-          return;
-        }
-        selectItem(item);
-      });
+    viewportEl.addEventListener('mousemove', (e) => {
+      const index = optionFromEvent(e);
+      if (index >= 0 && index !== activeIndex && !optionEntries[index].disabled) {
+        setActiveIndex(index, {scroll: false});
+      }
+    });
+
+    viewportEl.addEventListener('click', (e) => {
+      if (isGroupTarget(e)) {
+        handleGroupClick(e);
+        return;
+      }
+
+      const entry = optionEntries[optionFromEvent(e)];
+      if (entry && onToggleFavorite && e.target?.closest?.('.pi-dropdown__option-star')) {
+        isSelecting = false;
+        toggleFavorite(entry.item);
+        inputEl.focus?.();
+        return;
+      }
+      if (entry && !entry.disabled) {
+        selectItem(entry.item);
+      }
+    });
 
-      return optionEl;
+    function toggleFavorite(item) {
+      onToggleFavorite(item);
+      // Re-render in place: pinned groups change, the scroll position and highlighted option stay.
+      refresh();
     }
 
+    /**
+     * Rebuild rows for the current query (e.g. after favorites changed) without resetting scroll or highlight.
+     */
+    function refresh() {
+      if (!isOpen()) {
+        return;
+      }
+      const activeItem = optionEntries[activeIndex]?.item;
+      const scrollTop = menuEl.scrollTop;
+
+      renderCurrent();
+
+      menuEl.scrollTop = scrollTop;
+      layout();
+      const index = activeItem ? optionEntries.findIndex((entry) => entry.item === activeItem) : -1;
+      setActiveIndex(index, {scroll: false});
+    }
+
+    menuEl.addEventListener('scroll', scheduleLayout);
+
+    // #endregion
+
     function filter(searchText) {
       const q = (searchText || '').toLowerCase().trim();
+      const search = root.SCPI?.search;
+      if (q && typeof search?.rank === 'function') {
+        return search.rank(items, q, getSearchFields, {limit: maxResults});
+      }
+
       let filtered = items.filter((item) => getText(item).toLowerCase().includes(q));
       if (filtered.length > maxResults) {
         filtered = filtered.slice(0, maxResults);
@@ -254,21 +688,223 @@
         return;
       }
       rootEl.classList.add('pi-dropdown--open');
+      inputEl.setAttribute('aria-expanded', 'true');
       setArrowOpen(true);
 
       if (searchEnabled) {
         const q = (inputEl.value || '').trim();
-        render(q ? filter(q) : items);
+        renderQuery(q);
       } else {
-        render(items);
+        render(items, {pinned: true});
+        const selectedIndex = optionEntries.findIndex((entry) => getValue(entry.item) === selectedValue);
+        setActiveIndex(selectedIndex >= 0 ? selectedIndex : findEnabled(0, 1));
       }
     }
 
     function close() {
       rootEl.classList.remove('pi-dropdown--open');
+      inputEl.setAttribute('aria-expanded', 'false');
       setArrowOpen(false);
+      setActiveIndex(-1);
+    }
+
+    /**
+     * Render the results for a search query and highlight the best match, so Enter picks it.
+     */
+    function renderQuery(q) {
+      renderedQuery = String(q || '').trim();
+      renderCurrent();
+      if (renderedQuery) {
+        setActiveIndex(findEnabled(0, 1));
+      }
+    }
+
+    function renderCurrent() {
+      if (searchEnabled && renderedQuery) {
+        render(filter(renderedQuery));
+      } else {
+        render(items, {pinned: true});
+      }
+    }
+
+    // #region Keyboard
+
+    function setActiveIndex(index, opts = {}) {
+      activeIndex = index >= 0 && index < optionEntries.length ? index : -1;
+
+      for (const el of rowPool) {
+        const row = el.hidden ? null : rows[Number(el.dataset.row)];
+        el.classList.toggle('pi-dropdown__option--active', !!row && !row.header && row.optionIndex === activeIndex);
+      }
+
+      const entry = optionEntries[activeIndex];
+      if (!entry) {
+        inputEl.removeAttribute('aria-activedescendant');
+        return;
+      }
+
+      if (opts.scroll !== false) {
+        scrollRowIntoView(entry.row);
+      }
+      inputEl.setAttribute('aria-activedescendant', `${rootId}-option-${activeIndex}`);
+    }
+
+    /**
+     * First enabled option from `start` in direction `step` (+1 / -1), or -1.
+     */
+    function findEnabled(start, step) {
+      for (let i = start; i >= 0 && i < optionEntries.length; i += step) {
+        if (!optionEntries[i].disabled) {
+          return i;
+        }
+      }
+      return -1;
+    }
+
+    function moveActive(step) {
+      if (activeIndex < 0) {
+        setActiveIndex(step > 0 ? findEnabled(0, 1) : findEnabled(optionEntries.length - 1, -1));
+        return;
+      }
+
+      const next = findEnabled(activeIndex + step, step);
+      if (next >= 0) {
+        setActiveIndex(next);
+      }
     }
 
+    /**
+     * Non-search dropdowns: jump to the next option whose text starts with the typed characters.
+     */
+    function handleTypeAhead(char) {
+      if (typeAheadTimer) {
+        clearTimeout(typeAheadTimer);
+      }
+      typeAheadTimer = setTimeout(() => {
+        typeAhead = '';
+        typeAheadTimer = null;
+      }, 500);
+
+      // Repeating one character cycles through the options that start with it.
+      const repeated = typeAhead.length > 0 && typeAhead === char.repeat(typeAhead.length);
+      typeAhead += char;
+      const prefix = repeated ? char : typeAhead;
+
+      if (!isOpen()) {
+        open();
+      }
+
+      const count = optionEntries.length;
+      const offset = repeated || typeAhead.length === 1 ? 1 : 0;
+      for (let n = 0; n < count; n++) {
+        const i = (Math.max(activeIndex, 0) + offset + n) % count;
+        const entry = optionEntries[i];
+        if (!entry.disabled && getText(entry.item).toLowerCase().startsWith(prefix)) {
+          setActiveIndex(i);
+          return;
+        }
+      }
+    }
+
+    function handleKeyDown(e) {
+      if (isBusy) {
+        return;
+      }
+
+      const key = e.key;
+      const hasQuery = searchEnabled && (inputEl.value || '').length > 0;
+
+      switch (key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+          e.preventDefault();
+          if (!isOpen()) {
+            open();
+            if (activeIndex < 0) {
+              moveActive(key === 'ArrowDown' ? 1 : -1);
+            }
+            return;
+          }
+          if (e.altKey) {
+            if (key === 'ArrowUp') {
+              close();
+            }
+            return;
+          }
+          moveActive(key === 'ArrowDown' ? 1 : -1);
+          return;
+        }
+        case 'Home':
+        case 'End': {
+          // In the search field Home/End keep moving the caret once something is typed.
+          if (!isOpen() || hasQuery) {
+            return;
+          }
+          e.preventDefault();
+          setActiveIndex(key === 'Home' ? findEnabled(0, 1) : findEnabled(optionEntries.length - 1, -1));
+          return;
+        }
+        case 'Enter': {
+          e.preventDefault();
+          if (!isOpen()) {
+            open();
+            return;
+          }
+          // The input handler is debounced: make sure Enter acts on what is actually typed.
+          if (searchEnabled && (inputEl.value || '').trim() !== renderedQuery) {
+            renderQuery(inputEl.value);
+          }
+          const entry = optionEntries[activeIndex];
+          if (entry && !entry.disabled) {
+            isSelecting = true;
+            selectItem(entry.item);
+          }
+          return;
+        }
+        case 'Escape': {
+          if (isOpen()) {
+            e.preventDefault();
+            e.stopPropagation();
+            close();
+          } else if (hasQuery) {
+            e.preventDefault();
+            inputEl.value = '';
+          }
+          return;
+        }
+        case 'd':
+        case 'D': {
+          if (!(e.ctrlKey || e.metaKey) || !onToggleFavorite || !isOpen()) {
+            break;
+          }
+          e.preventDefault();
+          const entry = optionEntries[activeIndex];
+          if (entry) {
+            toggleFavorite(entry.item);
+          }
+          return;
+        }
+        case 'Tab': {
+          if (isOpen()) {
+            close();
+          }
+          return;
+        }
+        default:
+          break;
+      }
+
+      if (!searchEnabled && key.length === 1 && key !== ' ' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        handleTypeAhead(key.toLowerCase());
+      } else if (!searchEnabled && key === ' ') {
+        e.preventDefault();
+        toggle();
+      }
+    }
+
+    // #endregion
+
     function toggle() {
       if (isBusy) {
         return;
@@ -334,9 +970,10 @@
       }
 
       const q = e?.target?.value ?? '';
-      render(filter(q));
       if (!isOpen() && String(q).trim()) {
         open();
+      } else {
+        renderQuery(q);
       }
     }
 
@@ -368,14 +1005,23 @@
       toggle();
     }
 
+    let loadingText = null;
+    const getLoadingText = () => resolveText(loadingText) || t('dropdown.loading');
+
     const initialReadOnly = inputEl.readOnly;
     const initialReadonlyAttr = inputEl.hasAttribute('readonly');
 
-    function setLoading(loading, text = 'Loading') {
+    /**
+     * Show or end the loading state
+     * @param {boolean} loading
+     * @param {string|(() => string)} [text] - Label while loading; a function is re-read after a UI language change
+     */
+    function setLoading(loading, text) {
       const next = !!loading;
+      loadingText = text;
       if (next === isBusy) {
         if (isBusy && loadingLabelEl) {
-          loadingLabelEl.textContent = String(text || 'Loading');
+          loadingLabelEl.textContent = getLoadingText();
         }
         return;
       }
@@ -400,7 +1046,7 @@
         toggleEl.setAttribute('aria-disabled', 'true');
 
         if (loadingLabelEl) {
-          loadingLabelEl.textContent = String(text || 'Loading');
+          loadingLabelEl.textContent = getLoadingText();
         }
         return;
       }
@@ -453,12 +1099,14 @@
       inputEl.addEventListener('click', handleInputClick);
     }
 
+    inputEl.addEventListener('keydown', handleKeyDown);
+
     toggleEl.addEventListener('click', (e) => {
       e.stopPropagation();
       toggle();
     });
 
-    document.addEventListener('click', (event) => {
+    function handleDocumentClick(event) {
       if (!rootEl.contains(event.target)) {
         if (isOpen()) {
           close();
@@ -467,12 +1115,40 @@
           inputEl.value = '';
         }
       }
-    }, true);
+    }
+
+    document.addEventListener('click', handleDocumentClick, true);
+
+    // Group tools and badge titles are rebuilt by refresh(); the empty and loading texts are set here.
+    function relabel() {
+      emptyEl.textContent = getEmptyText();
+      if (isBusy && loadingLabelEl) {
+        loadingLabelEl.textContent = getLoadingText();
+      }
+      refresh();
+    }
+
+    const offLanguageChange = root.SCPI?.i18n?.onChange?.(relabel);
+
+    /**
+     * Detach document listeners and timers; for dropdowns created and removed at runtime (sequence steps).
+     */
+    function destroy() {
+      document.removeEventListener('click', handleDocumentClick, true);
+      offLanguageChange?.();
+      if (pendingTimer) {
+        clearTimeout(pendingTimer);
+        pendingTimer = null;
+      }
+      close();
+    }
 
     return {
       setItems,
       setSelectedValue,
-      setLoading
+      setLoading,
+      refresh,
+      destroy
     };
   }
 
@@ -5,6 +5,7 @@
 
 (function () {
   const root = globalThis;
+  const t = (key, params) => root.SCPI?.i18n?.t?.(key, params) ?? key;
 
   function safeDecodeURIComponent(value) {
     try {
@@ -28,6 +29,12 @@
     return path.split('\\').pop().split('/').pop();
   }
 
+  // Titles may be functions, re-read after a UI language change.
+  function getTitle(rootEl, value, attribute, key) {
+    const title = typeof value === 'function' ? value() : value;
+    return typeof title === 'string' ? title : (rootEl.getAttribute(attribute) || t(key));
+  }
+
   function ensureFilePickerMarkup(rootEl, opts = {}) {
     const existing = rootEl.querySelector('.file-picker-container');
     if (existing) {
@@ -37,16 +44,12 @@
     const accept = typeof opts.accept === 'string' ? opts.accept : (rootEl.getAttribute('data-accept') || '');
     const placeholderText = typeof opts.placeholderText === 'string'
       ? opts.placeholderText
-      : (rootEl.getAttribute('data-placeholder') || 'No file selected');
+      : (rootEl.getAttribute('data-placeholder') || t('common.noFileSelected'));
     const buttonText = typeof opts.buttonText === 'string'
       ? opts.buttonText
       : (rootEl.getAttribute('data-button-text') || 'FILE');
-    const selectTitle = typeof opts.selectTitle === 'string'
-      ? opts.selectTitle
-      : (rootEl.getAttribute('data-select-title') || 'Select file');
-    const clearTitle = typeof opts.clearTitle === 'string'
-      ? opts.clearTitle
-      : (rootEl.getAttribute('data-clear-title') || 'Clear');
+    const selectTitle = getTitle(rootEl, opts.selectTitle, 'data-select-title', 'filePicker.select');
+    const clearTitle = getTitle(rootEl, opts.clearTitle, 'data-clear-title', 'filePicker.clear');
 
     const container = document.createElement('div');
     container.className = 'file-picker-container';
@@ -101,7 +104,11 @@
     ensureFilePickerMarkup(rootEl, options);
 
     const filenameSelector = options.filenameSelector || '.filename-text';
-    const placeholderText = options.placeholderText || 'No file selected';
+    // A function placeholder is re-read after a UI language change, like data-placeholder.
+    const getPlaceholderText = () => String(
+      (typeof options.placeholderText === 'function' ? options.placeholderText() : options.placeholderText) ||
+      rootEl.getAttribute('data-placeholder') ||
+      t('common.noFileSelected'));
     const settingsKey = options.settingsKey;
     const displayMode = options.displayMode || 'basename'; // 'basename' | 'full'
     const onValueChanged = typeof options.onValueChanged === 'function' ? options.onValueChanged : null;
@@ -126,7 +133,7 @@
       const hasValue = typeof value === 'string' && value.length > 0;
       const text = hasValue
         ? (displayMode === 'full' ? value : getFileName(value))
-        : placeholderText;
+        : getPlaceholderText();
 
       filenameEl.textContent = text;
       filenameEl.title = hasValue ? value : '';
@@ -212,6 +219,13 @@
         });
     }
 
+    // Placeholder and button titles were set in the previous UI language.
+    root.SCPI?.i18n?.onChange?.(() => {
+      buttonEl.title = getTitle(rootEl, options.selectTitle, 'data-select-title', 'filePicker.select');
+      clearEl.title = getTitle(rootEl, options.clearTitle, 'data-clear-title', 'filePicker.clear');
+      render(currentValue);
+    });
+
     // Initial UI
     render('');
     if (initialValue) {
@@ -237,7 +251,7 @@
     const clearId = options.clearId;
     const displayId = options.displayId;
     const filenameSelector = options.filenameSelector || '.filename-text';
-    const placeholderText = options.placeholderText || 'No file selected';
+    const placeholderText = options.placeholderText || t('common.noFileSelected');
     const settingsKey = options.settingsKey;
     const displayMode = options.displayMode || 'basename'; // 'basename' | 'full'
     const onValueChanged = typeof options.onValueChanged === 'function' ? options.onValueChanged : null;
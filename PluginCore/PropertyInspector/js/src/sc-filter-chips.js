@@ -0,0 +1,354 @@
+//// ****************************************************************
+// * SC Filter Chips
+// * Faceted filter chips (with per-chip counts) for Property Inspector lists
+// * Values within a facet are OR'ed, facets are AND'ed.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const t = (key, params) => root.SCPI?.i18n?.t?.(key, params) ?? key;
+
+  function readState(storageKey) {
+    if (!storageKey) {
+      return {};
+    }
+    try {
+      const parsed = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function writeState(storageKey, state) {
+    if (!storageKey) {
+      return;
+    }
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(state));
+    } catch (_) {
+      // Quota or privacy mode: filters just are not remembered.
+    }
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.rootId - Container element id
+   * @param {Array<{id: string, label: string, menu?: boolean, options?: Array<{value: string, label: string}>,
+   *   getOptions?: (items: Array) => Array<{value: string, label: string}>, match: (item: *, value: string) => boolean}>} options.facets
+   *   Facets rendered as toggle chips, or as one chip with a checklist menu when `menu` is set.
+   *   Labels are read on every render, so getters follow a UI language change.
+   * @param {(filtered: Array) => void} [options.onChange] - Called with the filtered items after every change
+   * @param {string|(() => string)} [options.itemLabel] - Plural noun for the summary ("functions")
+   */
+  function createFilterChips(options = {}) {
+    const rootEl = options.rootId ? document.getElementById(options.rootId) : null;
+    if (!rootEl) {
+      return null;
+    }
+
+    const facets = Array.isArray(options.facets) ? options.facets : [];
+    const onChange = typeof options.onChange === 'function' ? options.onChange : null;
+    const getItemLabel = () =>
+      (typeof options.itemLabel === 'function' ? options.itemLabel() : options.itemLabel) || t('filters.items');
+
+    let items = [];
+    let storageKey = '';
+    // facet id -> Set of selected values
+    let selected = new Map(facets.map((f) => [f.id, new Set()]));
+    let openMenuId = '';
+
+    rootEl.classList.add('pi-filter-chips');
+    rootEl.setAttribute('role', 'toolbar');
+    rootEl.setAttribute('aria-label', t('filters.ariaLabel'));
+
+    // #region Filtering
+
+    function facetOptions(facet) {
+      if (typeof facet.getOptions === 'function') {
+        return facet.getOptions(items) || [];
+      }
+      return Array.isArray(facet.options) ? facet.options : [];
+    }
+
+    function matchesFacet(item, facet) {
+      const values = selected.get(facet.id);
+      if (!values || values.size === 0) {
+        return true;
+      }
+      for (const value of values) {
+        if (facet.match(item, value)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    function matchesAll(item, exceptFacetId) {
+      return facets.every((facet) => facet.id === exceptFacetId || matchesFacet(item, facet));
+    }
+
+    /**
+     * Items passing every active filter.
+     */
+    function apply(list = items) {
+      return Array.isArray(list) ? list.filter((item) => matchesAll(item, '')) : [];
+    }
+
+    /**
+     * Count for a chip: items matching this value and every other facet's selection.
+     */
+    function countFor(facet, value) {
+      let count = 0;
+      for (const item of items) {
+        if (facet.match(item, value) && matchesAll(item, facet.id)) {
+          count += 1;
+        }
+      }
+      return count;
+    }
+
+    function hasActiveFilters() {
+      for (const values of selected.values()) {
+        if (values.size > 0) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // #endregion
+
+    // #region Rendering
+
+    function createChip(label, count, pressed) {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'pi-chip';
+      chip.setAttribute('aria-pressed', String(pressed));
+      if (pressed) {
+        chip.classList.add('pi-chip--active');
+      }
+
+      const labelEl = document.createElement('span');
+      labelEl.className = 'pi-chip__label';
+      labelEl.textContent = label;
+      chip.appendChild(labelEl);
+
+      if (typeof count === 'number') {
+        const countEl = document.createElement('span');
+        countEl.className = 'pi-chip__count';
+        countEl.textContent = String(count);
+        chip.appendChild(countEl);
+        if (count === 0 && !pressed) {
+          chip.classList.add('pi-chip--empty');
+        }
+      }
+
+      return chip;
+    }
+
+    function renderToggleFacet(facet) {
+      const group = document.createElement('div');
+      group.className = 'pi-filter-chips__group';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-label', facet.label);
+
+      const values = selected.get(facet.id);
+      for (const opt of facetOptions(facet)) {
+        const chip = createChip(opt.label, countFor(facet, opt.value), values.has(opt.value));
+        chip.addEventListener('click', () => toggleValue(facet.id, opt.value));
+        group.appendChild(chip);
+      }
+
+      return group;
+    }
+
+    function renderMenuFacet(facet) {
+      const group = document.createElement('div');
+      group.className = 'pi-filter-chips__group pi-filter-chips__group--menu';
+
+      const values = selected.get(facet.id);
+      const isOpen = openMenuId === facet.id;
+      const label = values.size > 0 ? `${facet.label} (${values.size})` : facet.label;
+
+      const chip = createChip(label, null, values.size > 0);
+      chip.classList.add('pi-chip--menu');
+      chip.setAttribute('aria-haspopup', 'true');
+      chip.setAttribute('aria-expanded', String(isOpen));
+      chip.addEventListener('click', () => {
+        openMenuId = isOpen ? '' : facet.id;
+        render();
+      });
+      group.appendChild(chip);
+
+      if (isOpen) {
+        const menu = document.createElement('div');
+        menu.className = 'pi-filter-chips__menu';
+        menu.setAttribute('role', 'group');
+        menu.setAttribute('aria-label', facet.label);
+
+        for (const opt of facetOptions(facet)) {
+          const row = document.createElement('label');
+          row.className = 'pi-filter-chips__menu-item';
+
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = values.has(opt.value);
+          checkbox.addEventListener('change', () => toggleValue(facet.id, opt.value));
+
+          const text = document.createElement('span');
+          text.className = 'pi-filter-chips__menu-label';
+          text.textContent = opt.label;
+
+          const count = document.createElement('span');
+          count.className = 'pi-chip__count';
+          count.textContent = String(countFor(facet, opt.value));
+
+          row.appendChild(checkbox);
+          row.appendChild(text);
+          row.appendChild(count);
+          menu.appendChild(row);
+        }
+
+        group.appendChild(menu);
+      }
+
+      return group;
+    }
+
+    function render() {
+      // Keep keyboard focus on the same chip across re-renders.
+      const focusIndex = Array.from(rootEl.querySelectorAll('button, input')).indexOf(document.activeElement);
+
+      rootEl.textContent = '';
+      for (const facet of facets) {
+        rootEl.appendChild(facet.menu ? renderMenuFacet(facet) : renderToggleFacet(facet));
+      }
+
+      const summary = document.createElement('div');
+      summary.className = 'pi-filter-chips__summary';
+      summary.setAttribute('aria-live', 'polite');
+      summary.textContent = t('filters.summary', {shown: apply().length, total: items.length, items: getItemLabel()});
+
+      if (hasActiveFilters()) {
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'pi-filter-chips__clear';
+        clear.textContent = t('filters.clear');
+        clear.addEventListener('click', clearAll);
+        summary.appendChild(clear);
+      }
+
+      rootEl.appendChild(summary);
+
+      if (focusIndex >= 0) {
+        rootEl.querySelectorAll('button, input')[focusIndex]?.focus?.();
+      }
+    }
+
+    // #endregion
+
+    // #region State
+
+    function emit() {
+      render();
+      onChange?.(apply());
+    }
+
+    function toggleValue(facetId, value) {
+      const values = selected.get(facetId);
+      if (!values) {
+        return;
+      }
+      if (values.has(value)) {
+        values.delete(value);
+      } else {
+        values.add(value);
+      }
+
+      writeState(storageKey, getState());
+      emit();
+    }
+
+    function clearAll() {
+      selected = new Map(facets.map((f) => [f.id, new Set()]));
+      openMenuId = '';
+      writeState(storageKey, getState());
+      emit();
+    }
+
+    /**
+     * @returns {Object<string, string[]>} Selected values per facet id
+     */
+    function getState() {
+      const state = {};
+      for (const [facetId, values] of selected.entries()) {
+        if (values.size > 0) {
+          state[facetId] = Array.from(values);
+        }
+      }
+      return state;
+    }
+
+    function setState(state) {
+      selected = new Map(facets.map((f) => {
+        const values = Array.isArray(state?.[f.id]) ? state[f.id].map(String) : [];
+        return [f.id, new Set(values)];
+      }));
+      emit();
+    }
+
+    /**
+     * Load the filters remembered under `key` and keep remembering changes there.
+     */
+    function restore(key) {
+      storageKey = String(key || '');
+      setState(readState(storageKey));
+    }
+
+    function setItems(newItems) {
+      items = Array.isArray(newItems) ? newItems : [];
+      emit();
+    }
+
+    // #endregion
+
+    document.addEventListener('click', (event) => {
+      if (openMenuId && !rootEl.contains(event.target)) {
+        openMenuId = '';
+        render();
+      }
+    }, true);
+
+    rootEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && openMenuId) {
+        e.stopPropagation();
+        openMenuId = '';
+        render();
+      }
+    });
+
+    render();
+
+    root.SCPI?.i18n?.onChange?.(() => {
+      rootEl.setAttribute('aria-label', t('filters.ariaLabel'));
+      render();
+    });
+
+    return {
+      setItems,
+      apply,
+      getState,
+      setState,
+      restore,
+      clear: clearAll
+    };
+  }
+
+  const SCPI = root.SCPI = root.SCPI || {};
+  SCPI.ui = SCPI.ui || {};
+  SCPI.ui.filterChips = {
+    createFilterChips
+  };
+})();
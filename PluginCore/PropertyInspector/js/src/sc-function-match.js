@@ -0,0 +1,137 @@
+//// ****************************************************************
+// * SC Function Match
+// * Finds current functions that resemble a saved function id which no longer
+// * exists (renamed or moved by a game patch), ranked by action name and map.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+
+  const V2_PREFIX = 'v2|';
+
+  // Score = action name similarity, plus a smaller share for the action map.
+  const ACTION_WEIGHT = 0.75;
+  const MAP_WEIGHT = 0.25;
+
+  const DEFAULT_LIMIT = 5;
+  const DEFAULT_MIN_SCORE = 0.35;
+
+  // #region Helpers
+
+  /**
+   * Split a saved function id into action and map name.
+   * v2 ids are "v2|actionName|mapName"; legacy ids are "actionName_Category", where the category is a UI label
+   * and not a map name, so only the action part is compared.
+   * @param {string} id
+   * @returns {{actionName: string, mapName: string}}
+   */
+  function parseFunctionId(id) {
+    const value = String(id || '').trim();
+    if (value.startsWith(V2_PREFIX)) {
+      const [actionName = '', mapName = ''] = value.slice(V2_PREFIX.length).split('|');
+      return {actionName, mapName};
+    }
+
+    return {actionName: value, mapName: ''};
+  }
+
+  function tokens(name) {
+    return String(name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  function bigrams(text) {
+    const result = [];
+    for (let i = 0; i < text.length - 1; i++) {
+      result.push(text.slice(i, i + 2));
+    }
+    return result;
+  }
+
+  // Dice coefficient over two lists (multiset overlap).
+  function dice(a, b) {
+    if (a.length === 0 || b.length === 0) {
+      return 0;
+    }
+
+    const counts = new Map();
+    a.forEach((x) => counts.set(x, (counts.get(x) || 0) + 1));
+
+    let shared = 0;
+    b.forEach((x) => {
+      const n = counts.get(x) || 0;
+      if (n > 0) {
+        shared++;
+        counts.set(x, n - 1);
+      }
+    });
+
+    return (2 * shared) / (a.length + b.length);
+  }
+
+  /**
+   * Similarity of two action or map names, 0..1. Word order is ignored ("v_toggle_landing_gear" vs
+   * "v_landing_gear_toggle"), and character pairs catch small renames ("v_ifcs_toggle" vs "v_ifcs_toggled").
+   */
+  function similarity(a, b) {
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.length === 0 || tb.length === 0) {
+      return 0;
+    }
+
+    if (ta.join('_') === tb.join('_')) {
+      return 1;
+    }
+
+    const words = dice(ta, tb);
+    const chars = dice(bigrams([...ta].sort().join('')), bigrams([...tb].sort().join('')));
+    return Math.max(words, (words + chars) / 2);
+  }
+
+  // #endregion
+
+  // #region Public API
+
+  /**
+   * Rank options by how closely they resemble a saved function id.
+   * @param {string} id - Saved function id that matched no option
+   * @param {Array} options - Options with value (v2 id) and details.actionName
+   * @param {{limit?: number, minScore?: number}} [opts]
+   * @returns {Array<{option: Object, score: number}>} Best match first
+   */
+  function rankSimilar(id, options, opts = {}) {
+    const limit = opts.limit ?? DEFAULT_LIMIT;
+    const minScore = opts.minScore ?? DEFAULT_MIN_SCORE;
+    const saved = parseFunctionId(id);
+    if (!saved.actionName || !Array.isArray(options)) {
+      return [];
+    }
+
+    const ranked = [];
+    options.forEach((option) => {
+      const current = parseFunctionId(option?.value);
+      const actionName = option?.details?.actionName || current.actionName;
+
+      // Legacy ids carry a category suffix instead of a map: compare the whole id against the action name only.
+      const actionScore = similarity(saved.actionName, actionName);
+      const mapScore = saved.mapName ? similarity(saved.mapName, current.mapName) : 0;
+      const score = saved.mapName ? (actionScore * ACTION_WEIGHT) + (mapScore * MAP_WEIGHT) : actionScore;
+
+      if (score >= minScore) {
+        ranked.push({option, score});
+      }
+    });
+
+    ranked.sort((a, b) => b.score - a.score || String(a.option?.text || '').localeCompare(String(b.option?.text || '')));
+    return ranked.slice(0, limit);
+  }
+
+  // #endregion
+
+  SCPI.functionMatch = {
+    parseFunctionId,
+    similarity,
+    rankSimilar
+  };
+})();
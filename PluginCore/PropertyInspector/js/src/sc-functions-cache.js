@@ -0,0 +1,158 @@
+//// ****************************************************************
+// * SC Functions Cache
+// * Last grouped functions payload in localStorage (keyed by channel + hash)
+// * so key PIs can fill the dropdown before the plugin answers.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+
+  // One entry only: a full payload can be several MB and localStorage quota is small.
+  const STORAGE_KEY = 'scsd.functionsCache';
+
+  /**
+   * @returns {{channel: string, hash: string, groups: Array}|null}
+   */
+  function read() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) {
+        return null;
+      }
+
+      const entry = JSON.parse(raw);
+      const valid = typeof entry?.channel === 'string' &&
+        typeof entry?.hash === 'string' && entry.hash.length > 0 &&
+        Array.isArray(entry?.groups);
+
+      return valid ? entry : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function write(channel, hash, groups) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        channel: String(channel || ''),
+        hash: String(hash || ''),
+        groups: Array.isArray(groups) ? groups : []
+      }));
+    } catch (err) {
+      // Quota exceeded: drop the stale entry so the next open does not apply an outdated list.
+      console.warn('[sc-functions-cache] could not store functions payload', err);
+      clear();
+    }
+  }
+
+  function clear() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (_) {
+      // Ignore storage errors.
+    }
+  }
+
+  /**
+   * Apply a plugin delta (FunctionsPayloadDeltaBuilder) to cached groups.
+   * @param {Array} groups - Cached grouped payload the delta is based on
+   * @param {{upserted: Array, removed: Array, groupOrder: Array, optionOrder: Object}} delta
+   * @returns {Array} New grouped payload
+   */
+  function applyDelta(groups, delta) {
+    const byValue = new Map();
+    const groupOf = new Map();
+    const orderByGroup = new Map();
+
+    for (const group of Array.isArray(groups) ? groups : []) {
+      const label = String(group?.label ?? '');
+      const values = [];
+      for (const opt of Array.isArray(group?.options) ? group.options : []) {
+        const value = String(opt?.value ?? '');
+        if (!value || byValue.has(value)) {
+          continue;
+        }
+        byValue.set(value, opt);
+        groupOf.set(value, label);
+        values.push(value);
+      }
+      orderByGroup.set(label, values);
+    }
+
+    for (const value of delta.removed || []) {
+      byValue.delete(String(value));
+    }
+
+    for (const entry of delta.upserted || []) {
+      const value = String(entry?.option?.value ?? '');
+      if (value) {
+        byValue.set(value, entry.option);
+        groupOf.set(value, String(entry.group ?? ''));
+      }
+    }
+
+    const optionOrder = delta.optionOrder || {};
+    return (delta.groupOrder || [])
+      .map((label) => {
+        const order = Array.isArray(optionOrder[label]) ? optionOrder[label] : (orderByGroup.get(label) || []);
+        const options = order
+          .filter((value) => byValue.has(value) && groupOf.get(value) === label)
+          .map((value) => byValue.get(value));
+        return {label, options};
+      })
+      .filter((group) => group.options.length > 0);
+  }
+
+  /**
+   * Track the payload a PI page renders and resolve plugin updates against it: a full list,
+   * "unchanged" or a delta. Starts from the stored payload.
+   * @returns {{current: () => ({channel: string, hash: string, groups: Array}|null), resolve: (payload: Object) => (Array|null)}}
+   */
+  function createTracker() {
+    let cached = read();
+
+    /**
+     * @returns {Array|null} Grouped functions, or null when the update cannot be applied to the cache
+     */
+    function resolve(payload) {
+      const hash = String(payload?.functionsHash || '');
+      const channel = String(payload?.channel || '');
+
+      if (Array.isArray(payload?.functions)) {
+        cached = hash ? {channel, hash, groups: payload.functions} : null;
+        if (cached) {
+          write(channel, hash, payload.functions);
+        }
+        return payload.functions;
+      }
+
+      if (payload?.functionsUnchanged === true) {
+        return cached?.hash === hash ? cached.groups : null;
+      }
+
+      const delta = payload?.functionsDelta;
+      if (delta && cached?.hash === delta.baseHash) {
+        const groups = applyDelta(cached.groups, delta);
+        cached = {channel, hash, groups};
+        write(channel, hash, groups);
+        return groups;
+      }
+
+      return null;
+    }
+
+    return {
+      current: () => cached,
+      resolve
+    };
+  }
+
+  SCPI.functionsCache = {
+    read,
+    write,
+    clear,
+    applyDelta,
+    createTracker
+  };
+})();
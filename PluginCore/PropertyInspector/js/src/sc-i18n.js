@@ -0,0 +1,297 @@
+//// ****************************************************************
+// * SC I18n
+// * UI strings for Property Inspector pages, from JSON language packs
+// * (js/src/i18n/*.json, embedded into sc-components.js at build time).
+// *
+// * Markup: data-i18n="key" sets the text; data-i18n-title, -placeholder
+// * and -aria-label set those attributes. Any other data-i18n-<name> sets
+// * data-<name>, which the dropdown / file picker read on init
+// * (e.g. data-i18n-select-title). Dropdown and file picker roots take
+// * data-i18n-placeholder as data-placeholder.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+
+  const LANGUAGE_STORAGE_KEY = 'scsd.uiLanguage';
+  const GAME_LANGUAGE_STORAGE_KEY = 'scsd.gameLanguage';
+  const AUTO = 'auto';
+  const FALLBACK_LANGUAGE = 'en';
+
+  // Star Citizen g_language values (see LocalizationService) → pack codes.
+  const GAME_LANGUAGES = {
+    'english': 'en',
+    'german_(germany)': 'de',
+    'french_(france)': 'fr',
+    'italian_(italy)': 'it',
+    'spanish_(spain)': 'es',
+    'spanish_(latin_america)': 'es',
+    'portuguese_(brazil)': 'pt',
+    'polish_(poland)': 'pl',
+    'japanese_(japan)': 'ja',
+    'korean_(south_korea)': 'ko',
+    'chinese_(simplified)': 'zh-hans',
+    'chinese_(traditional)': 'zh-hant'
+  };
+
+  const DIRECT_ATTRIBUTES = new Set(['title', 'placeholder', 'aria-label']);
+
+  /** @type {Map<string, {name: string, strings: Object<string, string>}>} */
+  const packs = new Map();
+  const listeners = new Set();
+
+  let setting = readStorage(LANGUAGE_STORAGE_KEY) || AUTO;
+  let gameLanguage = readStorage(GAME_LANGUAGE_STORAGE_KEY) || FALLBACK_LANGUAGE;
+  let language = FALLBACK_LANGUAGE;
+
+  function readStorage(key) {
+    try {
+      const value = localStorage.getItem(key);
+      return typeof value === 'string' ? value.trim() : '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (_) {
+      // Ignore storage errors.
+    }
+  }
+
+  function normalizeCode(code) {
+    return String(code || '').trim().toLowerCase();
+  }
+
+  /**
+   * Register a language pack
+   * @param {string} code - Pack code (e.g. "de")
+   * @param {{name?: string, strings?: Object<string, string>}} pack - Parsed pack JSON
+   */
+  function addPack(code, pack) {
+    const key = normalizeCode(code);
+    if (!key || !pack || typeof pack !== 'object') {
+      return;
+    }
+
+    packs.set(key, {
+      name: String(pack.name || key),
+      strings: (pack.strings && typeof pack.strings === 'object') ? pack.strings : {}
+    });
+  }
+
+  /**
+   * Pack code for a Star Citizen language (g_language), or '' when unknown
+   * @param {string} value - e.g. "german_(germany)"
+   */
+  function fromGameLanguage(value) {
+    return GAME_LANGUAGES[normalizeCode(value)] || '';
+  }
+
+  // "auto" resolves to the game language when a pack exists for it, English otherwise.
+  function getAutoLanguage() {
+    return packs.has(gameLanguage) ? gameLanguage : FALLBACK_LANGUAGE;
+  }
+
+  function resolveLanguage() {
+    return setting !== AUTO && packs.has(setting) ? setting : getAutoLanguage();
+  }
+
+  /**
+   * Translate a key. {name} placeholders are filled from params; unknown ones stay as written.
+   * Falls back to the English pack, then to the key itself.
+   * @param {string} key
+   * @param {Object<string, *>} [params]
+   * @returns {string}
+   */
+  function t(key, params) {
+    const k = String(key || '');
+    const strings = packs.get(language)?.strings;
+    const fallback = packs.get(FALLBACK_LANGUAGE)?.strings;
+
+    let text = strings && typeof strings[k] === 'string' ? strings[k] : null;
+    if (text === null) {
+      text = fallback && typeof fallback[k] === 'string' ? fallback[k] : k;
+    }
+
+    if (!params) {
+      return text;
+    }
+
+    return text.replace(/\{(\w+)}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match);
+  }
+
+  /**
+   * Translate a reason code the plugin sent (request errors, "reason" fields), using the "reasons.<code>" key.
+   * Older plugins sent English sentences; text without a key is shown as is.
+   * @param {string} code
+   * @returns {string}
+   */
+  function reason(code) {
+    const text = String(code || '');
+    const key = `reasons.${text}`;
+    return t(key) === key ? text : t(key);
+  }
+
+  // Pack strings may mark words bold with <b>…</b>; built as nodes, never parsed as HTML.
+  function setRichText(el, text) {
+    const parts = String(text).split(/<b>(.*?)<\/b>/);
+    if (parts.length === 1) {
+      el.textContent = text;
+      return;
+    }
+
+    const nodes = parts.map((part, i) => {
+      if (i % 2 === 0) {
+        return document.createTextNode(part);
+      }
+      const b = document.createElement('b');
+      b.textContent = part;
+      return b;
+    });
+    el.replaceChildren(...nodes);
+  }
+
+  function applyAttribute(el, name, value) {
+    if (DIRECT_ATTRIBUTES.has(name)) {
+      const isField = el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement;
+      if (name === 'placeholder' && !isField) {
+        el.setAttribute('data-placeholder', value);
+        // Already initialized dropdown: keep its search input in sync.
+        const search = el.querySelector(':scope > .pi-dropdown__input-row input');
+        if (search) {
+          search.placeholder = value;
+        }
+        return;
+      }
+
+      el.setAttribute(name, value);
+      return;
+    }
+
+    el.setAttribute(`data-${name}`, value);
+  }
+
+  /**
+   * Translate data-i18n* attributes below a root element
+   * @param {ParentNode} [rootEl=document]
+   */
+  function apply(rootEl = document) {
+    if (!rootEl?.querySelectorAll) {
+      return;
+    }
+
+    for (const el of rootEl.querySelectorAll('*')) {
+      for (const attr of Array.from(el.attributes)) {
+        if (attr.name === 'data-i18n') {
+          setRichText(el, t(attr.value));
+        } else if (attr.name.startsWith('data-i18n-')) {
+          applyAttribute(el, attr.name.slice('data-i18n-'.length), t(attr.value));
+        }
+      }
+    }
+
+    if (rootEl === document && document.documentElement) {
+      document.documentElement.lang = language;
+    }
+  }
+
+  function refresh() {
+    const next = resolveLanguage();
+    if (next === language) {
+      return;
+    }
+
+    language = next;
+    apply(document);
+    listeners.forEach((fn) => {
+      try {
+        fn(language);
+      } catch (err) {
+        console.error('[sc-i18n] change listener failed', err);
+      }
+    });
+  }
+
+  /**
+   * Set the UI language chosen in the Control Panel ("auto" follows the game language)
+   * @param {string} value - "auto" or a pack code
+   */
+  function setSetting(value) {
+    const next = normalizeCode(value) || AUTO;
+    setting = next === AUTO || packs.has(next) ? next : AUTO;
+    writeStorage(LANGUAGE_STORAGE_KEY, setting);
+    refresh();
+  }
+
+  /**
+   * Record the language the plugin detected for game labels (user.cfg g_language)
+   * @param {string} value - e.g. "german_(germany)"
+   */
+  function setGameLanguage(value) {
+    const code = fromGameLanguage(value) || FALLBACK_LANGUAGE;
+    if (code === gameLanguage) {
+      return;
+    }
+
+    gameLanguage = code;
+    writeStorage(GAME_LANGUAGE_STORAGE_KEY, code);
+    refresh();
+  }
+
+  /**
+   * Registered packs, English first
+   * @returns {Array<{code: string, name: string}>}
+   */
+  function getLanguages() {
+    return Array.from(packs.entries())
+      .map(([code, pack]) => ({code, name: pack.name}))
+      .sort((a, b) => (a.code === FALLBACK_LANGUAGE ? -1 : b.code === FALLBACK_LANGUAGE ? 1 : a.name.localeCompare(b.name)));
+  }
+
+  /**
+   * Run fn(languageCode) after the UI language changed
+   * @returns {Function} Unsubscribe
+   */
+  function onChange(fn) {
+    if (typeof fn !== 'function') {
+      return () => {};
+    }
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // Key PIs get the detected game language with every functions update.
+  SCPI.bus?.on?.((payload) => {
+    if (typeof payload?.gameLanguage === 'string' && payload.gameLanguage.length > 0) {
+      setGameLanguage(payload.gameLanguage);
+    }
+  });
+
+  // Packs are appended after this file in sc-components.js; translate once the bundle has run,
+  // before the page script initializes its dropdowns and file pickers.
+  queueMicrotask(() => {
+    language = resolveLanguage();
+    apply(document);
+  });
+
+  SCPI.i18n = {
+    AUTO,
+    t,
+    reason,
+    apply,
+    addPack,
+    getLanguages,
+    getLanguage: () => language,
+    getSetting: () => setting,
+    getAutoLanguage,
+    setSetting,
+    setGameLanguage,
+    fromGameLanguage,
+    onChange
+  };
+})();
@@ -0,0 +1,314 @@
+//// ****************************************************************
+// * SC PI Protocol
+// * Versioned handshake with the plugin + schema checks for inbound payloads
+// * A cached (older) PI bundle talking to a newer plugin shows a banner
+// * instead of silently rendering an empty dropdown.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  // Must match PiProtocolPayloadBuilder.ProtocolVersion in the plugin.
+  const PROTOCOL_VERSION = 1;
+  const HANDSHAKE_TIMEOUT_MS = 5000;
+  const BANNER_ID = 'pi-protocol-banner';
+
+  let handshakeStarted = false;
+  let pluginInfo = null;
+  let mismatchReported = false;
+
+  /** @type {(() => string)|null} */
+  let bannerText = null;
+
+  // #region Schema Validation
+
+  const str = {type: 'string'};
+  const bool = {type: 'boolean'};
+
+  function opt(schema) {
+    return {...schema, optional: true};
+  }
+
+  function arr(items) {
+    return {type: 'array', items};
+  }
+
+  function obj(fields) {
+    return {type: 'object', fields};
+  }
+
+  function dict(values) {
+    return {type: 'object', values};
+  }
+
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Validate a value against a schema node, collecting readable paths of mismatches.
+   * Unknown fields are allowed so the plugin can add data without breaking older PIs.
+   */
+  function check(value, schema, path, errors) {
+    const actual = typeOf(value);
+    if (actual !== schema.type) {
+      errors.push(`${path || 'payload'}: expected ${schema.type}, got ${actual}`);
+      return;
+    }
+
+    if (schema.type === 'array') {
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+      return;
+    }
+
+    if (schema.type === 'object' && schema.values) {
+      for (const [key, item] of Object.entries(value)) {
+        check(item, schema.values, path ? `${path}.${key}` : key, errors);
+      }
+      return;
+    }
+
+    if (schema.type === 'object') {
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined) {
+          if (!fieldSchema.optional) {
+            errors.push(`${fieldPath}: missing`);
+          }
+          continue;
+        }
+        check(value[key], fieldSchema, fieldPath, errors);
+      }
+    }
+  }
+
+  const binding = obj({raw: opt(str), display: opt(str)});
+
+  const functionOption = obj({
+    value: str,
+    text: str,
+    legacyValue: opt(str),
+    bindingType: opt(str),
+    disabled: opt(bool),
+    disabledReason: opt(str),
+    details: opt(obj({
+      label: opt(str),
+      description: opt(str),
+      devices: opt(arr(obj({device: str, bindings: arr(binding)})))
+    }))
+  });
+
+  /**
+   * Payload schemas, keyed by the marker field that identifies the payload kind.
+   */
+  const schemas = {
+    // Full list, or (for PIs with a cached payload) "unchanged" / a delta against functionsDelta.baseHash.
+    functionsLoaded: obj({
+      functionsLoaded: bool,
+      functions: opt(arr(obj({label: str, options: arr(functionOption)}))),
+      channel: opt(str),
+      functionsHash: opt(str),
+      functionsUnchanged: opt(bool),
+      functionsDelta: opt(obj({
+        baseHash: str,
+        upserted: arr(obj({group: str, option: functionOption})),
+        removed: arr(str),
+        groupOrder: arr(str),
+        optionOrder: dict(arr(str))
+      }))
+    }),
+    controlPanelLoaded: obj({
+      controlPanelLoaded: bool,
+      controlPanel: obj({
+        currentChannel: str,
+        preferredChannel: str,
+        channels: arr(obj({
+          channel: str,
+          configured: bool,
+          valid: bool,
+          isCustomPath: bool,
+          dataP4KPath: str
+        }))
+      })
+    }),
+    themesLoaded: obj({
+      themesLoaded: bool,
+      themes: arr(obj({file: str, name: str})),
+      selectedTheme: opt(str)
+    }),
+    // Toggle Key: title and image applied to each state (missing = Stream Deck title / default image).
+    stateAppearanceLoaded: obj({
+      stateAppearanceLoaded: bool,
+      states: arr(obj({title: opt(str), image: opt(str)}))
+    })
+  };
+
+  /**
+   * Validate a pushed payload against every schema whose marker field it carries.
+   * @param {Object} payload
+   * @returns {string[]} Mismatch descriptions (empty when valid)
+   */
+  function validate(payload) {
+    const errors = [];
+    if (typeOf(payload) !== 'object') {
+      errors.push(`payload: expected object, got ${typeOf(payload)}`);
+      return errors;
+    }
+
+    for (const [marker, schema] of Object.entries(schemas)) {
+      if (payload[marker] !== undefined) {
+        check(payload, schema, '', errors);
+      }
+    }
+
+    return errors;
+  }
+
+  // #endregion
+
+  // #region Banner
+
+  /**
+   * Show the banner; getText is called again after a UI language change
+   * @param {() => string} getText
+   */
+  function showBanner(getText) {
+    bannerText = getText;
+    let frame = document.getElementById(BANNER_ID);
+    if (!frame) {
+      frame = document.createElement('div');
+      frame.id = BANNER_ID;
+      frame.className = 'pi-inline-banner pi-protocol-banner';
+      frame.setAttribute('role', 'alert');
+
+      const msg = document.createElement('div');
+      msg.className = 'pi-inline-error';
+      frame.appendChild(msg);
+
+      const host = document.querySelector('.pi-container') || document.body;
+      host?.insertBefore(frame, host.firstChild);
+    }
+
+    frame.firstChild.textContent = String(getText() || '');
+    frame.style.display = 'flex';
+  }
+
+  SCPI.i18n?.onChange?.(() => {
+    const frame = document.getElementById(BANNER_ID);
+    if (frame && bannerText) {
+      frame.firstChild.textContent = String(bannerText() || '');
+    }
+  });
+
+  function describeMismatch(pluginVersion) {
+    if (typeof pluginVersion === 'number' && pluginVersion > PROTOCOL_VERSION) {
+      return t('protocol.piOutdated', {pi: PROTOCOL_VERSION, plugin: pluginVersion});
+    }
+
+    const shown = typeof pluginVersion === 'number' ? `v${pluginVersion}` : t('protocol.unknownVersion');
+    return t('protocol.pluginOutdated', {plugin: shown, pi: PROTOCOL_VERSION});
+  }
+
+  function reportMismatch(pluginVersion) {
+    if (mismatchReported) {
+      return;
+    }
+    mismatchReported = true;
+
+    console.warn(`[sc-protocol] protocol mismatch: PI v${PROTOCOL_VERSION}, plugin ${pluginVersion ?? 'unknown'}`);
+    showBanner(() => describeMismatch(pluginVersion));
+  }
+
+  // #endregion
+
+  // #region Handshake
+
+  /**
+   * Inbound filter used by SCPI.bus before broadcasting a pushed payload.
+   * @returns {boolean} false when the payload must not reach listeners
+   */
+  function accept(payload) {
+    const errors = validate(payload);
+    if (errors.length > 0) {
+      console.warn('[sc-protocol] rejected payload from plugin', errors);
+      if (payload?.protocolVersion !== PROTOCOL_VERSION) {
+        reportMismatch(payload?.protocolVersion);
+      } else {
+        showBanner(() => t('protocol.unexpectedData', {error: errors[0]}));
+      }
+      return false;
+    }
+
+    if (payload.protocolVersion !== PROTOCOL_VERSION) {
+      reportMismatch(payload.protocolVersion);
+    }
+
+    return true;
+  }
+
+  /**
+   * Announce this PI to the plugin (once per page) and check the protocol version it answers with.
+   * @param {Object} [extra] - Page-specific handshake fields (e.g. functionsCache)
+   * @returns {Promise<Object|null>} Plugin protocol info, or null when the handshake failed
+   */
+  async function connect(extra = {}) {
+    if (handshakeStarted) {
+      return pluginInfo;
+    }
+    handshakeStarted = true;
+
+    try {
+      const result = await SCPI.bus.request(
+        'propertyInspectorConnected',
+        {...extra, protocolVersion: PROTOCOL_VERSION},
+        {timeoutMs: HANDSHAKE_TIMEOUT_MS});
+
+      const protocol = result?.protocol;
+      if (typeOf(protocol) !== 'object' || typeof protocol.protocolVersion !== 'number') {
+        reportMismatch(undefined);
+        return null;
+      }
+
+      pluginInfo = {
+        protocolVersion: protocol.protocolVersion,
+        features: Array.isArray(protocol.features) ? protocol.features.map(String) : []
+      };
+
+      if (pluginInfo.protocolVersion !== PROTOCOL_VERSION) {
+        reportMismatch(pluginInfo.protocolVersion);
+      }
+
+      return pluginInfo;
+    } catch (err) {
+      const errors = SCPI.bus?.errors || {};
+      if (errors.RequestTimeoutError && err instanceof errors.RequestTimeoutError) {
+        // Plugins that predate the handshake never answer the request.
+        reportMismatch(undefined);
+      } else {
+        console.warn('[sc-protocol] handshake failed', err);
+      }
+      return null;
+    }
+  }
+
+  function hasFeature(name) {
+    return !!pluginInfo && pluginInfo.features.includes(String(name || ''));
+  }
+
+  // #endregion
+
+  SCPI.protocol = {
+    VERSION: PROTOCOL_VERSION,
+    connect,
+    accept,
+    validate,
+    hasFeature,
+    getPluginInfo: () => pluginInfo,
+    schemas
+  };
+})();
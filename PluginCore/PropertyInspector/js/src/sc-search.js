@@ -0,0 +1,284 @@
+//// ****************************************************************
+// * SC Search
+// * Ranked fuzzy matching for PI dropdowns: prefixes, word boundaries,
+// * acronyms ("qd" -> Quantum Drive), small typos and key names ("LAlt+N").
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+
+  // Field weights: the visible label counts most, free text (description, raw binds) least.
+  const FIELD_WEIGHTS = {
+    label: 1,
+    actionName: 0.8,
+    searchText: 0.5
+  };
+
+  const SCORE_EXACT = 100;
+  const SCORE_PREFIX = 80;
+  const SCORE_ACRONYM = 70;
+  const SCORE_SUBSTRING = 45;
+  const SCORE_TYPO = 30;
+  const SCORE_KEY = 120;
+  const BONUS_LEADING = 10;
+  const BONUS_LABEL_PREFIX = 50;
+
+  // Prepared search data per item, rebuilt when the item object is replaced.
+  const prepared = new WeakMap();
+
+  // #region Text
+
+  /**
+   * Split text into lowercase words at spaces, punctuation, underscores and camelCase humps.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    return String(text || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 0);
+  }
+
+  /**
+   * Levenshtein distance, giving up (returns max + 1) once it exceeds `max`.
+   */
+  function boundedDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let prev = Array.from({length: b.length + 1}, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        const value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        row.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      prev = row;
+    }
+
+    return prev[b.length];
+  }
+
+  function allowedTypos(token) {
+    if (token.length >= 6) {
+      return 2;
+    }
+    return token.length >= 4 ? 1 : 0;
+  }
+
+  /**
+   * Best score of one query token against the words of one field (0 = no match).
+   * @param {boolean} exact - No typo tolerance (key names: "lalt" must not match "ralt")
+   */
+  function scoreToken(token, field, exact) {
+    let best = 0;
+    const typos = exact ? 0 : allowedTypos(token);
+
+    field.words.forEach((word, i) => {
+      const leading = i === 0 ? BONUS_LEADING : 0;
+      let score = 0;
+
+      if (word === token) {
+        score = SCORE_EXACT + leading;
+      } else if (word.startsWith(token)) {
+        score = SCORE_PREFIX + leading;
+      } else if (token.length >= 3 && word.includes(token)) {
+        score = SCORE_SUBSTRING;
+      } else if (typos > 0) {
+        // Compare against the word and its same-length prefix so half-typed words still match.
+        const distance = Math.min(
+          boundedDistance(token, word, typos),
+          boundedDistance(token, word.slice(0, token.length), typos));
+        if (distance <= typos) {
+          score = SCORE_TYPO - (distance - 1) * 10;
+        }
+      }
+
+      best = Math.max(best, score);
+    });
+
+    if (best < SCORE_ACRONYM && token.length >= 2 && field.initials.includes(token)) {
+      best = SCORE_ACRONYM + (field.initials.startsWith(token) ? BONUS_LEADING : 0);
+    }
+
+    return best;
+  }
+
+  // #endregion
+
+  // #region Key Names
+
+  /**
+   * Normalize a key combination so raw binds ("lalt+np_subtract"), display strings
+   * ("L-Alt + Num-") and typed queries ("LAlt+Num-") compare equal.
+   * @param {string} text
+   * @returns {string[]} Normalized key parts
+   */
+  function normalizeKey(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/\s+/g, '')
+      // A trailing '+' is the key itself (Num+), every other '+' joins keys.
+      .split(/\+(?=.)/)
+      // Separators inside a key name (L-Alt, np_1) are dropped; a trailing '-' is the key (Num-).
+      .map((part) => part.replace(/[-_](?=[a-z0-9])/g, ''))
+      .filter((part) => part.length > 0);
+  }
+
+  /**
+   * Queries with '+', '-' or '_' are treated as key names in addition to text, and their text matching skips typos.
+   */
+  function looksLikeKey(query) {
+    return /[+\-_]/.test(query) && !/\s{2,}/.test(query);
+  }
+
+  function matchesKey(queryParts, keyParts) {
+    if (queryParts.length === 0 || queryParts.length > keyParts.length) {
+      return false;
+    }
+
+    // Modifier order does not matter; the last typed part may be incomplete.
+    const remaining = keyParts.slice();
+    return queryParts.every((part, i) => {
+      const isLast = i === queryParts.length - 1;
+      const index = remaining.findIndex((k) => k === part || (isLast && part.length >= 2 && k.startsWith(part)));
+      if (index < 0) {
+        return false;
+      }
+      remaining.splice(index, 1);
+      return true;
+    });
+  }
+
+  // #endregion
+
+  // #region Ranking
+
+  function prepareField(text) {
+    const words = tokenize(text);
+    return {words, initials: words.map((w) => w[0]).join('')};
+  }
+
+  /**
+   * @param {{label?: string, actionName?: string, searchText?: string, keys?: string[]}} fields
+   */
+  function prepare(fields) {
+    const result = {
+      label: String(fields?.label || '').toLowerCase(),
+      fields: [],
+      keys: []
+    };
+
+    for (const [name, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const text = fields?.[name];
+      if (text) {
+        result.fields.push({weight, ...prepareField(text)});
+      }
+    }
+
+    if (Array.isArray(fields?.keys)) {
+      result.keys = fields.keys.map(normalizeKey).filter((parts) => parts.length > 0);
+    }
+
+    return result;
+  }
+
+  /**
+   * Score a query against prepared item data.
+   * Every query word has to match some field; the key-name match stands on its own.
+   * @returns {number} 0 when the item does not match
+   */
+  function score(query, data) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) {
+      return 0;
+    }
+
+    const isKey = looksLikeKey(q);
+    let keyScore = 0;
+    if (isKey) {
+      const queryParts = normalizeKey(q);
+      if (data.keys.some((keyParts) => matchesKey(queryParts, keyParts))) {
+        keyScore = SCORE_KEY;
+      }
+    }
+
+    const tokens = tokenize(q);
+    let textScore = 0;
+    for (const token of tokens) {
+      let best = 0;
+      for (const field of data.fields) {
+        best = Math.max(best, scoreToken(token, field, isKey) * field.weight);
+      }
+      if (best === 0) {
+        textScore = 0;
+        break;
+      }
+      textScore += best;
+    }
+
+    if (textScore > 0) {
+      textScore /= tokens.length;
+      if (data.label.startsWith(q)) {
+        textScore += BONUS_LABEL_PREFIX;
+      }
+    }
+
+    return Math.max(keyScore, textScore);
+  }
+
+  /**
+   * Filter and order items by relevance. Ties keep the original item order.
+   * @param {Array} items
+   * @param {string} query
+   * @param {(item: *) => {label?: string, actionName?: string, searchText?: string, keys?: string[]}} getFields
+   * @param {{limit?: number}} [opts]
+   * @returns {Array}
+   */
+  function rank(items, query, getFields, opts = {}) {
+    const list = Array.isArray(items) ? items : [];
+    if (!String(query || '').trim()) {
+      return list.slice(0, opts.limit ?? list.length);
+    }
+
+    const scored = [];
+    list.forEach((item, index) => {
+      let data = item && typeof item === 'object' ? prepared.get(item) : null;
+      if (!data) {
+        data = prepare(getFields(item));
+        if (item && typeof item === 'object') {
+          prepared.set(item, data);
+        }
+      }
+
+      const value = score(query, data);
+      if (value > 0) {
+        scored.push({item, index, value});
+      }
+    });
+
+    scored.sort((a, b) => (b.value - a.value) || (a.index - b.index));
+    const ranked = scored.map((s) => s.item);
+    return typeof opts.limit === 'number' ? ranked.slice(0, opts.limit) : ranked;
+  }
+
+  // #endregion
+
+  SCPI.search = {
+    tokenize,
+    normalizeKey,
+    prepare,
+    score,
+    rank
+  };
+})();
@@ -0,0 +1,166 @@
+//// ****************************************************************
+// * SC Settings Codec
+// * Function key settings <-> shareable string "scsd<version>.<base64 JSON>.<crc32>"
+// * Base64 without padding and no "_" / "*", so chat apps do not reformat it.
+//// ****************************************************************
+
+(function () {
+  const root = globalThis;
+  const SCPI = root.SCPI = root.SCPI || {};
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
+
+  const PREFIX = 'scsd';
+  const VERSION = 1;
+
+  /**
+   * Settings a string carries, with the short key used in the string. Append only: keys are part of the format.
+   * @type {Array<{key: string, short: string, type: string}>}
+   */
+  const FIELDS = [
+    {key: 'function', short: 'f', type: 'string'},
+    {key: 'clickSoundPath', short: 's', type: 'string'},
+    {key: 'resetHoldSeconds', short: 'r', type: 'number'},
+    {key: 'autoTitle', short: 'a', type: 'boolean'},
+    {key: 'titleAbbreviations', short: 'ab', type: 'string'},
+    {key: 'titleOff', short: 't0', type: 'string'},
+    {key: 'titleOn', short: 't1', type: 'string'},
+    {key: 'offImagePath', short: 'i0', type: 'string'},
+    {key: 'offColor', short: 'c0', type: 'string'},
+    {key: 'onImagePath', short: 'i1', type: 'string'},
+    {key: 'onColor', short: 'c1', type: 'string'},
+    {key: 'longPressFunction', short: 'lf', type: 'string'},
+    {key: 'longPressSeconds', short: 'ls', type: 'number'}
+  ];
+
+  const STRING_PATTERN = /^scsd(\d+)\.([A-Za-z0-9+/]+)\.([0-9a-f]{8})$/i;
+
+  class SettingsCodecError extends Error {
+    /**
+     * @param {string} message
+     * @param {'format'|'version'|'checksum'} code
+     */
+    constructor(message, code) {
+      super(message);
+      this.name = 'SettingsCodecError';
+      this.code = code;
+    }
+  }
+
+  // #region Helpers
+
+  let crcTable = null;
+
+  function crc32(text) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < text.length; i++) {
+      crc = crcTable[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary).replace(/=+$/, '');
+  }
+
+  function fromBase64(value) {
+    const padded = value + '='.repeat((4 - (value.length % 4)) % 4);
+    return new TextDecoder().decode(Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)));
+  }
+
+  function isValue(value, type) {
+    return typeof value === type && (type !== 'string' || value.length > 0) && (type !== 'number' || Number.isFinite(value));
+  }
+
+  // #endregion
+
+  // #region Public API
+
+  /**
+   * Encode the shareable part of a key's settings. Empty and unknown settings are left out.
+   * @param {Object} settings - Action settings
+   * @returns {string}
+   */
+  function encode(settings) {
+    const data = {};
+    for (const field of FIELDS) {
+      const value = settings?.[field.key];
+      if (isValue(value, field.type)) {
+        data[field.short] = value;
+      }
+    }
+
+    const body = toBase64(JSON.stringify(data));
+    return `${PREFIX}${VERSION}.${body}.${crc32(body)}`;
+  }
+
+  /**
+   * Decode a settings string. Whitespace is ignored (chat apps wrap long lines); unknown fields are dropped.
+   * @param {string} text
+   * @returns {Object} Settings (full keys)
+   * @throws {SettingsCodecError}
+   */
+  function decode(text) {
+    const value = String(text || '').replace(/\s+/g, '');
+    const match = STRING_PATTERN.exec(value);
+    if (!match) {
+      throw new SettingsCodecError(t('settingsCodec.notSettings'), 'format');
+    }
+
+    if (Number(match[1]) !== VERSION) {
+      throw new SettingsCodecError(
+        t('settingsCodec.unsupportedVersion', {version: match[1]}),
+        'version');
+    }
+
+    if (crc32(match[2]) !== match[3].toLowerCase()) {
+      throw new SettingsCodecError(t('settingsCodec.checksum'), 'checksum');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fromBase64(match[2]));
+    } catch (_) {
+      data = null;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new SettingsCodecError(t('settingsCodec.unreadable'), 'format');
+    }
+
+    const settings = {};
+    for (const field of FIELDS) {
+      if (isValue(data[field.short], field.type)) {
+        settings[field.key] = data[field.short];
+      }
+    }
+
+    return settings;
+  }
+
+  // #endregion
+
+  SCPI.settingsCodec = {
+    VERSION,
+    keys: FIELDS.map((f) => f.key),
+    encode,
+    decode,
+    SettingsCodecError
+  };
+})();
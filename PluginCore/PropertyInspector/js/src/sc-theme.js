@@ -7,6 +7,7 @@
   const root = globalThis;
   const SCPI = root.SCPI = root.SCPI || {};
   const THEME_STORAGE_KEY = 'scsd.selectedTheme';
+  const t = (key, params) => SCPI.i18n?.t?.(key, params) ?? key;
 
   function applyTheme(themeFile, linkEl) {
     if (!themeFile || typeof themeFile !== 'string') {
@@ -43,11 +44,11 @@
       displaySelectedInInput: true,
       minLoadingMs: 500,
       successFlashMs: 220,
-      emptyText: 'No themes found',
-      getText: (t) => String(t?.name ?? ''),
-      getValue: (t) => String(t?.file ?? ''),
-      onSelect: (t) => {
-        const file = String(t?.file ?? '');
+      emptyText: () => t('theme.noThemes'),
+      getText: (theme) => String(theme?.name ?? ''),
+      getValue: (theme) => String(theme?.file ?? ''),
+      onSelect: (theme) => {
+        const file = String(theme?.file ?? '');
         if (!file) {
           return;
         }
@@ -57,7 +58,7 @@
       }
     });
 
-    dropdown?.setLoading?.(true, 'Loading themes');
+    dropdown?.setLoading?.(true, () => t('theme.loading'));
 
     // Receive themes + selected theme from plugin (via shared bus)
     SCPI.bus?.on?.((payload) => {
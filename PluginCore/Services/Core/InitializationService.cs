@@ -14,6 +14,7 @@ public sealed class InitializationService : IDisposable
     private readonly ICachedInstallationsCleanupService _cachedInstallationsCleanupService;
     private readonly SemaphoreSlim _initSemaphore = new(1, 1);
     private readonly IInstallLocatorService _installLocator;
+    private readonly ActionMapsRebindService _actionMapsRebind;
     private readonly ActionMapsWatcherService _actionMapsWatcher;
     private readonly KeybindingProcessorService _keybindingProcessor;
     private readonly KeybindingService _keybindingService;
@@ -31,6 +32,7 @@ public sealed class InitializationService : IDisposable
         IInstallLocatorService installLocator,
         KeybindingProcessorService keybindingProcessor,
         ActionMapsWatcherService actionMapsWatcher,
+        ActionMapsRebindService actionMapsRebind,
         PathProviderService pathProvider,
         StateService stateService,
         IKeybindingsJsonCache keybindingsJsonCache,
@@ -40,6 +42,7 @@ public sealed class InitializationService : IDisposable
         _installLocator = installLocator ?? throw new ArgumentNullException(nameof(installLocator));
         _keybindingProcessor = keybindingProcessor ?? throw new ArgumentNullException(nameof(keybindingProcessor));
         _actionMapsWatcher = actionMapsWatcher ?? throw new ArgumentNullException(nameof(actionMapsWatcher));
+        _actionMapsRebind = actionMapsRebind ?? throw new ArgumentNullException(nameof(actionMapsRebind));
         _pathProvider = pathProvider ?? throw new ArgumentNullException(nameof(pathProvider));
         _stateService = stateService ?? throw new ArgumentNullException(nameof(stateService));
         _keybindingsJsonCache = keybindingsJsonCache ?? throw new ArgumentNullException(nameof(keybindingsJsonCache));
@@ -81,6 +84,13 @@ public sealed class InitializationService : IDisposable
 
     public event Action? KeybindingsStateChanged;
 
+    /// <summary>
+    ///     Raised when the actionmaps.xml watcher reloaded the active channel (e.g. after a rebind in game) and keyboard or
+    ///     mouse bindings changed. Follows the <see cref="KeybindingsStateChanged" /> of that reload.
+    ///     Manual rebuilds (Control Panel) and reloads after the plugin's own "Assign free key" write do not raise it.
+    /// </summary>
+    public event Action<IReadOnlyList<BindingChange>>? BindingsChanged;
+
     public async Task<InitializationResult> EnsureInitializedAsync(CancellationToken cancellationToken = default)
     {
         if (_initialized)
@@ -196,7 +206,7 @@ public sealed class InitializationService : IDisposable
     {
         try
         {
-            await RefreshKeybindingsFromActionMapsAsync(channel).ConfigureAwait(false);
+            await RefreshKeybindingsFromActionMapsAsync(channel, true).ConfigureAwait(false);
         }
         catch (Exception ex)
         {
@@ -204,7 +214,37 @@ public sealed class InitializationService : IDisposable
         }
     }
 
-    public async Task<bool> RefreshKeybindingsFromActionMapsAsync(SCChannel channel, CancellationToken cancellationToken = default)
+    /// <summary>
+    ///     The current channel's actionmaps.xml, or null when the game has not written one yet (or it lies outside the
+    ///     channel folder).
+    /// </summary>
+    public async Task<string?> GetActionMapsPathAsync(CancellationToken cancellationToken = default)
+    {
+        PluginState? state = await _stateService.LoadStateAsync(cancellationToken).ConfigureAwait(false);
+        InstallationState? installation = state?.GetInstallation(CurrentChannel);
+        if (installation == null || !installation.Validate())
+        {
+            return null;
+        }
+
+        string channelPath = installation.ToCandidate().ChannelPath;
+        string? actionMapsPath = KeybindingProfilePathResolver.TryFindActionMapsXml(channelPath);
+
+        bool isInChannel = !string.IsNullOrWhiteSpace(actionMapsPath) &&
+                           SecurePathValidator.IsValidPath(actionMapsPath, channelPath, out _);
+        return isInChannel ? actionMapsPath : null;
+    }
+
+    /// <summary>
+    ///     Regenerates the channel's keybindings from Data.p4k and actionmaps.xml and reloads them if the channel is active.
+    ///     <paramref name="reportBindingChanges" /> raises <see cref="BindingsChanged" />; only the actionmaps.xml watcher
+    ///     sets it, so a manual rebuild does not report the bindings as changed in game. It is also ignored when the
+    ///     plugin wrote actionmaps.xml itself (<see cref="ActionMapsRebindService" />).
+    /// </summary>
+    public async Task<bool> RefreshKeybindingsFromActionMapsAsync(
+        SCChannel channel,
+        bool reportBindingChanges = false,
+        CancellationToken cancellationToken = default)
     {
         try
         {
@@ -230,6 +270,12 @@ public sealed class InitializationService : IDisposable
                 }
 
                 await WaitForActionMapsStabilityAsync(actionMapsPath, cancellationToken).ConfigureAwait(false);
+
+                if (reportBindingChanges && _actionMapsRebind.ConsumeOwnWrite(actionMapsPath))
+                {
+                    Log.Debug($"[{nameof(InitializationService)}] Auto-sync for {channel} follows the plugin's own write");
+                    reportBindingChanges = false;
+                }
             }
 
             Log.Info($"[{nameof(InitializationService)}] Auto-sync: regenerating keybindings for {channel}");
@@ -254,6 +300,8 @@ public sealed class InitializationService : IDisposable
 
             if (isActive)
             {
+                IReadOnlyList<KeybindingAction>? before = reportBindingChanges ? _keybindingService.GetAllActions() : null;
+
                 bool switched = await SwitchChannelAsync(channel, cancellationToken).ConfigureAwait(false);
                 if (!switched)
                 {
@@ -261,6 +309,11 @@ public sealed class InitializationService : IDisposable
                     return false;
                 }
 
+                if (before != null)
+                {
+                    RaiseBindingsChanged(before);
+                }
+
                 return true;
             }
 
@@ -275,6 +328,24 @@ public sealed class InitializationService : IDisposable
         }
     }
 
+    private void RaiseBindingsChanged(IReadOnlyList<KeybindingAction> before)
+    {
+        // Nothing to compare against: every bound function would show up as added.
+        if (before.Count == 0)
+        {
+            return;
+        }
+
+        IReadOnlyList<BindingChange> changes = BindingChangeDetector.Compare(before, _keybindingService.GetAllActions());
+        if (changes.Count == 0)
+        {
+            return;
+        }
+
+        Log.Info($"[{nameof(InitializationService)}] Auto-sync: {changes.Count} binding change(s)");
+        BindingsChanged?.Invoke(changes);
+    }
+
     private static async Task WaitForActionMapsStabilityAsync(string actionMapsPath, CancellationToken cancellationToken)
     {
         // Star Citizen may write actionmaps.xml in multiple passes. Best-effort wait for stable size/write time.
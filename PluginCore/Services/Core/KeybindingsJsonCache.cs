@@ -8,6 +8,7 @@ namespace SCStreamDeck.Services.Core;
 public interface IKeybindingsJsonCache
 {
     bool Exists(SCChannel channel);
+    DateTime? GetLastWriteTimeUtc(SCChannel channel);
     bool TryDelete(SCChannel channel);
     bool TryDeleteAll();
 }
@@ -26,6 +27,23 @@ public sealed class KeybindingsJsonCache(PathProviderService pathProvider, IFile
         return _fileSystem.FileExists(keybindingJson);
     }
 
+    /// <summary>
+    ///     When the channel's keybindings JSON was last written, or null when there is none.
+    /// </summary>
+    public DateTime? GetLastWriteTimeUtc(SCChannel channel)
+    {
+        try
+        {
+            string keybindingJson = _pathProvider.GetKeybindingJsonPath(channel.ToString());
+            return _fileSystem.FileExists(keybindingJson) ? _fileSystem.GetLastWriteTimeUtc(keybindingJson) : null;
+        }
+        catch (Exception ex)
+        {
+            Log.Warn($"[{nameof(KeybindingsJsonCache)}] Failed to read keybindings JSON timestamp", ex);
+            return null;
+        }
+    }
+
     public bool TryDeleteAll() =>
         Enum.GetValues<SCChannel>().Aggregate(false, (current, channel) => current || TryDelete(channel));
 
@@ -100,6 +100,19 @@ public sealed class StateService(PathProviderService pathProvider, IFileSystem f
         await SaveStateAsync(updatedState, cancellationToken).ConfigureAwait(false);
     }
 
+    public async Task<string?> GetUiLanguageAsync(CancellationToken cancellationToken = default)
+    {
+        PluginState? state = await LoadStateAsync(cancellationToken).ConfigureAwait(false);
+        return state?.UiLanguage;
+    }
+
+    public async Task UpdateUiLanguageAsync(string? language, CancellationToken cancellationToken = default)
+    {
+        PluginState currentState = await LoadOrCreateStateAsync(cancellationToken).ConfigureAwait(false);
+        PluginState updatedState = currentState.WithUiLanguage(language);
+        await SaveStateAsync(updatedState, cancellationToken).ConfigureAwait(false);
+    }
+
     public void DeleteStateFile()
     {
         try
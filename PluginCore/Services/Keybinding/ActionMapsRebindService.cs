@@ -0,0 +1,113 @@
+using System.Collections.Concurrent;
+using System.Diagnostics;
+using System.Diagnostics.CodeAnalysis;
+using System.Xml;
+using SCStreamDeck.Common;
+using SCStreamDeck.Logging;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Binds an action to a keyboard combo by adding a rebind to the user's actionmaps.xml.
+///     The actionmaps watcher picks up the change and reloads the keybindings.
+/// </summary>
+public sealed class ActionMapsRebindService(IFileSystem fileSystem)
+{
+    internal const string BackupSuffix = ".scstreamdeck.bak";
+    internal const string TempSuffix = ".scstreamdeck.tmp";
+
+    private const string GameProcessName = "StarCitizen";
+
+    private readonly IFileSystem _fileSystem = fileSystem ?? throw new ArgumentNullException(nameof(fileSystem));
+
+    // actionmaps.xml files this service wrote that the watcher has not reloaded yet.
+    private readonly ConcurrentDictionary<string, byte> _pendingOwnWrites = new(StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    ///     Checks whether the game is running; replaceable for tests.
+    /// </summary>
+    internal Func<bool> IsGameRunning { get; init; } = IsStarCitizenRunning;
+
+    /// <summary>
+    ///     Adds the rebind to actionmaps.xml. The first assignment saves a copy of the user's file next to it; later ones
+    ///     keep that copy, as the file they change was already written by the plugin.
+    ///     Nothing is written while Star Citizen runs, as the game overwrites actionmaps.xml when it exits.
+    /// </summary>
+    /// <param name="actionMapsPath">The channel's actionmaps.xml; null when the game has not written one yet.</param>
+    /// <param name="mapName">Action map of the action.</param>
+    /// <param name="actionName">Action to bind.</param>
+    /// <param name="binding">Keyboard binding, e.g. "rctrl+np_1".</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task<FreeKeyAssignmentResult> AssignKeyboardBindingAsync(
+        string? actionMapsPath,
+        string mapName,
+        string actionName,
+        string binding,
+        CancellationToken cancellationToken = default)
+    {
+        string snippet = UserOverrideWriter.BuildSnippet(mapName, actionName, binding);
+
+        if (string.IsNullOrWhiteSpace(actionMapsPath) || !_fileSystem.FileExists(actionMapsPath))
+        {
+            return FreeKeyAssignmentResult.NotWritten(binding, snippet, PiReasons.ActionMapsNotFound);
+        }
+
+        if (IsGameRunning())
+        {
+            return FreeKeyAssignmentResult.NotWritten(binding, snippet, PiReasons.GameRunning);
+        }
+
+        try
+        {
+            string xmlText = await _fileSystem.ReadAllTextAsync(actionMapsPath, cancellationToken).ConfigureAwait(false);
+            string updated = UserOverrideWriter.AddKeyboardRebind(xmlText, mapName, actionName, binding);
+
+            string backupPath = actionMapsPath + BackupSuffix;
+            if (!_fileSystem.FileExists(backupPath))
+            {
+                await _fileSystem.WriteAllTextAsync(backupPath, xmlText, cancellationToken).ConfigureAwait(false);
+            }
+
+            // Written next to the original and moved over it, so a failed write never leaves a truncated actionmaps.xml.
+            string tempPath = actionMapsPath + TempSuffix;
+            await _fileSystem.WriteAllTextAsync(tempPath, updated, cancellationToken).ConfigureAwait(false);
+            _pendingOwnWrites[actionMapsPath] = 0;
+            _fileSystem.MoveFile(tempPath, actionMapsPath, true);
+
+            Log.Info($"[{nameof(ActionMapsRebindService)}] Bound '{mapName}/{actionName}' to '{binding}'");
+            return new FreeKeyAssignmentResult(true, binding, snippet, backupPath, null);
+        }
+        catch (Exception ex) when (ex is XmlException or IOException or UnauthorizedAccessException)
+        {
+            _pendingOwnWrites.TryRemove(actionMapsPath, out _);
+            Log.Err($"[{nameof(ActionMapsRebindService)}] Failed to update '{actionMapsPath}': {ex.Message}", ex);
+            return FreeKeyAssignmentResult.NotWritten(binding, snippet, PiReasons.ActionMapsWriteFailed);
+        }
+    }
+
+    /// <summary>
+    ///     Whether the last change to <paramref name="actionMapsPath" /> was written by this service, and clears that mark.
+    ///     The actionmaps watcher uses it to tell an assigned free key apart from a rebind in game.
+    /// </summary>
+    public bool ConsumeOwnWrite(string actionMapsPath) =>
+        !string.IsNullOrWhiteSpace(actionMapsPath) && _pendingOwnWrites.TryRemove(actionMapsPath, out _);
+
+    [ExcludeFromCodeCoverage]
+    private static bool IsStarCitizenRunning()
+    {
+        Process[] processes = Process.GetProcessesByName(GameProcessName);
+        try
+        {
+            return processes.Length > 0;
+        }
+        finally
+        {
+            foreach (Process process in processes)
+            {
+                process.Dispose();
+            }
+        }
+    }
+}
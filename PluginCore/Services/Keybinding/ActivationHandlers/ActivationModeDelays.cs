@@ -0,0 +1,56 @@
+using SCStreamDeck.Models;
+
+namespace SCStreamDeck.Services.Keybinding.ActivationHandlers;
+
+/// <summary>
+///     Press and toggle delays of the timed activation modes.
+///     Shared by the handlers and the Property Inspector explanation so both report the same timing.
+/// </summary>
+internal static class ActivationModeDelays
+{
+    private const float DefaultToggleDelay = 0.25f;
+
+    /// <summary>
+    ///     Delay in seconds before a delayed mode starts: PressTriggerThreshold from metadata, or the mode default.
+    /// </summary>
+    internal static float ResolvePressDelay(ActivationMode mode, ActivationModeMetadata metadata)
+    {
+        ArgumentNullException.ThrowIfNull(metadata);
+
+        return metadata.PressTriggerThreshold > 0
+            ? metadata.PressTriggerThreshold
+            : GetDefaultPressDelay(mode);
+    }
+
+    /// <summary>
+    ///     Seconds smart_toggle waits before treating a press as held: ReleaseTriggerDelay from metadata, or 0.25s.
+    /// </summary>
+    internal static float ResolveToggleDelay(ActivationModeMetadata metadata)
+    {
+        ArgumentNullException.ThrowIfNull(metadata);
+
+        return metadata.ReleaseTriggerDelay > 0 ? metadata.ReleaseTriggerDelay : DefaultToggleDelay;
+    }
+
+    internal static bool IsDelayed(ActivationMode mode) =>
+        mode is ActivationMode.delayed_press
+            or ActivationMode.delayed_press_quicker
+            or ActivationMode.delayed_press_medium
+            or ActivationMode.delayed_press_long
+            or ActivationMode.delayed_hold
+            or ActivationMode.delayed_hold_long
+            or ActivationMode.delayed_hold_no_retrigger;
+
+    private static float GetDefaultPressDelay(ActivationMode mode) =>
+        mode switch
+        {
+            ActivationMode.delayed_press_quicker => 0.15f,
+            ActivationMode.delayed_press => 0.25f,
+            ActivationMode.delayed_press_medium => 0.5f,
+            ActivationMode.delayed_press_long => 1.5f,
+            ActivationMode.delayed_hold_no_retrigger => 0.15f,
+            ActivationMode.delayed_hold => 0.25f,
+            ActivationMode.delayed_hold_long => 1.5f,
+            _ => 0.25f
+        };
+}
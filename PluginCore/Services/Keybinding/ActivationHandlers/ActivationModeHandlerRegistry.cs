@@ -49,6 +49,12 @@ internal sealed class ActivationModeHandlerRegistry
         return _defaultHandler;
     }
 
+    /// <summary>
+    ///     Gets the name of the handler that executes <paramref name="mode" /> (e.g. for the PI test fire result).
+    /// </summary>
+    public string GetHandlerName(ActivationMode mode) =>
+        (_handlers.GetValueOrDefault(mode) ?? _defaultHandler).GetType().Name;
+
     /// <summary>
     ///     Executes the appropriate activation mode handler for the given context.
     /// </summary>
@@ -158,9 +158,7 @@ internal sealed class DelayedPressHandler : IActivationModeHandler
         if (context.IsKeyDown)
         {
             // Schedule delayed hold start
-            float delay = context.Metadata.PressTriggerThreshold > 0
-                ? context.Metadata.PressTriggerThreshold
-                : GetDefaultDelay(context.Mode);
+            float delay = ActivationModeDelays.ResolvePressDelay(context.Mode, context.Metadata);
 
             return executor.ScheduleDelayedHold(context.Input, context.ActionName, delay);
         }
@@ -169,16 +167,6 @@ internal sealed class DelayedPressHandler : IActivationModeHandler
         executor.CancelDelayedHold(context.ActionName);
         return executor.ExecuteUp(context.Input, context.ActionName);
     }
-
-    private static float GetDefaultDelay(ActivationMode mode) =>
-        mode switch
-        {
-            ActivationMode.delayed_press_quicker => 0.15f,
-            ActivationMode.delayed_press => 0.25f,
-            ActivationMode.delayed_press_medium => 0.5f,
-            ActivationMode.delayed_press_long => 1.5f,
-            _ => 0.25f
-        };
 }
 
 /// <summary>
@@ -217,9 +205,7 @@ internal sealed class HoldHandler : IActivationModeHandler
                 if (context.IsKeyDown)
                 {
                     // Schedule delayed hold using PressTriggerThreshold from metadata
-                    float delay = context.Metadata.PressTriggerThreshold > 0
-                        ? context.Metadata.PressTriggerThreshold
-                        : GetDefaultDelay(context.Mode);
+                    float delay = ActivationModeDelays.ResolvePressDelay(context.Mode, context.Metadata);
 
                     return executor.ScheduleDelayedHold(context.Input, context.ActionName, delay);
                 }
@@ -232,13 +218,4 @@ internal sealed class HoldHandler : IActivationModeHandler
                 return false;
         }
     }
-
-    private static float GetDefaultDelay(ActivationMode mode) =>
-        mode switch
-        {
-            ActivationMode.delayed_hold_no_retrigger => 0.15f,
-            ActivationMode.delayed_hold => 0.25f,
-            ActivationMode.delayed_hold_long => 1.5f,
-            _ => 0.25f
-        };
 }
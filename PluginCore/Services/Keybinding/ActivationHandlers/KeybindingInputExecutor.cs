@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using SCStreamDeck.Common;
 using SCStreamDeck.Models;
 using WindowsInput;
 using WindowsInput.Native;
@@ -14,6 +15,8 @@ internal sealed class KeybindingInputExecutor(
     ConcurrentDictionary<string, Timer> activationTimers)
     : IInputExecutor
 {
+    internal const int MouseAxisPixelsPerStep = 10;
+
     private readonly ConcurrentDictionary<string, Timer> _activationTimers =
         activationTimers ?? throw new ArgumentNullException(nameof(activationTimers));
 
@@ -188,6 +191,37 @@ internal sealed class KeybindingInputExecutor(
         }
     }
 
+    /// <summary>
+    ///     Moves a mouse axis by <paramref name="steps" /> (negative moves the other way).
+    ///     X and Y move the cursor by <see cref="MouseAxisPixelsPerStep" /> per step, Z scrolls one wheel click per step.
+    /// </summary>
+    /// <param name="axis">Axis from <see cref="KeybindingParserService.TryParseMouseAxis" />.</param>
+    /// <param name="steps">Signed number of steps.</param>
+    public bool ExecuteMouseAxis(string axis, int steps)
+    {
+        if (steps == 0)
+        {
+            return true;
+        }
+
+        switch (axis)
+        {
+            case SCConstants.Input.MouseAxis.X:
+                _inputSimulator.Mouse.MoveMouseBy(steps * MouseAxisPixelsPerStep, 0);
+                return true;
+
+            case SCConstants.Input.MouseAxis.Y:
+                _inputSimulator.Mouse.MoveMouseBy(0, steps * MouseAxisPixelsPerStep);
+                return true;
+
+            case SCConstants.Input.MouseAxis.Z:
+                _inputSimulator.Mouse.VerticalScroll(steps);
+                return true;
+        }
+
+        return false;
+    }
+
     private void PressModifiers(DirectInputKeyCode[] modifiers)
     {
         foreach (DirectInputKeyCode modifier in modifiers)
@@ -20,7 +20,7 @@ internal sealed class SmartToggleHandler : IActivationModeHandler
     private bool HandleKeyDown(ActivationExecutionContext context, IInputExecutor executor)
     {
         string key = context.ActionName;
-        float delay = context.Metadata.ReleaseTriggerDelay > 0 ? context.Metadata.ReleaseTriggerDelay : 0.25f;
+        float delay = ActivationModeDelays.ResolveToggleDelay(context.Metadata);
 
         // Initialize state for this key press
         KeyPressState state = new() { KeyDownTime = DateTime.UtcNow, AutoToggleExecuted = false };
@@ -0,0 +1,105 @@
+using System.Globalization;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding.ActivationHandlers;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Builds the Property Inspector explanation of an activation mode: a label, a plain-language sentence and
+///     the timing used to draw the press/hold/release diagram.
+///     Numbers come from the loaded <see cref="ActivationModeMetadata" /> (falling back to the handler defaults),
+///     so the PI shows the same thresholds the activation handlers use.
+/// </summary>
+internal static class ActivationModeInfoBuilder
+{
+    internal static JObject Build(ActivationMode mode, ActivationModeMetadata? metadata)
+    {
+        ActivationModeMetadata effective = metadata ?? ActivationModeMetadata.Empty();
+
+        float pressDelay = ActivationModeDelays.IsDelayed(mode)
+            ? ActivationModeDelays.ResolvePressDelay(mode, effective)
+            : 0f;
+        float releaseWindow = Math.Max(effective.ReleaseTriggerThreshold, 0f);
+        float toggleDelay = mode == ActivationMode.smart_toggle
+            ? ActivationModeDelays.ResolveToggleDelay(effective)
+            : 0f;
+        bool holdsInput = HoldsInput(mode, effective);
+
+        return new JObject
+        {
+            ["label"] = FunctionsPayloadBuilder.FormatActivationMode(mode),
+            ["explanation"] = Explain(mode, effective, pressDelay, releaseWindow, toggleDelay),
+            ["timing"] = new JObject
+            {
+                ["taps"] = Math.Max(effective.MultiTap, 1),
+                ["pressDelay"] = RoundSeconds(pressDelay),
+                ["releaseWindow"] = RoundSeconds(releaseWindow),
+                ["toggleDelay"] = RoundSeconds(toggleDelay),
+                ["firesOnPress"] = effective.OnPress && pressDelay <= 0 && toggleDelay <= 0,
+                ["firesOnRelease"] = effective.OnRelease && (!holdsInput || effective.OnHold) && toggleDelay <= 0,
+                ["holdsInput"] = holdsInput,
+                ["retriggerable"] = effective.Retriggerable
+            }
+        };
+    }
+
+    /// <summary>
+    ///     Whether the bound input stays down until the Stream Deck key is released (hold and delayed modes).
+    /// </summary>
+    private static bool HoldsInput(ActivationMode mode, ActivationModeMetadata metadata) =>
+        metadata.Retriggerable ||
+        metadata.OnHold ||
+        mode == ActivationMode.hold_no_retrigger ||
+        ActivationModeDelays.IsDelayed(mode);
+
+    private static string Explain(
+        ActivationMode mode,
+        ActivationModeMetadata metadata,
+        float pressDelay,
+        float releaseWindow,
+        float toggleDelay) =>
+        mode switch
+        {
+            ActivationMode.press =>
+                "Fires as soon as the key goes down.",
+            ActivationMode.press_quicker =>
+                $"Fires as soon as the key goes down, and again on release if you let go within {FormatSeconds(releaseWindow)}.",
+            ActivationMode.tap or ActivationMode.tap_quicker => releaseWindow > 0
+                ? $"Fires when the key is released, but only if you let go within {FormatSeconds(releaseWindow)}. " +
+                  "Holding longer cancels it."
+                : "Fires when the key is released.",
+            ActivationMode.double_tap or ActivationMode.double_tap_nonblocking => metadata.MultiTapBlock > 0
+                ? "Fires on the second press of a quick double press. " +
+                  "A single press is held back while the game waits for the second."
+                : "Fires on the second press of a quick double press. " +
+                  "A single press still reaches other actions on the same input.",
+            ActivationMode.delayed_press
+                or ActivationMode.delayed_press_quicker
+                or ActivationMode.delayed_press_medium
+                or ActivationMode.delayed_press_long =>
+                $"Fires only after the key has been held for {FormatSeconds(pressDelay)}. Releasing sooner does nothing.",
+            ActivationMode.delayed_hold
+                or ActivationMode.delayed_hold_long
+                or ActivationMode.delayed_hold_no_retrigger =>
+                $"Starts after the key has been held for {FormatSeconds(pressDelay)} and stays active until release." +
+                NoRetriggerSuffix(metadata),
+            ActivationMode.hold or ActivationMode.hold_no_retrigger =>
+                "Active for as long as the key is held down." + NoRetriggerSuffix(metadata),
+            ActivationMode.all =>
+                "Fires on press, keeps firing while held and fires again on release.",
+            ActivationMode.hold_toggle =>
+                "Switches on when the key goes down and back off when it is released.",
+            ActivationMode.smart_toggle =>
+                $"A short press toggles it. Held longer than {FormatSeconds(toggleDelay)}, it only stays on until you let go.",
+            _ => string.Empty
+        };
+
+    private static string NoRetriggerSuffix(ActivationModeMetadata metadata) =>
+        metadata.Retriggerable ? string.Empty : " It does not repeat while held.";
+
+    private static string FormatSeconds(float seconds) =>
+        $"{RoundSeconds(seconds).ToString("0.##", CultureInfo.InvariantCulture)} s";
+
+    private static double RoundSeconds(float seconds) => Math.Round(seconds, 2);
+}
@@ -0,0 +1,106 @@
+using SCStreamDeck.Models;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Compares two sets of parsed actions and lists the functions whose keyboard or mouse bindings changed.
+///     Joystick and gamepad bindings are ignored: keys only send keyboard and mouse input.
+/// </summary>
+internal static class BindingChangeDetector
+{
+    /// <summary>
+    ///     Changed functions, ordered by map label and label. Actions without a label are not listed (the PI hides them).
+    /// </summary>
+    /// <param name="before">Actions loaded before the change.</param>
+    /// <param name="after">Actions loaded after the change.</param>
+    internal static IReadOnlyList<BindingChange> Compare(
+        IEnumerable<KeybindingAction> before,
+        IEnumerable<KeybindingAction> after)
+    {
+        ArgumentNullException.ThrowIfNull(before);
+        ArgumentNullException.ThrowIfNull(after);
+
+        Dictionary<string, KeybindingAction> oldById = IndexById(before);
+        Dictionary<string, KeybindingAction> newById = IndexById(after);
+
+        List<BindingChange> changes = [];
+        foreach (string id in oldById.Keys.Union(newById.Keys, StringComparer.OrdinalIgnoreCase))
+        {
+            KeybindingAction? oldAction = oldById.GetValueOrDefault(id);
+            KeybindingAction? newAction = newById.GetValueOrDefault(id);
+            KeybindingAction action = newAction ?? oldAction!;
+
+            BindingChangeKind? kind = GetKind(oldAction, newAction);
+            if (kind == null || string.IsNullOrWhiteSpace(action.UiLabel))
+            {
+                continue;
+            }
+
+            changes.Add(new BindingChange(
+                action.ActionName,
+                action.MapName,
+                action.UiLabel,
+                string.IsNullOrWhiteSpace(action.MapLabel) ? action.MapName : action.MapLabel,
+                kind.Value,
+                Normalize(oldAction?.KeyboardBinding),
+                Normalize(oldAction?.MouseBinding),
+                Normalize(newAction?.KeyboardBinding),
+                Normalize(newAction?.MouseBinding)));
+        }
+
+        return changes
+            .OrderBy(c => c.MapLabel, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(c => c.Label, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    ///     True when the action has a keyboard or mouse binding a key can send.
+    /// </summary>
+    internal static bool IsBound(KeybindingAction? action) =>
+        action != null &&
+        (!string.IsNullOrWhiteSpace(action.KeyboardBinding) || !string.IsNullOrWhiteSpace(action.MouseBinding));
+
+    // One entry per (action, map), like the v2 function ids.
+    private static Dictionary<string, KeybindingAction> IndexById(IEnumerable<KeybindingAction> actions)
+    {
+        Dictionary<string, KeybindingAction> byId = new(StringComparer.OrdinalIgnoreCase);
+        foreach (KeybindingAction action in actions)
+        {
+            byId.TryAdd($"{action.ActionName}|{action.MapName}", action);
+        }
+
+        return byId;
+    }
+
+    private static BindingChangeKind? GetKind(KeybindingAction? oldAction, KeybindingAction? newAction)
+    {
+        bool wasBound = IsBound(oldAction);
+        bool isBound = IsBound(newAction);
+
+        if (!wasBound && !isBound)
+        {
+            return null;
+        }
+
+        if (!wasBound)
+        {
+            return BindingChangeKind.Added;
+        }
+
+        if (!isBound)
+        {
+            return BindingChangeKind.Removed;
+        }
+
+        bool same =
+            string.Equals(Normalize(oldAction!.KeyboardBinding), Normalize(newAction!.KeyboardBinding),
+                StringComparison.OrdinalIgnoreCase) &&
+            string.Equals(Normalize(oldAction.MouseBinding), Normalize(newAction.MouseBinding),
+                StringComparison.OrdinalIgnoreCase);
+
+        return same ? null : BindingChangeKind.Rebound;
+    }
+
+    private static string Normalize(string? binding) => binding?.Trim() ?? string.Empty;
+}
@@ -0,0 +1,89 @@
+using SCStreamDeck.Models;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Proposes keyboard combos that no action in the parsed keybindings uses, for binding unbound actions.
+/// </summary>
+internal static class FreeKeyFinder
+{
+    internal const int DefaultCount = 6;
+
+    // Only pressed by the Stream Deck, so awkward combos are fine. Right-hand modifiers and the numpad/F-keys are
+    // rarely bound by default. Alt and F4 are left out (Alt+F4, AltGr on non-US layouts).
+    private static readonly string[] s_modifiers = ["rctrl+rshift", "rctrl", "rshift", "lctrl+lshift"];
+
+    private static readonly string[] s_keys =
+    [
+        "np_0", "np_1", "np_2", "np_3", "np_4", "np_5", "np_6", "np_7", "np_8", "np_9",
+        "np_add", "np_subtract", "np_multiply", "np_divide",
+        "f1", "f2", "f3", "f5", "f6", "f7", "f8", "f9", "f10", "f11", "f12"
+    ];
+
+    /// <summary>
+    ///     Free combos in order of preference.
+    /// </summary>
+    /// <param name="actions">All parsed actions; their keyboard bindings count as taken.</param>
+    /// <param name="count">Maximum number of combos.</param>
+    internal static IReadOnlyList<string> FindFreeKeyboardBindings(
+        IEnumerable<KeybindingAction> actions,
+        int count = DefaultCount)
+    {
+        ArgumentNullException.ThrowIfNull(actions);
+
+        HashSet<string> used = new(StringComparer.OrdinalIgnoreCase);
+        foreach (KeybindingAction action in actions)
+        {
+            if (!string.IsNullOrWhiteSpace(action.KeyboardBinding))
+            {
+                used.Add(Normalize(action.KeyboardBinding));
+            }
+        }
+
+        List<string> free = [];
+        foreach (string modifier in s_modifiers)
+        {
+            foreach (string key in s_keys)
+            {
+                if (free.Count >= count)
+                {
+                    return free;
+                }
+
+                string candidate = $"{modifier}+{key}";
+                if (!used.Contains(Normalize(candidate)))
+                {
+                    free.Add(candidate);
+                }
+            }
+        }
+
+        return free;
+    }
+
+    /// <summary>
+    ///     True when <paramref name="binding" /> is one of the combos <see cref="FindFreeKeyboardBindings" /> proposes.
+    /// </summary>
+    internal static bool IsFree(IEnumerable<KeybindingAction> actions, string binding) =>
+        !string.IsNullOrWhiteSpace(binding) &&
+        FindFreeKeyboardBindings(actions, int.MaxValue).Contains(Normalize(binding), StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    ///     Modifiers sorted and lower-cased, so "lshift+lctrl+a" and "LCtrl+LShift+A" compare equal.
+    /// </summary>
+    internal static string Normalize(string binding)
+    {
+        string[] parts = binding
+            .Split('+', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Select(p => p.ToLowerInvariant())
+            .ToArray();
+
+        if (parts.Length <= 1)
+        {
+            return string.Join('+', parts);
+        }
+
+        IEnumerable<string> modifiers = parts[..^1].Order(StringComparer.Ordinal);
+        return string.Join('+', modifiers.Append(parts[^1]));
+    }
+}
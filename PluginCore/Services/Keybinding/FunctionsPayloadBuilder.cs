@@ -26,7 +26,8 @@ internal static class FunctionsPayloadBuilder
 
     internal static JArray BuildGroupedFunctionsPayload(
         IEnumerable<KeybindingAction> actions,
-        nint hkl)
+        nint hkl,
+        IReadOnlyDictionary<ActivationMode, ActivationModeMetadata>? activationModes = null)
     {
         ArgumentNullException.ThrowIfNull(actions);
 
@@ -38,7 +39,8 @@ internal static class FunctionsPayloadBuilder
                 ResolveMapGroupLabel(a),
                 a.UiCategory,
                 a.UiLabel,
-                a.UiDescription))
+                a.UiDescription,
+                a.UiDescriptionEnglish))
             .Where(x => !string.IsNullOrWhiteSpace(x.ActionLabel))
             .ToList();
 
@@ -65,7 +67,7 @@ internal static class FunctionsPayloadBuilder
 
             foreach (GroupedActionEntry groupedEntry in categoryGroup.OrderBy(e => e.ActionLabelResolved))
             {
-                (string text, string searchText, JObject details) = BuildPayloadEntry(groupedEntry);
+                (string text, string searchText, JObject details) = BuildPayloadEntry(groupedEntry, activationModes);
 
                 (bool disabled, string disabledReason) = GetDisabledStatus(groupedEntry);
 
@@ -269,6 +271,7 @@ internal static class FunctionsPayloadBuilder
             first.GroupLabel,
             first.ActionLabel,
             string.IsNullOrWhiteSpace(first.Description) ? null : first.Description,
+            string.IsNullOrWhiteSpace(first.DescriptionEnglish) ? null : first.DescriptionEnglish,
             name,
             first.Action.MapName,
             first.LegacyCategoryLabel,
@@ -292,7 +295,7 @@ internal static class FunctionsPayloadBuilder
         return "Other";
     }
 
-    private static string BuildV2Id(string actionName, string mapName) =>
+    internal static string BuildV2Id(string actionName, string mapName) =>
         $"{FunctionIdV2Prefix}{actionName}|{mapName}";
 
     private static List<BindingDisplay> CollectBindings(List<ResolvedAction> actions, nint hkl)
@@ -343,17 +346,21 @@ internal static class FunctionsPayloadBuilder
             .ThenBy(b => b.Display)
             .ToList();
 
-    private static (string text, string searchText, JObject details) BuildPayloadEntry(GroupedActionEntry entry)
+    private static (string text, string searchText, JObject details) BuildPayloadEntry(
+        GroupedActionEntry entry,
+        IReadOnlyDictionary<ActivationMode, ActivationModeMetadata>? activationModes)
     {
         string text = entry.ActionLabelResolved;
         string searchText = BuildSearchText(entry).ToLowerInvariant();
-        JObject details = BuildDetailsPayload(entry);
+        JObject details = BuildDetailsPayload(entry, activationModes);
 
         return (text, searchText, details);
     }
 
 
-    private static JObject BuildDetailsPayload(GroupedActionEntry entry)
+    private static JObject BuildDetailsPayload(
+        GroupedActionEntry entry,
+        IReadOnlyDictionary<ActivationMode, ActivationModeMetadata>? activationModes)
     {
         JObject details = new()
         {
@@ -361,9 +368,17 @@ internal static class FunctionsPayloadBuilder
             ["description"] = entry.DescriptionResolved ?? string.Empty,
             ["actionName"] = entry.ActionName,
             ["activationMode"] = entry.ActivationMode.ToString(),
+            ["activationInfo"] = ActivationModeInfoBuilder.Build(
+                entry.ActivationMode,
+                activationModes?.GetValueOrDefault(entry.ActivationMode)),
             ["isToggleCandidate"] = entry.IsToggleCandidate
         };
 
+        if (entry.DescriptionEnglishResolved != null)
+        {
+            details["descriptionEnglish"] = entry.DescriptionEnglishResolved;
+        }
+
 
         IOrderedEnumerable<IGrouping<InputDeviceType, BindingDisplay>> byDevice = entry.Bindings
             .Where(b => !string.IsNullOrWhiteSpace(b.Raw))
@@ -382,11 +397,10 @@ internal static class FunctionsPayloadBuilder
             devices.Add(new JObject { ["device"] = g.Key.ToString(), ["bindings"] = new JArray(bindings) });
         }
 
-        // TODO: Come back later when able to test Dials
         details["devices"] = devices;
         details["isBound"] = devices.Count > 0;
 
-        // For PI logic: let it tag/disable axis-only options
+        // For PI logic: keys disable axis-only options, the Dial lists only options with an axis
         details["hasAxis"] = entry.Bindings.Any(b => b.Device == InputDeviceType.MouseAxis);
         details["hasButton"] = entry.Bindings.Any(b => b.Device != InputDeviceType.MouseAxis);
 
@@ -475,7 +489,7 @@ internal static class FunctionsPayloadBuilder
         }
         else if (presence.HasMouseAxis)
         {
-            // TODO: When implementing full axis support, stop hiding axis-only options in the PI.
+            // Disabled for keys only; the Dial PI lists these as its functions.
             disabledReason = DisabledReasonAxisOnly;
         }
         else if (presence.HasJoystick || presence.HasGamepad)
@@ -582,7 +596,8 @@ internal sealed record ResolvedAction(
     string GroupLabel,
     string LegacyCategoryLabel,
     string ActionLabel,
-    string Description);
+    string Description,
+    string DescriptionEnglish);
 
 internal sealed record BindingDisplay(
     InputDeviceType Device,
@@ -594,6 +609,7 @@ internal sealed record GroupedActionEntry(
     string GroupLabelResolved,
     string ActionLabelResolved,
     string? DescriptionResolved,
+    string? DescriptionEnglishResolved,
     string ActionName,
     string MapName,
     string LegacyCategoryLabelResolved,
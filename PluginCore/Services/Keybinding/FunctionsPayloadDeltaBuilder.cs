@@ -0,0 +1,174 @@
+using System.Security.Cryptography;
+using System.Text;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Builds the functions update for a Property Inspector that caches the grouped functions payload.
+///     The PI reports the channel + hash of its cached payload; the plugin answers with "unchanged",
+///     a delta against that payload, or the full list.
+/// </summary>
+internal static class FunctionsPayloadDeltaBuilder
+{
+    private const string ClientCacheKey = "functionsCache";
+
+    // Above this share of changed options a delta is no smaller than the full payload.
+    private const double MaxDeltaRatio = 0.5;
+
+    /// <summary>
+    ///     Stable content hash of a grouped functions payload (SHA-256 of its compact JSON).
+    /// </summary>
+    public static string ComputeHash(JArray groups)
+    {
+        ArgumentNullException.ThrowIfNull(groups);
+
+        byte[] bytes = Encoding.UTF8.GetBytes(groups.ToString(Formatting.None));
+        return Convert.ToHexString(SHA256.HashData(bytes));
+    }
+
+    /// <summary>
+    ///     Reads the cache info sent with "propertyInspectorConnected".
+    ///     Supported is false for PI bundles that cannot apply "unchanged"/delta updates.
+    /// </summary>
+    public static (bool Supported, string? Channel, string? Hash) GetClientCache(JObject payload)
+    {
+        ArgumentNullException.ThrowIfNull(payload);
+
+        if (payload[ClientCacheKey] is not JObject cache)
+        {
+            return (false, null, null);
+        }
+
+        string? channel = cache.Value<string>("channel");
+        string? hash = cache.Value<string>("hash");
+
+        return (true,
+            string.IsNullOrWhiteSpace(channel) ? null : channel,
+            string.IsNullOrWhiteSpace(hash) ? null : hash);
+    }
+
+    /// <summary>
+    ///     Builds the functions payload for a PI that already holds the payload identified by <paramref name="knownHash" />.
+    /// </summary>
+    /// <param name="channel">Channel the functions belong to (part of the PI cache key).</param>
+    /// <param name="groups">Current grouped functions payload.</param>
+    /// <param name="hash">Hash of <paramref name="groups" />.</param>
+    /// <param name="knownHash">Hash the PI holds, or null when unknown.</param>
+    /// <param name="knownGroups">Payload for <paramref name="knownHash" /> if still available, enabling a delta.</param>
+    public static JObject BuildUpdate(string channel, JArray groups, string hash, string? knownHash, JArray? knownGroups)
+    {
+        ArgumentNullException.ThrowIfNull(groups);
+        ArgumentException.ThrowIfNullOrWhiteSpace(hash);
+
+        JObject payload = new() { ["functionsLoaded"] = true, ["channel"] = channel, ["functionsHash"] = hash };
+
+        if (knownHash != null && string.Equals(knownHash, hash, StringComparison.Ordinal))
+        {
+            payload["functionsUnchanged"] = true;
+            return payload;
+        }
+
+        if (knownHash != null && knownGroups != null)
+        {
+            JObject? delta = BuildDelta(knownGroups, groups);
+            if (delta != null)
+            {
+                delta["baseHash"] = knownHash;
+                payload["functionsDelta"] = delta;
+                return payload;
+            }
+        }
+
+        payload["functions"] = groups;
+        return payload;
+    }
+
+    /// <summary>
+    ///     Diffs two grouped payloads by option value (v2 function id).
+    ///     Returns null when the delta would not be meaningfully smaller than the full payload.
+    /// </summary>
+    public static JObject? BuildDelta(JArray baseGroups, JArray currentGroups)
+    {
+        ArgumentNullException.ThrowIfNull(baseGroups);
+        ArgumentNullException.ThrowIfNull(currentGroups);
+
+        Dictionary<string, (string Group, JObject Option)> baseByValue =
+            IndexOptions(baseGroups, out List<(string Label, List<string> Values)> baseOrder);
+        Dictionary<string, (string Group, JObject Option)> currentByValue =
+            IndexOptions(currentGroups, out List<(string Label, List<string> Values)> currentOrder);
+
+        JArray upserted = [];
+        foreach ((string value, (string group, JObject option)) in currentByValue)
+        {
+            if (baseByValue.TryGetValue(value, out (string Group, JObject Option) previous) &&
+                string.Equals(previous.Group, group, StringComparison.Ordinal) &&
+                JToken.DeepEquals(previous.Option, option))
+            {
+                continue;
+            }
+
+            upserted.Add(new JObject { ["group"] = group, ["option"] = option.DeepClone() });
+        }
+
+        JArray removed = new(baseByValue.Keys.Where(v => !currentByValue.ContainsKey(v)));
+
+        if (upserted.Count + removed.Count > Math.Max(1, currentByValue.Count) * MaxDeltaRatio)
+        {
+            return null;
+        }
+
+        Dictionary<string, List<string>> baseOrderByLabel = baseOrder
+            .GroupBy(g => g.Label, StringComparer.Ordinal)
+            .ToDictionary(g => g.Key, g => g.First().Values, StringComparer.Ordinal);
+
+        JObject optionOrder = new();
+        foreach ((string label, List<string> values) in currentOrder)
+        {
+            if (baseOrderByLabel.TryGetValue(label, out List<string>? previous) && previous.SequenceEqual(values))
+            {
+                continue;
+            }
+
+            optionOrder[label] = new JArray(values);
+        }
+
+        return new JObject
+        {
+            ["upserted"] = upserted,
+            ["removed"] = removed,
+            ["groupOrder"] = new JArray(currentOrder.Select(g => g.Label)),
+            ["optionOrder"] = optionOrder
+        };
+    }
+
+    private static Dictionary<string, (string Group, JObject Option)> IndexOptions(
+        JArray groups,
+        out List<(string Label, List<string> Values)> order)
+    {
+        Dictionary<string, (string Group, JObject Option)> byValue = new(StringComparer.Ordinal);
+        order = [];
+
+        foreach (JObject group in groups.OfType<JObject>())
+        {
+            string label = group.Value<string>("label") ?? string.Empty;
+            List<string> values = [];
+
+            foreach (JObject option in (group["options"] as JArray ?? new JArray()).OfType<JObject>())
+            {
+                string? value = option.Value<string>("value");
+                if (string.IsNullOrEmpty(value) || !byValue.TryAdd(value, (label, option)))
+                {
+                    continue;
+                }
+
+                values.Add(value);
+            }
+
+            order.Add((label, values));
+        }
+
+        return byValue;
+    }
+}
@@ -0,0 +1,74 @@
+using System.Diagnostics.CodeAnalysis;
+using Newtonsoft.Json.Linq;
+
+namespace SCStreamDeck.Services.Keybinding;
+
+/// <summary>
+///     Remembers the last few grouped functions payloads sent to Property Inspectors, keyed by content hash,
+///     so a PI holding an older cached payload can be sent a delta instead of the full list.
+///     In-memory only: after a plugin restart, PIs with a stale cache receive the full payload once.
+/// </summary>
+public sealed class FunctionsPayloadHistory
+{
+    private const int MaxEntries = 4;
+
+    private readonly LinkedList<(string Hash, JArray Groups)> _entries = new();
+    private readonly object _lock = new();
+
+    /// <summary>
+    ///     Stores a payload (most recent first) and returns its hash.
+    /// </summary>
+    public string Record(JArray groups)
+    {
+        ArgumentNullException.ThrowIfNull(groups);
+
+        string hash = FunctionsPayloadDeltaBuilder.ComputeHash(groups);
+
+        lock (_lock)
+        {
+            LinkedListNode<(string Hash, JArray Groups)>? existing = Find(hash);
+            if (existing != null)
+            {
+                _entries.Remove(existing);
+            }
+
+            _entries.AddFirst((hash, groups));
+
+            while (_entries.Count > MaxEntries)
+            {
+                _entries.RemoveLast();
+            }
+        }
+
+        return hash;
+    }
+
+    public bool TryGet(string? hash, [NotNullWhen(true)] out JArray? groups)
+    {
+        groups = null;
+        if (string.IsNullOrWhiteSpace(hash))
+        {
+            return false;
+        }
+
+        lock (_lock)
+        {
+            groups = Find(hash)?.Value.Groups;
+        }
+
+        return groups != null;
+    }
+
+    private LinkedListNode<(string Hash, JArray Groups)>? Find(string hash)
+    {
+        for (LinkedListNode<(string Hash, JArray Groups)>? node = _entries.First; node != null; node = node.Next)
+        {
+            if (string.Equals(node.Value.Hash, hash, StringComparison.Ordinal))
+            {
+                return node;
+            }
+        }
+
+        return null;
+    }
+}
@@ -122,6 +122,40 @@ public sealed class KeybindingExecutorService : IDisposable
         }
     }
 
+    /// <summary>
+    ///     Moves the mouse axis of <paramref name="binding" /> by a signed number of steps (Dial rotation).
+    /// </summary>
+    internal async Task<bool> ExecuteMouseAxisAsync(
+        string actionName,
+        string binding,
+        int steps,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(actionName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(binding);
+
+        cancellationToken.ThrowIfCancellationRequested();
+
+        if (!KeybindingParserService.TryParseMouseAxis(binding, out string axis))
+        {
+            Log.Warn($"[{nameof(KeybindingExecutorService)}] '{binding}' is not a mouse axis binding ('{actionName}')");
+            return false;
+        }
+
+        try
+        {
+            return await Task.Run(() => _inputExecutor.ExecuteMouseAxis(axis, steps), cancellationToken)
+                .ConfigureAwait(false);
+        }
+        catch (InvalidOperationException ex)
+        {
+            Log.Err($"[{nameof(KeybindingExecutorService)}] Operation failed for '{actionName}'", ex);
+            return false;
+        }
+    }
+
+    internal string GetActivationHandlerName(ActivationMode mode) => _handlerRegistry.GetHandlerName(mode);
+
     /// <summary>
     ///     Executes an action using the Strategy pattern via ActivationModeHandlerRegistry.
     ///     Each activation mode (press, hold, tap, etc.) has its own handler.
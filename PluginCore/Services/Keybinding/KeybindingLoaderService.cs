@@ -28,9 +28,15 @@ public sealed class KeybindingLoaderService(IFileSystem fileSystem)
     private Dictionary<ActivationMode, ActivationModeMetadata> _activationModesByMode = [];
     private Dictionary<string, ActivationModeMetadata> _activationModesByName = new(StringComparer.OrdinalIgnoreCase);
     private volatile bool _isLoaded;
+    private volatile string _language = SCConstants.Localization.DefaultLanguage;
 
     public bool IsLoaded => _isLoaded;
 
+    /// <summary>
+    ///     Game language the loaded labels were localized for (user.cfg g_language); english when nothing is loaded.
+    /// </summary>
+    public string Language => _language;
+
     public async Task<bool> LoadKeybindingsAsync(string jsonPath, CancellationToken cancellationToken = default)
     {
         try
@@ -177,6 +183,7 @@ public sealed class KeybindingLoaderService(IFileSystem fileSystem)
 
             _activationModesByName = new Dictionary<string, ActivationModeMetadata>(StringComparer.OrdinalIgnoreCase);
             _activationModesByMode = [];
+            _language = SCConstants.Localization.DefaultLanguage;
             _isLoaded = false;
         }
     }
@@ -215,6 +222,10 @@ public sealed class KeybindingLoaderService(IFileSystem fileSystem)
 
             _activationModesByMode = MapActivationModesByMode(_activationModesByName);
 
+            _language = string.IsNullOrWhiteSpace(metadata.Language)
+                ? SCConstants.Localization.DefaultLanguage
+                : metadata.Language;
+
             _isLoaded = true;
         }
     }
@@ -350,6 +361,7 @@ public sealed class KeybindingLoaderService(IFileSystem fileSystem)
         MapLabel = action.MapLabel ?? string.Empty,
         UiLabel = action.Label ?? string.Empty,
         UiDescription = action.Description ?? string.Empty,
+        UiDescriptionEnglish = action.DescriptionEnglish ?? string.Empty,
         UiCategory = action.Category ?? string.Empty,
         KeyboardBinding = action.Bindings?.Keyboard ?? string.Empty,
         MouseBinding = action.Bindings?.Mouse ?? string.Empty,
@@ -86,6 +86,31 @@ public static class KeybindingParserService
         return null;
     }
 
+    /// <summary>
+    ///     Parses a plain mouse axis binding ("maxis_x", "maxis_y" or "maxis_z") for the Dial.
+    ///     Axes combined with modifiers are not supported.
+    /// </summary>
+    /// <param name="binding">The binding string.</param>
+    /// <param name="axis">The normalized axis (e.g. "MAXIS_X").</param>
+    public static bool TryParseMouseAxis(string? binding, out string axis)
+    {
+        axis = string.Empty;
+
+        if (string.IsNullOrWhiteSpace(binding))
+        {
+            return false;
+        }
+
+        string normalized = binding.Trim().ToUpperInvariant();
+        if (normalized is not (SCConstants.Input.MouseAxis.X or SCConstants.Input.MouseAxis.Y or SCConstants.Input.MouseAxis.Z))
+        {
+            return false;
+        }
+
+        axis = normalized;
+        return true;
+    }
+
     private static bool TryParseMouseWheel(string normalized, out ParsedInputResult? result)
     {
         result = null;
@@ -188,9 +188,20 @@ public sealed class KeybindingProcessorService(
                 return;
             }
 
+            // The PI can show the English description next to a localized one.
+            IReadOnlyDictionary<string, string>? english = null;
+            if (!language.Equals(SCConstants.Localization.DefaultLanguage, StringComparison.OrdinalIgnoreCase))
+            {
+                english = await _localizationService.LoadGlobalIniAsync(
+                    installation.ChannelPath,
+                    SCConstants.Localization.DefaultLanguage,
+                    installation.DataP4KPath,
+                    cancellationToken).ConfigureAwait(false);
+            }
+
             foreach (KeybindingActionData action in actions)
             {
-                ApplyLocalization(localization, action);
+                ApplyLocalization(localization, english, action);
             }
         }
         catch (Exception ex) when (ex is not OperationCanceledException)
@@ -201,6 +212,7 @@ public sealed class KeybindingProcessorService(
 
     private static void ApplyLocalization(
         IReadOnlyDictionary<string, string> localization,
+        IReadOnlyDictionary<string, string>? english,
         KeybindingActionData action)
     {
         if (localization.TryGetValue(action.Label, out string? localizedLabel))
@@ -211,6 +223,13 @@ public sealed class KeybindingProcessorService(
         if (!string.IsNullOrEmpty(action.Description) &&
             localization.TryGetValue(action.Description, out string? localizedDesc))
         {
+            if (english != null &&
+                english.TryGetValue(action.Description, out string? englishDesc) &&
+                !string.Equals(englishDesc, localizedDesc, StringComparison.Ordinal))
+            {
+                action.DescriptionEnglish = englishDesc;
+            }
+
             action.Description = localizedDesc;
         }
 
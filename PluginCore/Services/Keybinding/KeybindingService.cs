@@ -21,6 +21,8 @@ public sealed class KeybindingService(
 
     public bool IsLoaded => _loaderService.IsLoaded;
 
+    public string Language => _loaderService.Language;
+
     public void Dispose()
     {
         if (_disposed)
@@ -45,6 +47,15 @@ public sealed class KeybindingService(
         CancellationToken cancellationToken = default) =>
         await _executorService.ExecutePressNoRepeatAsync(actionName, binding, cancellationToken).ConfigureAwait(false);
 
+    internal async Task<bool> ExecuteMouseAxisAsync(
+        string actionName,
+        string binding,
+        int steps,
+        CancellationToken cancellationToken = default) =>
+        await _executorService.ExecuteMouseAxisAsync(actionName, binding, steps, cancellationToken).ConfigureAwait(false);
+
+    internal string GetActivationHandlerName(ActivationMode mode) => _executorService.GetActivationHandlerName(mode);
+
     public bool TryGetAction(string? actionName, out KeybindingAction? action) =>
         _loaderService.TryGetAction(actionName, out action);
 
@@ -52,4 +63,7 @@ public sealed class KeybindingService(
         _loaderService.TryNormalizeActionId(actionId, out normalizedId);
 
     public IReadOnlyList<KeybindingAction> GetAllActions() => _loaderService.GetAllActions();
+
+    public IReadOnlyDictionary<ActivationMode, ActivationModeMetadata> GetActivationModesByMode() =>
+        _loaderService.GetActivationModesByMode();
 }
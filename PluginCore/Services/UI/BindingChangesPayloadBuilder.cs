@@ -0,0 +1,57 @@
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Common;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds the "bindingChanges" PI message sent after actionmaps.xml was edited in game:
+///     counts per kind plus the first <see cref="MaxListedChanges" /> changes with display bindings.
+/// </summary>
+internal static class BindingChangesPayloadBuilder
+{
+    // A profile switch in game can touch hundreds of actions; the PI only lists the first ones.
+    internal const int MaxListedChanges = 100;
+
+    public static JObject Build(IReadOnlyList<BindingChange> changes, nint hkl, bool keyLostBinding)
+    {
+        ArgumentNullException.ThrowIfNull(changes);
+
+        JArray list = new(changes.Take(MaxListedChanges).Select(c => new JObject
+        {
+            ["functionId"] = FunctionsPayloadBuilder.BuildV2Id(c.ActionName, c.MapName),
+            ["label"] = c.Label,
+            ["group"] = c.MapLabel,
+            ["kind"] = FormatKind(c.Kind),
+            ["oldBinding"] = FormatBinding(c.OldKeyboard, c.OldMouse, hkl),
+            ["newBinding"] = FormatBinding(c.NewKeyboard, c.NewMouse, hkl)
+        }));
+
+        return new JObject
+        {
+            ["added"] = changes.Count(c => c.Kind == BindingChangeKind.Added),
+            ["removed"] = changes.Count(c => c.Kind == BindingChangeKind.Removed),
+            ["rebound"] = changes.Count(c => c.Kind == BindingChangeKind.Rebound),
+            ["total"] = changes.Count,
+            ["truncated"] = changes.Count > MaxListedChanges,
+            ["keyLostBinding"] = keyLostBinding,
+            ["changes"] = list
+        };
+    }
+
+    internal static string FormatKind(BindingChangeKind kind) =>
+        kind switch
+        {
+            BindingChangeKind.Added => "added",
+            BindingChangeKind.Removed => "removed",
+            _ => "rebound"
+        };
+
+    // Keyboard as shown on the user's layout, mouse as written by the game ("mouse2").
+    private static string FormatBinding(string keyboard, string mouse, nint hkl)
+    {
+        string[] parts = [DirectInputDisplayMapper.ToDisplay(keyboard, hkl), mouse.Trim()];
+        return string.Join(" / ", parts.Where(p => p.Length > 0));
+    }
+}
@@ -5,15 +5,24 @@ namespace SCStreamDeck.Services.UI;
 
 internal static class ControlPanelPayloadBuilder
 {
+    /// <summary>
+    ///     invalidReason for channels without a cached installation.
+    /// </summary>
+    public const string NotDetectedReason = "notDetected";
+
     public static JObject Build(
         PluginState? state,
         bool initialized,
         SCChannel currentChannel,
         Func<SCChannel, bool> keybindingsJsonExists,
-        Func<InstallationState, bool> isInstallationValid)
+        Func<SCChannel, DateTime?> keybindingsJsonLastWrite,
+        Func<InstallationState, bool> isInstallationValid,
+        Func<InstallationState, string?> getInvalidReason)
     {
         ArgumentNullException.ThrowIfNull(keybindingsJsonExists);
+        ArgumentNullException.ThrowIfNull(keybindingsJsonLastWrite);
         ArgumentNullException.ThrowIfNull(isInstallationValid);
+        ArgumentNullException.ThrowIfNull(getInvalidReason);
 
         SCChannel preferred = state?.SelectedChannel ?? SCChannel.Live;
 
@@ -24,6 +33,18 @@ internal static class ControlPanelPayloadBuilder
             bool configured = install != null;
             bool valid = install != null && isInstallationValid(install);
             string dataP4KPath = install?.ToCandidate().DataP4KPath ?? string.Empty;
+            bool jsonExists = keybindingsJsonExists(ch);
+            DateTime? jsonLastWrite = jsonExists ? keybindingsJsonLastWrite(ch) : null;
+
+            string invalidReason = string.Empty;
+            if (install == null)
+            {
+                invalidReason = NotDetectedReason;
+            }
+            else if (!valid)
+            {
+                invalidReason = getInvalidReason(install) ?? string.Empty;
+            }
 
             channels.Add(new JObject
             {
@@ -34,7 +55,9 @@ internal static class ControlPanelPayloadBuilder
                 ["rootPath"] = install?.RootPath ?? string.Empty,
                 ["channelPath"] = install?.ChannelPath ?? string.Empty,
                 ["dataP4KPath"] = dataP4KPath,
-                ["keybindingsJsonExists"] = keybindingsJsonExists(ch)
+                ["invalidReason"] = invalidReason,
+                ["keybindingsJsonExists"] = jsonExists,
+                ["keybindingsJsonLastWrite"] = jsonLastWrite?.ToString("O") ?? string.Empty
             });
         }
 
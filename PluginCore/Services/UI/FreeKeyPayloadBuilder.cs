@@ -0,0 +1,46 @@
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Common;
+using SCStreamDeck.Models;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds the results of the PI "freeKeys" and "assignFreeKey" requests. Fields that do not apply are omitted.
+/// </summary>
+internal static class FreeKeyPayloadBuilder
+{
+    public static JObject BuildSuggestions(IReadOnlyList<string> bindings, nint hkl)
+    {
+        ArgumentNullException.ThrowIfNull(bindings);
+
+        return new JObject { ["bindings"] = new JArray(bindings.Select(b => BuildBinding(b, hkl))) };
+    }
+
+    public static JObject Build(FreeKeyAssignmentResult result, nint hkl)
+    {
+        ArgumentNullException.ThrowIfNull(result);
+
+        JObject payload = new() { ["written"] = result.Written };
+        payload.Merge(BuildBinding(result.Binding, hkl));
+
+        if (result.Snippet != null)
+        {
+            payload["snippet"] = result.Snippet;
+        }
+
+        if (result.BackupPath != null)
+        {
+            payload["backupPath"] = result.BackupPath;
+        }
+
+        if (result.Reason != null)
+        {
+            payload["reason"] = result.Reason;
+        }
+
+        return payload;
+    }
+
+    private static JObject BuildBinding(string binding, nint hkl) =>
+        new() { ["binding"] = binding, ["display"] = DirectInputDisplayMapper.ToDisplay(binding, hkl) };
+}
@@ -0,0 +1,150 @@
+using System.Text;
+using SCStreamDeck.Common;
+using SCStreamDeck.Logging;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds key images (data URLs for SetImage) from an image file or a solid colour.
+/// </summary>
+internal static class KeyImageBuilder
+{
+    // Stream Deck sends images over the WebSocket; keep state images small.
+    internal const int MaxImageBytes = 256 * 1024;
+
+    private const int ImageSize = 144;
+
+    private static readonly Dictionary<string, string> s_mimeTypesByExtension = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".png"] = "image/png",
+        [".jpg"] = "image/jpeg",
+        [".jpeg"] = "image/jpeg",
+        [".gif"] = "image/gif",
+        [".svg"] = "image/svg+xml"
+    };
+
+    private static readonly Lazy<string> s_missingFunctionImage = new(() => BuildWarningImage("MISSING"));
+
+    private static readonly Lazy<string> s_unboundFunctionImage = new(() => BuildWarningImage("UNBOUND"));
+
+    /// <summary>
+    ///     Image for a key state: the image file when it can be read, otherwise the colour.
+    /// </summary>
+    /// <returns>A data URL, or null to keep the default image.</returns>
+    internal static string? Build(string? imagePath, string? color, IFileSystem fileSystem)
+    {
+        ArgumentNullException.ThrowIfNull(fileSystem);
+
+        if (!string.IsNullOrWhiteSpace(imagePath) && TryReadImageFile(imagePath, fileSystem, out string fileImage))
+        {
+            return fileImage;
+        }
+
+        return TryNormalizeColor(color, out string hex) ? BuildColorImage(hex) : null;
+    }
+
+    /// <summary>
+    ///     Normalizes "#RGB" / "#RRGGBB" to "#RRGGBB".
+    /// </summary>
+    internal static bool TryNormalizeColor(string? color, out string hex)
+    {
+        hex = string.Empty;
+
+        string value = color?.Trim() ?? string.Empty;
+        if (!value.StartsWith('#') || (value.Length != 4 && value.Length != 7))
+        {
+            return false;
+        }
+
+        string digits = value[1..];
+        if (!digits.All(Uri.IsHexDigit))
+        {
+            return false;
+        }
+
+        if (digits.Length == 3)
+        {
+            digits = string.Concat(digits.Select(c => new string(c, 2)));
+        }
+
+        hex = $"#{digits.ToUpperInvariant()}";
+        return true;
+    }
+
+    /// <summary>
+    ///     Warning image for a key whose saved function no longer exists in the keybindings.
+    /// </summary>
+    internal static string BuildMissingFunctionImage() => s_missingFunctionImage.Value;
+
+    /// <summary>
+    ///     Warning image for a key whose function lost its binding when actionmaps.xml changed.
+    /// </summary>
+    internal static string BuildUnboundFunctionImage() => s_unboundFunctionImage.Value;
+
+    private static string BuildWarningImage(string label)
+    {
+        string svg = $"<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{ImageSize}\" height=\"{ImageSize}\">" +
+                     $"<rect width=\"{ImageSize}\" height=\"{ImageSize}\" fill=\"#1E1E1E\"/>" +
+                     "<path d=\"M72 18 L120 102 H24 Z\" fill=\"none\" stroke=\"#FFB300\" stroke-width=\"8\" " +
+                     "stroke-linejoin=\"round\"/>" +
+                     "<rect x=\"68\" y=\"46\" width=\"8\" height=\"30\" rx=\"3\" fill=\"#FFB300\"/>" +
+                     "<circle cx=\"72\" cy=\"89\" r=\"5\" fill=\"#FFB300\"/>" +
+                     "<text x=\"72\" y=\"132\" fill=\"#FFB300\" font-family=\"Arial, sans-serif\" font-size=\"18\" " +
+                     $"font-weight=\"bold\" text-anchor=\"middle\">{label}</text></svg>";
+
+        return ToDataUrl("image/svg+xml", Encoding.UTF8.GetBytes(svg));
+    }
+
+    private static string BuildColorImage(string hex)
+    {
+        string svg = $"<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{ImageSize}\" height=\"{ImageSize}\">" +
+                     $"<rect width=\"{ImageSize}\" height=\"{ImageSize}\" fill=\"{hex}\"/></svg>";
+
+        return ToDataUrl("image/svg+xml", Encoding.UTF8.GetBytes(svg));
+    }
+
+    private static bool TryReadImageFile(string path, IFileSystem fileSystem, out string dataUrl)
+    {
+        dataUrl = string.Empty;
+
+        if (!SecurePathValidator.TryNormalizePath(path, out string normalizedPath) ||
+            !s_mimeTypesByExtension.TryGetValue(Path.GetExtension(normalizedPath), out string? mimeType))
+        {
+            Log.Warn($"[{nameof(KeyImageBuilder)}] Unsupported image '{path}'");
+            return false;
+        }
+
+        try
+        {
+            if (!fileSystem.FileExists(normalizedPath))
+            {
+                Log.Warn($"[{nameof(KeyImageBuilder)}] Image not found '{normalizedPath}'");
+                return false;
+            }
+
+            using Stream stream = fileSystem.OpenRead(normalizedPath);
+            using MemoryStream buffer = new();
+            if (!stream.CanSeek || stream.Length <= MaxImageBytes)
+            {
+                stream.CopyTo(buffer);
+            }
+
+            if (buffer.Length == 0 || buffer.Length > MaxImageBytes)
+            {
+                Log.Warn($"[{nameof(KeyImageBuilder)}] Image empty or larger than {MaxImageBytes} bytes '{normalizedPath}'");
+                return false;
+            }
+
+            dataUrl = ToDataUrl(mimeType, buffer.ToArray());
+            return true;
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            Log.Err($"[{nameof(KeyImageBuilder)}] Failed to read image '{normalizedPath}'", ex);
+            return false;
+        }
+    }
+
+    private static string ToDataUrl(string mimeType, byte[] bytes) =>
+        $"data:{mimeType};base64,{Convert.ToBase64String(bytes)}";
+}
@@ -0,0 +1,190 @@
+using System.Text;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     A title abbreviation rule: whole-word, case-insensitive replacement of <see cref="From" /> with <see cref="To" />.
+/// </summary>
+internal sealed record KeyTitleAbbreviation(string From, string To);
+
+/// <summary>
+///     Builds Stream Deck key titles from a function label: applies abbreviations, fills an optional template
+///     ("{label}" placeholder) and word-wraps the result to fit the key.
+/// </summary>
+internal static class KeyTitleFormatter
+{
+    internal const string LabelPlaceholder = "{label}";
+
+    // A key fits about 10 characters per line and 3 lines at the default title font size.
+    internal const int MaxLineLength = 10;
+    internal const int MaxLines = 3;
+
+    private const char Ellipsis = '…';
+
+    /// <summary>
+    ///     Parses abbreviation rules, one "From=To" per line. Lines without "=" or with an empty "From" are ignored.
+    /// </summary>
+    internal static IReadOnlyList<KeyTitleAbbreviation> ParseAbbreviations(string? rules)
+    {
+        if (string.IsNullOrWhiteSpace(rules))
+        {
+            return [];
+        }
+
+        List<KeyTitleAbbreviation> abbreviations = [];
+        foreach (string line in rules.Split('\n'))
+        {
+            int separator = line.IndexOf('=', StringComparison.Ordinal);
+            if (separator <= 0)
+            {
+                continue;
+            }
+
+            string from = line[..separator].Trim();
+            string to = line[(separator + 1)..].Trim();
+            if (from.Length > 0)
+            {
+                abbreviations.Add(new KeyTitleAbbreviation(from, to));
+            }
+        }
+
+        // Longest first, so "Quantum Drive" wins over "Quantum".
+        return abbreviations.OrderByDescending(a => a.From.Length).ToList();
+    }
+
+    /// <summary>
+    ///     Formats <paramref name="label" /> as a key title.
+    /// </summary>
+    /// <param name="label">Localized function label.</param>
+    /// <param name="abbreviations">Rules from <see cref="ParseAbbreviations" />.</param>
+    /// <param name="template">Optional title template; "{label}" is replaced by the abbreviated label.</param>
+    internal static string Format(string? label, IReadOnlyList<KeyTitleAbbreviation> abbreviations, string? template = null)
+    {
+        ArgumentNullException.ThrowIfNull(abbreviations);
+
+        string text = CollapseWhitespace(label ?? string.Empty);
+        foreach (KeyTitleAbbreviation abbreviation in abbreviations)
+        {
+            text = ReplaceWholeWord(text, abbreviation.From, abbreviation.To);
+        }
+
+        text = CollapseWhitespace(text);
+
+        if (!string.IsNullOrWhiteSpace(template))
+        {
+            text = template.Replace(LabelPlaceholder, text, StringComparison.OrdinalIgnoreCase);
+        }
+
+        return Wrap(text);
+    }
+
+    /// <summary>
+    ///     Formats one title per key state. A state gets a title when it has a template, or from the label alone
+    ///     when auto title is on; otherwise its entry is null (the user's own title stays).
+    /// </summary>
+    /// <param name="label">Localized function label, empty while unknown.</param>
+    /// <param name="autoTitle">Whether auto title is enabled.</param>
+    /// <param name="templates">Per-state templates (null or blank for none).</param>
+    /// <param name="abbreviations">Rules from <see cref="ParseAbbreviations" />.</param>
+    internal static string?[] FormatStates(
+        string label,
+        bool autoTitle,
+        IReadOnlyList<string?> templates,
+        IReadOnlyList<KeyTitleAbbreviation> abbreviations)
+    {
+        ArgumentNullException.ThrowIfNull(templates);
+
+        return templates
+            .Select(template => !string.IsNullOrWhiteSpace(template) || (autoTitle && !string.IsNullOrWhiteSpace(label))
+                ? Format(label, abbreviations, template)
+                : null)
+            .ToArray();
+    }
+
+    private static string ReplaceWholeWord(string text, string from, string to)
+    {
+        StringBuilder result = new();
+        int start = 0;
+
+        while (start < text.Length)
+        {
+            int index = text.IndexOf(from, start, StringComparison.OrdinalIgnoreCase);
+            if (index < 0)
+            {
+                break;
+            }
+
+            int end = index + from.Length;
+            bool wholeWord = (index == 0 || !char.IsLetterOrDigit(text[index - 1])) &&
+                             (end == text.Length || !char.IsLetterOrDigit(text[end]));
+
+            result.Append(text, start, index - start);
+            if (wholeWord)
+            {
+                result.Append(to);
+            }
+            else
+            {
+                result.Append(text, index, from.Length);
+            }
+
+            start = end;
+        }
+
+        result.Append(text, start, text.Length - start);
+        return result.ToString();
+    }
+
+    private static string CollapseWhitespace(string text) =>
+        string.Join(' ', text.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+
+    /// <summary>
+    ///     Greedy word wrap. Template line breaks are kept; words longer than a line are split;
+    ///     text past <see cref="MaxLines" /> is cut with an ellipsis.
+    /// </summary>
+    private static string Wrap(string text)
+    {
+        List<string> lines = [];
+
+        foreach (string paragraph in text.Replace("\r", string.Empty, StringComparison.Ordinal).Split('\n'))
+        {
+            StringBuilder line = new();
+            foreach (string word in paragraph.Split(' ', StringSplitOptions.RemoveEmptyEntries))
+            {
+                string rest = word;
+                if (line.Length > 0 && line.Length + 1 + rest.Length > MaxLineLength)
+                {
+                    lines.Add(line.ToString());
+                    line.Clear();
+                }
+
+                while (rest.Length > MaxLineLength)
+                {
+                    lines.Add(rest[..MaxLineLength]);
+                    rest = rest[MaxLineLength..];
+                }
+
+                if (line.Length > 0)
+                {
+                    line.Append(' ');
+                }
+
+                line.Append(rest);
+            }
+
+            if (line.Length > 0)
+            {
+                lines.Add(line.ToString());
+            }
+        }
+
+        if (lines.Count > MaxLines)
+        {
+            string last = lines[MaxLines - 1];
+            lines = lines.Take(MaxLines - 1).ToList();
+            lines.Add((last.Length >= MaxLineLength ? last[..(MaxLineLength - 1)] : last) + Ellipsis);
+        }
+
+        return string.Join('\n', lines);
+    }
+}
@@ -0,0 +1,68 @@
+using Newtonsoft.Json.Linq;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Version and feature flags of the PI ↔ plugin message protocol.
+///     The PI sends its version with "propertyInspectorConnected"; the plugin answers with its own, and stamps
+///     every pushed payload so a stale (cached) PI bundle can tell it is talking to a newer plugin.
+/// </summary>
+internal static class PiProtocolPayloadBuilder
+{
+    /// <summary>
+    ///     Bump when a payload shape changes in a way older PI bundles cannot read.
+    ///     Must match PROTOCOL_VERSION in PropertyInspector/js/src/sc-protocol.js.
+    /// </summary>
+    public const int ProtocolVersion = 1;
+
+    private const string ProtocolVersionKey = "protocolVersion";
+
+    private static readonly string[] s_features = ["request", "functionsDelta", "testFire", "freeKeys"];
+
+    public static IReadOnlyList<string> Features => s_features;
+
+    /// <summary>
+    ///     Gets the protocol version announced by the PI, or null for PI bundles that predate the handshake.
+    /// </summary>
+    public static int? GetClientVersion(JObject payload)
+    {
+        ArgumentNullException.ThrowIfNull(payload);
+
+        JToken? token = payload[ProtocolVersionKey];
+        if (token is not { Type: JTokenType.Integer })
+        {
+            return null;
+        }
+
+        int version = token.Value<int>();
+        return version > 0 ? version : null;
+    }
+
+    public static bool IsCompatible(int? clientVersion) => clientVersion == ProtocolVersion;
+
+    /// <summary>
+    ///     Builds the handshake result returned to the PI's "propertyInspectorConnected" request.
+    /// </summary>
+    public static JObject BuildHandshake(int? clientVersion) =>
+        new()
+        {
+            ["protocol"] = new JObject
+            {
+                [ProtocolVersionKey] = ProtocolVersion,
+                ["features"] = new JArray(s_features),
+                ["clientProtocolVersion"] = clientVersion,
+                ["compatible"] = IsCompatible(clientVersion)
+            }
+        };
+
+    /// <summary>
+    ///     Adds the protocol version to a payload pushed to the PI.
+    /// </summary>
+    public static JObject Stamp(JObject payload)
+    {
+        ArgumentNullException.ThrowIfNull(payload);
+
+        payload[ProtocolVersionKey] = ProtocolVersion;
+        return payload;
+    }
+}
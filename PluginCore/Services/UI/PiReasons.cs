@@ -0,0 +1,43 @@
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Reason codes sent to the Property Inspector (request errors and "reason" fields of results).
+///     The PI shows them in its UI language ("reasons.&lt;code&gt;" in js/src/i18n/*.json), so no English text is sent.
+/// </summary>
+internal static class PiReasons
+{
+    // Requests
+    public const string RequestFailed = "requestFailed";
+    public const string UnknownRequest = "unknownRequest";
+
+    // Function keys
+    public const string NoFunctionSelected = "noFunctionSelected";
+    public const string KeybindingsNotLoaded = "keybindingsNotLoaded";
+    public const string FunctionNotFound = "functionNotFound";
+
+    // Test fire
+    public const string TestCancelled = "testCancelled";
+    public const string TestRunning = "testRunning";
+    public const string NoTestRunning = "noTestRunning";
+    public const string SendFailed = "sendFailed";
+    public const string NotBound = "notBound";
+    public const string UnsupportedBinding = "unsupportedBinding";
+
+    // Free key
+    public const string AlreadyBound = "alreadyBound";
+    public const string KeyNotFree = "keyNotFree";
+    public const string ActionMapsNotFound = "actionMapsNotFound";
+    public const string GameRunning = "gameRunning";
+    public const string ActionMapsWriteFailed = "actionMapsWriteFailed";
+
+    // Control Panel
+    public const string InvalidTheme = "invalidTheme";
+    public const string UnknownLanguage = "unknownLanguage";
+    public const string UnknownChannel = "unknownChannel";
+    public const string ChannelLoadFailed = "channelLoadFailed";
+    public const string DataP4KOverrideFailed = "dataP4KOverrideFailed";
+    public const string InitializationFailed = "initializationFailed";
+    public const string RebuildFailed = "rebuildFailed";
+    public const string ChannelFolderNotFound = "channelFolderNotFound";
+    public const string OpenFolderFailed = "openFolderFailed";
+}
@@ -0,0 +1,49 @@
+using Newtonsoft.Json.Linq;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds correlated replies for Property Inspector requests (SCPI.bus.request).
+///     The PI sends a "requestId" with the event; the plugin echoes it back with an ok/error outcome.
+/// </summary>
+internal static class PiResponsePayloadBuilder
+{
+    private const string RequestIdKey = "requestId";
+
+    /// <summary>
+    ///     Gets the correlation id of a PI message, or null for fire-and-forget events.
+    /// </summary>
+    public static string? GetRequestId(JObject payload)
+    {
+        ArgumentNullException.ThrowIfNull(payload);
+
+        string? requestId = payload.Value<string>(RequestIdKey);
+        return string.IsNullOrWhiteSpace(requestId) ? null : requestId;
+    }
+
+    public static JObject Success(string requestId, JObject? result = null)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(requestId);
+
+        return new JObject
+        {
+            [RequestIdKey] = requestId,
+            ["ok"] = true,
+            ["result"] = result ?? new JObject()
+        };
+    }
+
+    /// <param name="requestId">Correlation id of the request.</param>
+    /// <param name="error">A <see cref="PiReasons" /> code; <see cref="PiReasons.RequestFailed" /> when empty.</param>
+    public static JObject Failure(string requestId, string? error)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(requestId);
+
+        return new JObject
+        {
+            [RequestIdKey] = requestId,
+            ["ok"] = false,
+            ["error"] = string.IsNullOrWhiteSpace(error) ? PiReasons.RequestFailed : error
+        };
+    }
+}
@@ -0,0 +1,38 @@
+using Newtonsoft.Json.Linq;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds the Toggle Key state preview for the PI: the title and image applied to each state.
+///     A missing title or image means the state shows the user's title or the default image.
+/// </summary>
+internal static class StateAppearancePayloadBuilder
+{
+    public static JObject Build(IReadOnlyList<string?> titles, IReadOnlyList<string?> images)
+    {
+        ArgumentNullException.ThrowIfNull(titles);
+        ArgumentNullException.ThrowIfNull(images);
+
+        JArray states = [];
+        for (int state = 0; state < Math.Max(titles.Count, images.Count); state++)
+        {
+            JObject entry = new();
+
+            string? title = state < titles.Count ? titles[state] : null;
+            if (title != null)
+            {
+                entry["title"] = title;
+            }
+
+            string? image = state < images.Count ? images[state] : null;
+            if (image != null)
+            {
+                entry["image"] = image;
+            }
+
+            states.Add(entry);
+        }
+
+        return new JObject { ["stateAppearanceLoaded"] = true, ["states"] = states };
+    }
+}
@@ -0,0 +1,45 @@
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Builds the result of a PI "testFire" request. Fields that do not apply are omitted.
+/// </summary>
+internal static class TestFirePayloadBuilder
+{
+    public static JObject Build(TestFireResult result)
+    {
+        ArgumentNullException.ThrowIfNull(result);
+
+        JObject payload = new() { ["sent"] = result.Sent };
+
+        if (result.Binding != null)
+        {
+            payload["binding"] = result.Binding;
+        }
+
+        if (result.Device != null)
+        {
+            payload["device"] = result.Device;
+        }
+
+        if (result.ActivationMode is { } mode)
+        {
+            payload["activationMode"] = FunctionsPayloadBuilder.FormatActivationMode(mode);
+        }
+
+        if (result.Handler != null)
+        {
+            payload["handler"] = result.Handler;
+        }
+
+        if (result.Reason != null)
+        {
+            payload["reason"] = result.Reason;
+        }
+
+        return payload;
+    }
+}
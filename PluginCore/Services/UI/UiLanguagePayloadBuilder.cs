@@ -0,0 +1,50 @@
+namespace SCStreamDeck.Services.UI;
+
+/// <summary>
+///     Property Inspector language setting: "auto" (follow the game language) or a language pack code
+///     such as "de" or "zh-hans". The packs live in the PI; the plugin only stores the choice.
+/// </summary>
+internal static class UiLanguagePayloadBuilder
+{
+    public const string Auto = "auto";
+
+    private const int MaxCodeLength = 16;
+
+    /// <summary>
+    ///     Validates a language sent by the PI. Auto is stored as null.
+    /// </summary>
+    public static bool TryNormalize(string? language, out string? storedLanguage)
+    {
+        storedLanguage = null;
+
+        string code = language?.Trim().ToLowerInvariant() ?? string.Empty;
+        if (code == Auto)
+        {
+            return true;
+        }
+
+        if (!IsPackCode(code))
+        {
+            return false;
+        }
+
+        storedLanguage = code;
+        return true;
+    }
+
+    /// <summary>
+    ///     Language value sent to the PI; anything not stored (or no longer valid) reads as auto.
+    /// </summary>
+    public static string Build(string? storedLanguage) =>
+        TryNormalize(storedLanguage, out string? code) && code != null ? code : Auto;
+
+    private static bool IsPackCode(string code)
+    {
+        if (code.Length is < 2 or > MaxCodeLength || code[0] == '-' || code[^1] == '-')
+        {
+            return false;
+        }
+
+        return code.All(c => c is >= 'a' and <= 'z' or '-');
+    }
+}
@@ -6,11 +6,15 @@ namespace Tests.Testing;
 internal sealed class TestFileSystem : IFileSystem
 {
     private readonly Dictionary<string, string> _files = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, DateTime> _lastWrites = new(StringComparer.OrdinalIgnoreCase);
 
     public bool FileExists(string path) => _files.ContainsKey(Normalize(path));
 
     public bool DirectoryExists(string path) => true;
 
+    public DateTime GetLastWriteTimeUtc(string path) =>
+        _lastWrites.TryGetValue(Normalize(path), out DateTime lastWrite) ? lastWrite : DateTime.MinValue;
+
     public string ReadAllText(string path) => _files[Normalize(path)];
 
     public Task<string> ReadAllTextAsync(string path, CancellationToken cancellationToken = default) =>
@@ -21,7 +25,7 @@ internal sealed class TestFileSystem : IFileSystem
 
     public Task WriteAllTextAsync(string path, string contents, CancellationToken cancellationToken = default)
     {
-        _files[Normalize(path)] = contents;
+        AddFile(path, contents);
         return Task.CompletedTask;
     }
 
@@ -31,9 +35,30 @@ internal sealed class TestFileSystem : IFileSystem
         return new MemoryStream(bytes);
     }
 
-    public void DeleteFile(string path) => _files.Remove(Normalize(path));
+    public void DeleteFile(string path)
+    {
+        _files.Remove(Normalize(path));
+        _lastWrites.Remove(Normalize(path));
+    }
+
+    public void MoveFile(string sourcePath, string destinationPath, bool overwrite)
+    {
+        if (!overwrite && FileExists(destinationPath))
+        {
+            throw new IOException($"File already exists: {destinationPath}");
+        }
+
+        AddFile(destinationPath, ReadAllText(sourcePath));
+        DeleteFile(sourcePath);
+    }
+
+    public void AddFile(string path, string contents)
+    {
+        _files[Normalize(path)] = contents;
+        _lastWrites[Normalize(path)] = DateTime.UtcNow;
+    }
 
-    public void AddFile(string path, string contents) => _files[Normalize(path)] = contents;
+    public void SetLastWriteTimeUtc(string path, DateTime lastWrite) => _lastWrites[Normalize(path)] = lastWrite;
 
     private static string Normalize(string path) => path.Replace('\\', '/');
 }
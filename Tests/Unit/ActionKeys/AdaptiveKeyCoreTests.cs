@@ -0,0 +1,81 @@
+using FluentAssertions;
+using SCStreamDeck.ActionKeys;
+
+namespace Tests.Unit.ActionKeys;
+
+public sealed class AdaptiveKeyCoreTests
+{
+    private static readonly DateTime s_t0 = new(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+    private static readonly TimeSpan s_threshold = TimeSpan.FromSeconds(0.5);
+
+    [Fact]
+    public void KeyUp_BeforeThreshold_IsShortPress()
+    {
+        AdaptiveKeyCore core = new();
+        int pressId = core.OnKeyDown(s_t0, s_threshold);
+
+        core.OnKeyUp(s_t0.AddMilliseconds(200), pressId).Should().Be(AdaptiveKeyRelease.ShortPress);
+
+        // Timer firing after KeyUp must not start the long press.
+        core.OnLongPressThresholdElapsed(pressId).Should().BeFalse();
+    }
+
+    [Fact]
+    public void TimerElapsed_WhileHeld_StartsLongPressOnce_AndKeyUpEndsIt()
+    {
+        AdaptiveKeyCore core = new();
+        int pressId = core.OnKeyDown(s_t0, s_threshold);
+
+        core.OnLongPressThresholdElapsed(pressId).Should().BeTrue();
+        core.OnLongPressThresholdElapsed(pressId).Should().BeFalse();
+
+        core.OnKeyUp(s_t0.AddSeconds(2), pressId).Should().Be(AdaptiveKeyRelease.EndLongPress);
+    }
+
+    [Fact]
+    public void KeyUp_PastThreshold_WithoutTimer_IsLongPress()
+    {
+        AdaptiveKeyCore core = new();
+        int pressId = core.OnKeyDown(s_t0, s_threshold);
+
+        core.OnKeyUp(s_t0.AddSeconds(0.5), pressId).Should().Be(AdaptiveKeyRelease.LongPress);
+        core.OnLongPressThresholdElapsed(pressId).Should().BeFalse();
+    }
+
+    [Fact]
+    public void StaleEvents_FromPreviousPress_AreIgnored()
+    {
+        AdaptiveKeyCore core = new();
+        int pressId1 = core.OnKeyDown(s_t0, s_threshold);
+        int pressId2 = core.OnKeyDown(s_t0.AddSeconds(1), s_threshold);
+
+        core.OnLongPressThresholdElapsed(pressId1).Should().BeFalse();
+        core.OnKeyUp(s_t0.AddSeconds(1.1), pressId1).Should().Be(AdaptiveKeyRelease.None);
+
+        core.OnKeyUp(s_t0.AddSeconds(1.1), pressId2).Should().Be(AdaptiveKeyRelease.ShortPress);
+        core.OnKeyUp(s_t0.AddSeconds(1.2), pressId2).Should().Be(AdaptiveKeyRelease.None);
+    }
+
+    [Fact]
+    public void Threshold_IsTakenPerPress()
+    {
+        AdaptiveKeyCore core = new();
+
+        int shortThreshold = core.OnKeyDown(s_t0, TimeSpan.FromSeconds(1));
+        core.OnKeyUp(s_t0.AddSeconds(1.5), shortThreshold).Should().Be(AdaptiveKeyRelease.LongPress);
+
+        int longThreshold = core.OnKeyDown(s_t0.AddSeconds(10), TimeSpan.FromSeconds(2));
+        core.OnKeyUp(s_t0.AddSeconds(11.5), longThreshold).Should().Be(AdaptiveKeyRelease.ShortPress);
+    }
+
+    [Theory]
+    [InlineData(null, 0.5)]
+    [InlineData(double.NaN, 0.5)]
+    [InlineData(0.05, 0.2)]
+    [InlineData(1.25, 1.25)]
+    [InlineData(60.0, 5.0)]
+    public void ResolveLongPressThreshold_DefaultsAndClamps(double? seconds, double expected)
+    {
+        AdaptiveKeyCore.ResolveLongPressThreshold(seconds).Should().Be(TimeSpan.FromSeconds(expected));
+    }
+}
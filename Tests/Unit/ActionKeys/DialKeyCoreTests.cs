@@ -0,0 +1,106 @@
+using FluentAssertions;
+using SCStreamDeck.ActionKeys;
+
+namespace Tests.Unit.ActionKeys;
+
+public sealed class DialKeyCoreTests
+{
+    [Fact]
+    public void OnRotate_Defaults_OneStepPerTick()
+    {
+        DialKeyCore core = new();
+
+        core.LastSteps.Should().BeNull();
+        core.OnRotate(1).Should().Be(1);
+        core.OnRotate(-3).Should().Be(-3);
+        core.LastSteps.Should().Be(-3);
+    }
+
+    [Fact]
+    public void OnRotate_TicksPerStep_CarriesRemainder_InSameDirection()
+    {
+        DialKeyCore core = new();
+        core.Configure(3, false, null);
+
+        core.OnRotate(2).Should().Be(0);
+        core.LastSteps.Should().BeNull();
+        core.OnRotate(2).Should().Be(1);
+        core.OnRotate(5).Should().Be(2);
+        core.LastSteps.Should().Be(2);
+    }
+
+    [Fact]
+    public void OnRotate_DirectionChange_DropsRemainder()
+    {
+        DialKeyCore core = new();
+        core.Configure(2, false, null);
+
+        core.OnRotate(1).Should().Be(0);
+        core.OnRotate(-1).Should().Be(0);
+        core.OnRotate(-1).Should().Be(-1);
+    }
+
+    [Fact]
+    public void OnRotate_Invert_FlipsDirection()
+    {
+        DialKeyCore core = new();
+        core.Configure(null, true, null);
+
+        core.OnRotate(2).Should().Be(-2);
+        core.OnRotate(-1).Should().Be(1);
+    }
+
+    [Fact]
+    public void OnRotate_Acceleration_WeighsFastTurnsMore()
+    {
+        DialKeyCore core = new();
+        core.Configure(null, false, 1.0);
+
+        // One tick stays linear; 3 ticks in one event count as 3 * (1 + 1 * 2) = 9.
+        core.OnRotate(1).Should().Be(1);
+        core.OnRotate(3).Should().Be(9);
+        core.OnRotate(-3).Should().Be(-9);
+    }
+
+    [Fact]
+    public void Configure_DropsPendingTicks()
+    {
+        DialKeyCore core = new();
+        core.Configure(2, false, null);
+        core.OnRotate(1).Should().Be(0);
+
+        core.Configure(2, false, null);
+
+        core.OnRotate(1).Should().Be(0);
+    }
+
+    [Theory]
+    [InlineData(null, 1)]
+    [InlineData(0, 1)]
+    [InlineData(4, 4)]
+    [InlineData(100, 20)]
+    public void ResolveTicksPerStep_DefaultsAndClamps(int? ticksPerStep, int expected)
+    {
+        DialKeyCore.ResolveTicksPerStep(ticksPerStep).Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData(null, 0.0)]
+    [InlineData(double.NaN, 0.0)]
+    [InlineData(-1.0, 0.0)]
+    [InlineData(0.5, 0.5)]
+    [InlineData(10.0, 2.0)]
+    public void ResolveAcceleration_DefaultsAndClamps(double? acceleration, double expected)
+    {
+        DialKeyCore.ResolveAcceleration(acceleration).Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData(null, "")]
+    [InlineData(3, "+3")]
+    [InlineData(-2, "-2")]
+    public void FormatValue_ShowsSignedSteps(int? steps, string expected)
+    {
+        DialKeyCore.FormatValue(steps).Should().Be(expected);
+    }
+}
@@ -0,0 +1,122 @@
+using FluentAssertions;
+using SCStreamDeck.ActionKeys;
+using SCStreamDeck.Models;
+
+namespace Tests.Unit.ActionKeys;
+
+public sealed class SequenceRunnerTests
+{
+    private static SequenceRunStep Step(string actionName, int delayMs = 0, int holdMs = 50) =>
+        new(actionName, "f1", ActivationMode.press, TimeSpan.FromMilliseconds(delayMs), TimeSpan.FromMilliseconds(holdMs));
+
+    private sealed class Recorder
+    {
+        public List<string> Events { get; } = [];
+        public List<TimeSpan> Delays { get; } = [];
+
+        public Task<bool> Execute(KeybindingExecutionContext context, CancellationToken token)
+        {
+            lock (Events)
+            {
+                Events.Add($"{context.ActionName}:{(context.IsKeyDown ? "down" : "up")}");
+            }
+
+            return Task.FromResult(true);
+        }
+
+        public Task Delay(TimeSpan duration, CancellationToken token)
+        {
+            Delays.Add(duration);
+            return Task.CompletedTask;
+        }
+    }
+
+    [Fact]
+    public async Task Start_RunsStepsInOrder_PressingAndReleasingEach()
+    {
+        Recorder recorder = new();
+        using SequenceRunner runner = new(recorder.Execute, recorder.Delay);
+
+        bool completed = await runner.Start([Step("power", holdMs: 60), Step("engines", 250, 70)])!;
+
+        completed.Should().BeTrue();
+        recorder.Events.Should().Equal("power:down", "power:up", "engines:down", "engines:up");
+        recorder.Delays.Should().Equal(
+            TimeSpan.FromMilliseconds(60),
+            TimeSpan.FromMilliseconds(250),
+            TimeSpan.FromMilliseconds(70));
+        runner.IsRunning.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task Start_WhileRunning_ReturnsNull()
+    {
+        TaskCompletionSource gate = new(TaskCreationOptions.RunContinuationsAsynchronously);
+        Recorder recorder = new();
+        using SequenceRunner runner = new(recorder.Execute, (_, token) => gate.Task.WaitAsync(token));
+
+        Task<bool>? first = runner.Start([Step("power")]);
+        Task<bool>? second = runner.Start([Step("engines")]);
+
+        second.Should().BeNull();
+        runner.IsRunning.Should().BeTrue();
+
+        gate.SetResult();
+        (await first!).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task Cancel_DuringHold_ReleasesHeldStep_AndSkipsRemainingSteps()
+    {
+        Recorder recorder = new();
+        using SequenceRunner runner = new(recorder.Execute, (_, token) => Task.Delay(Timeout.InfiniteTimeSpan, token));
+
+        Task<bool> run = runner.Start([Step("power"), Step("engines")])!;
+
+        runner.Cancel().Should().BeTrue();
+        bool completed = await run;
+
+        completed.Should().BeFalse();
+        recorder.Events.Should().Equal("power:down", "power:up");
+        runner.IsRunning.Should().BeFalse();
+    }
+
+    [Fact]
+    public void Cancel_WhenIdle_ReturnsFalse()
+    {
+        Recorder recorder = new();
+        using SequenceRunner runner = new(recorder.Execute, recorder.Delay);
+
+        runner.Cancel().Should().BeFalse();
+    }
+
+    [Fact]
+    public void CreateStep_WithoutHold_UsesDefaultForImmediateModes()
+    {
+        SequenceRunStep step = SequenceRunner.CreateStep("power", "f1", ActivationMode.tap, null, null, null);
+
+        step.Hold.Should().Be(TimeSpan.FromMilliseconds(SequenceRunner.DefaultHoldMs));
+        step.Delay.Should().Be(TimeSpan.Zero);
+    }
+
+    [Fact]
+    public void CreateStep_WithoutHold_HoldsPastDelayedModeThreshold()
+    {
+        ActivationModeMetadata metadata = new() { OnPress = true, PressTriggerThreshold = 1.5f };
+
+        SequenceRunStep step = SequenceRunner.CreateStep(
+            "landing", "n", ActivationMode.delayed_press_long, metadata, 100, null);
+
+        step.Hold.Should().BeGreaterThan(TimeSpan.FromSeconds(1.5));
+        step.Delay.Should().Be(TimeSpan.FromMilliseconds(100));
+    }
+
+    [Fact]
+    public void CreateStep_ClampsDelayAndHold()
+    {
+        SequenceRunStep step = SequenceRunner.CreateStep("power", "f1", ActivationMode.press, null, -5, 999_999);
+
+        step.Delay.Should().Be(TimeSpan.Zero);
+        step.Hold.Should().Be(TimeSpan.FromMilliseconds(SequenceRunner.MaxHoldMs));
+    }
+}
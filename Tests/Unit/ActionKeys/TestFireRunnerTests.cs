@@ -0,0 +1,128 @@
+using FluentAssertions;
+using SCStreamDeck.ActionKeys;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.ActionKeys;
+
+public sealed class TestFireRunnerTests
+{
+    private static KeybindingAction Action(
+        string keyboard = "",
+        string mouse = "",
+        string joystick = "",
+        string gamepad = "") =>
+        new()
+        {
+            ActionName = "v_toggle_landing_gear",
+            MapName = "spaceship_movement",
+            KeyboardBinding = keyboard,
+            MouseBinding = mouse,
+            JoystickBinding = joystick,
+            GamepadBinding = gamepad
+        };
+
+    private static Task<TestFireResult> Fire(CancellationToken token) =>
+        Task.FromResult(new TestFireResult(true, "n", TestFireRunner.DeviceKeyboard, ActivationMode.press, "Handler", null));
+
+    [Fact]
+    public void ResolveTarget_PrefersKeyboard_ThenMouseButton()
+    {
+        TestFireTarget? keyboard = TestFireRunner.ResolveTarget("gear", Action("n", "mouse1"), out _);
+        TestFireTarget? mouse = TestFireRunner.ResolveTarget("gear", Action(mouse: "mouse1"), out _);
+
+        keyboard.Should().NotBeNull();
+        keyboard!.Binding.Should().Be("n");
+        keyboard.Device.Should().Be(TestFireRunner.DeviceKeyboard);
+        keyboard.FunctionId.Should().Be("gear");
+
+        mouse.Should().NotBeNull();
+        mouse!.Binding.Should().Be("mouse1");
+        mouse.Device.Should().Be(TestFireRunner.DeviceMouse);
+    }
+
+    [Fact]
+    public void ResolveTarget_ReportsUnbound()
+    {
+        TestFireRunner.ResolveTarget("gear", Action(), out string reason).Should().BeNull();
+
+        reason.Should().Be(PiReasons.NotBound);
+    }
+
+    [Fact]
+    public void ResolveTarget_ReportsUnsupportedDevices()
+    {
+        TestFireTarget? target =
+            TestFireRunner.ResolveTarget("gear", Action(mouse: "maxis_x", joystick: "button1"), out string reason);
+
+        target.Should().BeNull();
+        reason.Should().Be(PiReasons.UnsupportedBinding);
+    }
+
+    [Theory]
+    [InlineData(null, TestFireRunner.DefaultCountdownSeconds)]
+    [InlineData(-1, 0)]
+    [InlineData(5, 5)]
+    [InlineData(60, TestFireRunner.MaxCountdownSeconds)]
+    public void ClampCountdownSeconds_UsesDefault_AndClamps(int? seconds, int expected) =>
+        TestFireRunner.ClampCountdownSeconds(seconds).Should().Be(expected);
+
+    [Fact]
+    public async Task Start_WaitsForCountdown_ThenFiresOnce()
+    {
+        List<TimeSpan> delays = [];
+        int fired = 0;
+        using TestFireRunner runner = new((duration, _) =>
+        {
+            delays.Add(duration);
+            return Task.CompletedTask;
+        });
+
+        TestFireResult result = await runner.Start(TimeSpan.FromSeconds(3), token =>
+        {
+            fired++;
+            return Fire(token);
+        })!;
+
+        result.Sent.Should().BeTrue();
+        fired.Should().Be(1);
+        delays.Should().Equal(TimeSpan.FromSeconds(3));
+        runner.IsRunning.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task Start_WhileRunning_ReturnsNull()
+    {
+        TaskCompletionSource gate = new(TaskCreationOptions.RunContinuationsAsynchronously);
+        using TestFireRunner runner = new((_, token) => gate.Task.WaitAsync(token));
+
+        Task<TestFireResult>? first = runner.Start(TimeSpan.FromSeconds(3), Fire);
+        Task<TestFireResult>? second = runner.Start(TimeSpan.FromSeconds(3), Fire);
+
+        second.Should().BeNull();
+
+        gate.SetResult();
+        (await first!).Sent.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task Cancel_DuringCountdown_ReportsCancelled_WithoutFiring()
+    {
+        bool fired = false;
+        using TestFireRunner runner = new((_, token) => Task.Delay(Timeout.InfiniteTimeSpan, token));
+
+        Task<TestFireResult> run = runner.Start(TimeSpan.FromSeconds(3), token =>
+        {
+            fired = true;
+            return Fire(token);
+        })!;
+
+        runner.Cancel().Should().BeTrue();
+        TestFireResult result = await run;
+
+        result.Sent.Should().BeFalse();
+        result.Reason.Should().Be(PiReasons.TestCancelled);
+        fired.Should().BeFalse();
+        runner.Cancel().Should().BeFalse();
+    }
+}
@@ -0,0 +1,77 @@
+using System.Xml;
+using FluentAssertions;
+using SCStreamDeck.Common;
+
+namespace Tests.Unit.Common;
+
+public sealed class UserOverrideWriterTests
+{
+    private const string ActionMapsXml = """
+                                         <?xml version="1.0" encoding="utf-8"?>
+                                         <ActionMaps>
+                                           <ActionProfiles version="1" profileName="default">
+                                             <options type="keyboard" instance="1"/>
+                                             <actionmap name="spaceship_general">
+                                               <action name="v_toggle_landing_gear">
+                                                 <rebind input="kb1_n"/>
+                                               </action>
+                                             </actionmap>
+                                           </ActionProfiles>
+                                         </ActionMaps>
+                                         """;
+
+    [Fact]
+    public void AddKeyboardRebind_NewMapAndAction_IsReadBackByParser()
+    {
+        string updated = UserOverrideWriter.AddKeyboardRebind(ActionMapsXml, "spaceship_power", "v_power_toggle", "rctrl+np_1");
+
+        updated.Should().StartWith("<?xml");
+        UserOverrides overrides = UserOverrideParser.ParseXml(updated);
+        overrides.KeyboardByMap["spaceship_power"].Should().ContainKey("v_power_toggle").WhoseValue.Should().Be("rctrl+np_1");
+        overrides.KeyboardByMap["spaceship_general"].Should().ContainKey("v_toggle_landing_gear").WhoseValue.Should().Be("n");
+        updated.Should().Contain("<options type=\"keyboard\" instance=\"1\" />");
+    }
+
+    [Fact]
+    public void AddKeyboardRebind_ExistingAction_ReplacesKeyboardRebindOnly()
+    {
+        string xml = ActionMapsXml.Replace(
+            "<rebind input=\"kb1_n\"/>",
+            "<rebind input=\"kb1_n\"/><rebind input=\"js1_button3\"/>",
+            StringComparison.Ordinal);
+
+        string updated = UserOverrideWriter.AddKeyboardRebind(xml, "spaceship_general", "v_toggle_landing_gear", "rshift+f5");
+
+        UserOverrides overrides = UserOverrideParser.ParseXml(updated);
+        overrides.KeyboardByMap["spaceship_general"]["v_toggle_landing_gear"].Should().Be("rshift+f5");
+        overrides.JoystickByMap["spaceship_general"]["v_toggle_landing_gear"].Should().Be("button3");
+        updated.Should().NotContain("kb1_n\"");
+    }
+
+    [Fact]
+    public void AddKeyboardRebind_WithoutProfiles_WritesUnderRoot()
+    {
+        string updated = UserOverrideWriter.AddKeyboardRebind("<ActionMaps/>", "spaceship_general", "v_a", "rctrl+np_2");
+
+        updated.Should().Contain("<actionmap name=\"spaceship_general\">").And.Contain("<rebind input=\"kb1_rctrl+np_2\" />");
+    }
+
+    [Fact]
+    public void AddKeyboardRebind_InvalidXml_Throws()
+    {
+        Action act = () => UserOverrideWriter.AddKeyboardRebind("<ActionMaps>", "map", "action", "rctrl+np_1");
+
+        act.Should().Throw<XmlException>();
+    }
+
+    [Fact]
+    public void BuildSnippet_ReturnsActionMapFragment() =>
+        UserOverrideWriter.BuildSnippet("spaceship_general", "v_a", "rctrl+np_1").Should().Be(
+            """
+            <actionmap name="spaceship_general">
+              <action name="v_a">
+                <rebind input="kb1_rctrl+np_1" />
+              </action>
+            </actionmap>
+            """.ReplaceLineEndings());
+}
@@ -64,6 +64,18 @@ public sealed class InstallationStateOverrideTests : IDisposable
         state.Should().BeNull();
     }
 
+    [Fact]
+    public void GetInvalidReason_NamesTheMissingPart()
+    {
+        new InstallationState(_rootDir, SCChannel.Live, _channelDir).GetInvalidReason().Should().BeNull();
+
+        File.Delete(_dataP4KPath);
+        new InstallationState(_rootDir, SCChannel.Live, _channelDir).GetInvalidReason().Should().Be("dataP4KMissing");
+
+        string missingChannel = Path.Combine(_rootDir, "PTU");
+        new InstallationState(_rootDir, SCChannel.Ptu, missingChannel).GetInvalidReason().Should().Be("channelFolderMissing");
+    }
+
     [Fact]
     public void ToCandidate_UsesUserProvidedSource_WhenIsCustomPath()
     {
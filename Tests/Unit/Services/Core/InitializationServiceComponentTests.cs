@@ -249,9 +249,89 @@ public sealed class InitializationServiceComponentTests : IDisposable
         saved!.SelectedChannel.Should().Be(SCChannel.Live);
     }
 
+    [Fact]
+    public async Task RefreshKeybindingsFromActionMapsAsync_WhenReportingAndActiveBindingRemoved_RaisesBindingsChanged()
+    {
+        SCInstallCandidate live = CreateLiveCandidate(_root);
+        Directory.CreateDirectory(live.ChannelPath);
+        File.WriteAllText(live.DataP4KPath, "test");
+
+        string keyboard = "A";
+        using SutContext ctx = CreateContext([live], testActionKeyboard: () => keyboard);
+        (await ctx.InitService.EnsureInitializedAsync()).IsSuccess.Should().BeTrue();
+
+        List<IReadOnlyList<BindingChange>> raised = [];
+        ctx.InitService.BindingsChanged += raised.Add;
+
+        keyboard = string.Empty;
+        bool refreshed = await ctx.InitService.RefreshKeybindingsFromActionMapsAsync(SCChannel.Live, true);
+
+        refreshed.Should().BeTrue();
+        BindingChange change = raised.Should().ContainSingle().Which.Should().ContainSingle().Subject;
+        change.ActionName.Should().Be("TestAction");
+        change.Kind.Should().Be(BindingChangeKind.Removed);
+        change.OldKeyboard.Should().Be("A");
+    }
+
+    [Fact]
+    public async Task RefreshKeybindingsFromActionMapsAsync_WhenManualRebuild_DoesNotRaiseBindingsChanged()
+    {
+        SCInstallCandidate live = CreateLiveCandidate(_root);
+        Directory.CreateDirectory(live.ChannelPath);
+        File.WriteAllText(live.DataP4KPath, "test");
+
+        string keyboard = "A";
+        using SutContext ctx = CreateContext([live], testActionKeyboard: () => keyboard);
+        (await ctx.InitService.EnsureInitializedAsync()).IsSuccess.Should().BeTrue();
+
+        List<IReadOnlyList<BindingChange>> raised = [];
+        ctx.InitService.BindingsChanged += raised.Add;
+
+        keyboard = string.Empty;
+        bool refreshed = await ctx.InitService.RefreshKeybindingsFromActionMapsAsync(SCChannel.Live);
+
+        refreshed.Should().BeTrue();
+        raised.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task RefreshKeybindingsFromActionMapsAsync_AfterOwnWrite_DoesNotRaiseBindingsChanged()
+    {
+        SCInstallCandidate live = CreateLiveCandidate(_root);
+        Directory.CreateDirectory(live.ChannelPath);
+        File.WriteAllText(live.DataP4KPath, "test");
+        string profileDir = Path.Combine(live.ChannelPath, "user", "client", "0", "Profiles", "default");
+        Directory.CreateDirectory(profileDir);
+        File.WriteAllText(Path.Combine(profileDir, "actionmaps.xml"),
+            "<ActionMaps><ActionProfiles profileName=\"default\"/></ActionMaps>");
+
+        using SutContext ctx = CreateContext([live]);
+        (await ctx.InitService.EnsureInitializedAsync()).IsSuccess.Should().BeTrue();
+        string actionMapsPath = (await ctx.InitService.GetActionMapsPathAsync())!;
+
+        List<IReadOnlyList<BindingChange>> raised = [];
+        ctx.InitService.BindingsChanged += raised.Add;
+
+        (await ctx.ActionMapsRebind.AssignKeyboardBindingAsync(actionMapsPath, "TestMap", "TestAction", "b")).Written
+            .Should().BeTrue();
+        (await ctx.InitService.RefreshKeybindingsFromActionMapsAsync(SCChannel.Live, true)).Should().BeTrue();
+
+        raised.Should().BeEmpty();
+        ctx.KeybindingService.GetAllActions().Should().ContainSingle(a => a.ActionName == "TestAction")
+            .Which.KeyboardBinding.Should().Be("b");
+
+        // The next change is the game's again.
+        File.WriteAllText(actionMapsPath,
+            UserOverrideWriter.AddKeyboardRebind(File.ReadAllText(actionMapsPath), "TestMap", "TestAction", "c"));
+        (await ctx.InitService.RefreshKeybindingsFromActionMapsAsync(SCChannel.Live, true)).Should().BeTrue();
+
+        raised.Should().ContainSingle().Which.Should().ContainSingle().Which.ActionName.Should().Be("TestAction");
+    }
+
     private SutContext CreateContext(
         IReadOnlyList<SCInstallCandidate> locatorCandidates,
-        Action<Mock<IP4KArchiveService>>? configureP4K = null)
+        Action<Mock<IP4KArchiveService>>? configureP4K = null,
+        Func<string>? testActionKeyboard = null)
     {
         string baseDir = Path.Combine(_root, "base");
         string cacheDir = Path.Combine(_root, "cache");
@@ -304,7 +384,7 @@ public sealed class InitializationServiceComponentTests : IDisposable
         xmlParser.Setup(s => s.ParseActivationModes(It.IsAny<string>()))
             .Returns(new Dictionary<string, ActivationModeMetadata>(StringComparer.OrdinalIgnoreCase));
         xmlParser.Setup(s => s.ParseXmlToActions(It.IsAny<string>()))
-            .Returns(
+            .Returns(() =>
             [
                 new KeybindingActionData
                 {
@@ -315,7 +395,7 @@ public sealed class InitializationServiceComponentTests : IDisposable
                     MapName = "TestMap",
                     MapLabel = "TestMap",
                     ActivationMode = ActivationMode.press,
-                    Bindings = new InputBindings { Keyboard = "A" }
+                    Bindings = new InputBindings { Keyboard = testActionKeyboard?.Invoke() ?? "A" }
                 }
             ]);
 
@@ -344,8 +424,10 @@ public sealed class InitializationServiceComponentTests : IDisposable
             new CachedInstallationsCleanupService(stateService, keybindingsJsonCache, fileSystem);
 
         ActionMapsWatcherService watcher = new();
+        ActionMapsRebindService actionMapsRebind = new(fileSystem) { IsGameRunning = () => false };
         InitializationService initService =
-            new(keybindingService, locator, processor, watcher, pathProvider, stateService, keybindingsJsonCache, cachedCleanup);
+            new(keybindingService, locator, processor, watcher, actionMapsRebind, pathProvider, stateService,
+                keybindingsJsonCache, cachedCleanup);
 
         return new SutContext
         {
@@ -354,6 +436,7 @@ public sealed class InitializationServiceComponentTests : IDisposable
             KeybindingService = keybindingService,
             KeybindingProcessor = processor,
             InstallLocator = locator,
+            ActionMapsRebind = actionMapsRebind,
             InitService = initService
         };
     }
@@ -373,6 +456,7 @@ public sealed class InitializationServiceComponentTests : IDisposable
         public required KeybindingService KeybindingService { get; init; }
         public required KeybindingProcessorService KeybindingProcessor { get; init; }
         public required FakeInstallLocatorService InstallLocator { get; init; }
+        public required ActionMapsRebindService ActionMapsRebind { get; init; }
         public required InitializationService InitService { get; init; }
 
         public void Dispose() => InitService.Dispose();
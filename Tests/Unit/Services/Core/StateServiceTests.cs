@@ -116,6 +116,26 @@ public sealed class StateServiceTests
         result.EptuInstallation.Should().BeNull();
     }
 
+    [Fact]
+    public async Task UpdateUiLanguageAsync_PersistsLanguage_AndKeepsOtherState()
+    {
+        using TestStateFile testState = new();
+        testState.WriteState(CreateValidState());
+
+        TestPathProvider pathProvider = new(testState.CacheDirectory);
+        StateService stateService = new(pathProvider, new SystemFileSystem());
+
+        await stateService.UpdateUiLanguageAsync("de");
+
+        (await stateService.GetUiLanguageAsync()).Should().Be("de");
+        PluginState? result = await stateService.LoadStateAsync();
+        result!.LiveInstallation.Should().NotBeNull();
+
+        await stateService.UpdateUiLanguageAsync(null);
+
+        (await stateService.GetUiLanguageAsync()).Should().BeNull();
+    }
+
     [Fact]
     public async Task GetCachedCandidatesAsync_ReturnsNull_WhenStateNotValid()
     {
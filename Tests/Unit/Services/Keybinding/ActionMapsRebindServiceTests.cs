@@ -0,0 +1,108 @@
+using FluentAssertions;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+using SCStreamDeck.Services.UI;
+using Tests.Testing;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class ActionMapsRebindServiceTests
+{
+    private const string ActionMapsPath = "C:/StarCitizen/LIVE/user/client/0/Profiles/default/actionmaps.xml";
+    private const string ActionMapsXml = "<ActionMaps><ActionProfiles profileName=\"default\"/></ActionMaps>";
+
+    [Fact]
+    public async Task AssignKeyboardBindingAsync_WritesRebind_AndBackup()
+    {
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(ActionMapsPath, ActionMapsXml);
+        ActionMapsRebindService service = new(fileSystem) { IsGameRunning = () => false };
+
+        FreeKeyAssignmentResult result =
+            await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_a", "rctrl+np_1");
+
+        result.Written.Should().BeTrue();
+        result.Reason.Should().BeNull();
+        result.BackupPath.Should().Be(ActionMapsPath + ActionMapsRebindService.BackupSuffix);
+        fileSystem.ReadAllText(result.BackupPath!).Should().Be(ActionMapsXml);
+        fileSystem.ReadAllText(ActionMapsPath).Should().Contain("kb1_rctrl+np_1");
+        fileSystem.FileExists(ActionMapsPath + ActionMapsRebindService.TempSuffix).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task AssignKeyboardBindingAsync_Twice_KeepsOriginalBackup()
+    {
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(ActionMapsPath, ActionMapsXml);
+        ActionMapsRebindService service = new(fileSystem) { IsGameRunning = () => false };
+
+        await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_a", "rctrl+np_1");
+        FreeKeyAssignmentResult result =
+            await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_b", "rctrl+np_2");
+
+        result.Written.Should().BeTrue();
+        fileSystem.ReadAllText(result.BackupPath!).Should().Be(ActionMapsXml);
+        fileSystem.ReadAllText(ActionMapsPath).Should().Contain("kb1_rctrl+np_1").And.Contain("kb1_rctrl+np_2");
+    }
+
+    [Fact]
+    public async Task ConsumeOwnWrite_AfterAssignment_IsTrueOnce()
+    {
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(ActionMapsPath, ActionMapsXml);
+        ActionMapsRebindService service = new(fileSystem) { IsGameRunning = () => false };
+
+        service.ConsumeOwnWrite(ActionMapsPath).Should().BeFalse();
+        await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_a", "rctrl+np_1");
+
+        service.ConsumeOwnWrite(ActionMapsPath).Should().BeTrue();
+        service.ConsumeOwnWrite(ActionMapsPath).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task AssignKeyboardBindingAsync_GameRunning_WritesNothing()
+    {
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(ActionMapsPath, ActionMapsXml);
+        ActionMapsRebindService service = new(fileSystem) { IsGameRunning = () => true };
+
+        FreeKeyAssignmentResult result =
+            await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_a", "rctrl+np_1");
+
+        result.Written.Should().BeFalse();
+        result.Reason.Should().Be(PiReasons.GameRunning);
+        result.Snippet.Should().Contain("kb1_rctrl+np_1");
+        fileSystem.ReadAllText(ActionMapsPath).Should().Be(ActionMapsXml);
+        fileSystem.FileExists(ActionMapsPath + ActionMapsRebindService.BackupSuffix).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData(ActionMapsPath)]
+    public async Task AssignKeyboardBindingAsync_NoActionMaps_ReturnsSnippet(string? path)
+    {
+        ActionMapsRebindService service = new(new TestFileSystem()) { IsGameRunning = () => false };
+
+        FreeKeyAssignmentResult result = await service.AssignKeyboardBindingAsync(path, "spaceship_general", "v_a", "rshift+f5");
+
+        result.Written.Should().BeFalse();
+        result.Reason.Should().Be(PiReasons.ActionMapsNotFound);
+        result.Snippet.Should().Contain("<action name=\"v_a\">");
+    }
+
+    [Fact]
+    public async Task AssignKeyboardBindingAsync_InvalidXml_ReportsReason_WithoutWriting()
+    {
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(ActionMapsPath, "<ActionMaps>");
+        ActionMapsRebindService service = new(fileSystem) { IsGameRunning = () => false };
+
+        FreeKeyAssignmentResult result =
+            await service.AssignKeyboardBindingAsync(ActionMapsPath, "spaceship_general", "v_a", "rctrl+np_1");
+
+        result.Written.Should().BeFalse();
+        result.Reason.Should().Be(PiReasons.ActionMapsWriteFailed);
+        fileSystem.ReadAllText(ActionMapsPath).Should().Be("<ActionMaps>");
+        service.ConsumeOwnWrite(ActionMapsPath).Should().BeFalse();
+    }
+}
@@ -124,6 +124,14 @@ public sealed class ActivationModeHandlerRegistryTests
 
     private sealed record ScheduledHold(string ActionKey, float DelaySeconds);
 
+    [Theory]
+    [InlineData(ActivationMode.press, nameof(ImmediatePressHandler))]
+    [InlineData(ActivationMode.delayed_press, nameof(DelayedPressHandler))]
+    [InlineData(ActivationMode.hold, nameof(HoldHandler))]
+    [InlineData(ActivationMode.smart_toggle, nameof(SmartToggleHandler))]
+    public void GetHandlerName_ReturnsHandlerForMode(ActivationMode mode, string expected) =>
+        new ActivationModeHandlerRegistry().GetHandlerName(mode).Should().Be(expected);
+
     private sealed class RecordingInputExecutor : IInputExecutor
     {
         public int PressNoRepeatCount { get; private set; }
@@ -1,6 +1,7 @@
 using System.Collections.Concurrent;
 using FluentAssertions;
 using Moq;
+using SCStreamDeck.Common;
 using SCStreamDeck.Models;
 using SCStreamDeck.Services.Keybinding.ActivationHandlers;
 using WindowsInput;
@@ -196,6 +197,44 @@ public sealed class KeybindingInputExecutorTests
     }
 
 
+    [Theory]
+    [InlineData(SCConstants.Input.MouseAxis.X, 3, 3 * KeybindingInputExecutor.MouseAxisPixelsPerStep, 0)]
+    [InlineData(SCConstants.Input.MouseAxis.Y, -2, 0, -2 * KeybindingInputExecutor.MouseAxisPixelsPerStep)]
+    public void ExecuteMouseAxis_XY_MovesMouseByStepPixels(string axis, int steps, int expectedX, int expectedY)
+    {
+        (KeybindingInputExecutor executor, Mock<IMouseSimulator> mouse, _) = CreateExecutor();
+
+        mouse.Setup(m => m.MoveMouseBy(It.IsAny<int>(), It.IsAny<int>())).Returns(mouse.Object);
+
+        executor.ExecuteMouseAxis(axis, steps).Should().BeTrue();
+
+        mouse.Verify(m => m.MoveMouseBy(expectedX, expectedY), Times.Once);
+    }
+
+    [Fact]
+    public void ExecuteMouseAxis_Z_ScrollsOneClickPerStep()
+    {
+        (KeybindingInputExecutor executor, Mock<IMouseSimulator> mouse, _) = CreateExecutor();
+
+        mouse.Setup(m => m.VerticalScroll(It.IsAny<int>())).Returns(mouse.Object);
+
+        executor.ExecuteMouseAxis(SCConstants.Input.MouseAxis.Z, -4).Should().BeTrue();
+
+        mouse.Verify(m => m.VerticalScroll(-4), Times.Once);
+    }
+
+    [Fact]
+    public void ExecuteMouseAxis_ZeroSteps_OrUnknownAxis_DoesNotMove()
+    {
+        (KeybindingInputExecutor executor, Mock<IMouseSimulator> mouse, _) = CreateExecutor();
+
+        executor.ExecuteMouseAxis(SCConstants.Input.MouseAxis.X, 0).Should().BeTrue();
+        executor.ExecuteMouseAxis("MAXIS_W", 1).Should().BeFalse();
+
+        mouse.Verify(m => m.MoveMouseBy(It.IsAny<int>(), It.IsAny<int>()), Times.Never);
+        mouse.Verify(m => m.VerticalScroll(It.IsAny<int>()), Times.Never);
+    }
+
     private static (KeybindingInputExecutor Executor, Mock<IMouseSimulator> Mouse, Mock<IKeyboardSimulator> Keyboard)
         CreateExecutor()
     {
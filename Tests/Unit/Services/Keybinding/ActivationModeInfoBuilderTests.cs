@@ -0,0 +1,101 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class ActivationModeInfoBuilderTests
+{
+    private static JObject Timing(JObject info) => (JObject)info["timing"]!;
+
+    [Fact]
+    public void Build_Tap_ExplainsReleaseWindowFromMetadata()
+    {
+        ActivationModeMetadata metadata = new() { OnRelease = true, ReleaseTriggerThreshold = 0.25f, MultiTap = 1 };
+
+        JObject info = ActivationModeInfoBuilder.Build(ActivationMode.tap, metadata);
+
+        info["label"]!.Value<string>().Should().Be("Tap");
+        info["explanation"]!.Value<string>().Should().Contain("released").And.Contain("0.25 s");
+        Timing(info)["releaseWindow"]!.Value<double>().Should().Be(0.25);
+        Timing(info)["firesOnPress"]!.Value<bool>().Should().BeFalse();
+        Timing(info)["firesOnRelease"]!.Value<bool>().Should().BeTrue();
+    }
+
+    [Fact]
+    public void Build_DelayedPressLong_UsesPressTriggerThreshold()
+    {
+        ActivationModeMetadata metadata = new() { OnPress = true, PressTriggerThreshold = 1.5f, ReleaseTriggerThreshold = -1f };
+
+        JObject info = ActivationModeInfoBuilder.Build(ActivationMode.delayed_press_long, metadata);
+
+        info["explanation"]!.Value<string>().Should().Contain("1.5 s");
+        Timing(info)["pressDelay"]!.Value<double>().Should().Be(1.5);
+        Timing(info)["releaseWindow"]!.Value<double>().Should().Be(0);
+        Timing(info)["holdsInput"]!.Value<bool>().Should().BeTrue();
+        Timing(info)["firesOnPress"]!.Value<bool>().Should().BeFalse();
+    }
+
+    [Fact]
+    public void Build_DelayedHold_WithoutMetadata_FallsBackToHandlerDefault()
+    {
+        JObject info = ActivationModeInfoBuilder.Build(ActivationMode.delayed_hold_long, null);
+
+        Timing(info)["pressDelay"]!.Value<double>().Should().Be(1.5);
+        info["explanation"]!.Value<string>().Should().Contain("1.5 s").And.Contain("does not repeat");
+    }
+
+    [Fact]
+    public void Build_DoubleTap_ReportsTapsAndBlocking()
+    {
+        ActivationModeMetadata blocking = new() { OnPress = true, MultiTap = 2, MultiTapBlock = 1 };
+        ActivationModeMetadata nonBlocking = new() { OnPress = true, MultiTap = 2, MultiTapBlock = 0 };
+
+        JObject blockingInfo = ActivationModeInfoBuilder.Build(ActivationMode.double_tap, blocking);
+        JObject nonBlockingInfo = ActivationModeInfoBuilder.Build(ActivationMode.double_tap_nonblocking, nonBlocking);
+
+        Timing(blockingInfo)["taps"]!.Value<int>().Should().Be(2);
+        blockingInfo["explanation"]!.Value<string>().Should().Contain("held back");
+        nonBlockingInfo["explanation"]!.Value<string>().Should().Contain("still reaches");
+    }
+
+    [Fact]
+    public void Build_SmartToggle_UsesReleaseTriggerDelay()
+    {
+        ActivationModeMetadata metadata = new() { OnPress = true, OnRelease = true, ReleaseTriggerDelay = 0.4f };
+
+        JObject info = ActivationModeInfoBuilder.Build(ActivationMode.smart_toggle, metadata);
+
+        info["label"]!.Value<string>().Should().Be("Smart Toggle");
+        info["explanation"]!.Value<string>().Should().Contain("0.4 s");
+        Timing(info)["toggleDelay"]!.Value<double>().Should().Be(0.4);
+        Timing(info)["firesOnPress"]!.Value<bool>().Should().BeFalse();
+        Timing(info)["firesOnRelease"]!.Value<bool>().Should().BeFalse();
+    }
+
+    [Fact]
+    public void Build_Hold_HoldsInputAndDoesNotFireSeparatelyOnRelease()
+    {
+        ActivationModeMetadata metadata = new() { OnPress = true, OnRelease = true, Retriggerable = true };
+
+        JObject info = ActivationModeInfoBuilder.Build(ActivationMode.hold, metadata);
+
+        Timing(info)["holdsInput"]!.Value<bool>().Should().BeTrue();
+        Timing(info)["firesOnPress"]!.Value<bool>().Should().BeTrue();
+        Timing(info)["firesOnRelease"]!.Value<bool>().Should().BeFalse();
+    }
+
+    [Fact]
+    public void Build_EveryMode_HasLabelAndExplanation()
+    {
+        foreach (ActivationMode mode in Enum.GetValues<ActivationMode>())
+        {
+            JObject info = ActivationModeInfoBuilder.Build(mode, ActivationModeMetadata.Empty());
+
+            info["label"]!.Value<string>().Should().NotBeNullOrWhiteSpace(mode.ToString());
+            info["explanation"]!.Value<string>().Should().NotBeNullOrWhiteSpace(mode.ToString());
+            info["timing"].Should().NotBeNull();
+        }
+    }
+}
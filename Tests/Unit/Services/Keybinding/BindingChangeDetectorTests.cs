@@ -0,0 +1,97 @@
+using FluentAssertions;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class BindingChangeDetectorTests
+{
+    private static KeybindingAction Action(
+        string name,
+        string keyboard,
+        string mouse = "",
+        string label = "Label",
+        string joystick = "") =>
+        new()
+        {
+            ActionName = name,
+            MapName = "spaceship_general",
+            MapLabel = "Flight - General",
+            UiLabel = label,
+            KeyboardBinding = keyboard,
+            MouseBinding = mouse,
+            JoystickBinding = joystick
+        };
+
+    [Fact]
+    public void Compare_ListsAddedRemovedAndReboundFunctions()
+    {
+        List<KeybindingAction> before =
+        [
+            Action("v_lights", "l", label: "Lights"),
+            Action("v_gear", "n", label: "Landing Gear"),
+            Action("v_scan", "", label: "Scan"),
+            Action("v_fire", "", "mouse1", "Fire")
+        ];
+        List<KeybindingAction> after =
+        [
+            Action("v_lights", "", label: "Lights"),
+            Action("v_gear", "lalt+n", label: "Landing Gear"),
+            Action("v_scan", "tab", label: "Scan"),
+            Action("v_fire", "", "mouse1", "Fire")
+        ];
+
+        IReadOnlyList<BindingChange> changes = BindingChangeDetector.Compare(before, after);
+
+        changes.Select(c => (c.Label, c.Kind)).Should().Equal(
+            ("Landing Gear", BindingChangeKind.Rebound),
+            ("Lights", BindingChangeKind.Removed),
+            ("Scan", BindingChangeKind.Added));
+
+        BindingChange gear = changes[0];
+        gear.MapLabel.Should().Be("Flight - General");
+        gear.OldKeyboard.Should().Be("n");
+        gear.NewKeyboard.Should().Be("lalt+n");
+    }
+
+    [Fact]
+    public void Compare_KeepsFunctionBound_WhenOnlyOneDeviceLostItsBinding()
+    {
+        IReadOnlyList<BindingChange> changes = BindingChangeDetector.Compare(
+            [Action("v_boost", "lshift", "mouse4")],
+            [Action("v_boost", "", "mouse4")]);
+
+        changes.Should().ContainSingle().Which.Kind.Should().Be(BindingChangeKind.Rebound);
+    }
+
+    [Fact]
+    public void Compare_IgnoresCaseWhitespaceJoystickAndUnlabelledActions()
+    {
+        IReadOnlyList<BindingChange> changes = BindingChangeDetector.Compare(
+            [Action("v_a", "LAlt+N"), Action("v_b", "", joystick: "js1_button1"), Action("v_hidden", "x", label: "")],
+            [Action("v_a", " lalt+n "), Action("v_b", "", joystick: "js1_button2"), Action("v_hidden", "", label: "")]);
+
+        changes.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Compare_TreatsFunctionsMissingOnOneSideAsUnbound()
+    {
+        IReadOnlyList<BindingChange> changes = BindingChangeDetector.Compare(
+            [Action("v_old", "f1", label: "Old")],
+            [Action("v_new", "f2", label: "New")]);
+
+        changes.Select(c => (c.ActionName, c.Kind)).Should().Equal(
+            ("v_new", BindingChangeKind.Added),
+            ("v_old", BindingChangeKind.Removed));
+        changes[1].NewKeyboard.Should().BeEmpty();
+    }
+
+    [Theory]
+    [InlineData("", "", false)]
+    [InlineData(" ", "", false)]
+    [InlineData("f1", "", true)]
+    [InlineData("", "mouse2", true)]
+    public void IsBound_ChecksKeyboardAndMouse(string keyboard, string mouse, bool expected) =>
+        BindingChangeDetector.IsBound(Action("v_a", keyboard, mouse)).Should().Be(expected);
+}
@@ -0,0 +1,52 @@
+using FluentAssertions;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.Keybinding;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class FreeKeyFinderTests
+{
+    private static KeybindingAction Action(string name, string keyboard) =>
+        new() { ActionName = name, MapName = "spaceship_general", KeyboardBinding = keyboard };
+
+    [Fact]
+    public void FindFreeKeyboardBindings_SkipsCombosInUse_RegardlessOfModifierOrder()
+    {
+        List<KeybindingAction> actions =
+        [
+            Action("v_a", "RShift+RCtrl+np_0"),
+            Action("v_b", "rctrl+rshift+np_2"),
+            Action("v_unbound", "")
+        ];
+
+        IReadOnlyList<string> free = FreeKeyFinder.FindFreeKeyboardBindings(actions, 3);
+
+        free.Should().Equal("rctrl+rshift+np_1", "rctrl+rshift+np_3", "rctrl+rshift+np_4");
+    }
+
+    [Fact]
+    public void FindFreeKeyboardBindings_NeverProposesAltOrF4()
+    {
+        IReadOnlyList<string> free = FreeKeyFinder.FindFreeKeyboardBindings([], int.MaxValue);
+
+        free.Should().NotBeEmpty();
+        free.Should().OnlyContain(b => !b.Contains("alt") && !b.EndsWith("+f4", StringComparison.Ordinal));
+        free.Should().OnlyHaveUniqueItems();
+    }
+
+    [Theory]
+    [InlineData("rctrl+rshift+np_1", true)]
+    [InlineData(" RShift+RCtrl+NP_1 ", true)]
+    [InlineData("rctrl+rshift+np_0", false)]
+    [InlineData("lalt+n", false)]
+    [InlineData("", false)]
+    public void IsFree_OnlyAcceptsProposedCombosNotInUse(string binding, bool expected) =>
+        FreeKeyFinder.IsFree([Action("v_a", "rctrl+rshift+np_0")], binding).Should().Be(expected);
+
+    [Theory]
+    [InlineData("lshift+lctrl+a", "lctrl+lshift+a")]
+    [InlineData(" N ", "n")]
+    [InlineData("lalt + f1", "lalt+f1")]
+    public void Normalize_SortsModifiers_AndLowercases(string binding, string expected) =>
+        FreeKeyFinder.Normalize(binding).Should().Be(expected);
+}
@@ -468,11 +468,16 @@ public sealed class FunctionsPayloadBuilderTests
         JObject details = (JObject)option["details"]!;
         details.Properties().Select(p => p.Name)
             .Should()
-            .Equal("label", "description", "actionName", "activationMode", "isToggleCandidate", "devices", "isBound", "hasAxis", "hasButton");
+            .Equal(
+                "label", "description", "actionName", "activationMode", "activationInfo", "isToggleCandidate",
+                "devices", "isBound", "hasAxis", "hasButton");
 
         details["actionName"]!.Value<string>().Should().Be("kb_action");
         details["activationMode"]!.Value<string>().Should().Be("press");
 
+        JObject activationInfo = (JObject)details["activationInfo"]!;
+        activationInfo.Properties().Select(p => p.Name).Should().Equal("label", "explanation", "timing");
+
         JArray devices = (JArray)details["devices"]!;
         devices.Should().HaveCount(1);
 
@@ -489,5 +494,40 @@ public sealed class FunctionsPayloadBuilderTests
         binding["sourceActionName"]!.Value<string>().Should().Be("kb_action");
     }
 
+    [Fact]
+    public void BuildGroupedFunctionsPayload_AddsEnglishDescription_WhenLocalizedDescriptionDiffers()
+    {
+        KeybindingAction action = new()
+        {
+            ActionName = "v_eject",
+            MapName = DefaultMapName,
+            UiLabel = "Schleudersitz",
+            UiCategory = DefaultCategory,
+            UiDescription = "Halten zum Aussteigen",
+            UiDescriptionEnglish = "Hold to eject",
+            KeyboardBinding = "f1"
+        };
+
+        JObject details = GetOptionDetails(BuildPayload(action));
+
+        details["description"]!.Value<string>().Should().Be("Halten zum Aussteigen");
+        details["descriptionEnglish"]!.Value<string>().Should().Be("Hold to eject");
+    }
+
+    [Fact]
+    public void BuildGroupedFunctionsPayload_ActivationInfo_UsesLoadedActivationModeMetadata()
+    {
+        KeybindingAction action = CreateAction("kb_action", ActivationMode.delayed_press, "f1");
+        Dictionary<ActivationMode, ActivationModeMetadata> activationModes = new()
+        {
+            [ActivationMode.delayed_press] = new ActivationModeMetadata { OnPress = true, PressTriggerThreshold = 0.75f }
+        };
+
+        JArray payload = FunctionsPayloadBuilder.BuildGroupedFunctionsPayload([action], nint.Zero, activationModes);
+
+        JObject timing = (JObject)GetFirstOption(payload)["details"]!["activationInfo"]!["timing"]!;
+        timing["pressDelay"]!.Value<double>().Should().Be(0.75);
+    }
+
     #endregion
 }
@@ -0,0 +1,165 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Services.Keybinding;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class FunctionsPayloadDeltaBuilderTests
+{
+    private static JObject Option(string value, string text) => new() { ["value"] = value, ["text"] = text };
+
+    private static JObject Group(string label, params JObject[] options) =>
+        new() { ["label"] = label, ["options"] = new JArray(options.Cast<object>().ToArray()) };
+
+    private static JArray Groups(params JObject[] groups) => new(groups.Cast<object>().ToArray());
+
+    private static JArray BasePayload() =>
+        Groups(
+            Group("Flight",
+                Option("v2|a|m", "Alpha"),
+                Option("v2|b|m", "Bravo"),
+                Option("v2|c|m", "Charlie"),
+                Option("v2|d|m", "Delta")),
+            Group("Seats",
+                Option("v2|e|m", "Echo"),
+                Option("v2|f|m", "Foxtrot")));
+
+    [Fact]
+    public void ComputeHash_IsStableForEqualContent_AndChangesWithContent()
+    {
+        string first = FunctionsPayloadDeltaBuilder.ComputeHash(BasePayload());
+        string second = FunctionsPayloadDeltaBuilder.ComputeHash(BasePayload());
+
+        JArray changed = BasePayload();
+        changed[0]!["options"]![0]!["text"] = "Alpha 2";
+
+        first.Should().Be(second);
+        FunctionsPayloadDeltaBuilder.ComputeHash(changed).Should().NotBe(first);
+    }
+
+    [Fact]
+    public void GetClientCache_ReturnsUnsupported_WhenPiSentNoCacheInfo()
+    {
+        (bool supported, string? channel, string? hash) =
+            FunctionsPayloadDeltaBuilder.GetClientCache(new JObject { ["event"] = "propertyInspectorConnected" });
+
+        supported.Should().BeFalse();
+        channel.Should().BeNull();
+        hash.Should().BeNull();
+    }
+
+    [Fact]
+    public void GetClientCache_ReadsChannelAndHash_AndTreatsBlankAsNull()
+    {
+        JObject payload = new() { ["functionsCache"] = new JObject { ["channel"] = "Live", ["hash"] = "ABC" } };
+        JObject empty = new() { ["functionsCache"] = new JObject { ["channel"] = "", ["hash"] = "" } };
+
+        FunctionsPayloadDeltaBuilder.GetClientCache(payload).Should().Be((true, "Live", "ABC"));
+        FunctionsPayloadDeltaBuilder.GetClientCache(empty).Should().Be((true, (string?)null, (string?)null));
+    }
+
+    [Fact]
+    public void BuildUpdate_ReportsUnchanged_WhenPiHashMatches()
+    {
+        JArray groups = BasePayload();
+        string hash = FunctionsPayloadDeltaBuilder.ComputeHash(groups);
+
+        JObject update = FunctionsPayloadDeltaBuilder.BuildUpdate("Live", groups, hash, hash, groups);
+
+        update["functionsLoaded"]!.Value<bool>().Should().BeTrue();
+        update["functionsUnchanged"]!.Value<bool>().Should().BeTrue();
+        update["functionsHash"]!.Value<string>().Should().Be(hash);
+        update["channel"]!.Value<string>().Should().Be("Live");
+        update.ContainsKey("functions").Should().BeFalse();
+    }
+
+    [Fact]
+    public void BuildUpdate_SendsFullList_WhenPiPayloadUnknown()
+    {
+        JArray groups = BasePayload();
+        string hash = FunctionsPayloadDeltaBuilder.ComputeHash(groups);
+
+        JObject update = FunctionsPayloadDeltaBuilder.BuildUpdate("Live", groups, hash, "OLD", null);
+
+        update["functions"].Should().BeOfType<JArray>();
+        update.ContainsKey("functionsDelta").Should().BeFalse();
+        update.ContainsKey("functionsUnchanged").Should().BeFalse();
+    }
+
+    [Fact]
+    public void BuildUpdate_SendsDelta_WhenPiPayloadKnown()
+    {
+        JArray baseGroups = BasePayload();
+        JArray current = BasePayload();
+        current[0]!["options"]![1]!["text"] = "Bravo (changed)";
+        string hash = FunctionsPayloadDeltaBuilder.ComputeHash(current);
+
+        JObject update = FunctionsPayloadDeltaBuilder.BuildUpdate("Live", current, hash, "OLD", baseGroups);
+
+        update.ContainsKey("functions").Should().BeFalse();
+        JObject delta = (JObject)update["functionsDelta"]!;
+        delta["baseHash"]!.Value<string>().Should().Be("OLD");
+        delta["upserted"]!.Should().ContainSingle();
+        delta["upserted"]![0]!["option"]!["value"]!.Value<string>().Should().Be("v2|b|m");
+        delta["upserted"]![0]!["group"]!.Value<string>().Should().Be("Flight");
+    }
+
+    [Fact]
+    public void BuildDelta_ListsRemovedAndAddedOptions_WithOrderForTouchedGroupsOnly()
+    {
+        JArray baseGroups = BasePayload();
+        JArray current = Groups(
+            Group("Flight",
+                Option("v2|a|m", "Alpha"),
+                Option("v2|b|m", "Bravo"),
+                Option("v2|c|m", "Charlie"),
+                Option("v2|d|m", "Delta")),
+            Group("Seats",
+                Option("v2|e|m", "Echo"),
+                Option("v2|g|m", "Golf")));
+
+        JObject? delta = FunctionsPayloadDeltaBuilder.BuildDelta(baseGroups, current);
+
+        delta.Should().NotBeNull();
+        delta!["removed"]!.Values<string>().Should().Equal("v2|f|m");
+        delta["upserted"]!.Select(u => u["option"]!["value"]!.Value<string>()).Should().Equal("v2|g|m");
+        delta["groupOrder"]!.Values<string>().Should().Equal("Flight", "Seats");
+
+        JObject optionOrder = (JObject)delta["optionOrder"]!;
+        optionOrder.ContainsKey("Flight").Should().BeFalse();
+        optionOrder["Seats"]!.Values<string>().Should().Equal("v2|e|m", "v2|g|m");
+    }
+
+    [Fact]
+    public void BuildDelta_TreatsMoveToAnotherGroupAsUpsert()
+    {
+        JArray baseGroups = BasePayload();
+        JArray current = Groups(
+            Group("Flight",
+                Option("v2|a|m", "Alpha"),
+                Option("v2|b|m", "Bravo"),
+                Option("v2|c|m", "Charlie")),
+            Group("Seats",
+                Option("v2|d|m", "Delta"),
+                Option("v2|e|m", "Echo"),
+                Option("v2|f|m", "Foxtrot")));
+
+        JObject? delta = FunctionsPayloadDeltaBuilder.BuildDelta(baseGroups, current);
+
+        delta.Should().NotBeNull();
+        delta!["upserted"]!.Should().ContainSingle();
+        delta["upserted"]![0]!["group"]!.Value<string>().Should().Be("Seats");
+        delta["removed"]!.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void BuildDelta_ReturnsNull_WhenMostOptionsChanged()
+    {
+        JArray current = Groups(
+            Group("Other",
+                Option("v2|x|m", "X"),
+                Option("v2|y|m", "Y")));
+
+        FunctionsPayloadDeltaBuilder.BuildDelta(BasePayload(), current).Should().BeNull();
+    }
+}
@@ -0,0 +1,67 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Services.Keybinding;
+
+namespace Tests.Unit.Services.Keybinding;
+
+public sealed class FunctionsPayloadHistoryTests
+{
+    private static JArray Payload(string label) =>
+        new(new JObject { ["label"] = label, ["options"] = new JArray() });
+
+    [Fact]
+    public void Record_ReturnsContentHash_AndPayloadCanBeRetrieved()
+    {
+        FunctionsPayloadHistory history = new();
+        JArray groups = Payload("Flight");
+
+        string hash = history.Record(groups);
+
+        hash.Should().Be(FunctionsPayloadDeltaBuilder.ComputeHash(groups));
+        history.TryGet(hash, out JArray? stored).Should().BeTrue();
+        stored.Should().BeSameAs(groups);
+    }
+
+    [Fact]
+    public void TryGet_ReturnsFalse_ForUnknownOrBlankHash()
+    {
+        FunctionsPayloadHistory history = new();
+        history.Record(Payload("Flight"));
+
+        history.TryGet("UNKNOWN", out _).Should().BeFalse();
+        history.TryGet(null, out _).Should().BeFalse();
+        history.TryGet(" ", out _).Should().BeFalse();
+    }
+
+    [Fact]
+    public void Record_EvictsOldestPayloads()
+    {
+        FunctionsPayloadHistory history = new();
+        string first = history.Record(Payload("P0"));
+
+        for (int i = 1; i <= 4; i++)
+        {
+            history.Record(Payload($"P{i}"));
+        }
+
+        history.TryGet(first, out _).Should().BeFalse();
+        history.TryGet(FunctionsPayloadDeltaBuilder.ComputeHash(Payload("P4")), out _).Should().BeTrue();
+    }
+
+    [Fact]
+    public void Record_SamePayloadAgain_KeepsItAsMostRecent()
+    {
+        FunctionsPayloadHistory history = new();
+        string first = history.Record(Payload("P0"));
+
+        for (int i = 1; i <= 3; i++)
+        {
+            history.Record(Payload($"P{i}"));
+        }
+
+        history.Record(Payload("P0"));
+        history.Record(Payload("P4"));
+
+        history.TryGet(first, out _).Should().BeTrue();
+    }
+}
@@ -100,6 +100,39 @@ public sealed class KeybindingExecutorServiceTests
         result.Should().BeFalse();
     }
 
+    [Fact]
+    public async Task ExecuteMouseAxisAsync_MouseY_MovesMouseVertically()
+    {
+        KeybindingLoaderService loader = new(new SystemFileSystem());
+
+        Mock<IMouseSimulator> mouse = new(MockBehavior.Strict);
+        mouse.Setup(m => m.MoveMouseBy(0, 20)).Returns(mouse.Object);
+
+        Mock<IInputSimulator> inputSimulator = new(MockBehavior.Strict);
+        inputSimulator.SetupGet(i => i.Mouse).Returns(mouse.Object);
+
+        KeybindingExecutorService service = new(loader, inputSimulator.Object);
+
+        bool result = await service.ExecuteMouseAxisAsync("v_view_pitch_mouse", "maxis_y", 2);
+
+        result.Should().BeTrue();
+        mouse.Verify(m => m.MoveMouseBy(0, 20), Times.Once);
+    }
+
+    [Fact]
+    public async Task ExecuteMouseAxisAsync_NotAnAxis_ReturnsFalse_AndDoesNotExecute()
+    {
+        KeybindingLoaderService loader = new(new SystemFileSystem());
+
+        Mock<IInputSimulator> inputSimulator = new(MockBehavior.Strict);
+
+        KeybindingExecutorService service = new(loader, inputSimulator.Object);
+
+        bool result = await service.ExecuteMouseAxisAsync("TestAction", SCConstants.Input.Mouse.WheelUp, 1);
+
+        result.Should().BeFalse();
+    }
+
     [Fact]
     public async Task ExecuteAsync_ReturnsFalse_WhenContextInvalid()
     {
@@ -32,6 +32,7 @@ public sealed class KeybindingLoaderServiceTests
 
         result.Should().BeFalse();
         service.IsLoaded.Should().BeFalse();
+        service.Language.Should().Be(SCConstants.Localization.DefaultLanguage);
     }
 
     [Fact]
@@ -98,6 +99,7 @@ public sealed class KeybindingLoaderServiceTests
             service.GetActivationModesByMode().Should().ContainKey(ActivationMode.press);
             service.GetMetadata("action1_cat").Should().NotBeNull();
             service.GetAllActions().Should().ContainSingle(a => a.ActionName == "action1");
+            service.Language.Should().Be("EN");
         }
         finally
         {
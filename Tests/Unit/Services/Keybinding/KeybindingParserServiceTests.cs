@@ -255,4 +255,39 @@ public sealed class KeybindingParserServiceTests
     }
 
     #endregion
+
+    #region Mouse Axis Tests
+
+    [Theory]
+    [InlineData("maxis_x", SCConstants.Input.MouseAxis.X)]
+    [InlineData(" MAXIS_Y ", SCConstants.Input.MouseAxis.Y)]
+    [InlineData("maxis_z", SCConstants.Input.MouseAxis.Z)]
+    public void TryParseMouseAxis_ParsesPlainAxes(string binding, string expectedAxis)
+    {
+        KeybindingParserService.TryParseMouseAxis(binding, out string axis).Should().BeTrue();
+
+        axis.Should().Be(expectedAxis);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("lshift+maxis_x")]
+    [InlineData("maxis_w")]
+    [InlineData("mwheel_up")]
+    [InlineData("mouse1")]
+    public void TryParseMouseAxis_ReturnsFalse_ForOtherBindings(string? binding)
+    {
+        KeybindingParserService.TryParseMouseAxis(binding, out string axis).Should().BeFalse();
+
+        axis.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void ParseBinding_ReturnsNull_ForMouseAxis()
+    {
+        KeybindingParserService.ParseBinding("maxis_x").Should().BeNull();
+    }
+
+    #endregion
 }
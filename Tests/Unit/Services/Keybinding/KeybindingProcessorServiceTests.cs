@@ -254,6 +254,56 @@ public sealed class KeybindingProcessorServiceTests
         actions[0].Category.Should().Be("Localized Category");
     }
 
+    [Fact]
+    public async Task ApplyLocalizationAsync_KeepsEnglishDescription_WhenGameLanguageIsNotEnglish()
+    {
+        Mock<ILocalizationService> mockLocalizationService = new();
+        mockLocalizationService
+            .Setup(x => x.LoadGlobalIniAsync(It.IsAny<string>(), "german_(germany)", It.IsAny<string>(),
+                It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Dictionary<string, string>
+            {
+                ["@desc"] = "Halten zum Aussteigen", ["@same"] = "Quantum"
+            });
+        mockLocalizationService
+            .Setup(x => x.LoadGlobalIniAsync(It.IsAny<string>(), "english", It.IsAny<string>(),
+                It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Dictionary<string, string> { ["@desc"] = "Hold to eject", ["@same"] = "Quantum" });
+
+        KeybindingProcessorService service = new(
+            Mock.Of<IP4KArchiveService>(),
+            Mock.Of<ICryXmlParserService>(),
+            mockLocalizationService.Object,
+            Mock.Of<IKeybindingXmlParserService>(),
+            Mock.Of<IKeybindingMetadataService>(),
+            Mock.Of<IKeybindingOutputService>(),
+            new SystemFileSystem()
+        );
+
+        List<KeybindingActionData> actions =
+        [
+            new() { Name = "eject", Description = "@desc", Bindings = new InputBindings() },
+            new() { Name = "quantum", Description = "@same", Bindings = new InputBindings() }
+        ];
+
+        SCInstallCandidate installation = new(
+            "C:\\SC",
+            SCChannel.Live,
+            @"C:\SC\LIVE",
+            @"C:\SC\LIVE\Data.p4k"
+        );
+
+        MethodInfo methodInfo = typeof(KeybindingProcessorService)
+            .GetMethod("ApplyLocalizationAsync", BindingFlags.NonPublic | BindingFlags.Instance)!;
+
+        await (Task)methodInfo.Invoke(service, [actions, installation, "german_(germany)", CancellationToken.None])!;
+
+        actions[0].Description.Should().Be("Halten zum Aussteigen");
+        actions[0].DescriptionEnglish.Should().Be("Hold to eject");
+        actions[1].Description.Should().Be("Quantum");
+        actions[1].DescriptionEnglish.Should().BeNull();
+    }
+
     [Fact]
     public async Task ApplyLocalizationAsync_DoesNotModify_WhenLocalizationIsEmpty()
     {
@@ -0,0 +1,64 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class BindingChangesPayloadBuilderTests
+{
+    private static BindingChange Change(string name, BindingChangeKind kind, string oldMouse = "", string newMouse = "") =>
+        new(name, "spaceship_general", name, "Flight - General", kind, "", oldMouse, "", newMouse);
+
+    [Fact]
+    public void Build_CountsKinds_AndListsChanges()
+    {
+        JObject payload = BindingChangesPayloadBuilder.Build(
+        [
+            Change("v_fire", BindingChangeKind.Rebound, "mouse1", "mouse2"),
+            Change("v_scan", BindingChangeKind.Added, newMouse: "mouse3"),
+            Change("v_lights", BindingChangeKind.Removed, "mouse4")
+        ], 0, true);
+
+        payload["added"]!.Value<int>().Should().Be(1);
+        payload["removed"]!.Value<int>().Should().Be(1);
+        payload["rebound"]!.Value<int>().Should().Be(1);
+        payload["total"]!.Value<int>().Should().Be(3);
+        payload["truncated"]!.Value<bool>().Should().BeFalse();
+        payload["keyLostBinding"]!.Value<bool>().Should().BeTrue();
+
+        JObject first = (JObject)payload["changes"]![0]!;
+        first["functionId"]!.Value<string>().Should().Be("v2|v_fire|spaceship_general");
+        first["group"]!.Value<string>().Should().Be("Flight - General");
+        first["kind"]!.Value<string>().Should().Be("rebound");
+        first["oldBinding"]!.Value<string>().Should().Be("mouse1");
+        first["newBinding"]!.Value<string>().Should().Be("mouse2");
+        payload["changes"]![2]!["newBinding"]!.Value<string>().Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Build_JoinsKeyboardAndMouseBindings()
+    {
+        BindingChange change = new("v_boost", "spaceship_movement", "Boost", "Flight - Movement",
+            BindingChangeKind.Rebound, "", "mouse4", "lshift", "mouse4");
+
+        string binding = BindingChangesPayloadBuilder.Build([change], 0, false)["changes"]![0]!["newBinding"]!.Value<string>()!;
+
+        binding.Should().EndWith(" / mouse4");
+        binding.Length.Should().BeGreaterThan(" / mouse4".Length);
+    }
+
+    [Fact]
+    public void Build_CapsList_AndFlagsTruncation()
+    {
+        List<BindingChange> changes = Enumerable.Range(0, BindingChangesPayloadBuilder.MaxListedChanges + 5)
+            .Select(i => Change($"v_action_{i}", BindingChangeKind.Removed, "mouse1"))
+            .ToList();
+
+        JObject payload = BindingChangesPayloadBuilder.Build(changes, 0, false);
+
+        ((JArray)payload["changes"]!).Should().HaveCount(BindingChangesPayloadBuilder.MaxListedChanges);
+        payload["removed"]!.Value<int>().Should().Be(changes.Count);
+        payload["truncated"]!.Value<bool>().Should().BeTrue();
+    }
+}
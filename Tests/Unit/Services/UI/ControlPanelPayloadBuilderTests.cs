@@ -15,7 +15,9 @@ public sealed class ControlPanelPayloadBuilderTests
             true,
             SCChannel.Hotfix,
             ch => ch == SCChannel.Ptu,
-            _ => true);
+            _ => null,
+            _ => true,
+            _ => null);
 
         payload["initialized"]!.Value<bool>().Should().BeTrue();
         payload["currentChannel"]!.Value<string>().Should().Be("Hotfix");
@@ -58,7 +60,9 @@ public sealed class ControlPanelPayloadBuilderTests
             false,
             SCChannel.Live,
             _ => false,
-            i => i.Channel == SCChannel.Ptu);
+            _ => null,
+            i => i.Channel == SCChannel.Ptu,
+            _ => null);
 
         payload["preferredChannel"]!.Value<string>().Should().Be("Ptu");
         payload["preferredAvailable"]!.Value<bool>().Should().BeTrue();
@@ -83,7 +87,9 @@ public sealed class ControlPanelPayloadBuilderTests
             true,
             SCChannel.Eptu,
             ch => ch == SCChannel.Eptu,
-            _ => true);
+            _ => null,
+            _ => true,
+            _ => null);
 
         JArray channels = (JArray)payload["channels"]!;
         JObject entry = (JObject)channels.Single(c => c["channel"]!.Value<string>() == "Eptu");
@@ -95,6 +101,45 @@ public sealed class ControlPanelPayloadBuilderTests
         entry["channelPath"]!.Value<string>().Should().Be(@"E:\Games\StarCitizen\EPTU");
         entry["dataP4KPath"]!.Value<string>().Should().Be(@"E:\Games\StarCitizen\EPTU\Data.p4k");
         entry["keybindingsJsonExists"]!.Value<bool>().Should().BeTrue();
+        entry["invalidReason"]!.Value<string>().Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Build_ReportsInvalidReasonAndKeybindingsJsonLastWrite_PerChannel()
+    {
+        DateTime builtAt = new(2026, 2, 1, 8, 30, 0, DateTimeKind.Utc);
+
+        InstallationState live = new(@"C:\SC", SCChannel.Live, @"C:\SC\LIVE");
+        InstallationState ptu = new(@"D:\SC", SCChannel.Ptu, @"D:\SC\PTU", true);
+
+        PluginState state = new(
+            builtAt,
+            SCChannel.Live,
+            null,
+            live,
+            null,
+            ptu,
+            null);
+
+        JObject payload = ControlPanelPayloadBuilder.Build(
+            state,
+            true,
+            SCChannel.Live,
+            ch => ch is SCChannel.Live or SCChannel.Eptu,
+            ch => ch == SCChannel.Live ? builtAt : null,
+            i => i.Channel == SCChannel.Live,
+            _ => "dataP4KMissing");
+
+        JArray channels = (JArray)payload["channels"]!;
+        JToken Entry(string channel) => channels.Single(c => c["channel"]!.Value<string>() == channel);
+
+        Entry("Live")["invalidReason"]!.Value<string>().Should().BeEmpty();
+        Entry("Live")["keybindingsJsonLastWrite"]!.Value<string>().Should().Be(builtAt.ToString("O"));
+        Entry("Ptu")["invalidReason"]!.Value<string>().Should().Be("dataP4KMissing");
+        Entry("Ptu")["keybindingsJsonLastWrite"]!.Value<string>().Should().BeEmpty();
+        Entry("Hotfix")["invalidReason"]!.Value<string>().Should().Be(ControlPanelPayloadBuilder.NotDetectedReason);
+        Entry("Eptu")["keybindingsJsonExists"]!.Value<bool>().Should().BeTrue();
+        Entry("Eptu")["keybindingsJsonLastWrite"]!.Value<string>().Should().BeEmpty();
     }
 
     [Fact]
@@ -132,7 +177,9 @@ public sealed class ControlPanelPayloadBuilderTests
             true,
             SCChannel.Live,
             ch => ch == SCChannel.Ptu,
-            _ => true);
+            _ => null,
+            _ => true,
+            _ => null);
 
         payload.Properties().Select(p => p.Name)
             .Should()
@@ -154,7 +201,9 @@ public sealed class ControlPanelPayloadBuilderTests
                     "rootPath",
                     "channelPath",
                     "dataP4KPath",
-                    "keybindingsJsonExists");
+                    "invalidReason",
+                    "keybindingsJsonExists",
+                    "keybindingsJsonLastWrite");
         }
     }
 }
@@ -0,0 +1,40 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class FreeKeyPayloadBuilderTests
+{
+    [Fact]
+    public void BuildSuggestions_ListsRawAndDisplayBinding()
+    {
+        JObject payload = FreeKeyPayloadBuilder.BuildSuggestions(["rctrl+np_1", "rshift+f5"], 0);
+
+        JArray bindings = (JArray)payload["bindings"]!;
+        bindings.Select(b => b["binding"]!.Value<string>()).Should().Equal("rctrl+np_1", "rshift+f5");
+        bindings.Should().OnlyContain(b => !string.IsNullOrWhiteSpace(b["display"]!.Value<string>()));
+    }
+
+    [Fact]
+    public void Build_WrittenResult_ReportsBackup_WithoutReason()
+    {
+        JObject payload = FreeKeyPayloadBuilder.Build(
+            new FreeKeyAssignmentResult(true, "rctrl+np_1", "<actionmap/>", "actionmaps.xml.bak", null), 0);
+
+        payload["written"]!.Value<bool>().Should().BeTrue();
+        payload["binding"]!.Value<string>().Should().Be("rctrl+np_1");
+        payload["backupPath"]!.Value<string>().Should().Be("actionmaps.xml.bak");
+        payload.ContainsKey("reason").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Build_NotWrittenResult_OmitsBackup()
+    {
+        JObject payload = FreeKeyPayloadBuilder.Build(FreeKeyAssignmentResult.NotWritten("rctrl+np_1", null, "Busy."), 0);
+
+        payload.Properties().Select(p => p.Name).Should().BeEquivalentTo("written", "binding", "display", "reason");
+        payload["reason"]!.Value<string>().Should().Be("Busy.");
+    }
+}
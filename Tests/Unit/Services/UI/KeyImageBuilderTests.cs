@@ -0,0 +1,100 @@
+using System.Text;
+using FluentAssertions;
+using SCStreamDeck.Services.UI;
+using Tests.Testing;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class KeyImageBuilderTests
+{
+    private static readonly string s_imageDirectory = Path.Combine(Path.GetTempPath(), "scsd-key-images");
+
+    private static string DecodeDataUrl(string dataUrl, string mimeType)
+    {
+        string prefix = $"data:{mimeType};base64,";
+        dataUrl.Should().StartWith(prefix);
+        return Encoding.UTF8.GetString(Convert.FromBase64String(dataUrl[prefix.Length..]));
+    }
+
+    [Theory]
+    [InlineData("#1a2b3c", "#1A2B3C")]
+    [InlineData(" #abc ", "#AABBCC")]
+    public void TryNormalizeColor_AcceptsShortAndLongHex(string color, string expected)
+    {
+        KeyImageBuilder.TryNormalizeColor(color, out string hex).Should().BeTrue();
+        hex.Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("red")]
+    [InlineData("#12345")]
+    [InlineData("#GGHHII")]
+    public void TryNormalizeColor_RejectsInvalidValues(string? color) =>
+        KeyImageBuilder.TryNormalizeColor(color, out _).Should().BeFalse();
+
+    [Fact]
+    public void Build_WithColor_ReturnsSolidSvg()
+    {
+        string? image = KeyImageBuilder.Build(null, "#ff0000", new TestFileSystem());
+
+        DecodeDataUrl(image!, "image/svg+xml").Should().Contain("fill=\"#FF0000\"");
+    }
+
+    [Fact]
+    public void Build_WithImageFile_PrefersFileOverColor()
+    {
+        string path = Path.Combine(s_imageDirectory, "on.svg");
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(path, "<svg id=\"on\"/>");
+
+        string? image = KeyImageBuilder.Build(path, "#ff0000", fileSystem);
+
+        DecodeDataUrl(image!, "image/svg+xml").Should().Be("<svg id=\"on\"/>");
+    }
+
+    [Fact]
+    public void Build_FallsBackToColor_WhenImageIsMissingOrUnsupported()
+    {
+        TestFileSystem fileSystem = new();
+        string unsupported = Path.Combine(s_imageDirectory, "notes.txt");
+        fileSystem.AddFile(unsupported, "text");
+
+        KeyImageBuilder.Build(Path.Combine(s_imageDirectory, "missing.png"), "#00ff00", fileSystem)
+            .Should().StartWith("data:image/svg+xml;base64,");
+        KeyImageBuilder.Build(unsupported, null, fileSystem).Should().BeNull();
+    }
+
+    [Fact]
+    public void Build_RejectsImagesOverSizeLimit()
+    {
+        string path = Path.Combine(s_imageDirectory, "large.png");
+        TestFileSystem fileSystem = new();
+        fileSystem.AddFile(path, new string('x', KeyImageBuilder.MaxImageBytes + 1));
+
+        KeyImageBuilder.Build(path, null, fileSystem).Should().BeNull();
+    }
+
+    [Fact]
+    public void Build_ReturnsNull_WhenNothingConfigured() =>
+        KeyImageBuilder.Build(null, null, new TestFileSystem()).Should().BeNull();
+
+    [Fact]
+    public void BuildMissingFunctionImage_ReturnsWarningSvg()
+    {
+        string svg = DecodeDataUrl(KeyImageBuilder.BuildMissingFunctionImage(), "image/svg+xml");
+
+        svg.Should().StartWith("<svg").And.Contain("MISSING");
+        KeyImageBuilder.BuildMissingFunctionImage().Should().BeSameAs(KeyImageBuilder.BuildMissingFunctionImage());
+    }
+
+    [Fact]
+    public void BuildUnboundFunctionImage_ReturnsWarningSvg_DistinctFromMissing()
+    {
+        string svg = DecodeDataUrl(KeyImageBuilder.BuildUnboundFunctionImage(), "image/svg+xml");
+
+        svg.Should().StartWith("<svg").And.Contain("UNBOUND").And.NotContain("MISSING");
+        KeyImageBuilder.BuildUnboundFunctionImage().Should().NotBe(KeyImageBuilder.BuildMissingFunctionImage());
+    }
+}
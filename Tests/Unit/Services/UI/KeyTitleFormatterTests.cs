@@ -0,0 +1,80 @@
+using FluentAssertions;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class KeyTitleFormatterTests
+{
+    [Fact]
+    public void ParseAbbreviations_ReadsOneRulePerLine_IgnoringInvalidLines()
+    {
+        IReadOnlyList<KeyTitleAbbreviation> rules = KeyTitleFormatter.ParseAbbreviations(
+            "Quantum=QT\r\n\nno separator\n=Empty\nQuantum Drive = QD\nToggle=");
+
+        rules.Should().Equal(
+            new KeyTitleAbbreviation("Quantum Drive", "QD"),
+            new KeyTitleAbbreviation("Quantum", "QT"),
+            new KeyTitleAbbreviation("Toggle", string.Empty));
+    }
+
+    [Fact]
+    public void ParseAbbreviations_ReturnsEmpty_ForBlankInput()
+    {
+        KeyTitleFormatter.ParseAbbreviations(null).Should().BeEmpty();
+        KeyTitleFormatter.ParseAbbreviations("  ").Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Format_WrapsWordsToKeyWidth()
+    {
+        KeyTitleFormatter.Format("Toggle Landing Gear", []).Should().Be("Toggle\nLanding\nGear");
+        KeyTitleFormatter.Format("Open Doors", []).Should().Be("Open Doors");
+    }
+
+    [Fact]
+    public void Format_AppliesWholeWordAbbreviations_CaseInsensitive()
+    {
+        IReadOnlyList<KeyTitleAbbreviation> rules =
+            KeyTitleFormatter.ParseAbbreviations("quantum drive=QD\nToggle=\nLand=Lnd");
+
+        KeyTitleFormatter.Format("Toggle Quantum Drive", rules).Should().Be("QD");
+        KeyTitleFormatter.Format("Landing Gear", rules).Should().Be("Landing\nGear");
+    }
+
+    [Fact]
+    public void Format_FillsTemplate()
+    {
+        IReadOnlyList<KeyTitleAbbreviation> rules = KeyTitleFormatter.ParseAbbreviations("Landing Gear=Gear");
+
+        KeyTitleFormatter.Format("Landing Gear", rules, "{label} ON").Should().Be("Gear ON");
+        KeyTitleFormatter.Format("Landing Gear", rules, "Wheels\n{LABEL}").Should().Be("Wheels\nGear");
+        KeyTitleFormatter.Format("Landing Gear", rules, "  ").Should().Be("Gear");
+    }
+
+    [Fact]
+    public void Format_SplitsLongWords_AndCutsOverflowWithEllipsis()
+    {
+        KeyTitleFormatter.Format("Afterburner", []).Should().Be("Afterburne\nr");
+
+        string title = KeyTitleFormatter.Format("Cycle Through Hostile Targets Backwards", []);
+
+        title.Split('\n').Should().HaveCount(KeyTitleFormatter.MaxLines);
+        title.Should().Be("Cycle\nThrough\nHostile…");
+    }
+
+    [Fact]
+    public void FormatStates_UsesLabel_OnlyWhenAutoTitleIsOn()
+    {
+        string?[] templates = [null, "{label} ON"];
+
+        KeyTitleFormatter.FormatStates("Gear", true, templates, []).Should().Equal("Gear", "Gear ON");
+        KeyTitleFormatter.FormatStates("Gear", false, templates, []).Should().Equal(null, "Gear ON");
+    }
+
+    [Fact]
+    public void FormatStates_KeepsUserTitle_WhileLabelIsUnknown()
+    {
+        KeyTitleFormatter.FormatStates(string.Empty, true, [null], []).Should().Equal(new string?[] { null });
+        KeyTitleFormatter.FormatStates(string.Empty, false, ["{label} ON", "  "], []).Should().Equal("ON", null);
+    }
+}
@@ -0,0 +1,58 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class PiProtocolPayloadBuilderTests
+{
+    [Fact]
+    public void GetClientVersion_ReturnsNull_ForPreHandshakePi()
+    {
+        PiProtocolPayloadBuilder.GetClientVersion(new JObject { ["event"] = "propertyInspectorConnected" })
+            .Should().BeNull();
+    }
+
+    [Fact]
+    public void GetClientVersion_ReturnsNull_WhenNotAPositiveInteger()
+    {
+        PiProtocolPayloadBuilder.GetClientVersion(new JObject { ["protocolVersion"] = "1" }).Should().BeNull();
+        PiProtocolPayloadBuilder.GetClientVersion(new JObject { ["protocolVersion"] = 0 }).Should().BeNull();
+    }
+
+    [Fact]
+    public void GetClientVersion_ReturnsAnnouncedVersion()
+    {
+        PiProtocolPayloadBuilder.GetClientVersion(new JObject { ["protocolVersion"] = 3 }).Should().Be(3);
+    }
+
+    [Fact]
+    public void BuildHandshake_ReportsCompatible_WhenVersionsMatch()
+    {
+        JObject result = PiProtocolPayloadBuilder.BuildHandshake(PiProtocolPayloadBuilder.ProtocolVersion);
+
+        JObject protocol = (JObject)result["protocol"]!;
+        protocol["protocolVersion"]!.Value<int>().Should().Be(PiProtocolPayloadBuilder.ProtocolVersion);
+        protocol["clientProtocolVersion"]!.Value<int>().Should().Be(PiProtocolPayloadBuilder.ProtocolVersion);
+        protocol["compatible"]!.Value<bool>().Should().BeTrue();
+        protocol["features"]!.Values<string>().Should().Contain("request").And.Contain("testFire").And.Contain("freeKeys");
+    }
+
+    [Fact]
+    public void BuildHandshake_ReportsIncompatible_WhenPiDidNotAnnounceVersion()
+    {
+        JObject result = PiProtocolPayloadBuilder.BuildHandshake(null);
+
+        result["protocol"]!["clientProtocolVersion"]!.Type.Should().Be(JTokenType.Null);
+        result["protocol"]!["compatible"]!.Value<bool>().Should().BeFalse();
+    }
+
+    [Fact]
+    public void Stamp_AddsProtocolVersion()
+    {
+        JObject payload = PiProtocolPayloadBuilder.Stamp(new JObject { ["functionsLoaded"] = true });
+
+        payload["protocolVersion"]!.Value<int>().Should().Be(PiProtocolPayloadBuilder.ProtocolVersion);
+        payload["functionsLoaded"]!.Value<bool>().Should().BeTrue();
+    }
+}
@@ -0,0 +1,68 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class PiResponsePayloadBuilderTests
+{
+    [Fact]
+    public void GetRequestId_ReturnsNull_WhenMissingOrBlank()
+    {
+        PiResponsePayloadBuilder.GetRequestId(new JObject { ["event"] = "setChannel" }).Should().BeNull();
+        PiResponsePayloadBuilder.GetRequestId(new JObject { ["requestId"] = "  " }).Should().BeNull();
+    }
+
+    [Fact]
+    public void GetRequestId_ReturnsCorrelationId()
+    {
+        JObject payload = new() { ["event"] = "setChannel", ["requestId"] = "abc-1" };
+
+        PiResponsePayloadBuilder.GetRequestId(payload).Should().Be("abc-1");
+    }
+
+    [Fact]
+    public void Success_EchoesRequestIdWithEmptyResultByDefault()
+    {
+        JObject response = PiResponsePayloadBuilder.Success("abc-1");
+
+        response["requestId"]!.Value<string>().Should().Be("abc-1");
+        response["ok"]!.Value<bool>().Should().BeTrue();
+        ((JObject)response["result"]!).Count.Should().Be(0);
+        response.ContainsKey("error").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Success_IncludesResult()
+    {
+        JObject response = PiResponsePayloadBuilder.Success("abc-1", new JObject { ["channel"] = "Ptu" });
+
+        response["result"]!["channel"]!.Value<string>().Should().Be("Ptu");
+    }
+
+    [Fact]
+    public void Failure_EchoesRequestIdAndError()
+    {
+        JObject response = PiResponsePayloadBuilder.Failure("abc-2", PiReasons.UnknownChannel);
+
+        response["requestId"]!.Value<string>().Should().Be("abc-2");
+        response["ok"]!.Value<bool>().Should().BeFalse();
+        response["error"]!.Value<string>().Should().Be(PiReasons.UnknownChannel);
+    }
+
+    [Fact]
+    public void Failure_UsesGenericReason_WhenErrorMissing()
+    {
+        JObject response = PiResponsePayloadBuilder.Failure("abc-3", null);
+
+        response["error"]!.Value<string>().Should().Be(PiReasons.RequestFailed);
+    }
+
+    [Fact]
+    public void Success_Throws_WhenRequestIdBlank()
+    {
+        Action act = () => PiResponsePayloadBuilder.Success(" ");
+
+        act.Should().Throw<ArgumentException>();
+    }
+}
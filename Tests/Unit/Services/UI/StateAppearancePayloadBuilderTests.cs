@@ -0,0 +1,23 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class StateAppearancePayloadBuilderTests
+{
+    [Fact]
+    public void Build_ListsTitleAndImagePerState_OmittingDefaults()
+    {
+        JObject payload = StateAppearancePayloadBuilder.Build(["Gear", null], [null, "data:image/png;base64,AA=="]);
+
+        payload["stateAppearanceLoaded"]!.Value<bool>().Should().BeTrue();
+
+        JArray states = (JArray)payload["states"]!;
+        states.Should().HaveCount(2);
+        states[0]!["title"]!.Value<string>().Should().Be("Gear");
+        ((JObject)states[0]!).ContainsKey("image").Should().BeFalse();
+        ((JObject)states[1]!).ContainsKey("title").Should().BeFalse();
+        states[1]!["image"]!.Value<string>().Should().Be("data:image/png;base64,AA==");
+    }
+}
@@ -0,0 +1,33 @@
+using FluentAssertions;
+using Newtonsoft.Json.Linq;
+using SCStreamDeck.Models;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class TestFirePayloadBuilderTests
+{
+    [Fact]
+    public void Build_SentResult_ReportsInputAndHandler()
+    {
+        JObject payload = TestFirePayloadBuilder.Build(
+            new TestFireResult(true, "lalt+n", "Keyboard", ActivationMode.delayed_press, "DelayedPressHandler", null));
+
+        payload["sent"]!.Value<bool>().Should().BeTrue();
+        payload["binding"]!.Value<string>().Should().Be("lalt+n");
+        payload["device"]!.Value<string>().Should().Be("Keyboard");
+        payload["activationMode"]!.Value<string>().Should().NotBeNullOrWhiteSpace();
+        payload["handler"]!.Value<string>().Should().Be("DelayedPressHandler");
+        payload.ContainsKey("reason").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Build_NotSentResult_OnlyReportsReason()
+    {
+        JObject payload = TestFirePayloadBuilder.Build(TestFireResult.NotSent(PiReasons.NotBound));
+
+        payload.Properties().Select(p => p.Name).Should().BeEquivalentTo("sent", "reason");
+        payload["sent"]!.Value<bool>().Should().BeFalse();
+        payload["reason"]!.Value<string>().Should().Be(PiReasons.NotBound);
+    }
+}
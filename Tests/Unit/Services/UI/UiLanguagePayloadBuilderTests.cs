@@ -0,0 +1,42 @@
+using FluentAssertions;
+using SCStreamDeck.Services.UI;
+
+namespace Tests.Unit.Services.UI;
+
+public sealed class UiLanguagePayloadBuilderTests
+{
+    [Theory]
+    [InlineData("auto", null)]
+    [InlineData(" AUTO ", null)]
+    [InlineData("de", "de")]
+    [InlineData("zh-Hans", "zh-hans")]
+    public void TryNormalize_AcceptsAutoAndPackCodes(string language, string? expected)
+    {
+        UiLanguagePayloadBuilder.TryNormalize(language, out string? stored).Should().BeTrue();
+
+        stored.Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("d")]
+    [InlineData("-de")]
+    [InlineData("de/../x")]
+    [InlineData("german_(germany)")]
+    public void TryNormalize_RejectsInvalidCodes(string? language)
+    {
+        UiLanguagePayloadBuilder.TryNormalize(language, out string? stored).Should().BeFalse();
+
+        stored.Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData(null, "auto")]
+    [InlineData("de", "de")]
+    [InlineData("not valid", "auto")]
+    public void Build_FallsBackToAuto_WhenNothingValidStored(string? stored, string expected)
+    {
+        UiLanguagePayloadBuilder.Build(stored).Should().Be(expected);
+    }
+}
@@ -49,6 +49,8 @@ internal static class Program
         BuildPageScript(jsSrc, jsOut, "sc-preload.js");
         BuildPageScript(jsSrc, jsOut, "pi-control-panel.js");
         BuildPageScript(jsSrc, jsOut, "pi-function-key.js");
+        BuildPageScript(jsSrc, jsOut, "pi-sequence.js");
+        BuildPageScript(jsSrc, jsOut, "pi-dial.js");
         BuildCss(cssSrc, cssOut);
     }
 
@@ -58,8 +60,19 @@ internal static class Program
         [
             "sc-common.js",
             "sc-bus.js",
+            "sc-i18n.js",
+            "sc-protocol.js",
+            "sc-search.js",
             "sc-dropdown.js",
+            "sc-filter-chips.js",
+            "sc-conflicts.js",
+            "sc-function-match.js",
+            "sc-activation-diagram.js",
+            "sc-description.js",
+            "sc-binding-changes.js",
             "sc-file-picker.js",
+            "sc-functions-cache.js",
+            "sc-settings-codec.js",
             "sc-theme.js"
         ];
 
@@ -76,6 +89,11 @@ internal static class Program
             bundle.Append(Lf);
             bundle.Append(';');
             bundle.Append(Lf);
+
+            if (file == "sc-i18n.js")
+            {
+                AppendLanguagePacks(jsSrc, bundle);
+            }
         }
 
         CodeSettings settings = new() { PreserveImportantComments = false, OutputMode = OutputMode.SingleLine };
@@ -87,6 +105,28 @@ internal static class Program
         WriteIfChanged(Path.Combine(jsOut, "sc-components.js"), output);
     }
 
+    // Language packs are registered right after sc-i18n.js, so the components after it can translate on init.
+    private static void AppendLanguagePacks(string jsSrc, StringBuilder bundle)
+    {
+        string packDir = Path.Combine(jsSrc, "i18n");
+        if (!Directory.Exists(packDir))
+        {
+            throw new DirectoryNotFoundException($"Missing language packs: {packDir}");
+        }
+
+        string[] packs = Directory.GetFiles(packDir, "*.json");
+        Array.Sort(packs, StringComparer.Ordinal);
+
+        foreach (string path in packs)
+        {
+            string code = Path.GetFileNameWithoutExtension(path);
+            bundle.Append("SCPI.i18n.addPack(\"").Append(code).Append("\", ");
+            bundle.Append(File.ReadAllText(path));
+            bundle.Append(");");
+            bundle.Append(Lf);
+        }
+    }
+
     private static void BuildPageScript(string jsSrc, string jsOut, string fileName)
     {
         string inputPath = Path.Combine(jsSrc, fileName);